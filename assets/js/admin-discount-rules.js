@@ -0,0 +1,273 @@
+/**
+ * Automatic Discount Rules Editor (Admin)
+ *
+ * Repeater for the discount rules on WooCommerce > Settings > Products.
+ * The rule cards are rendered by woocommerce_theme_render_discount_rules_field()
+ * (admin.php); this script manages them before the settings form is saved.
+ *
+ * Features:
+ * - Add rules from the <template> card, remove rules
+ * - Reorder by drag and drop (jQuery UI Sortable) or Move up / Move down
+ * - Re-numbers input names after every change, so the saved order matches
+ *   the order on screen (the order decides ties between rules)
+ * - Validates amounts and date windows on submit and points to the problem
+ */
+
+(function($) {
+	'use strict';
+
+	/**
+	 * Localized parameters from woocommerce_theme_enqueue_discount_rules_assets()
+	 */
+	var params = typeof woocommerce_theme_discount_rules_params !== 'undefined' ? woocommerce_theme_discount_rules_params : {};
+
+	/**
+	 * Get a Translated UI String
+	 *
+	 * @param {string} key      - Key in params.i18n
+	 * @param {string} fallback - English fallback if the key is missing
+	 * @return {string} Translated string
+	 */
+	function i18n(key, fallback) {
+		return params.i18n && params.i18n[key] ? params.i18n[key] : fallback;
+	}
+
+	/**
+	 * Discount Rules Controller
+	 */
+	var DiscountRules = {
+		/**
+		 * Editor container
+		 */
+		$container: null,
+
+		/**
+		 * Initialize the rules editor
+		 */
+		init: function() {
+			this.$container = $('#theme-discount-rules');
+
+			if (!this.$container.length) {
+				return;
+			}
+
+			this.bindEvents();
+			this.initSortable();
+		},
+
+		/**
+		 * Bind event handlers
+		 */
+		bindEvents: function() {
+			var self = this;
+
+			this.$container.on('click', '.theme-discount-rules__add', function() {
+				self.addRule();
+			});
+
+			this.$container.on('click', '.theme-discount-rule__remove', function() {
+				if (window.confirm(i18n('confirm_remove', 'Remove this discount rule?'))) {
+					self.removeRule($(this).closest('.theme-discount-rule'));
+				}
+			});
+
+			this.$container.on('click', '.theme-discount-rule__move', function() {
+				self.moveRule($(this).closest('.theme-discount-rule'), $(this).data('direction'), $(this));
+			});
+
+			// Clear a card's errors as soon as it is edited
+			this.$container.on('input change', '.theme-discount-rule :input', function() {
+				self.clearErrors($(this).closest('.theme-discount-rule'));
+			});
+
+			this.$container.closest('form').on('submit', function(e) {
+				if (!self.validate()) {
+					e.preventDefault();
+				}
+			});
+		},
+
+		/**
+		 * Enable drag and drop reordering by the handle
+		 */
+		initSortable: function() {
+			var self = this;
+
+			if (!$.fn.sortable) {
+				return;
+			}
+
+			this.getList().sortable({
+				handle: '.theme-discount-rule__handle',
+				items: '> .theme-discount-rule',
+				axis: 'y',
+				update: function() {
+					self.renumber();
+				}
+			});
+		},
+
+		/**
+		 * Get the rules list element
+		 *
+		 * @return {jQuery}
+		 */
+		getList: function() {
+			return this.$container.find('.theme-discount-rules__list');
+		},
+
+		/**
+		 * Add an empty rule from the template
+		 */
+		addRule: function() {
+			var template = document.getElementById('theme-discount-rule-template');
+
+			if (!template) {
+				return;
+			}
+
+			var $rule = $(template.innerHTML.trim());
+
+			this.getList().append($rule);
+			this.renumber();
+
+			// Let WooCommerce turn the new category/role selects into select2 fields
+			$(document.body).trigger('wc-enhanced-select-init');
+
+			$rule.find('[data-field="label"]').trigger('focus');
+		},
+
+		/**
+		 * Remove a rule
+		 *
+		 * @param {jQuery} $rule - Rule card
+		 */
+		removeRule: function($rule) {
+			var $next = $rule.next('.theme-discount-rule').length ? $rule.next('.theme-discount-rule') : $rule.prev('.theme-discount-rule');
+
+			$rule.remove();
+			this.renumber();
+
+			// Keep keyboard focus in the editor
+			if ($next.length) {
+				$next.find('.theme-discount-rule__remove').trigger('focus');
+			} else {
+				this.$container.find('.theme-discount-rules__add').trigger('focus');
+			}
+		},
+
+		/**
+		 * Move a rule one position up or down
+		 *
+		 * @param {jQuery} $rule     - Rule card
+		 * @param {string} direction - 'up' or 'down'
+		 * @param {jQuery} $button   - Clicked button (keeps focus)
+		 */
+		moveRule: function($rule, direction, $button) {
+			if (direction === 'up' && $rule.prev('.theme-discount-rule').length) {
+				$rule.insertBefore($rule.prev('.theme-discount-rule'));
+			} else if (direction === 'down' && $rule.next('.theme-discount-rule').length) {
+				$rule.insertAfter($rule.next('.theme-discount-rule'));
+			}
+
+			this.renumber();
+			$button.trigger('focus');
+		},
+
+		/**
+		 * Rewrite input names to match the on-screen order
+		 *
+		 * wc_auto_discount_rules[3][label] becomes wc_auto_discount_rules[0][label]
+		 * for the first card, and so on.
+		 */
+		renumber: function() {
+			var $rules = this.getList().children('.theme-discount-rule');
+
+			$rules.each(function(index) {
+				$(this).find('[name^="wc_auto_discount_rules["]').each(function() {
+					this.name = this.name.replace(/^wc_auto_discount_rules\[[^\]]*\]/, 'wc_auto_discount_rules[' + index + ']');
+				});
+			});
+
+			this.$container.find('.theme-discount-rules__empty').prop('hidden', $rules.length > 0);
+		},
+
+		/**
+		 * Validate every rule before saving
+		 *
+		 * Mirrors woocommerce_theme_normalize_discount_rule(), which would
+		 * otherwise drop the invalid rule on save.
+		 *
+		 * @return {boolean} True if all rules are valid
+		 */
+		validate: function() {
+			var self = this;
+			var $firstInvalid = $();
+
+			this.getList().children('.theme-discount-rule').each(function() {
+				var $rule = $(this);
+				var errors = [];
+				var $invalid = $();
+				var $amount = $rule.find('[data-field="amount"]');
+				var $subtotal = $rule.find('[data-field="min_subtotal"]');
+				var $from = $rule.find('[data-field="date_from"]');
+				var $to = $rule.find('[data-field="date_to"]');
+				var amount = parseFloat($amount.val());
+
+				self.clearErrors($rule);
+
+				if (isNaN(amount) || amount <= 0) {
+					errors.push(i18n('amount_required', 'Enter a discount amount greater than 0.'));
+					$invalid = $invalid.add($amount);
+				} else if ($rule.find('[data-field="type"]').val() === 'percent' && amount > 100) {
+					errors.push(i18n('percent_too_high', 'A percentage discount cannot be more than 100%.'));
+					$invalid = $invalid.add($amount);
+				}
+
+				if ($subtotal.val() !== '' && parseFloat($subtotal.val()) < 0) {
+					errors.push(i18n('subtotal_invalid', 'The subtotal cannot be negative.'));
+					$invalid = $invalid.add($subtotal);
+				}
+
+				// Y-m-d strings compare correctly as text
+				if ($from.val() && $to.val() && $to.val() < $from.val()) {
+					errors.push(i18n('dates_invalid', 'The end date must be on or after the start date.'));
+					$invalid = $invalid.add($to);
+				}
+
+				if (errors.length) {
+					$rule.addClass('has-errors');
+					$invalid.attr('aria-invalid', 'true');
+					$rule.find('.theme-discount-rule__errors').text(errors.join(' '));
+					$firstInvalid = $firstInvalid.length ? $firstInvalid : $invalid.first();
+				}
+			});
+
+			if ($firstInvalid.length) {
+				$firstInvalid.trigger('focus');
+				return false;
+			}
+
+			return true;
+		},
+
+		/**
+		 * Remove a rule's validation errors
+		 *
+		 * @param {jQuery} $rule - Rule card
+		 */
+		clearErrors: function($rule) {
+			$rule.removeClass('has-errors');
+			$rule.find('[aria-invalid]').removeAttr('aria-invalid');
+			$rule.find('.theme-discount-rule__errors').text('');
+		}
+	};
+
+	/**
+	 * Initialize when DOM is ready
+	 */
+	$(document).ready(function() {
+		DiscountRules.init();
+	});
+
+})(jQuery);
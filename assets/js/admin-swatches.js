@@ -0,0 +1,142 @@
+/**
+ * Attribute Term Swatch Fields (Admin)
+ *
+ * Enhances the swatch fields added by swatches.php to the product attribute
+ * term screens (Products > Attributes > Configure terms).
+ *
+ * Features:
+ * - WordPress color picker for the main and second swatch colors
+ * - Media library picker for the swatch / pattern image
+ * - Clears the fields after a term is added (the "Add term" form is
+ *   submitted via AJAX and only resets the standard inputs)
+ */
+
+(function($) {
+	'use strict';
+
+	/**
+	 * Localized parameters from woocommerce_theme_enqueue_swatch_admin_assets()
+	 */
+	var params = typeof woocommerce_theme_admin_swatches_params !== 'undefined' ? woocommerce_theme_admin_swatches_params : {};
+	var i18n = params.i18n || {};
+
+	/**
+	 * Swatch Fields Controller
+	 */
+	var SwatchFields = {
+		/**
+		 * Media library frame (created on first use)
+		 */
+		frame: null,
+
+		/**
+		 * Initialize swatch fields
+		 */
+		init: function() {
+			if (!$('.theme-swatch-color, .theme-swatch-image').length) {
+				return;
+			}
+
+			if ($.fn.wpColorPicker) {
+				$('.theme-swatch-color').wpColorPicker();
+			}
+
+			this.bindEvents();
+		},
+
+		/**
+		 * Bind event handlers
+		 */
+		bindEvents: function() {
+			var self = this;
+
+			$(document).on('click', '.theme-swatch-image__select', function(e) {
+				e.preventDefault();
+				self.openMediaFrame($(this).closest('.theme-swatch-image'));
+			});
+
+			$(document).on('click', '.theme-swatch-image__remove', function(e) {
+				e.preventDefault();
+				self.setImage($(this).closest('.theme-swatch-image'), '', '');
+			});
+
+			// Reset after a term was added on the edit-tags.php screen
+			$(document).ajaxComplete(function(event, xhr, settings) {
+				if (settings && typeof settings.data === 'string' && settings.data.indexOf('action=add-tag') !== -1 && xhr.responseText.indexOf('wp_error') === -1) {
+					self.reset();
+				}
+			});
+		},
+
+		/**
+		 * Open the media library and store the chosen image
+		 *
+		 * @param {jQuery} $field - .theme-swatch-image container
+		 */
+		openMediaFrame: function($field) {
+			var self = this;
+
+			if (!window.wp || !wp.media) {
+				return;
+			}
+
+			this.frame = wp.media({
+				title: i18n.choose_image || 'Choose swatch image',
+				button: { text: i18n.use_image || 'Use image' },
+				library: { type: 'image' },
+				multiple: false
+			});
+
+			this.frame.on('select', function() {
+				var attachment = self.frame.state().get('selection').first().toJSON();
+				var url = attachment.sizes && attachment.sizes.thumbnail ? attachment.sizes.thumbnail.url : attachment.url;
+
+				self.setImage($field, attachment.id, url);
+			});
+
+			this.frame.open();
+		},
+
+		/**
+		 * Update the image field and its preview
+		 *
+		 * @param {jQuery} $field - .theme-swatch-image container
+		 * @param {number|string} id - Attachment ID ('' to clear)
+		 * @param {string} url - Preview URL ('' to clear)
+		 */
+		setImage: function($field, id, url) {
+			$field.find('input[name="theme_swatch_image"]').val(id);
+			$field.find('.theme-swatch-image__preview').attr('src', url).prop('hidden', !url);
+			$field.find('.theme-swatch-image__remove').prop('hidden', !url);
+		},
+
+		/**
+		 * Clear all swatch fields
+		 */
+		reset: function() {
+			var self = this;
+
+			$('.theme-swatch-color').each(function() {
+				var $input = $(this);
+
+				if ($.fn.wpColorPicker && $input.closest('.wp-picker-container').length) {
+					$input.wpColorPicker('color', '');
+				}
+
+				$input.val('');
+			});
+
+			$('.theme-swatch-image').each(function() {
+				self.setImage($(this), '', '');
+			});
+		}
+	};
+
+	/**
+	 * Initialize when DOM is ready
+	 */
+	$(document).ready(function() {
+		SwatchFields.init();
+	});
+
+})(jQuery);
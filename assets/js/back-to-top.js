@@ -5,6 +5,8 @@
  * - Shows button when user scrolls down 300px
  * - Hides button when at top of page
  * - Smoothly scrolls to top when button is clicked
+ * - Moves keyboard focus to the main content afterwards, so Tab doesn't
+ *   continue from the bottom of a long (e.g., "Load more") product list
  */
 
 (function($) {
@@ -27,7 +29,16 @@
 			e.preventDefault();
 			$('html, body').animate({
 				scrollTop: 0
-			}, 600); // 600ms animation duration
+			}, 600).promise().done(function() { // 600ms animation duration
+				var $target = $('#primary');
+
+				if ($target.length) {
+					if (!$target.is('[tabindex]')) {
+						$target.attr('tabindex', '-1');
+					}
+					$target[0].focus({ preventScroll: true });
+				}
+			});
 		});
 	});
 
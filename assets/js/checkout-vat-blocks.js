@@ -0,0 +1,185 @@
+/**
+ * Checkout Block VAT Number Field
+ *
+ * Business Type → VAT Number behavior for the Checkout block, matching
+ * checkout-vat.js on the classic checkout. The block shows, hides and
+ * requires the field itself from the conditions registered in
+ * woocommerce_theme_register_blocks_checkout_fields() (checkout.php); this
+ * script works through the block's data stores for the rest:
+ *
+ * - Both are order fields (wc/store/checkout), shown once; the country
+ *   comes from the billing address (wc/store/cart)
+ * - Switching away from "Company" empties the VAT number, as the classic
+ *   checkout does
+ * - The number is checked against the billing country's format
+ *   (woocommerce_theme_get_vat_number_formats(), through vat-number.js,
+ *   the same rules as the classic checkout); the error is shown below
+ *   the field (wc/store/validation) once the shopper leaves it, then
+ *   updated as they type, and blocks "Place order" like the block's own
+ *   field errors
+ *
+ * The Store API runs the same format check when the order is placed
+ * (woocommerce_theme_validate_blocks_vat_number()).
+ */
+
+(function(wp) {
+	'use strict';
+
+	if (!wp || !wp.data) {
+		return;
+	}
+
+	/**
+	 * Store names, field IDs (checkout.php) and the block's IDs for the field
+	 */
+	var CART_STORE = 'wc/store/cart';
+	var CHECKOUT_STORE = 'wc/store/checkout';
+	var VALIDATION_STORE = 'wc/store/validation';
+	var BUSINESS_TYPE = 'theme/business-type';
+	var VAT_NUMBER = 'theme/vat-number';
+	var ERROR_ID = 'order_' + VAT_NUMBER;
+	var INPUT_ID = 'order-' + VAT_NUMBER;
+
+	/**
+	 * Checkout Block VAT Controller
+	 */
+	var BlocksVat = {
+		/**
+		 * Business type seen on the last store update
+		 */
+		businessType: null,
+
+		/**
+		 * Error message this script set (the block's own errors are left alone)
+		 */
+		message: '',
+
+		/**
+		 * Whether errors are shown (after the shopper left the field once)
+		 */
+		touched: false,
+
+		/**
+		 * Whether an update is running (dispatching notifies subscribers again)
+		 */
+		updating: false,
+
+		/**
+		 * Initialize when the block's stores are available
+		 */
+		init: function() {
+			var self = this;
+
+			if (!wp.data.select(CART_STORE) || !wp.data.select(CHECKOUT_STORE) || !wp.data.select(VALIDATION_STORE)) {
+				return;
+			}
+
+			wp.data.subscribe(function() {
+				self.update();
+			});
+
+			document.addEventListener('focusout', function(e) {
+				if (e.target && e.target.id === INPUT_ID) {
+					self.touched = true;
+					self.update();
+				}
+			});
+
+			this.update();
+		},
+
+		/**
+		 * React to a change in the order fields or the billing address
+		 */
+		update: function() {
+			var fields;
+			var country;
+			var businessType;
+			var change = {};
+
+			if (this.updating) {
+				return;
+			}
+
+			this.updating = true;
+
+			fields = wp.data.select(CHECKOUT_STORE).getAdditionalFields() || {};
+			country = (wp.data.select(CART_STORE).getCustomerData().billingAddress || {}).country || '';
+			businessType = fields[BUSINESS_TYPE] || '';
+
+			// Left "Company": drop the number, as the classic checkout does
+			if (this.businessType === 'company' && businessType !== 'company' && fields[VAT_NUMBER]) {
+				change[VAT_NUMBER] = '';
+				wp.data.dispatch(CHECKOUT_STORE).setAdditionalFields(change);
+				this.touched = false;
+			}
+
+			this.businessType = businessType;
+			this.showError(this.getError(fields, country));
+
+			this.updating = false;
+		},
+
+		/**
+		 * Get the format error for the order fields (vat-number.js)
+		 *
+		 * An empty number is left to the block's "required" condition.
+		 *
+		 * @param {Object} fields  - Order fields from wc/store/checkout
+		 * @param {string} country - Billing country code
+		 * @return {string} Error message, or '' if valid
+		 */
+		getError: function(fields, country) {
+			if (String(fields[VAT_NUMBER] || '').trim() === '') {
+				return '';
+			}
+
+			return ThemeVatNumber.getError(fields[VAT_NUMBER], country, fields[BUSINESS_TYPE] || '');
+		},
+
+		/**
+		 * Set or clear the field's error in wc/store/validation
+		 *
+		 * The block clears the field's error when its own checks pass (on
+		 * leaving the field); the next store update sets it again.
+		 *
+		 * @param {string} message - Error message, or '' to clear
+		 */
+		showError: function(message) {
+			var current = wp.data.select(VALIDATION_STORE).getValidationError(ERROR_ID);
+			var errors = {};
+
+			if (!message) {
+				if (current && this.message && current.message === this.message) {
+					wp.data.dispatch(VALIDATION_STORE).clearValidationError(ERROR_ID);
+				}
+				this.message = '';
+				return;
+			}
+
+			// Already shown as wanted
+			if (current && current.message === message && current.hidden === !this.touched) {
+				return;
+			}
+
+			this.message = message;
+			errors[ERROR_ID] = {
+				message: message,
+				hidden: !this.touched
+			};
+			wp.data.dispatch(VALIDATION_STORE).setValidationErrors(errors);
+		}
+	};
+
+	/**
+	 * Initialize when the DOM is ready (the block's stores are registered by then)
+	 */
+	if (document.readyState === 'loading') {
+		document.addEventListener('DOMContentLoaded', function() {
+			BlocksVat.init();
+		});
+	} else {
+		BlocksVat.init();
+	}
+
+})(window.wp);
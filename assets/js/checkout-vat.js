@@ -0,0 +1,188 @@
+/**
+ * Checkout VAT Number Field
+ *
+ * Shows the VAT Number field (#billing_vat_number_field) only for company
+ * billing and checks the number against the billing country's format while
+ * the shopper types.
+ *
+ * Features:
+ * - The field is shown when Business Type is "Company" and emptied otherwise
+ * - Format rules per country from woocommerce_theme_get_vat_number_formats()
+ *   (checkout.php), checked by vat-number.js; the server applies the same
+ *   rules when the order is placed
+ * - Inline error below the field (aria-invalid, aria-describedby): shown once
+ *   the shopper leaves the field, then updated on every keystroke
+ * - Changing the billing country checks the number again
+ * - "Place order" is stopped and focus moves to the field while it's invalid
+ */
+
+(function($) {
+	'use strict';
+
+	/**
+	 * Checkout VAT Controller
+	 */
+	var CheckoutVat = {
+		/**
+		 * Whether errors are shown (after the shopper left the field once)
+		 */
+		touched: false,
+
+		/**
+		 * Initialize the VAT number field
+		 */
+		init: function() {
+			this.bindEvents();
+			this.toggle();
+		},
+
+		/**
+		 * Bind event handlers
+		 *
+		 * Bound on body, after WooCommerce's own field validation on the form,
+		 * so the VAT error state isn't overwritten by it.
+		 */
+		bindEvents: function() {
+			var self = this;
+
+			$(document.body).on('change', '#billing_business_type', function() {
+				self.toggle();
+			});
+
+			$(document.body).on('change', '#billing_country', function() {
+				self.validate();
+			});
+
+			$(document.body).on('input', '#billing_vat_number', function() {
+				self.validate();
+			});
+
+			$(document.body).on('focusout change', '#billing_vat_number', function() {
+				self.touched = true;
+				self.validate();
+			});
+
+			// Order review refresh: WooCommerce re-validates the fields
+			$(document.body).on('updated_checkout', function() {
+				self.toggle();
+			});
+
+			// Returning false stops WooCommerce's checkout submission
+			$('form.checkout').on('checkout_place_order', function() {
+				return self.validateForSubmit();
+			});
+		},
+
+		/**
+		 * Show the field for company billing, hide and empty it otherwise
+		 */
+		toggle: function() {
+			var $wrapper = $('#billing_vat_number_field');
+
+			if (!$wrapper.length) {
+				return;
+			}
+
+			if ($('#billing_business_type').val() === 'company') {
+				$wrapper.show();
+				this.validate();
+				return;
+			}
+
+			$wrapper.hide();
+			$wrapper.find('input').val('');
+			this.touched = false;
+			this.showError('');
+		},
+
+		/**
+		 * Get the error for the current field values (vat-number.js)
+		 *
+		 * @return {string} Error message, or '' if valid
+		 */
+		getError: function() {
+			return ThemeVatNumber.getError(
+				$('#billing_vat_number').val(),
+				$('#billing_country').val() || '',
+				$('#billing_business_type').val() || ''
+			);
+		},
+
+		/**
+		 * Check the field and update its error (once touched)
+		 *
+		 * A missing number is only reported on leaving the field or placing
+		 * the order, not while the shopper is still to reach it.
+		 *
+		 * @return {boolean} True if valid
+		 */
+		validate: function() {
+			var error = $('#billing_vat_number_field').is(':visible') ? this.getError() : '';
+
+			if (this.touched) {
+				this.showError(error);
+			} else if (!error) {
+				this.showError('');
+			}
+
+			return !error;
+		},
+
+		/**
+		 * Check the field before the order is placed
+		 *
+		 * @return {boolean} False to stop the submission
+		 */
+		validateForSubmit: function() {
+			this.touched = true;
+
+			if (this.validate()) {
+				return true;
+			}
+
+			$('#billing_vat_number').trigger('focus');
+			return false;
+		},
+
+		/**
+		 * Show or clear the inline error
+		 *
+		 * @param {string} message - Error message, or '' to clear
+		 */
+		showError: function(message) {
+			var $wrapper = $('#billing_vat_number_field');
+			var $input = $('#billing_vat_number');
+			var $error = $wrapper.find('.vat-number-error');
+			var $target;
+
+			if (!message) {
+				$error.remove();
+				$input.removeAttr('aria-invalid').removeAttr('aria-describedby');
+				$wrapper.removeClass('woocommerce-invalid');
+				return;
+			}
+
+			if (!$error.length) {
+				$target = $wrapper.find('.woocommerce-input-wrapper').first();
+
+				$error = $('<p/>', {
+					id: 'billing_vat_number-error',
+					class: 'vat-number-error',
+					'aria-live': 'polite'
+				}).appendTo($target.length ? $target : $wrapper);
+			}
+
+			$error.text(message);
+			$input.attr({ 'aria-invalid': 'true', 'aria-describedby': 'billing_vat_number-error' });
+			$wrapper.removeClass('woocommerce-validated').addClass('woocommerce-invalid');
+		}
+	};
+
+	/**
+	 * Initialize when DOM is ready
+	 */
+	$(document).ready(function() {
+		CheckoutVat.init();
+	});
+
+})(jQuery);
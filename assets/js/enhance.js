@@ -0,0 +1,217 @@
+/**
+ * Theme Enhancement Registry
+ *
+ * Lets the theme's scripts enhance markup wherever and whenever it appears:
+ * on page load, after AJAX fragments, filtered or appended products, the
+ * quick view, blocks or other plugins inserting content.
+ *
+ * Each component registers a selector and an init/destroy pair:
+ *
+ *   ThemeEnhance.register('quantity-changer', {
+ *       selector: '.quantity .qty',
+ *       init: function(element) { ... },
+ *       destroy: function(element) { ... }
+ *   });
+ *
+ * Features:
+ * - init runs once per matching element: on DOM ready, for elements added
+ *   later (MutationObserver), and on window.themeEnhance(root)
+ * - destroy runs once an enhanced element has left the document
+ * - Components registered after DOM ready enhance the page right away
+ *
+ * window.themeEnhance(root) enhances a container synchronously, e.g. right
+ * after inserting markup when the enhanced result is needed immediately
+ * (the observer runs a moment later and skips what is already enhanced).
+ */
+
+(function($, window) {
+	'use strict';
+
+	/**
+	 * Registry Controller
+	 */
+	var ThemeEnhance = {
+		/**
+		 * Registered components in registration order:
+		 * { name, selector, init, destroy, elements }
+		 */
+		components: [],
+
+		/**
+		 * Whether the page has been enhanced (DOM ready)
+		 */
+		started: false,
+
+		/**
+		 * Register a component
+		 *
+		 * @param {string} name      - Component name (registering it again is ignored)
+		 * @param {Object} component - { selector, init(element), destroy(element) };
+		 *                             selector is a CSS selector (no jQuery extensions)
+		 */
+		register: function(name, component) {
+			var i;
+
+			for (i = 0; i < this.components.length; i++) {
+				if (this.components[i].name === name) {
+					return;
+				}
+			}
+
+			component = {
+				name: name,
+				selector: component.selector,
+				init: component.init,
+				destroy: component.destroy || $.noop,
+				elements: []
+			};
+
+			this.components.push(component);
+
+			if (this.started) {
+				this.enhanceComponent(component, document);
+			}
+		},
+
+		/**
+		 * Initialize all components on the matching elements in a container
+		 *
+		 * @param {Element|jQuery|Document} root - Container (itself included)
+		 */
+		enhance: function(root) {
+			var self = this;
+
+			$(root || document).each(function() {
+				var node = this;
+
+				$.each(self.components, function(i, component) {
+					self.enhanceComponent(component, node);
+				});
+			});
+		},
+
+		/**
+		 * Initialize one component on the matching elements in a container
+		 *
+		 * @param {Object}           component - Registered component
+		 * @param {Element|Document} root      - Container (itself included)
+		 */
+		enhanceComponent: function(component, root) {
+			// Native querySelectorAll matches against the whole document, so a
+			// selector's ancestors may be the root itself or lie above it
+			// (jQuery's .find() would look for them inside the root only)
+			$(root).filter(component.selector).add(root.querySelectorAll(component.selector)).each(function() {
+				if ($.inArray(this, component.elements) !== -1) {
+					return;
+				}
+
+				component.elements.push(this);
+
+				// One broken component must not stop the others
+				try {
+					component.init(this);
+				} catch (error) {
+					ThemeEnhance.rethrow(error);
+				}
+			});
+		},
+
+		/**
+		 * Report a component's error without stopping the caller
+		 *
+		 * Thrown again from a timer, so it still reaches the browser's error
+		 * reporting (console, window.onerror) as an uncaught error.
+		 *
+		 * @param {Error} error - Caught error
+		 */
+		rethrow: function(error) {
+			setTimeout(function() {
+				throw error;
+			});
+		},
+
+		/**
+		 * Destroy components whose elements have left the document
+		 */
+		cleanup: function() {
+			var root = document.documentElement;
+
+			$.each(this.components, function(i, component) {
+				component.elements = $.grep(component.elements, function(element) {
+					if ($.contains(root, element)) {
+						return true;
+					}
+
+					try {
+						component.destroy(element);
+					} catch (error) {
+						ThemeEnhance.rethrow(error);
+					}
+
+					return false;
+				});
+			});
+		},
+
+		/**
+		 * Enhance the page and watch for added and removed markup
+		 */
+		start: function() {
+			var self = this;
+
+			this.started = true;
+			this.enhance(document);
+
+			if (!('MutationObserver' in window)) {
+				return;
+			}
+
+			new MutationObserver(function(mutations) {
+				var removed = false;
+				var added = [];
+
+				$.each(mutations, function(i, mutation) {
+					if (mutation.removedNodes.length) {
+						removed = true;
+					}
+
+					$.each(mutation.addedNodes, function(j, node) {
+						if (node.nodeType === 1) {
+							added.push(node);
+						}
+					});
+				});
+
+				if (removed) {
+					self.cleanup();
+				}
+
+				$.each(added, function(i, node) {
+					// Skip nodes removed again before this callback ran
+					if ($.contains(document.documentElement, node)) {
+						self.enhance(node);
+					}
+				});
+			}).observe(document.body, { childList: true, subtree: true });
+		}
+	};
+
+	window.ThemeEnhance = ThemeEnhance;
+
+	/**
+	 * Enhance a container now (public shortcut)
+	 *
+	 * @param {Element|jQuery} [root=document] - Container
+	 */
+	window.themeEnhance = function(root) {
+		ThemeEnhance.enhance(root || document);
+	};
+
+	/**
+	 * Initialize when DOM is ready
+	 */
+	$(document).ready(function() {
+		ThemeEnhance.start();
+	});
+
+})(jQuery, window);
@@ -0,0 +1,458 @@
+/**
+ * Header Product Search
+ *
+ * Instant product suggestions for the header search form rendered by
+ * woocommerce_theme_render_header_search() (inc/woocommerce/search.php).
+ *
+ * Features:
+ * - Queries products after a short pause in typing (debounce)
+ * - Suggestions with thumbnail, price and origin badge, plus "See all results"
+ * - Responses are cached for a few minutes, so editing the text back
+ *   doesn't repeat requests
+ * - ARIA combobox with a listbox (aria-activedescendant); the result count
+ *   is announced to screen readers
+ * - Keyboard: Down/Up move, Enter opens the highlighted product (or submits
+ *   the search), Escape closes then clears
+ * - Closes when the mobile menu opens (MobileMenu layout on small screens)
+ *
+ * Without JavaScript the form submits to the regular product search results.
+ */
+
+(function($) {
+	'use strict';
+
+	/**
+	 * Localized parameters from woocommerce_theme_enqueue_assets()
+	 */
+	var params = typeof woocommerce_theme_header_search_params !== 'undefined' ? woocommerce_theme_header_search_params : {};
+
+	/**
+	 * Get a Translated UI String
+	 *
+	 * @param {string} key      - Key in params.i18n
+	 * @param {string} fallback - English fallback if the key is missing
+	 * @return {string} Translated string
+	 */
+	function i18n(key, fallback) {
+		return params.i18n && params.i18n[key] ? params.i18n[key] : fallback;
+	}
+
+	/**
+	 * Header Search Controller
+	 */
+	var HeaderSearch = {
+		/**
+		 * Wait after the last keystroke before searching (ms)
+		 */
+		delay: 250,
+
+		/**
+		 * How long a response is reused (ms)
+		 */
+		cacheTime: 2 * 60 * 1000,
+
+		/**
+		 * Responses by search text: { time, data }
+		 */
+		cache: {},
+
+		/**
+		 * Search form, input (role="combobox"), listbox and live region
+		 */
+		$form: null,
+		$input: null,
+		$listbox: null,
+		$status: null,
+
+		/**
+		 * Debounce timer and pending request
+		 */
+		timer: null,
+		xhr: null,
+
+		/**
+		 * Index of the active (highlighted) option, -1 for none
+		 */
+		active: -1,
+
+		/**
+		 * Initialize the header search
+		 */
+		init: function() {
+			this.$form = $('.header-search__form').first();
+
+			if (!this.$form.length || !params.ajax_url) {
+				return;
+			}
+
+			this.$input = this.$form.find('.header-search__input');
+			this.build();
+			this.bindEvents();
+		},
+
+		/**
+		 * Add the listbox and live region, and the combobox attributes
+		 */
+		build: function() {
+			var listboxId = 'header-search-listbox';
+
+			this.$input.attr({
+				role: 'combobox',
+				'aria-autocomplete': 'list',
+				'aria-expanded': 'false',
+				'aria-controls': listboxId
+			});
+
+			this.$listbox = $('<ul/>', {
+				id: listboxId,
+				class: 'header-search__results',
+				role: 'listbox',
+				'aria-label': this.$form.find('label[for="' + this.$input.attr('id') + '"]').text(),
+				hidden: true
+			});
+
+			this.$status = $('<p/>', {
+				class: 'header-search__status screen-reader-text',
+				role: 'status',
+				'aria-live': 'polite'
+			});
+
+			this.$form.closest('.header-search').append(this.$listbox, this.$status);
+		},
+
+		/**
+		 * Bind event handlers
+		 */
+		bindEvents: function() {
+			var self = this;
+
+			this.$input.on('input', function() {
+				self.onInput();
+			});
+
+			this.$input.on('keydown', function(e) {
+				self.onKeydown(e);
+			});
+
+			// Reopen previous suggestions when coming back to the field
+			this.$input.on('focus', function() {
+				if (self.$listbox.children().length && $.trim(self.$input.val()).length >= self.minChars()) {
+					self.open();
+				}
+			});
+
+			// Keep focus in the input while clicking suggestions
+			this.$listbox.on('mousedown', '[role="option"]', function(e) {
+				e.preventDefault();
+			});
+
+			this.$listbox.on('click', '[role="option"]', function() {
+				self.go($(this));
+			});
+
+			$(document).on('mousedown touchstart', function(e) {
+				if (!$(e.target).closest('.header-search').length) {
+					self.close();
+				}
+			});
+
+			// The mobile menu slides over the header
+			$(document).on('click', '#menu-toggle', function() {
+				self.close();
+			});
+		},
+
+		/**
+		 * Minimum number of characters before searching
+		 *
+		 * @return {number} Minimum length
+		 */
+		minChars: function() {
+			return parseInt(params.min_chars, 10) || 2;
+		},
+
+		/**
+		 * Schedule a search for the current text
+		 */
+		onInput: function() {
+			var self = this;
+			var term = $.trim(this.$input.val());
+
+			clearTimeout(this.timer);
+
+			if (term.length < this.minChars()) {
+				this.abort();
+				this.$listbox.empty();
+				this.close();
+				return;
+			}
+
+			this.timer = setTimeout(function() {
+				self.search(term);
+			}, this.delay);
+		},
+
+		/**
+		 * Show suggestions for a search text, from the cache or the server
+		 *
+		 * @param {string} term - Search text
+		 */
+		search: function(term) {
+			var self = this;
+			var key = term.toLowerCase();
+			var cached = this.cache[key];
+
+			if (cached && Date.now() - cached.time < this.cacheTime) {
+				this.render(cached.data);
+				return;
+			}
+
+			this.abort();
+			this.$form.addClass('is-loading');
+			this.$status.text(i18n('loading', 'Searching…'));
+
+			this.xhr = $.ajax({
+				url: params.ajax_url,
+				data: { term: term },
+				dataType: 'json'
+			}).done(function(response) {
+				if (!response || !response.success) {
+					self.clear();
+					return;
+				}
+
+				self.cache[key] = { time: Date.now(), data: response.data };
+
+				// Ignore answers for text the shopper has already changed
+				if ($.trim(self.$input.val()) === term) {
+					self.render(response.data);
+				}
+			}).fail(function(xhr, status) {
+				// Aborted for newer text, which is searched instead
+				if (status !== 'abort') {
+					self.clear();
+				}
+			}).always(function() {
+				self.xhr = null;
+				self.$form.removeClass('is-loading');
+			});
+		},
+
+		/**
+		 * Drop the suggestions and the "Searching…" status after a failed
+		 * search; nothing is cached, so the same text is tried again
+		 */
+		clear: function() {
+			this.$status.text('');
+			this.$listbox.empty();
+			this.close();
+		},
+
+		/**
+		 * Cancel the pending request
+		 */
+		abort: function() {
+			if (this.xhr) {
+				this.xhr.abort();
+				this.xhr = null;
+			}
+		},
+
+		/**
+		 * Build the suggestion options
+		 *
+		 * @param {Object} data - { results, total, url } from the server
+		 */
+		render: function(data) {
+			var self = this;
+			var results = data.results || [];
+			var total = parseInt(data.total, 10) || 0;
+
+			this.$listbox.empty();
+			this.active = -1;
+			this.$input.removeAttr('aria-activedescendant');
+
+			$.each(results, function(index, product) {
+				var $option = $('<li/>', {
+					id: 'header-search-option-' + index,
+					class: 'header-search__option',
+					role: 'option',
+					'aria-selected': 'false',
+					'data-url': product.url
+				});
+
+				$option.append(
+					$('<span/>', { class: 'header-search__image', 'aria-hidden': 'true' }).html(product.image),
+					$('<span/>', { class: 'header-search__details' }).append(
+						$('<span/>', { class: 'header-search__name' }).text(product.name),
+						$('<span/>', { class: 'header-search__price' }).html(product.price),
+						$('<span/>', { class: 'header-search__badge' }).html(product.badge)
+					)
+				);
+
+				self.$listbox.append($option);
+			});
+
+			if (results.length) {
+				this.$listbox.append($('<li/>', {
+					id: 'header-search-option-all',
+					class: 'header-search__option header-search__option--all',
+					role: 'option',
+					'aria-selected': 'false',
+					'data-url': data.url
+				}).text(i18n('see_all', 'See all results (%d)').replace('%d', total)));
+
+				this.$status.text(i18n('results', '%d products found').replace('%d', total));
+			} else {
+				this.$listbox.append($('<li/>', {
+					class: 'header-search__empty',
+					role: 'presentation'
+				}).text(i18n('no_results', 'No products found')));
+
+				this.$status.text(i18n('no_results', 'No products found'));
+			}
+
+			this.open();
+		},
+
+		/**
+		 * Keyboard handling on the input
+		 *
+		 * @param {jQuery.Event} e - keydown event
+		 */
+		onKeydown: function(e) {
+			var isOpen = this.$input.attr('aria-expanded') === 'true';
+
+			switch (e.key) {
+				case 'ArrowDown':
+				case 'ArrowUp':
+					if (!this.$listbox.find('[role="option"]').length) {
+						return;
+					}
+					e.preventDefault();
+					if (!isOpen) {
+						this.open();
+					}
+					this.move(e.key === 'ArrowDown' ? 1 : -1);
+					break;
+				case 'Enter':
+					// No highlighted suggestion: the form submits as usual
+					if (isOpen && this.active !== -1) {
+						e.preventDefault();
+						this.go(this.options().eq(this.active));
+					}
+					break;
+				case 'Escape':
+					if (isOpen) {
+						e.preventDefault();
+						this.close();
+					} else if (this.$input.val()) {
+						e.preventDefault();
+						this.$input.val('');
+						this.onInput();
+					}
+					break;
+				case 'Tab':
+					this.close();
+					break;
+			}
+		},
+
+		/**
+		 * Suggestion options, "See all results" last
+		 *
+		 * @return {jQuery} Options
+		 */
+		options: function() {
+			return this.$listbox.find('[role="option"]');
+		},
+
+		/**
+		 * Move the active option (wraps around)
+		 *
+		 * @param {number} step - 1 for next, -1 for previous
+		 */
+		move: function(step) {
+			var count = this.options().length;
+
+			if (this.active === -1) {
+				this.setActive(step > 0 ? 0 : count - 1);
+			} else {
+				this.setActive((this.active + step + count) % count);
+			}
+		},
+
+		/**
+		 * Highlight an option (aria-activedescendant) and scroll it into view
+		 *
+		 * @param {number} index - Option index, -1 for none
+		 */
+		setActive: function(index) {
+			var $options = this.options();
+
+			this.active = index;
+			$options.removeClass('is-active').attr('aria-selected', 'false');
+
+			if (index === -1) {
+				this.$input.removeAttr('aria-activedescendant');
+				return;
+			}
+
+			var $option = $options.eq(index);
+
+			$option.addClass('is-active').attr('aria-selected', 'true');
+			this.$input.attr('aria-activedescendant', $option.attr('id'));
+
+			var top = $option.position().top;
+			var height = this.$listbox.innerHeight();
+
+			if (top < 0 || top + $option.outerHeight() > height) {
+				this.$listbox.scrollTop(this.$listbox.scrollTop() + top - height / 2);
+			}
+		},
+
+		/**
+		 * Open a suggestion
+		 *
+		 * @param {jQuery} $option - Option with data-url
+		 */
+		go: function($option) {
+			var url = $option.data('url');
+
+			if (url) {
+				window.location.href = url;
+			}
+		},
+
+		/**
+		 * Show the suggestions
+		 */
+		open: function() {
+			this.$listbox.prop('hidden', false);
+			this.$input.attr('aria-expanded', 'true');
+			this.$form.closest('.header-search').addClass('is-open');
+		},
+
+		/**
+		 * Hide the suggestions
+		 */
+		close: function() {
+			if (this.$input.attr('aria-expanded') !== 'true') {
+				return;
+			}
+
+			this.$listbox.prop('hidden', true);
+			this.$input.attr('aria-expanded', 'false');
+			this.$form.closest('.header-search').removeClass('is-open');
+			this.setActive(-1);
+		}
+	};
+
+	/**
+	 * Initialize when DOM is ready
+	 */
+	$(document).ready(function() {
+		HeaderSearch.init();
+	});
+
+})(jQuery);
@@ -0,0 +1,150 @@
+/**
+ * Shop Loop Card Swatches
+ *
+ * Swaps a product card's image to the variation image of a color swatch
+ * rendered by woocommerce_theme_render_loop_swatches() (swatches.php).
+ *
+ * Features:
+ * - Hover or keyboard focus previews the swatch's image
+ * - Click pins the swatch (aria-pressed); click again to unpin
+ * - Leaving the swatches restores the pinned or the original image
+ */
+
+(function($) {
+	'use strict';
+
+	/**
+	 * Loop Swatches Controller
+	 */
+	var LoopSwatches = {
+		/**
+		 * Initialize loop swatches
+		 */
+		init: function() {
+			this.bindEvents();
+		},
+
+		/**
+		 * Bind event handlers (delegated, so cards added later work too)
+		 */
+		bindEvents: function() {
+			var self = this;
+
+			$(document).on('mouseenter focusin', '.loop-swatches__item', function() {
+				self.showImage($(this).closest('.product'), $(this));
+			});
+
+			$(document).on('mouseleave focusout', '.loop-swatches', function(e) {
+				// Focus moving between swatches of the same card
+				if (e.type === 'focusout' && e.relatedTarget && $.contains(this, e.relatedTarget)) {
+					return;
+				}
+
+				self.restoreImage($(this).closest('.product'));
+			});
+
+			$(document).on('click', '.loop-swatches__item', function(e) {
+				e.preventDefault();
+				self.pin($(this));
+			});
+		},
+
+		/**
+		 * Get a card's product image
+		 *
+		 * @param {jQuery} $card - Product card (li.product)
+		 * @return {jQuery} Image element
+		 */
+		getImage: function($card) {
+			var $image = $card.find('img.attachment-woocommerce_thumbnail, img.wp-post-image').first();
+
+			if (!$image.length) {
+				$image = $card.find('a img').first();
+			}
+
+			// Remember the original image once
+			if ($image.length && typeof $image.data('original-src') === 'undefined') {
+				$image.data('original-src', $image.attr('src') || '');
+				$image.data('original-srcset', $image.attr('srcset') || '');
+			}
+
+			return $image;
+		},
+
+		/**
+		 * Show a swatch's image in its card
+		 *
+		 * @param {jQuery} $card   - Product card
+		 * @param {jQuery} $swatch - Swatch button (ignored without an image)
+		 */
+		showImage: function($card, $swatch) {
+			var src = $swatch.data('image-src');
+
+			if (!src) {
+				return;
+			}
+
+			this.setImage(this.getImage($card), src, $swatch.data('image-srcset') || '');
+		},
+
+		/**
+		 * Show the pinned swatch's image, or the original one
+		 *
+		 * @param {jQuery} $card - Product card
+		 */
+		restoreImage: function($card) {
+			var $pinned = $card.find('.loop-swatches__item[aria-pressed="true"]');
+			var $image = this.getImage($card);
+
+			if ($pinned.length && $pinned.data('image-src')) {
+				this.setImage($image, $pinned.data('image-src'), $pinned.data('image-srcset') || '');
+				return;
+			}
+
+			this.setImage($image, $image.data('original-src'), $image.data('original-srcset'));
+		},
+
+		/**
+		 * Toggle a swatch as the card's chosen color
+		 *
+		 * @param {jQuery} $swatch - Clicked swatch
+		 */
+		pin: function($swatch) {
+			var pressed = $swatch.attr('aria-pressed') === 'true';
+
+			$swatch.siblings('.loop-swatches__item').attr('aria-pressed', 'false');
+			$swatch.attr('aria-pressed', pressed ? 'false' : 'true');
+
+			this.restoreImage($swatch.closest('.product'));
+		},
+
+		/**
+		 * Update an image's src and srcset
+		 *
+		 * @param {jQuery} $image  - Image element
+		 * @param {string} src     - Image URL
+		 * @param {string} srcset  - Responsive sources ('' to remove)
+		 */
+		setImage: function($image, src, srcset) {
+			if (!$image.length || !src) {
+				return;
+			}
+
+			$image.attr('src', src);
+
+			if (srcset) {
+				$image.attr('srcset', srcset);
+			} else {
+				$image.removeAttr('srcset');
+			}
+		}
+	};
+
+	/**
+	 * Initialize when DOM is ready
+	 */
+	$(document).ready(function() {
+		LoopSwatches.init();
+	});
+
+})(jQuery);
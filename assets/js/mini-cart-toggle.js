@@ -0,0 +1,352 @@
+/**
+ * Mini Cart Disclosure
+ *
+ * Opens and closes the header mini cart dropdown from JavaScript so it works
+ * on touch devices and for keyboard users, not just on CSS hover.
+ *
+ * Features:
+ * - Toggle on click, tap, Enter or Space (native <button> behavior)
+ * - Hover opening for mouse users, kept in sync with aria-expanded
+ * - Close on Escape and on outside click/tap
+ * - Focus moves into the dropdown when opened by keyboard, is trapped inside
+ *   while open, and returns to the trigger on close
+ * - Keeps working after minicart.js replaces #mini-cart-dropdown, because the
+ *   open state lives on .mini-cart-wrapper (never replaced) and all events
+ *   are delegated
+ * - Drawer layout (body.mini-cart-layout-drawer): no hover opening, shared
+ *   overlay and scroll lock (overlay.js), close button, focus trapped inside
+ *   the drawer, and opens automatically after a product is added to the cart
+ */
+
+(function($) {
+	'use strict';
+
+	/**
+	 * Elements that can receive keyboard focus inside the dropdown
+	 */
+	var FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]):not([type="hidden"]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+	/**
+	 * Mini Cart Toggle Controller
+	 */
+	var MiniCartToggle = {
+		/**
+		 * Whether the dropdown is currently open
+		 */
+		isOpen: false,
+
+		/**
+		 * True when the dropdown was opened by hovering (closes on mouse leave)
+		 */
+		openedByHover: false,
+
+		/**
+		 * Delayed close timer for hover mode
+		 */
+		hoverTimer: null,
+
+		/**
+		 * Remembers what was focused inside the dropdown, so focus can be
+		 * restored after the dropdown markup is replaced
+		 */
+		lastFocus: null,
+
+		/**
+		 * Initialize mini cart toggle functionality
+		 */
+		init: function() {
+			if (!$('#mini-cart-trigger').length) {
+				return;
+			}
+
+			this.bindEvents();
+		},
+
+		/**
+		 * Whether the device has a real hover-capable pointer (mouse)
+		 */
+		canHover: function() {
+			return window.matchMedia && window.matchMedia('(hover: hover) and (pointer: fine)').matches;
+		},
+
+		/**
+		 * Whether the mini cart uses the off-canvas drawer layout
+		 */
+		isDrawer: function() {
+			return $('body').hasClass('mini-cart-layout-drawer');
+		},
+
+		/**
+		 * Bind event handlers
+		 */
+		bindEvents: function() {
+			var self = this;
+
+			// Toggle on click / tap / Enter / Space
+			$(document).on('click', '#mini-cart-trigger', function(e) {
+				e.preventDefault();
+
+				// A click on a hover-opened dropdown pins it open
+				if (self.isOpen && self.openedByHover) {
+					self.openedByHover = false;
+					return;
+				}
+
+				if (self.isOpen) {
+					self.close(true);
+				} else {
+					// detail 0 = activated by Enter/Space rather than a pointer
+					self.open(!!e.originalEvent && e.originalEvent.detail === 0);
+				}
+			});
+
+			// Hover opening for mouse users (dropdown layout only)
+			$(document).on('mouseenter', '.mini-cart-wrapper', function() {
+				if (!self.canHover() || self.isDrawer()) {
+					return;
+				}
+
+				clearTimeout(self.hoverTimer);
+
+				if (!self.isOpen) {
+					self.open(false);
+					self.openedByHover = true;
+				}
+			});
+
+			$(document).on('mouseleave', '.mini-cart-wrapper', function() {
+				if (!self.openedByHover) {
+					return;
+				}
+
+				clearTimeout(self.hoverTimer);
+				self.hoverTimer = setTimeout(function() {
+					self.close(false);
+				}, 200);
+			});
+
+			// Drawer close button
+			$(document).on('click', '.mini-cart__close', function(e) {
+				e.preventDefault();
+				self.close(true);
+			});
+
+			// Close on Escape, trap Tab inside the dropdown
+			$(document).on('keydown', function(e) {
+				if (!self.isOpen) {
+					return;
+				}
+
+				if (e.key === 'Escape' || e.keyCode === 27) {
+					self.close(true);
+					return;
+				}
+
+				if (e.key === 'Tab' || e.keyCode === 9) {
+					self.trapFocus(e);
+				}
+			});
+
+			// Close on outside click / tap, including the drawer overlay
+			// (the undo notice counts as inside)
+			$(document).on('click touchstart', function(e) {
+				if (!self.isOpen) {
+					return;
+				}
+
+				if ($(e.target).closest('.mini-cart-wrapper, #mini-cart-toast').length) {
+					return;
+				}
+
+				self.close(false);
+			});
+
+			// Remember focus inside the dropdown
+			$(document).on('focusin', '#mini-cart-dropdown', function(e) {
+				self.rememberFocus($(e.target));
+			});
+
+			// The dropdown was replaced by minicart.js
+			$(document.body).on('theme_mini_cart_updated', function() {
+				self.sync();
+			});
+
+			// Show the drawer after a product is added, so the shopper sees the result
+			$(document.body).on('added_to_cart', function() {
+				if (self.isDrawer() && !self.isOpen) {
+					self.open(true);
+				}
+			});
+		},
+
+		/**
+		 * Open the dropdown
+		 *
+		 * The drawer is a modal dialog, so it always takes focus and shows the
+		 * shared overlay.
+		 *
+		 * @param {boolean} moveFocus - Move focus into the dropdown (keyboard use)
+		 */
+		open: function(moveFocus) {
+			var $wrapper = $('.mini-cart-wrapper');
+
+			this.isOpen = true;
+			this.openedByHover = false;
+
+			$wrapper.addClass('is-open');
+			$('#mini-cart-trigger').attr('aria-expanded', 'true');
+
+			if (this.isDrawer()) {
+				window.ThemeOverlay.open('mini-cart');
+				moveFocus = true;
+			}
+
+			if (moveFocus) {
+				this.focusFirst();
+			}
+		},
+
+		/**
+		 * Close the dropdown
+		 *
+		 * @param {boolean} restoreFocus - Return focus to the trigger button
+		 */
+		close: function(restoreFocus) {
+			var $trigger = $('#mini-cart-trigger');
+			var focusWasInside = $.contains($('.mini-cart-wrapper')[0] || document.body, document.activeElement);
+
+			clearTimeout(this.hoverTimer);
+
+			this.isOpen = false;
+			this.openedByHover = false;
+			this.lastFocus = null;
+
+			$('.mini-cart-wrapper').removeClass('is-open');
+			$trigger.attr('aria-expanded', 'false');
+
+			if (this.isDrawer()) {
+				window.ThemeOverlay.close('mini-cart');
+			}
+
+			if (restoreFocus || focusWasInside) {
+				$trigger.trigger('focus');
+			}
+		},
+
+		/**
+		 * Get the focusable elements inside the dropdown
+		 *
+		 * @return {jQuery} Focusable elements
+		 */
+		getFocusable: function() {
+			return $('#mini-cart-dropdown').find(FOCUSABLE).filter(':visible');
+		},
+
+		/**
+		 * Focus the first focusable element (or the dropdown itself when empty)
+		 */
+		focusFirst: function() {
+			var $focusable = this.getFocusable();
+
+			if ($focusable.length) {
+				$focusable.first().trigger('focus');
+			} else {
+				$('#mini-cart-dropdown').trigger('focus');
+			}
+		},
+
+		/**
+		 * Keep Tab / Shift+Tab cycling inside the trigger and the dropdown
+		 *
+		 * The drawer is modal, so the trigger (hidden behind the overlay) is
+		 * left out of the cycle there.
+		 *
+		 * @param {Event} e - keydown event
+		 */
+		trapFocus: function(e) {
+			var drawer = this.isDrawer();
+			var $focusable = drawer ? this.getFocusable() : $('#mini-cart-trigger').add(this.getFocusable());
+			var container = drawer ? $('#mini-cart-dropdown')[0] : $('.mini-cart-wrapper')[0];
+			var first = $focusable.first()[0];
+			var last = $focusable.last()[0];
+
+			// Nothing focusable (empty drawer): keep focus on the drawer itself
+			if (!$focusable.length) {
+				e.preventDefault();
+				this.focusFirst();
+				return;
+			}
+
+			if (e.shiftKey && document.activeElement === first) {
+				e.preventDefault();
+				last.focus();
+			} else if (!e.shiftKey && document.activeElement === last) {
+				e.preventDefault();
+				first.focus();
+			} else if (!container || !$.contains(container, document.activeElement)) {
+				// Focus escaped (e.g., its element was removed): bring it back
+				e.preventDefault();
+				this.focusFirst();
+			}
+		},
+
+		/**
+		 * Describe the focused element so it can be found again after the
+		 * dropdown is re-rendered (same cart line, same control)
+		 *
+		 * @param {jQuery} $target - Focused element
+		 */
+		rememberFocus: function($target) {
+			var $item = $target.closest('.mini-cart__item');
+
+			this.lastFocus = {
+				cartItemKey: $item.attr('data-cart_item_key') || null,
+				className: ($target.attr('class') || '').split(/\s+/)[0]
+			};
+		},
+
+		/**
+		 * Re-apply state after #mini-cart-dropdown was replaced
+		 *
+		 * The open class lives on the wrapper, so visibility survives; only
+		 * focus (lost with the old markup) needs restoring.
+		 */
+		sync: function() {
+			$('#mini-cart-trigger').attr('aria-expanded', this.isOpen ? 'true' : 'false');
+
+			if (!this.isOpen || !this.lastFocus) {
+				return;
+			}
+
+			// Focus is still somewhere sensible
+			if (document.activeElement && document.activeElement !== document.body) {
+				return;
+			}
+
+			var last = this.lastFocus;
+			var $scope = $('#mini-cart-dropdown');
+
+			if (last.cartItemKey) {
+				$scope = $scope.find('.mini-cart__item').filter(function() {
+					return $(this).attr('data-cart_item_key') === last.cartItemKey;
+				});
+			}
+
+			var $target = last.className ? $scope.find('.' + last.className).filter(':visible').first() : $();
+
+			if ($target.length) {
+				$target.trigger('focus');
+			} else {
+				this.focusFirst();
+			}
+		}
+	};
+
+	/**
+	 * Initialize when DOM is ready
+	 */
+	$(document).ready(function() {
+		MiniCartToggle.init();
+	});
+
+})(jQuery);
@@ -9,8 +9,14 @@
  * 1. User clicks "Add to Cart" button
  * 2. WooCommerce AJAX handler processes the request
  * 3. PHP filter (woocommerce_add_to_cart_fragments) returns updated HTML fragments
- * 4. WooCommerce triggers 'updated_wc_div' event with fragments
- * 5. This script listens for the event and updates the mini cart
+ * 4. WooCommerce triggers 'added_to_cart' event with fragments and cart hash
+ * 5. This script hands the fragments to CartSync, which updates the mini cart
+ *
+ * Every other refresh (removals, cart page updates, plugin events) also goes
+ * through CartSync, which debounces and merges them into a single request.
+ *
+ * CartStore keeps the latest fragments in localStorage and shares them with
+ * the shopper's other tabs, so every open tab shows the same cart.
  * 
  * Why AJAX updates are necessary:
  * - Provides instant feedback without page reload (better user experience)
@@ -32,6 +38,118 @@
 (function($) {
 	'use strict'; // Enforces strict JavaScript mode for better error catching
 
+	/**
+	 * Localized Script Parameters
+	 *
+	 * Provided by woocommerce_theme_get_minicart_script_params() (cart.php)
+	 * via wp_localize_script(). Falls back to an empty object so the script
+	 * keeps working (with English defaults) if the data is missing.
+	 */
+	var params = typeof woocommerce_theme_minicart_params !== 'undefined' ? woocommerce_theme_minicart_params : {};
+
+	/**
+	 * Get a Translated UI String
+	 *
+	 * @param {string} key      - Key in params.i18n
+	 * @param {string} fallback - English fallback if the key is missing
+	 * @return {string} Translated string
+	 */
+	function i18n(key, fallback) {
+		return params.i18n && params.i18n[key] ? params.i18n[key] : fallback;
+	}
+
+	/**
+	 * Format an Amount Using the Store Currency Settings
+	 *
+	 * Mirrors wc_price() closely enough for local, optimistic updates. The
+	 * server fragments that follow always replace this output with the
+	 * authoritative value.
+	 *
+	 * @param {number} amount - Raw amount
+	 * @return {string} Price HTML
+	 */
+	function formatPrice(amount) {
+		var currency = params.currency || {};
+		var decimals = parseInt(currency.decimals, 10);
+		var format = currency.format || '%1$s%2$s';
+		var symbol = '<span class="woocommerce-Price-currencySymbol">' + (currency.symbol || '') + '</span>';
+
+		if (isNaN(decimals)) {
+			decimals = 2;
+		}
+
+		var parts = Math.abs(amount).toFixed(decimals).split('.');
+		parts[0] = parts[0].replace(/\B(?=(\d{3})+(?!\d))/g, currency.thousand_separator || ',');
+
+		var number = parts.join(currency.decimal_separator || '.');
+		var price = format.replace('%1$s', symbol).replace('%2$s', number);
+
+		return '<span class="woocommerce-Price-amount amount"><bdi>' + (amount < 0 ? '-' : '') + price + '</bdi></span>';
+	}
+
+	/**
+	 * Discount Progress Meter
+	 *
+	 * The meter ('div.discount-progress', rendered in the mini cart footer and
+	 * above the cart page totals) is replaced by fragments like everything
+	 * else, which would make the bar jump. Its previous state is captured
+	 * before the update, so the new bar can grow from the old width and the
+	 * moment a discount rule is reached can be highlighted.
+	 */
+	var DiscountProgress = {
+		/**
+		 * Read the current meter state
+		 *
+		 * @return {Object|null} { progress, unlocked, rule, discount } or null if no meter is shown
+		 */
+		capture: function() {
+			var $meter = $('.discount-progress[data-progress]').first();
+
+			if (!$meter.length) {
+				return null;
+			}
+
+			return {
+				progress: parseInt($meter.attr('data-progress'), 10) || 0,
+				unlocked: $meter.attr('data-unlocked') === '1',
+				rule: $meter.attr('data-rule') || '',
+				discount: parseFloat($meter.attr('data-discount')) || 0
+			};
+		},
+
+		/**
+		 * Animate the freshly rendered meters from the previous state
+		 *
+		 * @param {Object|null} previous - State returned by capture()
+		 */
+		animate: function(previous) {
+			if (!previous) {
+				return;
+			}
+
+			$('.discount-progress[data-progress]').each(function() {
+				var $meter = $(this);
+				var $fill = $meter.find('.discount-progress__fill');
+				var progress = parseInt($meter.attr('data-progress'), 10) || 0;
+
+				if ($fill.length && progress !== previous.progress) {
+					// Start at the old width without transition, then let CSS animate
+					$fill.css({ transition: 'none', width: previous.progress + '%' });
+					$fill[0].getBoundingClientRect(); // Force reflow
+					$fill.css({ transition: '', width: progress + '%' });
+				}
+
+				var rule = $meter.attr('data-rule') || '';
+				var discount = parseFloat($meter.attr('data-discount')) || 0;
+
+				// Last rule unlocked, or a different, better rule now applies
+				if (($meter.attr('data-unlocked') === '1' && !previous.unlocked) || (rule && rule !== previous.rule && discount > previous.discount)) {
+					$meter.addClass('is-just-unlocked');
+				}
+			});
+		}
+	};
+
 	/**
 	 * Update Mini Cart with AJAX Fragments
 	 *
@@ -60,6 +178,9 @@
 			return; // Exit early if fragments are invalid
 		}
 
+		// Remember the discount meter before any of it is replaced
+		var previousProgress = DiscountProgress.capture();
+
 		/**
 		 * Update Cart Count Badge
 		 * 
@@ -134,638 +255,1011 @@
 				}
 			}
 		}
+
+		/**
+		 * Update Discount Progress Meters
+		 *
+		 * The meter appears in the mini cart footer and above the cart page
+		 * totals; both use the same markup and are refreshed from one fragment.
+		 * The mini cart copy was already re-rendered with #mini-cart-dropdown,
+		 * replacing it again keeps both copies identical.
+		 */
+		if (fragments['div.discount-progress'] !== undefined) {
+			$('div.discount-progress').replaceWith(fragments['div.discount-progress']);
+		}
+
+		DiscountProgress.animate(previousProgress);
+
+		/**
+		 * Re-apply Pending Optimistic Removals
+		 *
+		 * Fragments rendered before the server processed a pending removal still
+		 * contain that item. Hide it again so it doesn't flash back into view.
+		 */
+		OptimisticRemoval.reapply();
+
+		/**
+		 * Notify Other Scripts
+		 *
+		 * The dropdown markup was replaced. Its enhancements (e.g., the quantity
+		 * +/- buttons from quantity-changer.js) are applied right away rather
+		 * than when enhance.js notices the change, so listeners (focus restoring
+		 * in mini-cart-toggle.js) find the finished markup.
+		 */
+		if (window.themeEnhance) {
+			window.themeEnhance($('#mini-cart-dropdown'));
+		}
+
+		$(document.body).trigger('theme_mini_cart_updated');
 	}
 
 	/**
-	 * Fetch Cart Fragments via AJAX
+	 * Build a WooCommerce AJAX Endpoint URL
+	 *
+	 * WooCommerce exposes its AJAX base URL through one of several localized
+	 * parameter objects, depending on which WooCommerce scripts are on the page.
+	 * The base URL contains a '%%endpoint%%' placeholder that is replaced with
+	 * the endpoint name (e.g., 'get_refreshed_fragments').
+	 *
+	 * Why check several objects:
+	 * - wc_add_to_cart_params is only present where AJAX add to cart is enabled
+	 * - wc_cart_fragments_params / wc_cart_params cover the remaining pages
+	 * - Returning null lets callers skip the request instead of throwing
+	 *
+	 * @param {string} endpoint - WooCommerce AJAX endpoint name
+	 * @return {string|null} Full endpoint URL, or null if WooCommerce params are missing
+	 */
+	function getAjaxUrl(endpoint) {
+		var params = null;
+
+		if (typeof wc_add_to_cart_params !== 'undefined') {
+			params = wc_add_to_cart_params;
+		} else if (typeof wc_cart_fragments_params !== 'undefined') {
+			params = wc_cart_fragments_params;
+		} else if (typeof wc_cart_params !== 'undefined') {
+			params = wc_cart_params;
+		}
+
+		if (!params || !params.wc_ajax_url) {
+			return null;
+		}
+
+		return params.wc_ajax_url.toString().replace('%%endpoint%%', endpoint);
+	}
+
+	/**
+	 * Cart Sync Engine
+	 *
+	 * Central manager for every mini cart refresh. All code paths that need the
+	 * mini cart to reflect the server cart go through this object instead of
+	 * calling the fragment endpoint directly.
+	 *
+	 * Why a single sync manager:
+	 * - Many WooCommerce events fire for a single cart change (e.g., a removal
+	 *   triggers 'removed_from_cart', 'updated_wc_div' and 'updated_cart_totals')
+	 * - Without coordination each event sends its own 'get_refreshed_fragments'
+	 *   request, so one removal could cost five or more round-trips
+	 * - Responses can arrive out of order; an older response must never
+	 *   overwrite a newer cart state
 	 *
-	 * This function manually requests updated cart fragments from the server.
-	 * It's used when cart items are removed and WooCommerce doesn't automatically
-	 * send fragments. This ensures the mini cart updates even when fragments
-	 * aren't automatically provided.
-	 * 
-	 * Why manual fetching is necessary:
-	 * - Some cart operations (like removals) don't always trigger automatic fragments
-	 * - Provides fallback mechanism to ensure cart stays synchronized
-	 * - Handles edge cases where WooCommerce events don't fire as expected
-	 * - Ensures consistent cart state across all user interactions
-	 * 
 	 * How it works:
-	 * 1. Makes AJAX POST request to WooCommerce fragment endpoint
-	 * 2. Server returns updated cart HTML fragments
-	 * 3. Calls updateMiniCart() to apply the fragments to DOM
+	 * 1. request() debounces refresh requests, so a burst of events becomes one call
+	 * 2. send() allows only one request in flight; requests made meanwhile are
+	 *    merged into a single trailing refresh that runs when it completes
+	 * 3. Every response (or event carrying fragments) gets a sequence number;
+	 *    anything older than the last applied sequence is discarded as stale
+	 * 4. The cart hash WooCommerce returns is compared to the last applied hash,
+	 *    so identical cart states don't re-render the dropdown
 	 */
-	function fetchCartFragments() {
+	var CartSync = {
 		/**
-		 * Check for WooCommerce AJAX Parameters
-		 * 
-		 * wc_add_to_cart_params is a JavaScript object added by WooCommerce
-		 * that contains AJAX endpoint URLs and configuration. It's only available
-		 * when WooCommerce is active and on pages where AJAX cart is enabled.
-		 * 
-		 * Why check for this:
-		 * - Prevents errors if WooCommerce is deactivated
-		 * - Ensures AJAX endpoints are available before making requests
-		 * - Provides fallback to alternative parameter object if needed
+		 * Debounce window (ms) for merging bursts of refresh requests
 		 */
-		if (typeof wc_add_to_cart_params !== 'undefined') {
-			/**
-			 * Use WooCommerce's Built-in Fragment Refresh Endpoint
-			 * 
-			 * WooCommerce provides a dedicated endpoint 'get_refreshed_fragments'
-			 * specifically for retrieving updated cart fragments. This is the
-			 * standard way to refresh cart data via AJAX.
-			 * 
-			 * URL construction:
-			 * - wc_add_to_cart_params.wc_ajax_url contains base AJAX URL
-			 * - Replace '%%endpoint%%' placeholder with 'get_refreshed_fragments'
-			 * - Results in URL like: /wp-admin/admin-ajax.php?wc-ajax=get_refreshed_fragments
-			 */
-			$.ajax({
-				url: wc_add_to_cart_params.wc_ajax_url.toString().replace('%%endpoint%%', 'get_refreshed_fragments'),
-				type: 'POST', // POST request for security (prevents caching)
+		debounceDelay: 150,
+
+		/**
+		 * Pending debounce timer ID
+		 */
+		timer: null,
+
+		/**
+		 * The in-flight jqXHR, or null when idle
+		 */
+		xhr: null,
+
+		/**
+		 * True when a refresh was requested while another was in flight
+		 */
+		pending: false,
+
+		/**
+		 * Last sequence number handed out / last sequence applied to the DOM
+		 */
+		sequence: 0,
+		appliedSequence: 0,
+
+		/**
+		 * Cart hash of the fragments currently shown in the DOM
+		 */
+		cartHash: null,
+
+		/**
+		 * Request a fragment refresh
+		 *
+		 * Safe to call as often as needed: calls within the debounce window
+		 * collapse into a single request.
+		 */
+		request: function() {
+			var self = this;
+
+			clearTimeout(this.timer);
+			this.timer = setTimeout(function() {
+				self.timer = null;
+				self.send();
+			}, this.debounceDelay);
+		},
+
+		/**
+		 * Send the refresh request (or queue it behind the in-flight one)
+		 */
+		send: function() {
+			var self = this;
+			var url = getAjaxUrl('get_refreshed_fragments');
+
+			if (!url) {
+				return;
+			}
+
+			// Merge into a single trailing refresh instead of a parallel request
+			if (this.xhr) {
+				this.pending = true;
+				return;
+			}
+
+			var sequence = ++this.sequence;
+
+			this.xhr = $.ajax({
+				url: url,
+				type: 'POST', // POST request prevents caching of cart state
 				data: {
-					time: Date.now() // Timestamp prevents browser caching of AJAX response
+					time: Date.now()
 				},
 				success: function(data) {
-					/**
-					 * Handle Successful AJAX Response
-					 * 
-					 * The response contains a 'fragments' object with updated HTML.
-					 * We pass this to updateMiniCart() to update the DOM.
-					 * 
-					 * Why check for fragments:
-					 * - Response structure may vary in different scenarios
-					 * - Ensures we only update when valid fragments are received
-					 * - Prevents errors from malformed responses
-					 */
 					if (data && data.fragments) {
-						updateMiniCart(data.fragments);
+						self.apply(data.fragments, data.cart_hash, sequence);
 					}
 				},
-				error: function() {
-					/**
-				 * Handle AJAX Errors Gracefully
-				 * 
-				 * If the AJAX request fails, we silently fail to prevent user confusion.
-				 * The cart will update correctly on the next page load, so this is
-				 * a non-critical failure.
-				 */
+				complete: function() {
+					self.xhr = null;
+
+					// Run the merged trailing refresh, if any was requested
+					if (self.pending) {
+						self.pending = false;
+						self.send();
+					}
 				}
 			});
-		} else if (typeof wc_cart_params !== 'undefined') {
-			/**
-			 * Fallback: Use Cart Parameters
-			 * 
-			 * If wc_add_to_cart_params isn't available, try wc_cart_params instead.
-			 * This provides compatibility with different WooCommerce versions and
-			 * configurations where parameter names may vary.
-			 * 
-			 * Why fallback is important:
-			 * - Different WooCommerce versions use different parameter objects
-			 * - Some themes/plugins may modify parameter availability
-			 * - Ensures script works across various WooCommerce setups
-			 */
-			$.ajax({
-				url: wc_cart_params.wc_ajax_url.toString().replace('%%endpoint%%', 'get_refreshed_fragments'),
-				type: 'POST',
-				data: {
-					time: Date.now()
-				},
-				success: function(data) {
-					if (data && data.fragments) {
-						updateMiniCart(data.fragments);
-					}
-				},
-				error: function() {
-					// Silently fail - cart will update on next page load
+		},
+
+		/**
+		 * Accept fragments delivered by another response
+		 *
+		 * WooCommerce includes fragments in add/remove responses. Those are the
+		 * newest known state, so they receive a fresh sequence number and any
+		 * refresh still in flight becomes stale.
+		 *
+		 * @param {Object} fragments - Fragments keyed by CSS selector
+		 * @param {string} cartHash  - Cart hash returned with the fragments
+		 */
+		receive: function(fragments, cartHash) {
+			if (!fragments || typeof fragments !== 'object' || !Object.keys(fragments).length) {
+				this.request();
+				return;
+			}
+
+			this.apply(fragments, cartHash, ++this.sequence);
+		},
+
+		/**
+		 * Apply fragments to the DOM in order
+		 *
+		 * @param {Object}  fragments - Fragments keyed by CSS selector
+		 * @param {string}  cartHash  - Cart hash returned with the fragments
+		 * @param {number}  sequence  - Sequence number of the response
+		 * @param {boolean} shared    - Fragments came from CartStore (another
+		 *                              tab or the stored snapshot): not stored again
+		 * @return {boolean} True if the DOM was updated
+		 */
+		apply: function(fragments, cartHash, sequence, shared) {
+			// Stale response: a newer cart state has already been applied
+			if (sequence < this.appliedSequence) {
+				return false;
+			}
+			this.appliedSequence = sequence;
+
+			// Same cart state as already rendered: nothing to do
+			if (cartHash && cartHash === this.cartHash) {
+				return false;
+			}
+			this.cartHash = cartHash || null;
+
+			updateMiniCart(fragments);
+
+			if (!shared) {
+				CartStore.publish(fragments, cartHash);
+			}
+
+			return true;
+		},
+
+		/**
+		 * Accept fragments shared by CartStore
+		 *
+		 * Newer than anything in flight here, like receive(), but not stored
+		 * or broadcast again.
+		 *
+		 * @param {Object} fragments - Fragments keyed by CSS selector
+		 * @param {string} cartHash  - Cart hash of the fragments
+		 */
+		receiveShared: function(fragments, cartHash) {
+			this.apply(fragments, cartHash, ++this.sequence, true);
+		}
+	};
+
+	/**
+	 * Cart Snapshot Store and Cross-Tab Sync
+	 *
+	 * Every cart state applied in this tab ({ fragments, cart_hash, time }) is
+	 * saved to localStorage and announced to the shopper's other tabs, which
+	 * apply it right away instead of waiting for their own next refresh.
+	 *
+	 * Why localStorage (not sessionStorage):
+	 * - sessionStorage is private to one tab; localStorage is shared by all
+	 *   tabs of the site, and writing it fires 'storage' in the other tabs
+	 *
+	 * Tabs are notified through BroadcastChannel where supported and through
+	 * the 'storage' event otherwise. Both carry the same snapshot; the time
+	 * stamp drops anything older than what a tab already shows.
+	 *
+	 * Page loads: the page may come from a page cache with an outdated mini
+	 * cart. WooCommerce keeps the current cart hash in the
+	 * 'woocommerce_cart_hash' cookie; when it differs from the hash the page
+	 * was rendered with (params.cart_hash), the stored snapshot is shown at
+	 * once if it matches the cookie, and a refresh confirms it.
+	 *
+	 * The snapshot is removed once the cookie is gone (cart emptied, session
+	 * ended or logged out), so cart contents don't outlive the session.
+	 */
+	var CartStore = {
+		/**
+		 * Storage key and channel name (per site, from cart.php)
+		 */
+		key: params.storage_key || 'woocommerce_theme_cart',
+
+		/**
+		 * BroadcastChannel, or null where unsupported
+		 */
+		channel: null,
+
+		/**
+		 * Time stamp of the newest snapshot applied or published by this tab
+		 */
+		time: 0,
+
+		/**
+		 * Load the snapshot if the page is outdated and start listening
+		 */
+		init: function() {
+			var self = this;
+			var cookieHash = this.getCookieHash();
+
+			if (typeof params.cart_hash === 'string') {
+				// The markup shows this cart state; identical fragments are skipped
+				CartSync.cartHash = params.cart_hash || null;
+
+				if (!cookieHash) {
+					this.clear();
+				}
+
+				if (params.cart_hash !== cookieHash) {
+					this.restore(cookieHash);
+					fetchCartFragments();
+				}
+			}
+
+			if ('BroadcastChannel' in window) {
+				this.channel = new BroadcastChannel(this.key);
+				this.channel.onmessage = function(event) {
+					self.receive(event.data);
+				};
+				return;
+			}
+
+			$(window).on('storage', function(event) {
+				var original = event.originalEvent;
+
+				if (original.key === self.key && original.newValue) {
+					self.receive(self.parse(original.newValue));
 				}
 			});
+		},
+
+		/**
+		 * Current cart hash from WooCommerce's cookie
+		 *
+		 * @return {string} Cart hash, or '' when the cart is empty
+		 */
+		getCookieHash: function() {
+			var match = document.cookie.match(/(?:^|;\s*)woocommerce_cart_hash=([^;]*)/);
+
+			return match ? decodeURIComponent(match[1]) : '';
+		},
+
+		/**
+		 * Show the stored snapshot if it is the current cart
+		 *
+		 * @param {string} cookieHash - Current cart hash
+		 */
+		restore: function(cookieHash) {
+			var snapshot = this.read();
+
+			if (cookieHash && snapshot && snapshot.cart_hash === cookieHash) {
+				this.time = snapshot.time;
+				CartSync.receiveShared(snapshot.fragments, snapshot.cart_hash);
+			}
+		},
+
+		/**
+		 * Store a cart state and announce it to the other tabs
+		 *
+		 * @param {Object} fragments - Fragments keyed by CSS selector
+		 * @param {string} cartHash  - Cart hash of the fragments
+		 */
+		publish: function(fragments, cartHash) {
+			var snapshot = {
+				fragments: fragments,
+				cart_hash: cartHash || '',
+				time: Date.now()
+			};
+
+			this.time = snapshot.time;
+
+			// Storage can be full or disabled (private browsing); syncing is optional
+			try {
+				window.localStorage.setItem(this.key, JSON.stringify(snapshot));
+			} catch (error) {
+				// Continue without a stored snapshot
+			}
+
+			if (this.channel) {
+				this.channel.postMessage(snapshot);
+			}
+		},
+
+		/**
+		 * Apply a snapshot from another tab
+		 *
+		 * @param {Object|null} snapshot - { fragments, cart_hash, time }
+		 */
+		receive: function(snapshot) {
+			if (!snapshot || !snapshot.fragments || snapshot.time <= this.time) {
+				return;
+			}
+
+			this.time = snapshot.time;
+			CartSync.receiveShared(snapshot.fragments, snapshot.cart_hash);
+		},
+
+		/**
+		 * Read the stored snapshot
+		 *
+		 * @return {Object|null} Snapshot, or null if missing or unreadable
+		 */
+		read: function() {
+			try {
+				return this.parse(window.localStorage.getItem(this.key));
+			} catch (error) {
+				return null;
+			}
+		},
+
+		/**
+		 * Parse a stored snapshot
+		 *
+		 * @param {string|null} value - Stored JSON
+		 * @return {Object|null} Snapshot, or null if invalid
+		 */
+		parse: function(value) {
+			var snapshot = null;
+
+			try {
+				snapshot = JSON.parse(value);
+			} catch (error) {
+				return null;
+			}
+
+			return snapshot && typeof snapshot.fragments === 'object' && snapshot.fragments ? snapshot : null;
+		},
+
+		/**
+		 * Remove the stored snapshot
+		 */
+		clear: function() {
+			try {
+				window.localStorage.removeItem(this.key);
+			} catch (error) {
+				// Nothing stored
+			}
 		}
+	};
+
+	/**
+	 * Fetch Cart Fragments via AJAX
+	 *
+	 * Requests updated cart fragments from the server. Kept as the public entry
+	 * point used throughout this file; the actual request is debounced and
+	 * merged by CartSync, so calling it repeatedly costs a single round-trip.
+	 */
+	function fetchCartFragments() {
+		CartSync.request();
 	}
 
 	/**
-	 * Initialize Mini Cart AJAX Updates
+	 * Mini Cart Toast Notice
 	 *
-	 * This function sets up event listeners for WooCommerce AJAX cart updates.
-	 * It runs when the DOM is ready and listens for WooCommerce fragment update events.
-	 * 
-	 * Why multiple event listeners:
-	 * - WooCommerce triggers different events for different cart operations
-	 * - Some operations don't always trigger the same events consistently
-	 * - Multiple listeners ensure cart updates in all scenarios
-	 * - Provides redundancy for reliability
+	 * A small notice shown after mini cart actions (e.g., "Item removed — Undo"
+	 * or an error message). It lives outside #mini-cart-dropdown so it survives
+	 * fragment replacement, and uses a polite live region for screen readers.
 	 */
-	function initMiniCartAJAX() {
+	var MiniCartToast = {
 		/**
-		 * Listen for WooCommerce Cart Fragment Update Event
-		 * 
-		 * Event: 'updated_wc_div'
-		 * When it fires: After AJAX add-to-cart operations complete
-		 * What it provides: Updated HTML fragments object
-		 * 
-		 * Why use document.body:
-		 * - Event bubbles up from cart elements to document body
-		 * - Using body ensures we catch events from any cart element
-		 * - More reliable than listening on specific elements that may not exist
-		 * 
-		 * Event parameters:
-		 * - event: jQuery event object
-		 * - fragments: Object containing updated HTML fragments
+		 * Auto-hide delay (ms)
 		 */
-		$(document.body).on('updated_wc_div', function(event, fragments) {
-			// Call update function with the fragments received from WooCommerce
-			updateMiniCart(fragments);
-		});
+		duration: 6000,
 
 		/**
-		 * Listen for Cart Totals Update Event
-		 * 
-		 * Event: 'updated_cart_totals'
-		 * When it fires: When cart totals are recalculated (quantity changes, item removals)
-		 * What it provides: Updated fragments with new totals
-		 * 
-		 * Why separate listener:
-		 * - Totals updates may occur independently of item additions
-		 * - Ensures totals stay synchronized when quantities change
-		 * - Handles coupon applications and shipping calculations
+		 * Auto-hide timer ID
 		 */
-		$(document.body).on('updated_cart_totals', function(event, fragments) {
-			updateMiniCart(fragments);
-		});
+		timer: null,
 
 		/**
-		 * Listen for Cart Item Removal Event
-		 * 
-		 * Event: 'removed_from_cart'
-		 * When it fires: After an item is successfully removed from cart
-		 * What it provides: Fragments (may be empty), cart hash, button element
-		 * 
-		 * Why manual fragment fetch:
-		 * - Removal events don't always include fragments automatically
-		 * - Need to explicitly request updated fragments to reflect removal
-		 * - setTimeout ensures server has processed removal before fetching
-		 * 
-		 * Delay explanation:
-		 * - 100ms delay allows server to complete removal operation
-		 * - Prevents race conditions where fragments are fetched too early
-		 * - Ensures cart state is fully synchronized before update
+		 * Get (or lazily create) the toast element
+		 *
+		 * @return {jQuery} Toast element
 		 */
-		$(document.body).on('removed_from_cart', function(event, fragments, cartHash, $button) {
-			setTimeout(function() {
-				fetchCartFragments();
-			}, 100); // Small delay to ensure cart is fully updated on server
-		});
+		getElement: function() {
+			var $toast = $('#mini-cart-toast');
+
+			if (!$toast.length) {
+				$toast = $('<div/>', {
+					id: 'mini-cart-toast',
+					class: 'mini-cart-toast',
+					role: 'status',
+					'aria-live': 'polite'
+				}).appendTo(document.body);
+			}
+
+			return $toast;
+		},
 
 		/**
-		 * Listen for Cart Button Update Event
-		 * 
-		 * Event: 'wc_cart_button_updated'
-		 * When it fires: When cart buttons (like "Update Cart") are clicked
-		 * What it indicates: Cart has been modified and needs refresh
-		 * 
-		 * Why this listener:
-		 * - Handles quantity updates and other cart modifications
-		 * - Ensures mini cart reflects changes made on cart page
-		 * - Provides fallback when other events don't fire
+		 * Show a notice
+		 *
+		 * @param {string}   message        - Notice text
+		 * @param {Object}   options        - Optional settings
+		 * @param {string}   options.type   - 'info' (default) or 'error'
+		 * @param {string}   options.action - Label of the action button
+		 * @param {Function} options.onAction - Called when the action button is clicked
 		 */
-		$(document.body).on('wc_cart_button_updated', function() {
-			fetchCartFragments();
-		});
+		show: function(message, options) {
+			var self = this;
+			var $toast = this.getElement();
+
+			options = options || {};
+
+			$toast
+				.empty()
+				.removeClass('mini-cart-toast--error')
+				.toggleClass('mini-cart-toast--error', options.type === 'error')
+				.append($('<span/>', { class: 'mini-cart-toast__message' }).text(message));
+
+			if (options.action && typeof options.onAction === 'function') {
+				$('<button/>', {
+					type: 'button',
+					class: 'mini-cart-toast__action'
+				})
+					.text(options.action)
+					.on('click', function() {
+						self.hide();
+						options.onAction();
+					})
+					.appendTo($toast);
+			}
+
+			$('<button/>', {
+				type: 'button',
+				class: 'mini-cart-toast__close',
+				'aria-label': i18n('dismiss', 'Dismiss notice')
+			})
+				.html('<i class="fas fa-times" aria-hidden="true"></i>')
+				.on('click', function() {
+					self.hide();
+				})
+				.appendTo($toast);
+
+			$toast.addClass('is-visible');
+
+			clearTimeout(this.timer);
+			this.timer = setTimeout(function() {
+				self.hide();
+			}, this.duration);
+		},
 
 		/**
-		 * Listen for Fragment Refresh Event
-		 * 
-		 * Event: 'wc_fragments_refreshed'
-		 * When it fires: When WooCommerce explicitly refreshes fragments
-		 * What it provides: Updated fragments object
-		 * 
-		 * Why this listener:
-		 * - Some plugins/themes trigger this event directly
-		 * - Provides compatibility with custom cart implementations
-		 * - Ensures we catch all fragment update scenarios
+		 * Hide the notice
 		 */
-		$(document.body).on('wc_fragments_refreshed', function(event, fragments) {
-			if (fragments) {
-				updateMiniCart(fragments);
+		hide: function() {
+			clearTimeout(this.timer);
+			this.getElement().removeClass('is-visible');
+		}
+	};
+
+	/**
+	 * Optimistic Removal Manager
+	 *
+	 * Hides a mini cart line and updates the count badge and total as soon as
+	 * the remove link is clicked, before the server responds. If the server
+	 * rejects the removal, the line and the totals are rolled back.
+	 *
+	 * Why track pending removals by cart item key:
+	 * - Several items can be removed in quick succession
+	 * - Fragments from an earlier response may still contain a pending item;
+	 *   reapply() hides it again after every fragment update
+	 * - Rollback restores exactly the amounts that were subtracted
+	 */
+	var OptimisticRemoval = {
+		/**
+		 * Cart item keys whose removal is still waiting for the server
+		 */
+		pending: {},
+
+		/**
+		 * Find the mini cart line for a cart item key
+		 *
+		 * @param {string} cartItemKey - Cart item key
+		 * @return {jQuery} Line element (may be empty)
+		 */
+		findItem: function(cartItemKey) {
+			return $('#mini-cart-dropdown .mini-cart__item').filter(function() {
+				return $(this).attr('data-cart_item_key') === cartItemKey;
+			});
+		},
+
+		/**
+		 * Adjust the count badge and total shown in the header
+		 *
+		 * @param {number} quantityDelta - Change in item count
+		 * @param {number} amountDelta   - Change in cart total
+		 */
+		adjustTotals: function(quantityDelta, amountDelta) {
+			var $count = $('.mini-cart__trigger-count');
+			var $countText = $('#mini-cart-count-text');
+			var $total = $('#mini-cart-total');
+			var count = Math.max(0, (parseInt($count.text(), 10) || 0) + quantityDelta);
+
+			$count.text(count);
+			$countText.text('(' + count + ')');
+
+			if ($total.length && $total.attr('data-total') !== undefined) {
+				var total = Math.max(0, (parseFloat($total.attr('data-total')) || 0) + amountDelta);
+				$total.attr('data-total', total).html(formatPrice(total));
 			}
-		});
+		},
 
 		/**
-		 * Listen for Cart Emptied Event
-		 * 
-		 * Event: 'wc_cart_emptied'
-		 * When it fires: When cart is completely emptied (all items removed)
-		 * What it indicates: Cart is now empty, needs to show empty state
-		 * 
-		 * Why manual fetch:
-		 * - Empty cart events don't always include fragments
-		 * - Need to fetch to show empty cart message in dropdown
-		 * - Ensures UI reflects empty cart state correctly
+		 * Hide a line and subtract it from the totals
+		 *
+		 * @param {jQuery} $item - Mini cart line element
 		 */
-		$(document.body).on('wc_cart_emptied', function() {
-			fetchCartFragments();
-		});
+		hideItem: function($item) {
+			if (!$item.length || $item.hasClass('is-removed')) {
+				return;
+			}
+
+			$item.addClass('is-removed').attr('aria-hidden', 'true');
+			this.adjustTotals(
+				-(parseInt($item.data('quantity'), 10) || 0),
+				-(parseFloat($item.data('line_total')) || 0)
+			);
+		},
 
 		/**
-		 * Handle Remove Button Clicks in Mini Cart
-		 * 
-		 * This listener handles clicks on remove buttons within the mini cart dropdown.
-		 * When a user clicks the "X" button to remove an item from the mini cart,
-		 * we intercept the click, prevent default navigation, and handle removal via AJAX.
-		 * 
-		 * Why prevent default:
-		 * - Default behavior would navigate to remove URL (causes page reload)
-		 * - We want AJAX removal for seamless experience
-		 * - Prevents page navigation and maintains user's current position
-		 * 
-		 * Selector: '.mini-cart__item .remove'
-		 * Targets remove buttons specifically within mini cart items
+		 * Start an optimistic removal
+		 *
+		 * @param {string} cartItemKey - Cart item key
+		 * @param {jQuery} $item       - Mini cart line element
 		 */
-		$(document).on('click', '.mini-cart__item .remove', function(e) {
-			e.preventDefault(); // Prevent default link navigation
-			
-			// Get the button element and its href attribute
-			var $button = $(this);
-			var href = $button.attr('href'); // Contains remove URL with cart item key
-			
-			if (href) {
-				/**
-				 * Extract Cart Item Key from URL
-				 * 
-				 * WooCommerce remove URLs contain the cart item key as a parameter.
-				 * Example: /cart/?remove_item=abc123&_wpnonce=xyz
-				 * 
-				 * Why AJAX removal:
-				 * - Provides instant feedback without page reload
-				 * - Maintains user's current page context
-				 * - Updates mini cart immediately after removal
-				 */
-				$.ajax({
-					url: href, // Use the remove URL from the button
-					type: 'GET', // GET request for removal (WooCommerce standard)
-					success: function() {
-						/**
-						 * After Successful Removal
-						 * 
-						 * After the server processes the removal, we fetch updated fragments
-						 * to refresh the mini cart display. The delay ensures the server
-						 * has completed the removal operation.
-						 */
-						setTimeout(function() {
-							fetchCartFragments();
-						}, 300); // Longer delay for removal to ensure server processing completes
-					}
-				});
+		start: function(cartItemKey, $item) {
+			this.pending[cartItemKey] = true;
+			this.hideItem($item);
+		},
+
+		/**
+		 * The server confirmed the removal
+		 *
+		 * @param {string} cartItemKey - Cart item key
+		 */
+		confirm: function(cartItemKey) {
+			delete this.pending[cartItemKey];
+		},
+
+		/**
+		 * The server rejected the removal: restore the line and totals
+		 *
+		 * @param {string} cartItemKey - Cart item key
+		 */
+		rollback: function(cartItemKey) {
+			var $item = this.findItem(cartItemKey);
+
+			delete this.pending[cartItemKey];
+
+			if (!$item.length || !$item.hasClass('is-removed')) {
+				return;
 			}
-		});
+
+			$item.removeClass('is-removed').removeAttr('aria-hidden');
+			this.adjustTotals(
+				parseInt($item.data('quantity'), 10) || 0,
+				parseFloat($item.data('line_total')) || 0
+			);
+		},
 
 		/**
-		 * Handle Remove Button Clicks on Cart/Checkout Pages
-		 * 
-		 * This listener handles removal from the main cart page or checkout page.
-		 * When users remove items from these pages, we ensure the mini cart also updates.
-		 * 
-		 * Why multiple selectors:
-		 * - Different WooCommerce versions use different class names
-		 * - Cart page and checkout page have different structures
-		 * - Ensures we catch removals from all possible locations
-		 * 
-		 * Selectors:
-		 * - '.woocommerce-cart-form .remove': Cart page remove buttons
-		 * - '.cart .remove': Alternative cart page selector
-		 * - 'a.remove': Generic remove link selector
-		 * - '.remove_from_cart_button': WooCommerce block-based cart remove buttons
-		 */
-		$(document).on('click', '.woocommerce-cart-form .remove, .cart .remove, a.remove, .remove_from_cart_button', function(e) {
-			/**
-			 * Store Current Cart Count
-			 * 
-			 * This helps detect when cart has actually changed. However, in this
-			 * implementation, we always fetch fragments regardless, ensuring
-			 * the mini cart stays synchronized.
-			 */
-			var currentCount = parseInt($('.mini-cart__trigger-count').text()) || 0;
-			
-			/**
-			 * Fetch Fragments After Removal
-			 * 
-			 * We use multiple timeouts with different delays to handle various scenarios:
-			 * - First timeout (300ms): Handles fast AJAX removals
-			 * - Second timeout (600ms): Handles standard removal operations
-			 * - Third timeout (1000ms): Handles slower server responses or complex removals
-			 * 
-			 * Why multiple timeouts:
-			 * - Some removals take longer to process (e.g., with plugins)
-			 * - Ensures update happens even if first attempt is too early
-			 * - Provides redundancy for reliability
-			 * - Handles both AJAX and non-AJAX removals
-			 */
-			setTimeout(function() {
-				fetchCartFragments();
-			}, 300);
-			
-			setTimeout(function() {
-				fetchCartFragments();
-			}, 600);
-			
-			setTimeout(function() {
+		 * Hide pending items again after the dropdown was re-rendered
+		 */
+		reapply: function() {
+			var self = this;
+
+			$.each(this.pending, function(cartItemKey) {
+				self.hideItem(self.findItem(cartItemKey));
+			});
+		}
+	};
+
+	/**
+	 * Restore a Removed Item via WooCommerce's Undo URL
+	 *
+	 * WooCommerce keeps removed lines in the session and restores them when
+	 * its undo URL (?undo_item=...) is requested. After the request, a single
+	 * merged refresh brings the line back into the mini cart.
+	 *
+	 * @param {string} undoUrl - Undo URL rendered on the remove link
+	 */
+	function undoRemoval(undoUrl) {
+		$.ajax({
+			url: undoUrl,
+			type: 'GET',
+			error: function() {
+				MiniCartToast.show(i18n('undo_failed', 'Sorry, that item could not be restored.'), { type: 'error' });
+			},
+			complete: function() {
 				fetchCartFragments();
-			}, 1000);
+			}
 		});
+	}
+
+	/**
+	 * Remove a Mini Cart Item via AJAX (Optimistically)
+	 *
+	 * The line disappears and the totals update immediately, with an
+	 * "Item removed — Undo" notice. The removal itself uses WooCommerce's
+	 * 'remove_from_cart' endpoint, which returns the refreshed fragments and
+	 * cart hash in the same response, so it costs exactly one round-trip.
+	 *
+	 * If the server rejects the removal, the line is restored and an error
+	 * notice replaces the undo notice.
+	 *
+	 * @param {jQuery} $button - The clicked remove link
+	 */
+	function removeMiniCartItem($button) {
+		var cartItemKey = $button.attr('data-cart_item_key');
+		var undoUrl = $button.attr('data-undo_url');
+		var url = getAjaxUrl('remove_from_cart');
 
 		/**
-		 * Enhanced WooCommerce Div Update Listener
-		 * 
-		 * This is a more robust version of the 'updated_wc_div' listener above.
-		 * It checks if fragments were actually provided, and if not, manually fetches them.
-		 * 
-		 * Why this additional listener:
-		 * - Some WooCommerce events fire but don't include fragments
-		 * - Provides fallback mechanism to ensure updates always happen
-		 * - Handles edge cases where automatic fragments fail
-		 */
-		$(document.body).on('updated_wc_div', function(event, fragments) {
-			/**
-			 * Check if Fragments Were Provided
-			 * 
-			 * Validates that fragments exist and contain data before updating.
-			 * If fragments are missing or empty, we manually fetch them.
-			 */
-			if (fragments && typeof fragments === 'object' && Object.keys(fragments).length > 0) {
-				updateMiniCart(fragments);
-			} else {
-				/**
-				 * No Fragments Provided - Fetch Manually
-				 * 
-				 * If the event fired but didn't include fragments, we fetch them
-				 * manually to ensure the mini cart still updates correctly.
-				 */
-				setTimeout(function() {
+		 * Fallback: Remove via the Link URL
+		 *
+		 * Markup without a cart item key (or pages without WooCommerce params)
+		 * falls back to requesting the remove URL, then a single merged refresh.
+		 */
+		if (!cartItemKey || !url) {
+			$.ajax({
+				url: $button.attr('href'),
+				type: 'GET',
+				complete: function() {
 					fetchCartFragments();
-				}, 100);
+				}
+			});
+			return;
+		}
+
+		// Ignore repeated clicks while this line's removal is pending
+		if (OptimisticRemoval.pending[cartItemKey]) {
+			return;
+		}
+
+		OptimisticRemoval.start(cartItemKey, $button.closest('.mini-cart__item'));
+
+		MiniCartToast.show(i18n('item_removed', 'Item removed.'), {
+			action: undoUrl ? i18n('undo', 'Undo') : '',
+			onAction: function() {
+				undoRemoval(undoUrl);
 			}
 		});
 
 		/**
-		 * Intercept All AJAX Requests
-		 * 
-		 * This listener catches ALL AJAX requests on the page and checks if they
-		 * are cart-related. If so, it extracts fragments from the response and
-		 * updates the mini cart.
-		 * 
-		 * Why intercept all AJAX:
-		 * - Some cart operations use different AJAX endpoints
-		 * - Plugins may use custom AJAX handlers for cart updates
-		 * - Provides comprehensive coverage for all cart update scenarios
-		 * 
-		 * Event: 'ajaxComplete'
-		 * When it fires: After ANY AJAX request completes on the page
-		 * What it provides: Event object, xhr (XMLHttpRequest), settings (request config)
-		 */
-		$(document).ajaxComplete(function(event, xhr, settings) {
-			/**
-			 * Check if This is a Cart-Related AJAX Request
-			 * 
-			 * We examine the request URL to determine if it's a cart operation.
-			 * Multiple URL patterns are checked to catch all possible cart endpoints.
-			 * 
-			 * URL patterns checked:
-			 * - 'remove_item': Cart item removal
-			 * - 'remove_from_cart': Alternative removal endpoint
-			 * - 'remove_cart_item': Another removal variant
-			 * - 'update_cart': Cart quantity updates
-			 * - 'get_refreshed_fragments': Explicit fragment refresh
-			 * - 'cart': General cart operations
-			 */
-			var url = settings.url || '';
-			var isCartOperation = false;
-			
-			// Check for cart-related URL patterns
-			if (url.indexOf('remove_item') !== -1 ||
-				url.indexOf('wc-ajax=remove_item') !== -1 ||
-				url.indexOf('remove_from_cart') !== -1 ||
-				url.indexOf('wc-ajax=remove_from_cart') !== -1 ||
-				url.indexOf('remove_cart_item') !== -1 ||
-				url.indexOf('wc-ajax=remove_cart_item') !== -1 ||
-				url.indexOf('update_cart') !== -1 ||
-				url.indexOf('wc-ajax=update_cart') !== -1 ||
-				url.indexOf('get_refreshed_fragments') !== -1 ||
-				url.indexOf('wc-ajax=cart') !== -1 ||
-				url.indexOf('/cart/') !== -1) {
-				isCartOperation = true;
-			}
-			
-			// Also check if we're on cart page and request succeeded
-			if (!isCartOperation && $('body').hasClass('woocommerce-cart') && xhr.status === 200) {
-				// Check if response contains cart-related content
-				var responseText = xhr.responseText || '';
-				if (responseText.indexOf('cart_item') !== -1 || 
-					responseText.indexOf('woocommerce-cart-form') !== -1) {
-					isCartOperation = true;
-				}
-			}
-			
-			if (isCartOperation) {
-				/**
-				 * Extract Fragments from AJAX Response
-				 * 
-				 * Try to get fragments from the AJAX response JSON. If fragments
-				 * are present, use them. Otherwise, fetch fragments manually.
-				 */
-				try {
-					var response = xhr.responseJSON || {};
-					if (response && response.fragments && Object.keys(response.fragments).length > 0) {
-						/**
-						 * Fragments Found in Response
-						 * 
-						 * Use the fragments directly from the AJAX response.
-						 * This is the most efficient approach as it avoids an extra request.
-						 */
-						updateMiniCart(response.fragments);
-					} else {
-						/**
-						 * No Fragments in Response - Fetch Manually
-						 * 
-						 * Some cart operations don't include fragments in their response.
-						 * In these cases, we make a separate request to get updated fragments.
-						 * 
-						 * Why multiple delays:
-						 * - Ensures the cart operation has completed on server
-						 * - Prevents fetching fragments before cart state is updated
-						 * - Common for remove_item operations that don't return fragments
-						 * - Handles both fast and slow server responses
-						 */
-						setTimeout(function() {
-							fetchCartFragments();
-						}, 300);
-						
-						setTimeout(function() {
-							fetchCartFragments();
-						}, 800);
-					}
-				} catch (e) {
-					/**
-					 * Error Parsing Response - Fetch Manually
-					 * 
-					 * If parsing the response fails (e.g., not valid JSON), we still
-					 * attempt to fetch fragments manually. This ensures the cart updates
-					 * even if the response format is unexpected.
-					 */
-					setTimeout(function() {
-						fetchCartFragments();
-					}, 300);
-					
-					setTimeout(function() {
-						fetchCartFragments();
-					}, 800);
+		 * Handle a Rejected Removal
+		 *
+		 * WooCommerce answers with { success: false } (or an HTTP error) when
+		 * the line can't be removed, e.g., when the cart session expired.
+		 */
+		function rejectRemoval() {
+			OptimisticRemoval.rollback(cartItemKey);
+			MiniCartToast.show(i18n('remove_failed', 'Sorry, that item could not be removed. Please try again.'), { type: 'error' });
+		}
+
+		$.ajax({
+			url: url,
+			type: 'POST',
+			data: {
+				cart_item_key: cartItemKey
+			},
+			success: function(response) {
+				if (!response || response.error || response.success === false || !response.fragments) {
+					rejectRemoval();
+					return;
 				}
+
+				OptimisticRemoval.confirm(cartItemKey);
+
+				// Same event WooCommerce fires, so other cart scripts stay in sync
+				$(document.body).trigger('removed_from_cart', [response.fragments, response.cart_hash, $button]);
+			},
+			error: function() {
+				rejectRemoval();
 			}
 		});
+	}
 
+	/**
+	 * Inline Quantity Updater
+	 *
+	 * Sends quantity changes made in the mini cart to the theme's
+	 * 'theme_update_cart_item' endpoint (see cart.php), which responds with
+	 * refreshed fragments.
+	 *
+	 * Why debounce per cart line:
+	 * - Rapid +/- clicks should result in a single request with the final value
+	 * - Lines are independent, so changing one line doesn't delay another
+	 * - A newer request for the same line aborts the older one, so an outdated
+	 *   quantity can never be applied after a newer one
+	 */
+	var QuantityUpdater = {
 		/**
-		 * Watch for Cart Table DOM Changes
-		 * 
-		 * This uses the MutationObserver API to watch for changes in the cart table.
-		 * When items are removed from the cart table (DOM changes), we fetch updated fragments.
-		 * 
-		 * Why MutationObserver:
-		 * - Detects DOM changes that don't trigger WooCommerce events
-		 * - Catches removals handled by other scripts or plugins
-		 * - Provides additional layer of cart synchronization
-		 * - Works even when AJAX events don't fire properly
-		 * 
-		 * How it works:
-		 * - Observes the cart form for child element changes
-		 * - When changes detected, checks if cart table was modified
-		 * - If modified, fetches updated fragments
-		 */
-		var cartObserver = new MutationObserver(function(mutations) {
-			/**
-			 * Check if Cart Table Content Changed
-			 * 
-			 * Loop through all mutations and check if any affect the cart table.
-			 * We look for changes to elements with class 'shop_table' or within
-			 * '.woocommerce-cart-form' container.
-			 */
-			var cartTableChanged = false;
-			mutations.forEach(function(mutation) {
-				/**
-				 * Check Mutation Type and Target
-				 * 
-				 * childList mutations indicate elements were added/removed.
-				 * We check if the mutation target is the cart table or within it.
-				 */
-				if (mutation.type === 'childList') {
-					// Check if removed nodes contain cart items
-					if (mutation.removedNodes.length > 0) {
-						for (var i = 0; i < mutation.removedNodes.length; i++) {
-							var node = mutation.removedNodes[i];
-							if (node.nodeType === 1) { // Element node
-								if (node.classList && (
-									node.classList.contains('cart_item') ||
-									node.classList.contains('woocommerce-cart-form__cart-item') ||
-									node.closest && node.closest('.woocommerce-cart-form')
-								)) {
-									cartTableChanged = true;
-									break;
-								}
-							}
-						}
+		 * Debounce window (ms) after the last change of a line
+		 */
+		delay: 500,
+
+		/**
+		 * Debounce timers and in-flight requests, keyed by cart item key
+		 */
+		timers: {},
+		requests: {},
+
+		/**
+		 * Queue a quantity change for a line
+		 *
+		 * @param {jQuery} $input - The line's quantity input
+		 */
+		schedule: function($input) {
+			var self = this;
+			var $item = $input.closest('.mini-cart__item');
+			var cartItemKey = $item.attr('data-cart_item_key');
+
+			if (!cartItemKey) {
+				return;
+			}
+
+			clearTimeout(this.timers[cartItemKey]);
+			this.timers[cartItemKey] = setTimeout(function() {
+				delete self.timers[cartItemKey];
+				self.send(cartItemKey, $input);
+			}, this.delay);
+		},
+
+		/**
+		 * Clamp a typed value to the input's min/max limits
+		 *
+		 * @param {jQuery} $input - Quantity input
+		 * @return {number} Quantity to send
+		 */
+		getQuantity: function($input) {
+			var min = parseFloat($input.attr('min'));
+			var max = parseFloat($input.attr('max'));
+			var quantity = parseFloat($input.val());
+
+			if (isNaN(min)) {
+				min = 1;
+			}
+
+			if (isNaN(quantity) || quantity < min) {
+				quantity = min;
+			}
+			if (!isNaN(max) && max > 0 && quantity > max) {
+				quantity = max;
+			}
+
+			return quantity;
+		},
+
+		/**
+		 * Send the update for a line
+		 *
+		 * @param {string} cartItemKey - Cart item key
+		 * @param {jQuery} $input      - The line's quantity input
+		 */
+		send: function(cartItemKey, $input) {
+			var self = this;
+			var url = getAjaxUrl('theme_update_cart_item');
+			var $item = $input.closest('.mini-cart__item');
+			var quantity = this.getQuantity($input);
+
+			if (!url) {
+				return;
+			}
+
+			// Reflect clamping in the field before sending
+			if (String(quantity) !== $input.val()) {
+				$input.val(quantity);
+			}
+
+			// Nothing changed compared to the rendered quantity
+			if (quantity === parseFloat($item.attr('data-quantity'))) {
+				return;
+			}
+
+			if (this.requests[cartItemKey]) {
+				this.requests[cartItemKey].abort();
+			}
+
+			$item.addClass('is-updating').attr('aria-busy', 'true');
+
+			this.requests[cartItemKey] = $.ajax({
+				url: url,
+				type: 'POST',
+				data: {
+					cart_item_key: cartItemKey,
+					quantity: quantity
+				},
+				success: function(response) {
+					if (!response || response.success === false || !response.fragments) {
+						self.fail(response && response.data && response.data.message);
+						return;
 					}
-					// Also check if mutation is within cart form
-					if (!cartTableChanged && (
-						mutation.target.classList && mutation.target.classList.contains('shop_table') ||
-						(mutation.target.closest && mutation.target.closest('.woocommerce-cart-form'))
-					)) {
-						cartTableChanged = true;
+
+					CartSync.receive(response.fragments, response.cart_hash);
+				},
+				error: function(xhr, status) {
+					// Superseded by a newer request for the same line
+					if (status === 'abort') {
+						return;
+					}
+					self.fail();
+				},
+				complete: function(xhr, status) {
+					if (status === 'abort') {
+						return;
 					}
+					delete self.requests[cartItemKey];
+					$item.removeClass('is-updating').removeAttr('aria-busy');
 				}
 			});
-			
-			/**
-			 * Fetch Fragments if Cart Table Changed
-			 * 
-			 * If we detected cart table changes, fetch updated fragments to
-			 * synchronize the mini cart with the main cart display.
-			 * Use multiple timeouts to ensure we catch the update after DOM settles.
-			 */
-			if (cartTableChanged) {
-				setTimeout(function() {
-					fetchCartFragments();
-				}, 300);
-				
-				setTimeout(function() {
-					fetchCartFragments();
-				}, 800);
-			}
-		});
+		},
 
 		/**
-		 * Start Observing Cart Form for Changes
-		 * 
-		 * Find the cart form element and start observing it for DOM mutations.
-		 * The observer watches for child element additions/removals within the form.
-		 * 
-		 * Observer options:
-		 * - childList: true - Watch for child elements being added/removed
-		 * - subtree: true - Watch changes in all descendants, not just direct children
-		 */
-		var $cartForm = $('.woocommerce-cart-form, .cart');
-		if ($cartForm.length) {
-			cartObserver.observe($cartForm[0], {
-				childList: true,
-				subtree: true
-			});
+		 * Report a failed update and restore the server quantity
+		 *
+		 * @param {string} message - Error message from the server (optional)
+		 */
+		fail: function(message) {
+			MiniCartToast.show(message || i18n('update_failed', 'Sorry, the quantity could not be updated.'), { type: 'error' });
+			fetchCartFragments();
 		}
+	};
 
+	/**
+	 * Initialize Mini Cart AJAX Updates
+	 *
+	 * Sets up event listeners for WooCommerce cart events. Every listener hands
+	 * off to CartSync, so no matter how many events fire for one cart change,
+	 * the mini cart is refreshed at most once.
+	 *
+	 * Event groups:
+	 * - Events that carry fragments: applied directly (no extra request)
+	 * - Events that only signal "the cart changed": trigger a merged refresh
+	 */
+	function initMiniCartAJAX() {
 		/**
-		 * Listen for Cart Form Updates
-		 * 
-		 * WooCommerce may trigger custom events when the cart form is updated.
-		 * This listener catches those events and updates the mini cart.
-		 * 
-		 * Events listened for:
-		 * - 'wc_fragment_refresh': WooCommerce fragment refresh
-		 * - 'wc_cart_updated': Custom cart update event
-		 * - 'cart_updated': Alternative cart update event
+		 * Events That Carry Fragments
+		 *
+		 * 'added_to_cart' and 'removed_from_cart' are fired by WooCommerce with
+		 * (event, fragments, cartHash, $button). When fragments are missing,
+		 * CartSync.receive() falls back to a merged refresh.
 		 */
-		$(document.body).on('wc_fragment_refresh wc_cart_updated cart_updated', function() {
-			setTimeout(function() {
-				fetchCartFragments();
-			}, 300);
+		$(document.body).on('added_to_cart removed_from_cart', function(event, fragments, cartHash) {
+			CartSync.receive(fragments, cartHash);
 		});
 
 		/**
-		 * Watch for Cart Item Count Changes (Fallback)
-		 * 
-		 * As a last resort, periodically check if cart item count has changed.
-		 * This ensures mini cart updates even if all other methods fail.
-		 * Only runs on cart page to avoid unnecessary checks.
-		 * 
-		 * This is a lightweight fallback that checks every 3 seconds when on cart page.
-		 */
-		if ($('body').hasClass('woocommerce-cart')) {
-			var lastCartCount = parseInt($('.mini-cart__trigger-count').text()) || 0;
-			var cartCheckInterval = setInterval(function() {
-				// Count cart items in the cart table
-				var currentCartItems = $('.woocommerce-cart-form .cart_item, .cart .cart_item').length;
-				var currentMiniCartCount = parseInt($('.mini-cart__trigger-count').text()) || 0;
-				
-				// If counts don't match, update mini cart
-				if (currentCartItems !== currentMiniCartCount && currentCartItems >= 0) {
-					fetchCartFragments();
-					lastCartCount = currentMiniCartCount;
-				}
-			}, 3000); // Check every 3 seconds (lightweight fallback)
+		 * Fragment Refresh Event
+		 *
+		 * Some plugins trigger 'wc_fragments_refreshed' with a fragments object.
+		 * WooCommerce itself fires it without arguments after applying its own
+		 * fragments, in which case there is nothing left to do.
+		 */
+		$(document.body).on('wc_fragments_refreshed', function(event, fragments) {
+			if (fragments && typeof fragments === 'object') {
+				CartSync.receive(fragments);
+			}
+		});
 
-			// Clear interval when leaving cart page
-			$(window).on('beforeunload', function() {
-				if (cartCheckInterval) {
-					clearInterval(cartCheckInterval);
-				}
-			});
-		}
+		/**
+		 * Events That Only Signal a Cart Change
+		 *
+		 * - 'updated_wc_div'         : Cart page form replaced (quantity update, removal)
+		 * - 'updated_cart_totals'    : Cart totals recalculated
+		 * - 'wc_cart_emptied'        : Cart completely emptied
+		 * - 'wc_cart_button_updated' : Cart buttons changed
+		 * - 'wc_fragment_refresh'    : Explicit refresh request (WooCommerce standard)
+		 * - 'wc_cart_updated', 'cart_updated' : Custom events used by plugins
+		 *
+		 * These often fire together for a single change; CartSync merges them.
+		 */
+		$(document.body).on(
+			'updated_wc_div updated_cart_totals wc_cart_emptied wc_cart_button_updated wc_fragment_refresh wc_cart_updated cart_updated',
+			function() {
+				fetchCartFragments();
+			}
+		);
+
+		/**
+		 * Handle Remove Button Clicks in Mini Cart
+		 *
+		 * Intercepts the "X" link inside the mini cart dropdown and removes the
+		 * item via AJAX instead of navigating to the remove URL.
+		 *
+		 * Removals on the cart page itself are handled by WooCommerce's cart.js,
+		 * which fires 'updated_wc_div' when done (handled above).
+		 */
+		$(document).on('click', '.mini-cart__item .remove', function(e) {
+			e.preventDefault(); // Prevent default link navigation
+
+			var $button = $(this);
+
+			if ($button.attr('href')) {
+				removeMiniCartItem($button);
+			}
+		});
+
+		/**
+		 * Handle Quantity Changes in Mini Cart
+		 *
+		 * Fired by the +/- buttons (quantity-changer.js) and when a typed value
+		 * is committed. Each change is debounced per line by QuantityUpdater.
+		 */
+		$(document).on('change', '.mini-cart__item .qty', function() {
+			QuantityUpdater.schedule($(this));
+		});
 	}
 
 	/**
@@ -784,6 +1278,7 @@
 	 */
 	$(document).ready(function() {
 		initMiniCartAJAX();
+		CartStore.init();
 	});
 
 })(jQuery); // Pass jQuery as parameter to IIFE
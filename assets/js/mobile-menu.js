@@ -98,10 +98,9 @@
 			var $menu = $('.main-navigation');
 			var $toggle = $('#menu-toggle');
 			var $body = $('body');
-			var $overlay = $('#menu-overlay');
 
 			$menu.addClass('menu-open');
-			$overlay.addClass('active');
+			ThemeOverlay.open('mobile-menu'); // Shared backdrop + body scroll lock (overlay.js)
 			$toggle.attr('aria-expanded', 'true');
 			$body.addClass('menu-open');
 
@@ -118,10 +117,9 @@
 			var $menu = $('.main-navigation');
 			var $toggle = $('#menu-toggle');
 			var $body = $('body');
-			var $overlay = $('#menu-overlay');
 
 			$menu.removeClass('menu-open');
-			$overlay.removeClass('active');
+			ThemeOverlay.close('mobile-menu');
 			$toggle.attr('aria-expanded', 'false');
 			$body.removeClass('menu-open');
 		}
@@ -0,0 +1,60 @@
+/**
+ * Shared Overlay and Body Scroll Lock
+ *
+ * Off-canvas panels (the mobile menu and the mini cart drawer) share the
+ * #menu-overlay backdrop from header.php and the same body scroll lock.
+ *
+ * Features:
+ * - Shows the backdrop and locks body scrolling while any panel is open
+ * - Tracks which panels ("owners") are open, so closing one panel doesn't
+ *   unlock scrolling while another is still open
+ */
+
+(function($, window) {
+	'use strict';
+
+	/**
+	 * Overlay Controller
+	 */
+	var ThemeOverlay = {
+		/**
+		 * Names of the panels currently holding the overlay open
+		 */
+		owners: [],
+
+		/**
+		 * Show the overlay and lock body scroll
+		 *
+		 * @param {string} owner - Name of the panel opening the overlay
+		 */
+		open: function(owner) {
+			if (this.owners.indexOf(owner) === -1) {
+				this.owners.push(owner);
+			}
+
+			$('#menu-overlay').addClass('active');
+			$('body').addClass('scroll-locked');
+		},
+
+		/**
+		 * Release the overlay; hides it once no panel holds it anymore
+		 *
+		 * @param {string} owner - Name of the panel closing the overlay
+		 */
+		close: function(owner) {
+			var index = this.owners.indexOf(owner);
+
+			if (index !== -1) {
+				this.owners.splice(index, 1);
+			}
+
+			if (!this.owners.length) {
+				$('#menu-overlay').removeClass('active');
+				$('body').removeClass('scroll-locked');
+			}
+		}
+	};
+
+	window.ThemeOverlay = ThemeOverlay;
+
+})(jQuery, window);
@@ -2,142 +2,515 @@
  * Quantity Changer - Add Plus/Minus Buttons
  *
  * Adds modern plus/minus buttons to WooCommerce quantity inputs.
- * Creates a better UX for changing product quantities on product pages.
+ * Creates a better UX for changing product quantities on product pages
+ * (including the quick view) and on each line of the mini cart dropdown.
  *
  * Features:
- * - Creates minus and plus buttons dynamically
- * - Handles increment/decrement functionality
- * - Respects min/max quantity constraints
- * - Updates input value properly
- * - Maintains WooCommerce compatibility
+ * - Creates minus and plus buttons dynamically, also for inputs added after
+ *   page load (registered with enhance.js)
+ * - Step-precise arithmetic: values stay on the input's min/step grid, so a
+ *   step of 0.1 gives 0.3, not 0.30000000000000004
+ * - Respects min/max quantity constraints (min="0" included)
+ * - Typed values are snapped to the step and clamped to min/max when the
+ *   input is left; while typing, a message below the input explains what is
+ *   wrong
+ * - Press and hold a button to repeat, faster the longer it is held
+ * - Arrow Up/Down change the quantity by one step, Page Up/Down by ten
+ * - Maintains WooCommerce compatibility ('change' fires once per change;
+ *   while a button is held, 'input' fires per step and 'change' on release)
  */
 
 (function($) {
 	'use strict';
 
+	/**
+	 * Localized parameters from woocommerce_theme_get_quantity_script_params()
+	 */
+	var params = typeof woocommerce_theme_quantity_params !== 'undefined' ? woocommerce_theme_quantity_params : {};
+
+	/**
+	 * Get a Translated UI String
+	 *
+	 * @param {string} key      - Key in params.i18n
+	 * @param {string} fallback - English fallback if the key is missing
+	 * @return {string} Translated string
+	 */
+	function i18n(key, fallback) {
+		return params.i18n && params.i18n[key] ? params.i18n[key] : fallback;
+	}
+
+	/**
+	 * Number of decimal places of a number (0.25 -> 2, 1e-7 -> 7)
+	 *
+	 * @param {number} number - Number
+	 * @return {number} Decimal places
+	 */
+	function getDecimals(number) {
+		var match = String(number).match(/(?:\.(\d+))?(?:[eE]([+-]?\d+))?$/);
+
+		return Math.max(0, (match[1] ? match[1].length : 0) - (match[2] ? parseInt(match[2], 10) : 0));
+	}
+
 	/**
 	 * Quantity Changer Controller
 	 */
 	var QuantityChanger = {
 		/**
-		 * Initialize quantity changer functionality
+		 * Quantity inputs that get plus/minus buttons:
+		 * - Add to cart form on product pages and in the quick view
+		 * - Cart lines in the mini cart dropdown (re-rendered by minicart.js)
 		 */
-		init: function() {
-			this.createQuantityButtons();
-		},
+		selector: '.woocommerce div.product form.cart .quantity .qty, .mini-cart__item .quantity .qty',
+
+		/**
+		 * Press and hold: first repeat after holdDelay ms, then every
+		 * holdInterval ms, shortened by holdAcceleration per repeat down to
+		 * holdMinInterval ms
+		 */
+		holdDelay: 400,
+		holdInterval: 150,
+		holdAcceleration: 0.85,
+		holdMinInterval: 40,
+
+		/**
+		 * Button being held: { $input, value, timer } (value before the hold)
+		 */
+		hold: null,
+
+		/**
+		 * Whether the last button press was handled on pointerdown, so the
+		 * click that follows it must not step again
+		 */
+		pointerStep: false,
 
 		/**
-		 * Create plus/minus buttons for quantity inputs
+		 * Counter for IDs of the messages below inputs without an id
 		 */
-		createQuantityButtons: function() {
-			// Find all quantity inputs on product pages
-			var $quantityInputs = $('.woocommerce div.product form.cart .quantity .qty');
+		uid: 0,
 
-			if ($quantityInputs.length === 0) {
+		/**
+		 * Create plus/minus buttons for a quantity input
+		 *
+		 * @param {Element} input - Quantity input
+		 */
+		init: function(input) {
+			var self = this;
+			var $input = $(input);
+			var $quantityWrapper = $input.closest('.quantity');
+
+			// Skip if buttons already exist
+			if ($quantityWrapper.find('.quantity-btn-minus, .quantity-btn-plus').length > 0) {
 				return;
 			}
 
-			$quantityInputs.each(function() {
-				var $input = $(this);
-				var $quantityWrapper = $input.closest('.quantity');
+			// Create minus button
+			var $minusBtn = $('<button type="button" class="quantity-btn-minus minus" data-direction="-1">-</button>');
 
-				// Skip if buttons already exist
-				if ($quantityWrapper.find('.quantity-btn-minus, .quantity-btn-plus').length > 0) {
-					return;
-				}
+			// Create plus button
+			var $plusBtn = $('<button type="button" class="quantity-btn-plus plus" data-direction="1">+</button>');
 
-				// Get min, max, and step values
-				var min = parseFloat($input.attr('min')) || 1;
-				var max = parseFloat($input.attr('max')) || '';
-				var step = parseFloat($input.attr('step')) || 1;
-				var currentValue = parseFloat($input.val()) || min;
-
-				// Create minus button
-				var $minusBtn = $('<button type="button" class="quantity-btn-minus minus">-</button>');
-				
-				// Create plus button
-				var $plusBtn = $('<button type="button" class="quantity-btn-plus plus">+</button>');
-
-				// Wrap input and buttons in a container if not already wrapped
-				if (!$quantityWrapper.hasClass('quantity-wrapper-enhanced')) {
-					$quantityWrapper.addClass('quantity-wrapper-enhanced');
-					
-					// Insert minus button before input
-					$input.before($minusBtn);
-					
-					// Insert plus button after input
-					$input.after($plusBtn);
-				}
+			$minusBtn.attr('aria-label', i18n('decrease', 'Decrease quantity'));
+			$plusBtn.attr('aria-label', i18n('increase', 'Increase quantity'));
 
-				// Update button states based on current value
-				QuantityChanger.updateButtonStates($input, $minusBtn, $plusBtn, min, max);
+			$quantityWrapper.addClass('quantity-wrapper-enhanced');
 
-				// Minus button click handler
-				$minusBtn.on('click', function(e) {
-					e.preventDefault();
-					var currentVal = parseFloat($input.val()) || min;
-					var newVal = currentVal - step;
-					
-					if (newVal >= min) {
-						$input.val(newVal).trigger('change');
-						QuantityChanger.updateButtonStates($input, $minusBtn, $plusBtn, min, max);
+			// Insert minus button before input
+			$input.before($minusBtn);
+
+			// Insert plus button after input
+			$input.after($plusBtn);
+
+			// Update button states based on current value
+			this.updateButtonStates($input);
+
+			$minusBtn.add($plusBtn)
+				// Mouse, touch and pen: step right away, repeat while held
+				.on('pointerdown.quantityChanger', function(e) {
+					if (e.button > 0 || $(this).prop('disabled')) {
+						return;
 					}
-				});
 
-				// Plus button click handler
-				$plusBtn.on('click', function(e) {
+					self.pointerStep = true;
+					self.startHold($input, parseInt($(this).attr('data-direction'), 10));
+				})
+				// Slid off the button (releasing is handled on the document)
+				.on('pointerleave.quantityChanger', function() {
+					self.stopHold();
+				})
+				// Keyboard (Enter / Space) and programmatic clicks
+				.on('click.quantityChanger', function(e) {
 					e.preventDefault();
-					var currentVal = parseFloat($input.val()) || min;
-					var newVal = currentVal + step;
-					
-					if (max === '' || newVal <= max) {
-						$input.val(newVal).trigger('change');
-						QuantityChanger.updateButtonStates($input, $minusBtn, $plusBtn, min, max);
+
+					if (self.pointerStep) {
+						self.pointerStep = false;
+						return;
 					}
-				});
 
-				// Update button states when input value changes manually
-				$input.on('change input', function() {
-					QuantityChanger.updateButtonStates($input, $minusBtn, $plusBtn, min, max);
+					self.step($input, parseInt($(this).attr('data-direction'), 10), 'change');
 				});
+
+			$input.on('keydown.quantityChanger', function(e) {
+				var steps = { ArrowUp: 1, ArrowDown: -1, PageUp: 10, PageDown: -10 }[e.key];
+
+				if (!steps) {
+					return;
+				}
+
+				e.preventDefault();
+				self.step($input, steps, 'change');
+			});
+
+			// Check the value while typing; the message explains what is wrong
+			$input.on('input.quantityChanger', function() {
+				self.showMessage($input, self.getError($input), true);
+				self.updateButtonStates($input);
+			});
+
+			// Typed value committed (input left, Enter): snap and clamp it
+			$input.on('change.quantityChanger', function() {
+				self.commit($input);
 			});
 		},
 
 		/**
-		 * Update button disabled states based on current value
+		 * Remove the buttons again (input left the page or is re-enhanced)
+		 *
+		 * @param {Element} input - Quantity input
+		 */
+		destroy: function(input) {
+			var $input = $(input);
+
+			if (this.hold && this.hold.$input[0] === input) {
+				this.stopHold();
+			}
+
+			this.showMessage($input, '');
+			$input.off('.quantityChanger');
+			$input.siblings('.quantity-btn-minus, .quantity-btn-plus').remove();
+			$input.closest('.quantity').removeClass('quantity-wrapper-enhanced');
+		},
+
+		/**
+		 * Read the input's limits
+		 *
+		 * WooCommerce prints an empty max (or -1) when there is no limit, and
+		 * steps are counted from min, as in the browser's own number input.
+		 *
+		 * @param {jQuery} $input - Quantity input
+		 * @return {Object} { min, max (null for none), step }
 		 */
-		updateButtonStates: function($input, $minusBtn, $plusBtn, min, max) {
-			var currentVal = parseFloat($input.val()) || min;
+		getLimits: function($input) {
+			var min = parseFloat($input.attr('min'));
+			var max = parseFloat($input.attr('max'));
+			var step = parseFloat($input.attr('step'));
 
-			// Disable minus button if at minimum
-			if (currentVal <= min) {
-				$minusBtn.prop('disabled', true);
+			if (isNaN(min)) {
+				min = 1;
+			}
+
+			// step="any" or missing
+			if (isNaN(step) || step <= 0) {
+				step = 1;
+			}
+
+			if (isNaN(max) || max <= 0) {
+				max = null;
+			} else if (max < min) {
+				max = min;
+			}
+
+			return { min: min, max: max, step: step };
+		},
+
+		/**
+		 * Move a value by whole steps, like the number input's stepUp()
+		 *
+		 * A value between two steps moves to the next one in that direction.
+		 * Works on integers (values scaled by their decimal places), so
+		 * decimal steps add up exactly. The result stays within min/max.
+		 *
+		 * @param {number} value  - Current value (NaN counts as min)
+		 * @param {number} steps  - Steps to move (negative to decrease)
+		 * @param {Object} limits - From getLimits()
+		 * @return {number} New value
+		 */
+		stepBy: function(value, steps, limits) {
+			var scale;
+			var offset;
+			var index;
+
+			if (isNaN(value)) {
+				value = limits.min;
+			}
+
+			scale = Math.pow(10, Math.max(getDecimals(value), getDecimals(limits.min), getDecimals(limits.step)));
+			offset = (Math.round(value * scale) - Math.round(limits.min * scale)) / Math.round(limits.step * scale);
+
+			if (steps === 0) {
+				index = Math.round(offset);
 			} else {
-				$minusBtn.prop('disabled', false);
+				index = (steps > 0 ? Math.floor(offset) : Math.ceil(offset)) + steps;
+			}
+
+			return this.toValue(index, limits, scale);
+		},
+
+		/**
+		 * Snap a value to the nearest step within min/max
+		 *
+		 * @param {number} value  - Value (NaN counts as min)
+		 * @param {Object} limits - From getLimits()
+		 * @return {number} Valid value
+		 */
+		snap: function(value, limits) {
+			return this.stepBy(value, 0, limits);
+		},
+
+		/**
+		 * Value of the index-th step, kept within min/max
+		 *
+		 * @param {number} index  - Step index (0 is min)
+		 * @param {Object} limits - From getLimits()
+		 * @param {number} scale  - Power of ten the integers are scaled by
+		 * @return {number} Value
+		 */
+		toValue: function(index, limits, scale) {
+			var min = Math.round(limits.min * scale);
+			var step = Math.round(limits.step * scale);
+
+			index = Math.max(index, 0);
+
+			if (limits.max !== null) {
+				index = Math.min(index, Math.floor((Math.round(limits.max * scale) - min) / step));
+			}
+
+			return (min + index * step) / scale;
+		},
+
+		/**
+		 * Get the message for the input's current value
+		 *
+		 * @param {jQuery} $input - Quantity input
+		 * @return {string} Message, or '' if the value is valid (or empty)
+		 */
+		getError: function($input) {
+			var raw = $.trim(String($input.val()));
+			var value = parseFloat(raw);
+			var limits = this.getLimits($input);
+
+			if (raw === '' && !($input[0].validity && $input[0].validity.badInput)) {
+				return '';
+			}
+
+			if (isNaN(value) || !/^-?(\d+\.?\d*|\.\d+)$/.test(raw)) {
+				return i18n('invalid', 'Please enter a number.');
+			}
+
+			if (value < limits.min) {
+				return i18n('min', 'The minimum quantity is %s.').replace('%s', limits.min);
+			}
+
+			if (limits.max !== null && value > limits.max) {
+				return i18n('max', 'The maximum quantity is %s.').replace('%s', limits.max);
+			}
+
+			if (this.snap(value, limits) === value) {
+				return '';
+			}
+
+			return i18n('step', 'Please enter a valid quantity. The nearest valid quantities are %1$s and %2$s.')
+				.replace('%1$s', this.stepBy(value, -1, limits))
+				.replace('%2$s', this.stepBy(value, 1, limits));
+		},
+
+		/**
+		 * Set the input to a step away from its value
+		 *
+		 * @param {jQuery} $input - Quantity input
+		 * @param {number} steps  - Steps to move (negative to decrease)
+		 * @param {string} event  - Event to fire on the input ('change' or 'input')
+		 * @return {boolean} False if the value could not move (at a limit)
+		 */
+		step: function($input, steps, event) {
+			var current = parseFloat($input.val());
+			var value = this.stepBy(current, steps, this.getLimits($input));
+
+			if (value === current) {
+				return false;
+			}
+
+			$input.val(value);
+			this.showMessage($input, '');
+			this.updateButtonStates($input);
+			$input.trigger(event);
+
+			return true;
+		},
+
+		/**
+		 * Start stepping while a button is held
+		 *
+		 * @param {jQuery} $input    - Quantity input
+		 * @param {number} direction - 1 (plus) or -1 (minus)
+		 */
+		startHold: function($input, direction) {
+			var self = this;
+			var interval = this.holdInterval;
+
+			this.stopHold();
+
+			this.hold = { $input: $input, value: $input.val(), timer: null };
+
+			function repeat() {
+				if (!self.step($input, direction, 'input')) {
+					self.stopHold();
+					return;
+				}
+
+				self.hold.timer = setTimeout(repeat, interval);
+				interval = Math.max(self.holdMinInterval, interval * self.holdAcceleration);
 			}
 
-			// Disable plus button if at maximum
-			if (max !== '' && currentVal >= max) {
-				$plusBtn.prop('disabled', true);
+			if (this.step($input, direction, 'input')) {
+				this.hold.timer = setTimeout(repeat, this.holdDelay);
+			}
+		},
+
+		/**
+		 * Stop a held button; fires 'change' once if the value changed
+		 */
+		stopHold: function() {
+			var hold = this.hold;
+
+			if (!hold) {
+				return;
+			}
+
+			clearTimeout(hold.timer);
+			this.hold = null;
+
+			if (hold.$input.val() !== hold.value) {
+				hold.$input.trigger('change');
+			}
+		},
+
+		/**
+		 * Snap and clamp a committed value
+		 *
+		 * An empty or invalid value becomes min. The message for the typed
+		 * value stays visible, so the shopper sees why it was adjusted.
+		 *
+		 * @param {jQuery} $input - Quantity input
+		 */
+		commit: function($input) {
+			var message = this.getError($input);
+			var value = this.snap(parseFloat($input.val()), this.getLimits($input));
+
+			if (String(value) !== $.trim(String($input.val()))) {
+				$input.val(value);
+			}
+
+			this.showMessage($input, message, false);
+			this.updateButtonStates($input);
+		},
+
+		/**
+		 * Show or clear the message below the quantity input
+		 *
+		 * @param {jQuery}  $input  - Quantity input
+		 * @param {string}  message - Message, or '' to clear
+		 * @param {boolean} invalid - Whether the current value is invalid
+		 *                            (false once it has been adjusted)
+		 */
+		showMessage: function($input, message, invalid) {
+			var $message = $input.data('quantity-message');
+			var id;
+
+			if (!message) {
+				if ($message) {
+					$message.remove();
+					$input.removeData('quantity-message');
+				}
+				$input.removeAttr('aria-invalid');
+				if ($input.attr('aria-describedby') === $input.attr('data-quantity-message')) {
+					$input.removeAttr('aria-describedby');
+				}
+				$input.removeAttr('data-quantity-message');
+				return;
+			}
+
+			if (!$message) {
+				id = ($input.attr('id') || 'quantity-' + (++this.uid)) + '-message';
+				$message = $('<p/>', {
+					id: id,
+					class: 'quantity-message',
+					'aria-live': 'polite'
+				});
+
+				// Outside the bordered .quantity box
+				$input.closest('.quantity').after($message);
+				$input.data('quantity-message', $message);
+				$input.attr('data-quantity-message', id);
+
+				if (!$input.attr('aria-describedby')) {
+					$input.attr('aria-describedby', id);
+				}
+			}
+
+			$message.text(message).toggleClass('is-invalid', !!invalid);
+
+			if (invalid) {
+				$input.attr('aria-invalid', 'true');
 			} else {
-				$plusBtn.prop('disabled', false);
+				$input.removeAttr('aria-invalid');
 			}
+		},
+
+		/**
+		 * Update button disabled states based on current value
+		 *
+		 * A button is disabled when a step that way can't change the value.
+		 *
+		 * @param {jQuery} $input - Quantity input
+		 */
+		updateButtonStates: function($input) {
+			var limits = this.getLimits($input);
+			var value = parseFloat($input.val());
+
+			if (isNaN(value)) {
+				value = limits.min;
+			}
+
+			$input.siblings('.quantity-btn-minus').prop('disabled', !(this.stepBy(value, -1, limits) < value));
+			$input.siblings('.quantity-btn-plus').prop('disabled', !(this.stepBy(value, 1, limits) > value));
 		}
 	};
 
 	/**
-	 * Initialize when DOM is ready
+	 * Enhance matching inputs on load and whenever they are added later
+	 * (WooCommerce fragments, mini cart re-renders, quick view; enhance.js)
 	 */
-	$(document).ready(function() {
-		QuantityChanger.init();
+	ThemeEnhance.register('quantity-changer', {
+		selector: QuantityChanger.selector,
+		init: function(input) {
+			QuantityChanger.init(input);
+		},
+		destroy: function(input) {
+			QuantityChanger.destroy(input);
+		}
 	});
 
 	/**
-	 * Re-initialize after AJAX updates (for WooCommerce fragments)
+	 * End a press wherever the pointer is released (the button may have
+	 * been disabled at a limit meanwhile)
 	 */
-	$(document.body).on('updated_wc_div', function() {
-		QuantityChanger.init();
+	$(document).on('pointerup pointercancel', function() {
+		QuantityChanger.stopHold();
+
+		// The click of this press follows in the same task
+		setTimeout(function() {
+			QuantityChanger.pointerStep = false;
+		}, 0);
 	});
 
 })(jQuery);
-
@@ -0,0 +1,311 @@
+/**
+ * Product Quick View
+ *
+ * Opens the product behind a loop card's "Quick view" button
+ * (woocommerce_theme_render_quick_view_button(), quick-view.php) in a modal
+ * dialog, loaded from ?wc-ajax=theme_quick_view.
+ *
+ * Features:
+ * - Gallery with thumbnails; choosing a variation shows its image
+ * - Variation form with swatches (variation-size-labels.js) and quantity
+ *   buttons (quantity-changer.js), enhanced through window.themeEnhance()
+ * - AJAX add to cart (single-add-to-cart.js); minicart.js refreshes the
+ *   mini cart from the 'added_to_cart' event
+ * - Modal dialog: focus moves in and is trapped, Escape / close button /
+ *   backdrop click close it, and focus returns to the button
+ *
+ * If the content can't be loaded, the button's link opens the product page.
+ */
+
+(function($) {
+	'use strict';
+
+	/**
+	 * Localized parameters from woocommerce_theme_get_quick_view_script_params()
+	 */
+	var params = typeof woocommerce_theme_quick_view_params !== 'undefined' ? woocommerce_theme_quick_view_params : {};
+
+	/**
+	 * Elements that can receive keyboard focus inside the dialog
+	 */
+	var FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]):not([type="hidden"]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+	/**
+	 * Get a Translated UI String
+	 *
+	 * @param {string} key      - Key in params.i18n
+	 * @param {string} fallback - English fallback if the key is missing
+	 * @return {string} Translated string
+	 */
+	function i18n(key, fallback) {
+		return params.i18n && params.i18n[key] ? params.i18n[key] : fallback;
+	}
+
+	/**
+	 * Quick View Controller
+	 */
+	var QuickView = {
+		/**
+		 * Modal container, dialog and content area
+		 */
+		$modal: null,
+		$dialog: null,
+		$content: null,
+
+		/**
+		 * Button that opened the dialog (focus returns to it)
+		 */
+		$trigger: null,
+
+		/**
+		 * Pending request
+		 */
+		xhr: null,
+
+		/**
+		 * Whether the dialog is open
+		 */
+		isOpen: false,
+
+		/**
+		 * Initialize quick view
+		 */
+		init: function() {
+			if (!params.ajax_url) {
+				return;
+			}
+
+			this.bindEvents();
+		},
+
+		/**
+		 * Create the dialog on first use
+		 */
+		build: function() {
+			if (this.$modal) {
+				return;
+			}
+
+			this.$content = $('<div/>', { class: 'quick-view__content' });
+
+			this.$dialog = $('<div/>', {
+				class: 'quick-view__dialog',
+				role: 'dialog',
+				'aria-modal': 'true',
+				'aria-labelledby': 'quick-view-title',
+				tabindex: '-1'
+			}).append(
+				$('<button/>', {
+					type: 'button',
+					class: 'quick-view__close',
+					'aria-label': i18n('close', 'Close quick view')
+				}).append($('<span/>', { 'aria-hidden': 'true' }).html('&times;')),
+				this.$content
+			);
+
+			// .woocommerce scopes WooCommerce's and the quantity buttons' styles
+			this.$modal = $('<div/>', { class: 'quick-view woocommerce', hidden: true })
+				.append(this.$dialog)
+				.appendTo(document.body);
+		},
+
+		/**
+		 * Bind event handlers
+		 */
+		bindEvents: function() {
+			var self = this;
+
+			$(document).on('click', '.quick-view-button', function(e) {
+				// Let modified clicks open the product page in a new tab
+				if (e.ctrlKey || e.metaKey || e.shiftKey || e.which === 2) {
+					return;
+				}
+
+				e.preventDefault();
+				self.load($(this));
+			});
+
+			$(document).on('click', '.quick-view__close', function() {
+				self.close(true);
+			});
+
+			// Backdrop click (outside the dialog)
+			$(document).on('click', '.quick-view', function(e) {
+				if (e.target === this) {
+					self.close(true);
+				}
+			});
+
+			$(document).on('click', '.quick-view__thumbnail', function() {
+				self.showImage($(this));
+			});
+
+			$(document).on('keydown', function(e) {
+				if (!self.isOpen) {
+					return;
+				}
+
+				if (e.key === 'Escape' || e.keyCode === 27) {
+					self.close(true);
+					return;
+				}
+
+				if (e.key === 'Tab' || e.keyCode === 9) {
+					self.trapFocus(e);
+				}
+			});
+
+			// Drawer layout: the mini cart drawer opens after adding, so make way for it
+			$(document.body).on('added_to_cart', function(e, fragments, cartHash, $button) {
+				if (self.isOpen && $button && $($button).closest('.quick-view').length && $('body').hasClass('mini-cart-layout-drawer')) {
+					self.close(false);
+				}
+			});
+		},
+
+		/**
+		 * Fetch a product and open the dialog
+		 *
+		 * @param {jQuery} $button - Quick view button (data-product_id, href)
+		 */
+		load: function($button) {
+			var self = this;
+
+			if (this.xhr) {
+				this.xhr.abort();
+			}
+
+			$('.quick-view-button.loading').removeClass('loading').removeAttr('aria-busy');
+			$button.addClass('loading').attr('aria-busy', 'true');
+
+			this.xhr = $.ajax({
+				url: params.ajax_url,
+				data: { product_id: $button.data('product_id') },
+				dataType: 'json'
+			}).done(function(response) {
+				if (!response || !response.success || !response.data || !response.data.html) {
+					window.location.href = $button.attr('href');
+					return;
+				}
+
+				self.open($button, response.data.html);
+			}).fail(function(xhr, status) {
+				if (status !== 'abort') {
+					window.location.href = $button.attr('href');
+				}
+			}).always(function() {
+				self.xhr = null;
+				$button.removeClass('loading').removeAttr('aria-busy');
+			});
+		},
+
+		/**
+		 * Show the product and move focus into the dialog
+		 *
+		 * @param {jQuery} $button - Button that opened the dialog
+		 * @param {string} html    - Product markup from the server
+		 */
+		open: function($button, html) {
+			this.build();
+
+			this.$trigger = $button;
+			this.$content.html(html);
+			this.$modal.prop('hidden', false);
+			this.isOpen = true;
+
+			window.ThemeOverlay.open('quick-view');
+
+			// WooCommerce's variation form first (finds variations, swaps images)
+			if (typeof $.fn.wc_variation_form === 'function') {
+				this.$content.find('.variations_form').each(function() {
+					$(this).wc_variation_form();
+				});
+			}
+
+			// Swatches and quantity buttons now, before focus moves in (enhance.js)
+			window.themeEnhance(this.$content);
+
+			this.$dialog.trigger('focus');
+		},
+
+		/**
+		 * Close the dialog
+		 *
+		 * @param {boolean} restoreFocus - Return focus to the quick view button
+		 */
+		close: function(restoreFocus) {
+			if (!this.isOpen) {
+				return;
+			}
+
+			this.isOpen = false;
+			this.$modal.prop('hidden', true);
+			this.$content.empty();
+
+			window.ThemeOverlay.close('quick-view');
+
+			if (restoreFocus && this.$trigger && this.$trigger.closest('body').length) {
+				this.$trigger.trigger('focus');
+			}
+
+			this.$trigger = null;
+		},
+
+		/**
+		 * Show a gallery image from its thumbnail
+		 *
+		 * @param {jQuery} $thumbnail - Thumbnail button (data-image-src, data-image-srcset)
+		 */
+		showImage: function($thumbnail) {
+			var $image = this.$content.find('.woocommerce-product-gallery__image .wp-post-image').first();
+
+			$image.attr('src', $thumbnail.data('image-src'));
+
+			if ($thumbnail.data('image-srcset')) {
+				$image.attr('srcset', $thumbnail.data('image-srcset'));
+			} else {
+				$image.removeAttr('srcset');
+			}
+
+			this.$content.find('.quick-view__thumbnail').attr('aria-pressed', 'false');
+			$thumbnail.attr('aria-pressed', 'true');
+		},
+
+		/**
+		 * Keep Tab / Shift+Tab cycling inside the dialog
+		 *
+		 * @param {Event} e - keydown event
+		 */
+		trapFocus: function(e) {
+			var $focusable = this.$dialog.find(FOCUSABLE).filter(':visible');
+			var first = $focusable.first()[0];
+			var last = $focusable.last()[0];
+
+			if (!$focusable.length) {
+				e.preventDefault();
+				this.$dialog.trigger('focus');
+				return;
+			}
+
+			if (e.shiftKey && (document.activeElement === first || document.activeElement === this.$dialog[0])) {
+				e.preventDefault();
+				last.focus();
+			} else if (!e.shiftKey && document.activeElement === last) {
+				e.preventDefault();
+				first.focus();
+			} else if (!$.contains(this.$dialog[0], document.activeElement) && document.activeElement !== this.$dialog[0]) {
+				// Focus escaped (e.g., its element was removed): bring it back
+				e.preventDefault();
+				first.focus();
+			}
+		}
+	};
+
+	/**
+	 * Initialize when DOM is ready
+	 */
+	$(document).ready(function() {
+		QuickView.init();
+	});
+
+})(jQuery);
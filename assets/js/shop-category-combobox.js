@@ -0,0 +1,489 @@
+/**
+ * Shop Category Combobox
+ *
+ * Turns the nested category checkboxes of the shop filter form
+ * (woocommerce_theme_render_category_facet(), filter-categories.php) into a
+ * searchable combobox. Useful for stores with many categories.
+ *
+ * Features:
+ * - Type to filter; matches keep their parent categories visible for context
+ * - Children indented under their parent, each with its product count
+ * - ARIA combobox with a multi-select listbox (aria-activedescendant)
+ * - Keyboard: Down/Up move, Enter toggles, Escape closes then clears,
+ *   Home/End jump to the first/last category while the list is open
+ *
+ * The hidden checkboxes stay the source of truth: choosing a category checks
+ * its checkbox and fires 'change', which shop-category-filter.js picks up
+ * like any other filter (filter_cat).
+ *
+ * Registered with enhance.js: a category fieldset added after page load is
+ * enhanced, and one that is removed has its page-level handlers released.
+ */
+
+(function($) {
+	'use strict';
+
+	/**
+	 * Localized parameters from woocommerce_theme_enqueue_assets()
+	 */
+	var params = typeof woocommerce_theme_category_combobox_params !== 'undefined' ? woocommerce_theme_category_combobox_params : {};
+
+	/**
+	 * Get a Translated UI String
+	 *
+	 * @param {string} key      - Key in params.i18n
+	 * @param {string} fallback - English fallback if the key is missing
+	 * @return {string} Translated string
+	 */
+	function i18n(key, fallback) {
+		return params.i18n && params.i18n[key] ? params.i18n[key] : fallback;
+	}
+
+	/**
+	 * Lower case without accents, for matching ("Café" matches "cafe")
+	 *
+	 * @param {string} text - Text
+	 * @return {string} Normalized text
+	 */
+	function normalize(text) {
+		text = String(text).toLowerCase();
+
+		return text.normalize ? text.normalize('NFD').replace(/[\u0300-\u036f]/g, '') : text;
+	}
+
+	/**
+	 * Category Combobox Controller
+	 */
+	var CategoryCombobox = {
+		/**
+		 * Category fieldset
+		 */
+		$facet: null,
+
+		/**
+		 * Search input (role="combobox")
+		 */
+		$input: null,
+
+		/**
+		 * Options list (role="listbox")
+		 */
+		$listbox: null,
+
+		/**
+		 * "No categories found" row and selection summary
+		 */
+		$empty: null,
+		$summary: null,
+
+		/**
+		 * Category data in tree order: { value, name, path, depth, count, parents, $checkbox, $option }
+		 */
+		items: [],
+
+		/**
+		 * Index in items of the active (highlighted) option, -1 for none
+		 */
+		active: -1,
+
+		/**
+		 * Initialize the combobox on a category fieldset
+		 *
+		 * @param {Element} facet - .shop-category-filter__facet--categories
+		 */
+		init: function(facet) {
+			// One combobox per page (its IDs are fixed)
+			if (this.$facet) {
+				this.destroy(this.$facet[0]);
+			}
+
+			this.$facet = $(facet);
+
+			this.readItems();
+
+			if (!this.items.length) {
+				return;
+			}
+
+			this.build();
+			this.bindEvents();
+			this.updateSelection();
+		},
+
+		/**
+		 * Remove the combobox and its page-level handlers
+		 *
+		 * @param {Element} facet - .shop-category-filter__facet--categories
+		 */
+		destroy: function(facet) {
+			if (!this.$facet || this.$facet[0] !== facet) {
+				return;
+			}
+
+			$(document).off('.categoryCombobox');
+			$(document.body).off('.categoryCombobox');
+			$(window).off('.categoryCombobox');
+
+			this.$facet.removeClass('is-enhanced').find('.category-combobox').remove();
+			this.$facet = null;
+			this.items = [];
+			this.active = -1;
+		},
+
+		/**
+		 * Read the categories from the nested checkbox list
+		 */
+		readItems: function() {
+			var self = this;
+
+			this.items = [];
+
+			this.$facet.find('input[name="filter_cat[]"]').each(function() {
+				var $checkbox = $(this);
+				var $li = $checkbox.closest('li');
+				var parents = $li.parents('li').map(function() {
+					return $(this).find('> label input').val();
+				}).get().reverse();
+				var names = $li.parents('li').map(function() {
+					return $.trim($(this).find('> label .shop-category-filter__name').text());
+				}).get().reverse();
+				var name = $.trim($li.find('> label .shop-category-filter__name').text());
+
+				self.items.push({
+					value: $checkbox.val(),
+					name: name,
+					path: names.concat(name).join(' › '),
+					depth: parseInt($li.data('depth'), 10) || 0,
+					count: parseInt($checkbox.data('count'), 10) || 0,
+					parents: parents,
+					$checkbox: $checkbox,
+					$option: null
+				});
+			});
+		},
+
+		/**
+		 * Build the combobox markup
+		 */
+		build: function() {
+			var self = this;
+			var listboxId = 'shop-category-listbox';
+
+			this.$input = $('<input/>', {
+				type: 'text',
+				class: 'category-combobox__input',
+				role: 'combobox',
+				autocomplete: 'off',
+				'aria-autocomplete': 'list',
+				'aria-expanded': 'false',
+				'aria-controls': listboxId,
+				'aria-labelledby': 'shop-category-filter-legend',
+				'aria-describedby': 'shop-category-summary',
+				placeholder: i18n('placeholder', 'Search categories')
+			});
+
+			this.$listbox = $('<ul/>', {
+				id: listboxId,
+				class: 'category-combobox__listbox',
+				role: 'listbox',
+				'aria-multiselectable': 'true',
+				'aria-labelledby': 'shop-category-filter-legend',
+				hidden: true
+			});
+
+			$.each(this.items, function(index, item) {
+				item.$option = $('<li/>', {
+					id: 'shop-category-option-' + index,
+					class: 'category-combobox__option',
+					role: 'option',
+					'aria-selected': 'false',
+					'data-index': index,
+					'data-depth': item.depth,
+					// Full path so "Running" under "Shoes" is not read out of context
+					'aria-label': i18n('option', '%1$s (%2$s products)').replace('%1$s', item.path).replace('%2$s', item.count)
+				}).append(
+					$('<span/>', { class: 'category-combobox__name' }).text(item.name),
+					$('<span/>', { class: 'category-combobox__count', 'aria-hidden': 'true' }).text('(' + item.count + ')')
+				);
+
+				self.$listbox.append(item.$option);
+			});
+
+			this.$empty = $('<li/>', { class: 'category-combobox__empty', role: 'presentation', hidden: true })
+				.text(i18n('no_results', 'No categories found'));
+			this.$listbox.append(this.$empty);
+
+			this.$summary = $('<p/>', { id: 'shop-category-summary', class: 'category-combobox__summary' });
+
+			this.$facet.addClass('is-enhanced').append(
+				$('<div/>', { class: 'category-combobox' }).append(this.$input, this.$listbox, this.$summary)
+			);
+		},
+
+		/**
+		 * Bind event handlers
+		 */
+		bindEvents: function() {
+			var self = this;
+
+			this.$input.on('focus click', function() {
+				self.open();
+			});
+
+			this.$input.on('input', function() {
+				self.filter(self.$input.val());
+				self.open();
+			});
+
+			this.$input.on('keydown', function(e) {
+				self.onKeydown(e);
+			});
+
+			// Keep focus in the input while clicking options
+			this.$listbox.on('mousedown', '.category-combobox__option', function(e) {
+				e.preventDefault();
+			});
+
+			this.$listbox.on('click', '.category-combobox__option', function() {
+				var index = parseInt($(this).data('index'), 10);
+
+				self.setActive(index);
+				self.toggle(index);
+			});
+
+			$(document).on('mousedown.categoryCombobox touchstart.categoryCombobox', function(e) {
+				if (!$(e.target).closest('.category-combobox').length) {
+					self.close();
+				}
+			});
+
+			// Checkboxes changed elsewhere (chips, back/forward, "Clear all")
+			$(document.body).on('theme_shop_filtered.categoryCombobox', function() {
+				self.updateSelection();
+			});
+
+			$(window).on('popstate.categoryCombobox', function() {
+				self.updateSelection();
+			});
+		},
+
+		/**
+		 * Keyboard handling on the input
+		 *
+		 * @param {jQuery.Event} e - keydown event
+		 */
+		onKeydown: function(e) {
+			var isOpen = this.$input.attr('aria-expanded') === 'true';
+
+			switch (e.key) {
+				case 'ArrowDown':
+					e.preventDefault();
+					if (!isOpen) {
+						this.open();
+					}
+					this.move(1);
+					break;
+				case 'ArrowUp':
+					e.preventDefault();
+					if (!isOpen) {
+						this.open();
+					}
+					this.move(-1);
+					break;
+				case 'Home':
+				case 'End':
+					if (isOpen) {
+						e.preventDefault();
+						this.active = -1;
+						this.move(e.key === 'Home' ? 1 : -1);
+					}
+					break;
+				case 'Enter':
+					// Never submit the filter form from here
+					e.preventDefault();
+					if (isOpen && this.active !== -1) {
+						this.toggle(this.active);
+					}
+					break;
+				case 'Escape':
+					if (isOpen) {
+						e.preventDefault();
+						this.close();
+					} else if (this.$input.val()) {
+						e.preventDefault();
+						this.$input.val('');
+						this.filter('');
+					}
+					break;
+				case 'Tab':
+					this.close();
+					break;
+			}
+		},
+
+		/**
+		 * Show the options matching the search text
+		 *
+		 * Matching categories are shown with their parents (for context).
+		 *
+		 * @param {string} query - Search text
+		 */
+		filter: function(query) {
+			var needle = normalize($.trim(query));
+			var visible = {};
+			var matches = 0;
+
+			$.each(this.items, function(index, item) {
+				if (!needle || normalize(item.name).indexOf(needle) !== -1) {
+					visible[item.value] = 'match';
+					matches++;
+
+					$.each(item.parents, function(i, parent) {
+						visible[parent] = visible[parent] || 'context';
+					});
+				}
+			});
+
+			$.each(this.items, function(index, item) {
+				item.$option
+					.prop('hidden', !visible[item.value])
+					.toggleClass('is-context', visible[item.value] === 'context');
+			});
+
+			this.$empty.prop('hidden', matches > 0);
+
+			// Highlight the first match while typing
+			this.active = -1;
+			this.move(1);
+		},
+
+		/**
+		 * Move the active option, skipping hidden ones
+		 *
+		 * @param {number} step - 1 for next, -1 for previous
+		 */
+		move: function(step) {
+			var visible = [];
+			var self = this;
+
+			$.each(this.items, function(index, item) {
+				if (!item.$option.prop('hidden')) {
+					visible.push(index);
+				}
+			});
+
+			if (!visible.length) {
+				this.setActive(-1);
+				return;
+			}
+
+			var position = $.inArray(this.active, visible);
+
+			if (position === -1) {
+				position = step > 0 ? 0 : visible.length - 1;
+			} else {
+				position = (position + step + visible.length) % visible.length;
+			}
+
+			self.setActive(visible[position]);
+		},
+
+		/**
+		 * Highlight an option (aria-activedescendant) and scroll it into view
+		 *
+		 * @param {number} index - Item index, -1 for none
+		 */
+		setActive: function(index) {
+			this.active = index;
+			this.$listbox.find('.is-active').removeClass('is-active');
+
+			if (index === -1) {
+				this.$input.removeAttr('aria-activedescendant');
+				return;
+			}
+
+			var $option = this.items[index].$option;
+
+			$option.addClass('is-active');
+			this.$input.attr('aria-activedescendant', $option.attr('id'));
+
+			var top = $option.position().top;
+			var height = this.$listbox.innerHeight();
+
+			if (top < 0 || top + $option.outerHeight() > height) {
+				this.$listbox.scrollTop(this.$listbox.scrollTop() + top - height / 2);
+			}
+		},
+
+		/**
+		 * Select or unselect a category
+		 *
+		 * @param {number} index - Item index
+		 */
+		toggle: function(index) {
+			var item = this.items[index];
+
+			item.$checkbox.prop('checked', !item.$checkbox.prop('checked')).trigger('change');
+			this.updateSelection();
+		},
+
+		/**
+		 * Mirror the checkbox states in the options and the summary
+		 */
+		updateSelection: function() {
+			var names = [];
+
+			$.each(this.items, function(index, item) {
+				var checked = item.$checkbox.prop('checked');
+
+				item.$option.attr('aria-selected', checked ? 'true' : 'false');
+
+				if (checked) {
+					names.push(item.name);
+				}
+			});
+
+			this.$summary.text(names.length ? i18n('selected', '%d selected').replace('%d', names.length) + ': ' + names.join(', ') : '');
+		},
+
+		/**
+		 * Open the listbox
+		 */
+		open: function() {
+			if (this.$input.attr('aria-expanded') === 'true') {
+				return;
+			}
+
+			this.updateSelection();
+			this.$listbox.prop('hidden', false);
+			this.$input.attr('aria-expanded', 'true');
+		},
+
+		/**
+		 * Close the listbox
+		 */
+		close: function() {
+			if (this.$input.attr('aria-expanded') !== 'true') {
+				return;
+			}
+
+			this.$listbox.prop('hidden', true);
+			this.$input.attr('aria-expanded', 'false');
+			this.setActive(-1);
+		}
+	};
+
+	/**
+	 * Enhance the category fieldset on load and whenever it is added later (enhance.js)
+	 */
+	ThemeEnhance.register('category-combobox', {
+		selector: '.shop-category-filter__facet--categories',
+		init: function(facet) {
+			CategoryCombobox.init(facet);
+		},
+		destroy: function(facet) {
+			CategoryCombobox.destroy(facet);
+		}
+	});
+
+})(jQuery);
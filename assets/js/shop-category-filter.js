@@ -1,22 +1,336 @@
 /**
- * Shop Category Filter
+ * Shop Filters
  *
- * Auto-submits the category filter form when the dropdown selection changes,
- * so users don't need to click the "Filter" button.
+ * Submits the shop filter form (woocommerce_theme_render_category_filter(),
+ * filter-categories.php) over AJAX instead of reloading the page.
+ *
+ * Features:
+ * - Any change in the form refreshes the results; price fields wait until
+ *   typing pauses
+ * - Fetches the filtered shop page and swaps #shop-results (result count,
+ *   sorting, products, pagination) in place
+ * - Sorting and pagination links load the same way
+ * - URL kept in sync with pushState; back and forward restore the results
+ *   and the form
+ * - Active filter chips and "Clear all" (rendered in #shop-results) remove
+ *   filters the same way
+ * - Announces the new results ("Showing 12 products in Shoes") through the
+ *   #shop-results-status live region
+ * - Falls back to a normal page load if a request fails
+ *
+ * Without JavaScript the form submits as a normal GET form.
+ *
+ * The form is enhanced through the enhance.js registry, so a form added or
+ * replaced after page load (blocks, other plugins) works as well.
  */
-(function ($) {
+
+(function($) {
 	'use strict';
 
-	$(function () {
-		var $form = $('.shop-category-filter__form');
-		var $select = $('#shop-filter-category');
+	/**
+	 * Shop Filter Controller
+	 */
+	var ShopFilter = {
+		/**
+		 * Filter form
+		 */
+		$form: null,
+
+		/**
+		 * Pending request (aborted when a newer one starts)
+		 */
+		xhr: null,
+
+		/**
+		 * URL of the pending request
+		 */
+		pendingUrl: '',
+
+		/**
+		 * Price input debounce timer
+		 */
+		timer: null,
+
+		/**
+		 * Whether the page-level handlers are bound
+		 */
+		bound: false,
+
+		/**
+		 * Initialize shop filters on a filter form
+		 *
+		 * @param {Element} form - .shop-category-filter__form
+		 */
+		init: function(form) {
+			if (!$('#shop-results').length || !window.history || !history.pushState) {
+				return;
+			}
+
+			this.$form = $(form);
+			this.bindFormEvents();
+
+			if (!this.bound) {
+				this.bound = true;
+
+				// Lets "back" to the first page restore its results
+				history.replaceState({ themeShopFilter: true }, '', window.location.href);
+
+				this.bindEvents();
+			}
+		},
+
+		/**
+		 * Release a filter form that left the page
+		 *
+		 * @param {Element} form - .shop-category-filter__form
+		 */
+		destroy: function(form) {
+			$(form).off('.shopFilter');
+
+			if (this.$form && this.$form[0] === form) {
+				clearTimeout(this.timer);
+				this.$form = null;
+			}
+		},
+
+		/**
+		 * Bind the filter form's event handlers
+		 */
+		bindFormEvents: function() {
+			var self = this;
+
+			this.$form.on('submit.shopFilter', function(e) {
+				e.preventDefault();
+				self.load(self.getFormUrl());
+			});
+
+			this.$form.on('change.shopFilter', 'input[type="checkbox"], select', function() {
+				self.load(self.getFormUrl());
+			});
+
+			// Price fields: wait for a pause in typing
+			this.$form.on('input.shopFilter', 'input[type="number"]', function() {
+				clearTimeout(self.timer);
+				self.timer = setTimeout(function() {
+					self.load(self.getFormUrl());
+				}, 600);
+			});
+		},
+
+		/**
+		 * Bind page-level event handlers (delegated; bound once)
+		 */
+		bindEvents: function() {
+			var self = this;
+
+			// Sorting. WooCommerce only binds the sorting form present at page
+			// load, so replaced forms are submitted from here.
+			$(document).on('change', '#shop-results select.orderby', function() {
+				$(this).closest('form').trigger('submit');
+			});
+
+			$(document).on('submit', '#shop-results .woocommerce-ordering', function(e) {
+				var url = new URL(window.location.href);
+
+				e.preventDefault();
+				url.searchParams.set('orderby', $(this).find('select.orderby').val());
+				url.searchParams.delete('paged');
+				url.pathname = url.pathname.replace(/\/page\/\d+\/?$/, '/');
+
+				self.load(url.href);
+			});
+
+			// Chips and "Clear all" link to the shop without those filters
+			$(document).on('click', '#shop-results .shop-filter-chips a', function(e) {
+				e.preventDefault();
+				self.syncForm(this.href);
+				self.load(this.href, { focusChips: true });
+			});
+
+			$(document).on('click', '#shop-results .woocommerce-pagination a', function(e) {
+				e.preventDefault();
+				self.load(this.href, { focus: true });
+			});
+
+			$(window).on('popstate', function(e) {
+				var state = e.originalEvent.state;
+
+				if (state && state.themeShopFilter) {
+					self.syncForm(window.location.href);
+					self.load(window.location.href, { push: false });
+				}
+			});
+		},
+
+		/**
+		 * Build the results URL from the form
+		 *
+		 * Checkbox groups become comma separated values (filter_cat=a,b), the
+		 * format WooCommerce uses for attribute filters. The current sorting is
+		 * kept; paging restarts.
+		 *
+		 * @return {string} URL
+		 */
+		getFormUrl: function() {
+			var url = new URL(this.$form.attr('action'), window.location.href);
+			var values = {};
+			var current = new URL(window.location.href);
+
+			$.each(this.$form.serializeArray(), function(i, field) {
+				var name = field.name.replace(/\[\]$/, '');
 
-		if (!$form.length || !$select.length) {
-			return;
+				if (field.value === '' || name === 'orderby') {
+					return;
+				}
+
+				values[name] = values[name] ? values[name] + ',' + field.value : field.value;
+			});
+
+			$.each(values, function(name, value) {
+				// query_type_color only matters together with filter_color
+				if (name.indexOf('query_type_') === 0 && !values['filter_' + name.substring(11)]) {
+					return;
+				}
+
+				url.searchParams.set(name, value);
+			});
+
+			if (current.searchParams.get('orderby')) {
+				url.searchParams.set('orderby', current.searchParams.get('orderby'));
+			}
+
+			return url.href;
+		},
+
+		/**
+		 * Update the form controls from a URL (back / forward)
+		 *
+		 * @param {string} href - URL
+		 */
+		syncForm: function(href) {
+			var params = new URL(href).searchParams;
+
+			if (!this.$form) {
+				return;
+			}
+
+			this.$form.find('input[type="checkbox"]').each(function() {
+				var values = (params.get(this.name.replace(/\[\]$/, '')) || '').split(',');
+
+				this.checked = $.inArray(this.value, values) !== -1;
+			});
+
+			this.$form.find('input[type="number"]').each(function() {
+				this.value = params.get(this.name) || '';
+			});
+		},
+
+		/**
+		 * Announce the results summary to screen readers
+		 *
+		 * @param {string} summary - e.g. "Showing 12 products in Shoes"
+		 */
+		announce: function(summary) {
+			var $status = $('#shop-results-status');
+
+			if (!$status.length || !summary) {
+				return;
+			}
+
+			// Clear first so an unchanged summary is read again
+			$status.text('');
+			setTimeout(function() {
+				$status.text(summary);
+			}, 100);
+		},
+
+		/**
+		 * Load a shop URL and swap the results
+		 *
+		 * @param {string} url          - Shop URL
+		 * @param {Object} [options]
+		 * @param {boolean} [options.push=true]   - Add a history entry
+		 * @param {boolean} [options.focus=false] - Move focus to the results
+		 * @param {boolean} [options.focusChips=false] - Move focus to the first
+		 *                  remaining chip (after removing one)
+		 */
+		load: function(url, options) {
+			var self = this;
+			var $results = $('#shop-results');
+
+			options = $.extend({ push: true, focus: false, focusChips: false }, options);
+
+			clearTimeout(this.timer);
+
+			// Already loading (e.g., sorting submitted by WooCommerce and by us)
+			if (this.xhr && this.pendingUrl === url) {
+				return;
+			}
+
+			if (this.xhr) {
+				this.xhr.abort();
+			}
+
+			this.pendingUrl = url;
+
+			$results.addClass('is-loading').attr('aria-busy', 'true');
+
+			this.xhr = $.ajax({
+				url: url,
+				dataType: 'html'
+			}).done(function(html) {
+				var $next = $('<div/>').append($.parseHTML(html)).find('#shop-results');
+
+				if (!$next.length) {
+					window.location.href = url;
+					return;
+				}
+
+				$results.html($next.html()).attr('data-summary', $next.attr('data-summary'));
+
+				if (options.push && url !== window.location.href) {
+					history.pushState({ themeShopFilter: true }, '', url);
+				}
+
+				if (options.focus) {
+					$results.trigger('focus');
+					$results[0].scrollIntoView({ block: 'start' });
+				} else if (options.focusChips) {
+					// The removed chip is gone; continue from the remaining ones
+					var $chip = $results.find('.shop-filter-chips a').first();
+					($chip.length ? $chip : $results).trigger('focus');
+				}
+
+				self.announce($next.attr('data-summary'));
+
+				/**
+				 * Results were replaced; lets other scripts enhance the new products.
+				 */
+				$(document.body).trigger('theme_shop_filtered', [url, $results]);
+			}).fail(function(xhr, status) {
+				if (status !== 'abort') {
+					window.location.href = url;
+				}
+			}).always(function(data, status) {
+				if (status !== 'abort') {
+					$results.removeClass('is-loading').removeAttr('aria-busy');
+					self.xhr = null;
+				}
+			});
 		}
+	};
 
-		$select.on('change', function () {
-			$form.trigger('submit');
-		});
+	/**
+	 * Enhance the filter form on load and whenever it is added later (enhance.js)
+	 */
+	ThemeEnhance.register('shop-filter', {
+		selector: '.shop-category-filter__form',
+		init: function(form) {
+			ShopFilter.init(form);
+		},
+		destroy: function(form) {
+			ShopFilter.destroy(form);
+		}
 	});
+
 })(jQuery);
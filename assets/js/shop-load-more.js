@@ -0,0 +1,252 @@
+/**
+ * Shop "Load More" and Infinite Scroll
+ *
+ * Enhances the button rendered by woocommerce_theme_render_load_more()
+ * (hooks.php) when the shop pagination setting is "Load more" or
+ * "Infinite scroll".
+ *
+ * Features:
+ * - Fetches the next shop page and appends its products to the grid
+ * - Infinite mode: loads when the button comes near the viewport
+ * - Next page URL comes from the server, so filter_cat, orderby and the
+ *   other filters are kept
+ * - URL follows the last loaded page (history.replaceState)
+ * - Updates the result count and announces the new products
+ * - "Load more" moves focus to the first new product; the back-to-top
+ *   button leads back to the top of the list
+ *
+ * The numbered pagination stays in the markup for visitors without
+ * JavaScript and is hidden here.
+ *
+ * Registered with enhance.js, so the button rendered with new filter
+ * results is set up automatically.
+ */
+
+(function($) {
+	'use strict';
+
+	/**
+	 * Localized parameters from woocommerce_theme_enqueue_assets()
+	 */
+	var params = typeof woocommerce_theme_load_more_params !== 'undefined' ? woocommerce_theme_load_more_params : {};
+
+	/**
+	 * Get a Translated UI String
+	 *
+	 * @param {string} key      - Key in params.i18n
+	 * @param {string} fallback - English fallback if the key is missing
+	 * @return {string} Translated string
+	 */
+	function i18n(key, fallback) {
+		return params.i18n && params.i18n[key] ? params.i18n[key] : fallback;
+	}
+
+	/**
+	 * Load More Controller
+	 */
+	var LoadMore = {
+		/**
+		 * Watches the button in infinite mode
+		 */
+		observer: null,
+
+		/**
+		 * Button watched by the observer
+		 */
+		$observed: null,
+
+		/**
+		 * Whether a page is being loaded
+		 */
+		loading: false,
+
+		/**
+		 * Initialize load more
+		 */
+		init: function() {
+			this.bindEvents();
+		},
+
+		/**
+		 * Bind event handlers (delegated: the filters replace the button)
+		 */
+		bindEvents: function() {
+			var self = this;
+
+			$(document).on('click', '.shop-load-more__button', function(e) {
+				e.preventDefault();
+				self.load($(this), true);
+			});
+		},
+
+		/**
+		 * Prepare a button: hide the numbered pagination and start watching
+		 * the button in infinite mode
+		 *
+		 * @param {Element} container - .shop-load-more
+		 */
+		setup: function(container) {
+			var $container = $(container);
+
+			if (this.observer) {
+				this.observer.disconnect();
+				this.observer = null;
+			}
+
+			$('body').addClass('has-shop-load-more');
+
+			if ($container.data('mode') === 'infinite') {
+				this.observe($container.find('.shop-load-more__button'));
+			}
+		},
+
+		/**
+		 * Stop watching a button that left the page (e.g., replaced by filters)
+		 *
+		 * @param {Element} container - .shop-load-more
+		 */
+		teardown: function(container) {
+			if (this.observer && this.$observed && $.contains(container, this.$observed[0])) {
+				this.observer.disconnect();
+				this.observer = null;
+			}
+		},
+
+		/**
+		 * Load the next page once the button is within 400px of the viewport
+		 *
+		 * @param {jQuery} $button - Load more button
+		 */
+		observe: function($button) {
+			var self = this;
+
+			if (!$button.length || !('IntersectionObserver' in window)) {
+				return;
+			}
+
+			this.$observed = $button;
+
+			this.observer = new IntersectionObserver(function(entries) {
+				$.each(entries, function(i, entry) {
+					if (entry.isIntersecting) {
+						self.load($button, false);
+					}
+				});
+			}, { rootMargin: '0px 0px 400px 0px' });
+
+			this.observer.observe($button[0]);
+		},
+
+		/**
+		 * Fetch the next page and append its products
+		 *
+		 * @param {jQuery}  $button   - Load more button (its href is the next page)
+		 * @param {boolean} moveFocus - Focus the first new product (button clicks)
+		 */
+		load: function($button, moveFocus) {
+			var self = this;
+			var url = $button.attr('href');
+			var $container = $button.closest('.shop-load-more');
+			var $list = $container.parent().find('ul.products').first();
+
+			if (this.loading || !url || !$list.length) {
+				return;
+			}
+
+			this.loading = true;
+			$button.addClass('loading').attr('aria-busy', 'true').text(i18n('loading', 'Loading products…'));
+
+			$.ajax({
+				url: url,
+				dataType: 'html'
+			}).done(function(html) {
+				var $page = $('<div/>').append($.parseHTML(html));
+				var $items = $page.find('ul.products').first().children('li');
+				var $nextButton = $page.find('.shop-load-more__button');
+
+				if (!$items.length) {
+					window.location.href = url;
+					return;
+				}
+
+				$list.append($items);
+
+				// Keeps the shopper's place on reload; keeps the filter history state
+				if (window.history && history.replaceState) {
+					history.replaceState(history.state, '', url);
+				}
+
+				self.updateCount($container, $list.children('li').length);
+
+				if ($nextButton.length) {
+					$button.attr('href', $nextButton.attr('href'));
+
+					// Still in view after a short page: observing again checks right away
+					if (self.observer) {
+						self.observer.unobserve($button[0]);
+						self.observer.observe($button[0]);
+					}
+				} else {
+					if (self.observer) {
+						self.observer.disconnect();
+					}
+					$button.remove();
+				}
+
+				if (moveFocus) {
+					$items.first().find('a').first().trigger('focus');
+				}
+
+				/**
+				 * Products were appended; lets other scripts enhance them.
+				 */
+				$(document.body).trigger('theme_products_appended', [$items]);
+			}).fail(function() {
+				window.location.href = url;
+			}).always(function() {
+				self.loading = false;
+				$button.removeClass('loading').removeAttr('aria-busy').text(i18n('load_more', 'Load more products'));
+			});
+		},
+
+		/**
+		 * Update the result count and announce the new total
+		 *
+		 * @param {jQuery} $container - .shop-load-more
+		 * @param {number} shown      - Products now in the grid
+		 */
+		updateCount: function($container, shown) {
+			var first = parseInt($container.data('first'), 10) || 1;
+			var total = parseInt($container.data('total'), 10) || shown;
+			var last = Math.min(total, first + shown - 1);
+			var text = i18n('result_count', 'Showing %1$d–%2$d of %3$d results')
+				.replace('%1$d', first)
+				.replace('%2$d', last)
+				.replace('%3$d', total);
+
+			$('.woocommerce-result-count').first().text(text);
+			$container.find('.shop-load-more__status').text(text);
+		}
+	};
+
+	/**
+	 * Initialize when DOM is ready
+	 */
+	$(document).ready(function() {
+		LoadMore.init();
+	});
+
+	/**
+	 * Set up buttons on load and whenever new results bring one (enhance.js)
+	 */
+	ThemeEnhance.register('shop-load-more', {
+		selector: '.shop-load-more',
+		init: function(container) {
+			LoadMore.setup(container);
+		},
+		destroy: function(container) {
+			LoadMore.teardown(container);
+		}
+	});
+
+})(jQuery);
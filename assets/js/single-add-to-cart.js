@@ -0,0 +1,228 @@
+/**
+ * Single Product AJAX Add to Cart
+ *
+ * Submits the single product add to cart form (form.cart) via AJAX instead
+ * of a full page post, for simple and variable products.
+ *
+ * Features:
+ * - Sends product ID, variation ID, attributes and quantity to the theme's
+ *   ?wc-ajax=theme_add_to_cart endpoint (see cart.php)
+ * - Loading state on the button while the request runs
+ * - WooCommerce notices (added, out of stock, invalid variation) shown
+ *   inline above the form
+ * - Fires WooCommerce's 'adding_to_cart' and 'added_to_cart' events, so
+ *   minicart.js refreshes the mini cart exactly as for archive buttons
+ *
+ * Grouped and external products keep the normal form submission.
+ */
+
+(function($) {
+	'use strict';
+
+	/**
+	 * Localized parameters from woocommerce_theme_get_add_to_cart_script_params()
+	 */
+	var params = typeof woocommerce_theme_add_to_cart_params !== 'undefined' ? woocommerce_theme_add_to_cart_params : {};
+
+	/**
+	 * Single Add to Cart Controller
+	 */
+	var SingleAddToCart = {
+		/**
+		 * Initialize AJAX add to cart
+		 */
+		init: function() {
+			if (!params.ajax_url) {
+				return;
+			}
+
+			this.bindEvents();
+		},
+
+		/**
+		 * Bind event handlers (delegated, so replaced forms keep working)
+		 */
+		bindEvents: function() {
+			var self = this;
+
+			$(document).on('submit', 'form.cart', function(e) {
+				var $form = $(this);
+
+				if (!self.isSupported($form)) {
+					return;
+				}
+
+				e.preventDefault();
+				self.submit($form);
+			});
+		},
+
+		/**
+		 * Whether the form can be submitted via AJAX
+		 *
+		 * Simple products post the ID through the button (name="add-to-cart"),
+		 * variable products through a hidden field. Grouped forms post several
+		 * quantities and external products link away, so both are skipped.
+		 *
+		 * @param {jQuery} $form - form.cart
+		 * @return {boolean}
+		 */
+		isSupported: function($form) {
+			if ($form.hasClass('grouped_form') || $form.find('input[name^="quantity["]').length) {
+				return false;
+			}
+
+			return $form.find('[name="add-to-cart"]').length > 0;
+		},
+
+		/**
+		 * Collect the form data, including the product ID from the button
+		 *
+		 * Encoded like the form's own POST, so repeated fields (name[]
+		 * checkbox groups from product add-on plugins) keep every value.
+		 * jQuery's serializeArray() skips submit buttons, so the simple
+		 * product's name="add-to-cart" button value is added by hand.
+		 *
+		 * @param {jQuery} $form   - form.cart
+		 * @param {jQuery} $button - Submit button
+		 * @return {string} URL-encoded form data
+		 */
+		getFormData: function($form, $button) {
+			var fields = $form.serializeArray();
+			var hasProduct = $.grep(fields, function(field) {
+				return field.name === 'add-to-cart';
+			}).length > 0;
+
+			if (!hasProduct && $button.attr('name') === 'add-to-cart') {
+				fields.push({ name: 'add-to-cart', value: $button.val() });
+			}
+
+			return $.param(fields);
+		},
+
+		/**
+		 * Submit the form via AJAX
+		 *
+		 * @param {jQuery} $form - form.cart
+		 */
+		submit: function($form) {
+			var self = this;
+			var $button = $form.find('.single_add_to_cart_button').first();
+
+			// Ignore repeat submits while a request is running
+			if ($button.hasClass('loading')) {
+				return;
+			}
+
+			// WooCommerce's variation script blocks the button until a variation is chosen
+			if ($button.hasClass('disabled')) {
+				return;
+			}
+
+			var data = this.getFormData($form, $button);
+
+			$(document.body).trigger('adding_to_cart', [$button, data]);
+			this.setLoading($button, true);
+
+			$.ajax({
+				url: params.ajax_url,
+				type: 'POST',
+				data: data,
+				success: function(response) {
+					if (!response || typeof response !== 'object') {
+						self.showNotices($form, self.getErrorNotice());
+						return;
+					}
+
+					var result = response.data || {};
+
+					if (!response.success) {
+						self.showNotices($form, result.notices || self.getErrorNotice());
+						return;
+					}
+
+					// Store redirects to the cart after adding
+					if (result.redirect) {
+						window.location = result.redirect;
+						return;
+					}
+
+					self.showNotices($form, result.notices || '');
+					$button.addClass('added');
+
+					// Same event WooCommerce fires for archive buttons (minicart.js listens)
+					$(document.body).trigger('added_to_cart', [result.fragments, result.cart_hash, $button]);
+				},
+				error: function() {
+					self.showNotices($form, self.getErrorNotice());
+				},
+				complete: function() {
+					self.setLoading($button, false);
+				}
+			});
+		},
+
+		/**
+		 * Toggle the button's loading state
+		 *
+		 * @param {jQuery}  $button - Submit button
+		 * @param {boolean} loading - Whether a request is running
+		 */
+		setLoading: function($button, loading) {
+			$button
+				.toggleClass('loading', loading)
+				.prop('disabled', loading)
+				.attr('aria-busy', loading ? 'true' : 'false');
+
+			if (loading) {
+				$button.removeClass('added');
+			}
+		},
+
+		/**
+		 * Fallback error notice, in WooCommerce's notice markup
+		 *
+		 * @return {string} Notice HTML
+		 */
+		getErrorNotice: function() {
+			var message = (params.i18n && params.i18n.add_failed) || 'Sorry, this product could not be added to your cart. Please try again.';
+
+			return $('<ul class="woocommerce-error" role="alert"/>').append($('<li/>').text(message)).prop('outerHTML');
+		},
+
+		/**
+		 * Show notices above the form (replacing earlier ones)
+		 *
+		 * @param {jQuery} $form - form.cart
+		 * @param {string} html  - Notice HTML from WooCommerce
+		 */
+		showNotices: function($form, html) {
+			var $container = $form.prev('.single-add-to-cart-notices');
+
+			if (!$container.length) {
+				$container = $('<div class="single-add-to-cart-notices"/>').insertBefore($form);
+			}
+
+			$container.html(html);
+
+			if (!html) {
+				return;
+			}
+
+			// Bring the notice into view if it's scrolled off-screen
+			var rect = $container[0].getBoundingClientRect();
+
+			if (rect.top < 0 || rect.bottom > window.innerHeight) {
+				$container[0].scrollIntoView({ behavior: 'smooth', block: 'center' });
+			}
+		}
+	};
+
+	/**
+	 * Initialize when DOM is ready
+	 */
+	$(document).ready(function() {
+		SingleAddToCart.init();
+	});
+
+})(jQuery);
@@ -1,18 +1,274 @@
 /**
- * Transform variation size <select> into clickable label buttons
+ * Transform variation <select>s into clickable swatches
  * without removing the original select (kept for WooCommerce JS + accessibility).
  *
- * Works on single product pages for attributes named "pa_size".
+ * Swatch type per attribute comes from woocommerce_theme_swatches_params
+ * (swatches.php), keyed by the select's data-attribute_name:
+ * - label : text buttons (.wc-size-labels)
+ * - color : round color swatches (.wc-color-swatches), single color,
+ *           two colors (half and half) or a pattern image
+ * - image : image swatches (.wc-color-swatches--image)
+ * - select: dropdown left as is
+ *
+ * Without localized data, size attributes become labels and color
+ * attributes color swatches, as before.
+ *
+ * Choosing (or hovering) a color/image swatch switches the product gallery
+ * to the first variation image for that value, even before the remaining
+ * attributes are chosen.
+ *
+ * Each swatch also reads the form's data-product_variations for the current
+ * choice of the other attributes:
+ * - not made in this combination -> disabled (crossed, not clickable)
+ * - made but sold out            -> struck through, "Notify me" link
+ * - low stock / different price  -> tooltip ("Only 2 left", "$25.00")
+ *
+ * Keyboard: each group is one tab stop (roving tabindex). Arrow keys, Home
+ * and End move between options, skipping disabled ones; Space or Enter
+ * selects. Selections are announced through a polite live region.
+ *
+ * The product page URL follows the choice (?attribute_pa_color=red&...),
+ * so reloading or sharing it preselects the same options.
+ *
+ * Forms inserted after page load (quick view, other plugins) are enhanced
+ * too, through the enhance.js registry; removed forms are cleaned up. Their
+ * product's swatch settings come from a data-theme-swatches attribute
+ * around the form instead of the localized params.
  */
 (function ($) {
 	'use strict';
 
+	var params = typeof woocommerce_theme_swatches_params !== 'undefined' ? woocommerce_theme_swatches_params : {};
+
 	function escapeAttr(val) {
 		return String(val).replace(/"/g, '\\"');
 	}
 
-	function initSizeLabelGroup($select) {
-		if (!$select.length) {
+	function i18n(key, fallback) {
+		return params.i18n && params.i18n[key] ? params.i18n[key] : fallback;
+	}
+
+	/**
+	 * Swatch data of the form's product: its data-theme-swatches wrapper
+	 * (quick view), else the page's localized params.
+	 */
+	function getProductParams($form) {
+		return $form.closest('[data-theme-swatches]').data('theme-swatches') || params;
+	}
+
+	function getAttributeName($select) {
+		return $select.data('attribute_name') || $select.attr('name') || '';
+	}
+
+	/**
+	 * Swatch settings for a select: { type, keep_dropdown, label, terms }
+	 * or null to leave the dropdown alone.
+	 */
+	function getSwatchConfig($select) {
+		var name = getAttributeName($select);
+		var attributes = getProductParams($select.closest('form')).attributes || {};
+
+		if (attributes[name]) {
+			return attributes[name].type === 'select' ? null : attributes[name];
+		}
+
+		// Fallback: original name-based behavior
+		if (name.indexOf('attribute_pa_size') !== -1 || name.indexOf('attribute_size') !== -1) {
+			return { type: 'label', keep_dropdown: false, terms: {} };
+		}
+		if (name.indexOf('attribute_pa_color') !== -1 || name.indexOf('attribute_color') !== -1) {
+			return { type: 'color', keep_dropdown: false, terms: {} };
+		}
+
+		return null;
+	}
+
+	function getTermData(config, value) {
+		return (config && config.terms && config.terms[value]) || {};
+	}
+
+	function getGroupLabel($select, config, fallback) {
+		return $.trim($select.closest('tr').find('label').text()) || (config && config.label) || fallback;
+	}
+
+	/**
+	 * Hide the select (or keep it visible when the attribute is set to
+	 * "keep dropdown") and remember its swatch wrapper for syncing.
+	 */
+	function attachWrapper($select, $wrapper, config) {
+		if (!config.keep_dropdown) {
+			$select.addClass('wc-variation-select--hidden');
+		} else {
+			$wrapper.addClass('has-dropdown');
+		}
+
+		$select.after($wrapper);
+		$select.data('swatch-wrapper', $wrapper);
+	}
+
+	/**
+	 * Roving tabindex: only the selected option (or the first enabled one)
+	 * is a tab stop. An option that has focus keeps it, unless it became
+	 * disabled; then focus moves to the nearest enabled option.
+	 */
+	function updateTabStops($wrapper, itemSelector) {
+		var $items = $wrapper.find(itemSelector);
+		var $enabled = $items.not('.is-disabled');
+		var $focused = $items.filter(document.activeElement);
+		var $stop = $enabled.filter('.is-selected');
+
+		if ($focused.length) {
+			if ($focused.hasClass('is-disabled')) {
+				var index = $items.index($focused);
+				var $after = $items.slice(index).not('.is-disabled');
+				var $before = $items.slice(0, index).not('.is-disabled');
+				$stop = $after.length ? $after.first() : $before.last();
+			} else {
+				$stop = $focused;
+			}
+		}
+
+		if (!$stop.length) {
+			$stop = $enabled.first();
+		}
+
+		$items.attr('tabindex', '-1');
+		$stop.first().attr('tabindex', '0');
+
+		if ($focused.length && $stop.length && $stop[0] !== $focused[0]) {
+			$stop.first().trigger('focus');
+		}
+	}
+
+	/**
+	 * Polite live region announcing swatch selections (one per form)
+	 */
+	function announce($form, message) {
+		var $live = $form.data('swatch-live');
+
+		if (!$live) {
+			$live = $('<div/>', {
+				class: 'screen-reader-text',
+				'aria-live': 'polite',
+				'aria-atomic': 'true'
+			});
+			$form.append($live);
+			$form.data('swatch-live', $live);
+		}
+
+		// Clear first so repeating the same choice is announced again
+		$live.text('');
+		setTimeout(function () {
+			$live.text(message);
+		}, 100);
+	}
+
+	/**
+	 * Click on a swatch selects it; select changes (WooCommerce, reset,
+	 * or the kept dropdown) update the swatches.
+	 */
+	function bindGroup($select, $wrapper, itemSelector) {
+		$wrapper.data('item-selector', itemSelector);
+
+		function select($item) {
+			if ($item.hasClass('is-disabled')) {
+				return;
+			}
+
+			var value = $item.data('value');
+
+			// Update select value & trigger WooCommerce variation JS
+			$select.val(value).trigger('change');
+
+			// Visual selection state
+			$wrapper.find(itemSelector)
+				.removeClass('is-selected')
+				.attr('aria-checked', 'false');
+
+			$item.addClass('is-selected').attr('aria-checked', 'true');
+			updateTabStops($wrapper, itemSelector);
+
+			// Announced after WooCommerce updated the option states (sold out etc.)
+			setTimeout(function () {
+				announce($select.closest('form'), i18n('selected', '%1$s: %2$s selected')
+					.replace('%1$s', $wrapper.attr('aria-label'))
+					.replace('%2$s', $item.attr('aria-label') || $item.data('label')));
+			}, 0);
+		}
+
+		$wrapper.on('click', itemSelector, function (e) {
+			e.preventDefault();
+			select($(this));
+		});
+
+		$wrapper.on('keydown', itemSelector, function (e) {
+			var $items = $wrapper.find(itemSelector);
+			var $enabled = $items.not('.is-disabled');
+			var index = $enabled.index(this);
+			var $target = null;
+
+			switch (e.key) {
+				case 'ArrowRight':
+				case 'ArrowDown':
+					$target = $enabled.eq(index === -1 || index === $enabled.length - 1 ? 0 : index + 1);
+					break;
+				case 'ArrowLeft':
+				case 'ArrowUp':
+					$target = $enabled.eq(index <= 0 ? $enabled.length - 1 : index - 1);
+					break;
+				case 'Home':
+					$target = $enabled.first();
+					break;
+				case 'End':
+					$target = $enabled.last();
+					break;
+				case ' ':
+				case 'Spacebar':
+					e.preventDefault();
+					select($(this));
+					return;
+				default:
+					return;
+			}
+
+			e.preventDefault();
+
+			if ($target && $target.length) {
+				$items.attr('tabindex', '-1');
+				$target.attr('tabindex', '0').trigger('focus');
+			}
+		});
+
+		// Buttons click on Space keyup; Space is handled on keydown above
+		$wrapper.on('keyup', itemSelector, function (e) {
+			if (e.key === ' ' || e.key === 'Spacebar') {
+				e.preventDefault();
+			}
+		});
+
+		// Keep buttons in sync when WooCommerce changes / clears the select value
+		$select.on('change.themeSwatches', function () {
+			var currentVal = $select.val();
+
+			$wrapper.find(itemSelector)
+				.removeClass('is-selected')
+				.attr('aria-checked', 'false');
+
+			if (currentVal) {
+				$wrapper
+					.find(itemSelector + '[data-value="' + escapeAttr(currentVal) + '"]')
+					.addClass('is-selected')
+					.attr('aria-checked', 'true');
+			}
+
+			updateTabStops($wrapper, itemSelector);
+		});
+
+		updateTabStops($wrapper, itemSelector);
+	}
+
+	function initSizeLabelGroup($select, config) {
+		if (!$select.length || !config || config.type !== 'label') {
 			return;
 		}
 
@@ -22,25 +278,18 @@
 		}
 		$select.data('size-labels-initialized', true);
 
-		var selectName = $select.attr('name') || '';
-
-		// Only apply to size attribute selects (attribute_pa_size / variations[attribute_pa_size], etc.)
-		if (selectName.indexOf('attribute_pa_size') === -1 && selectName.indexOf('attribute_size') === -1) {
-			return;
-		}
-
 		// Create wrapper
 		var $wrapper = $('<div/>', {
 			class: 'wc-size-labels',
 			role: 'radiogroup',
-			'aria-label': $select.closest('tr').find('label').text() || 'Select size'
+			'aria-label': getGroupLabel($select, config, 'Select size')
 		});
 
 		// Build label buttons from options
 		$select.find('option').each(function () {
 			var $option = $(this);
 			var value = $option.val();
-			var text = $.trim($option.text());
+			var text = getTermData(config, value).label || $.trim($option.text());
 
 			// Skip placeholder / empty option
 			if (!value) {
@@ -51,6 +300,7 @@
 				type: 'button',
 				class: 'wc-size-labels__item',
 				'data-value': value,
+				'data-label': text,
 				role: 'radio',
 				'aria-checked': 'false'
 			}).text(text);
@@ -73,51 +323,16 @@
 			return;
 		}
 
-		// Visually hide the select but keep it in the DOM
-		$select.addClass('wc-variation-select--hidden');
-
-		// Insert wrapper after the select
-		$select.after($wrapper);
-
-		// Click handling
-		$wrapper.on('click', '.wc-size-labels__item', function (e) {
-			e.preventDefault();
-
-			var $item = $(this);
-			if ($item.hasClass('is-disabled')) {
-				return;
-			}
-
-			var value = $item.data('value');
-
-			// Update select value & trigger WooCommerce variation JS
-			$select.val(value).trigger('change');
-
-			// Visual selection state
-			$wrapper.find('.wc-size-labels__item')
-				.removeClass('is-selected')
-				.attr('aria-checked', 'false');
-
-			$item.addClass('is-selected').attr('aria-checked', 'true');
-		});
-
-		// Keep buttons in sync when WooCommerce changes / clears the select value
-		$select.on('change', function () {
-			var currentVal = $select.val();
-
-			$wrapper.find('.wc-size-labels__item')
-				.removeClass('is-selected')
-				.attr('aria-checked', 'false');
-
-			if (currentVal) {
-				$wrapper
-					.find('.wc-size-labels__item[data-value="' + escapeAttr(currentVal) + '"]')
-					.addClass('is-selected')
-					.attr('aria-checked', 'true');
-			}
-		});
+		attachWrapper($select, $wrapper, config);
+		bindGroup($select, $wrapper, '.wc-size-labels__item');
 	}
 
+	/**
+	 * Last-resort color for terms without a swatch color: accepts values
+	 * that already are CSS colors (hex, rgb(), hsl()) or basic color names.
+	 * Returns null when nothing matches, so the swatch shows its name instead
+	 * of a misleading grey.
+	 */
 	function guessCssColor(value, text) {
 		var v = (value || '').toString().trim();
 		var t = (text || '').toString().trim();
@@ -168,57 +383,88 @@
 			return map[s.replace(/-/g, '')];
 		}
 
-		return '#cccccc';
+		return null;
+	}
+
+	function cssUrl(url) {
+		return 'url("' + String(url).replace(/["\\\n]/g, encodeURIComponent) + '")';
 	}
 
-	function initColorSwatches($select) {
-		if (!$select.length) {
+	/**
+	 * Style a swatch from its term data:
+	 * - image type : term image
+	 * - color type : pattern image > two colors > one color > guessed color
+	 * Falls back to the term name when there's nothing to show.
+	 */
+	function paintSwatch($btn, $circle, term, type, value, text) {
+		if (term.image) {
+			$circle.css('background-image', cssUrl(term.image));
 			return;
 		}
 
-		// Avoid double initialization
-		if ($select.data('color-swatches-initialized')) {
+		if (type === 'color') {
+			var color = term.color || guessCssColor(value, text);
+
+			if (term.color && term.color_2) {
+				$circle.css('background-image', 'linear-gradient(135deg, ' + term.color + ' 50%, ' + term.color_2 + ' 50%)');
+				return;
+			}
+
+			if (color) {
+				$circle.css('background-color', color);
+				return;
+			}
+		}
+
+		$btn.addClass('wc-color-swatches__item--label');
+		$circle.text(text);
+	}
+
+	function initColorSwatches($select, config) {
+		if (!$select.length || !config || (config.type !== 'color' && config.type !== 'image')) {
 			return;
 		}
-		$select.data('color-swatches-initialized', true);
 
-		var selectName = $select.attr('name') || '';
-		if (selectName.indexOf('attribute_pa_color') === -1 && selectName.indexOf('attribute_color') === -1) {
+		// Avoid double initialization
+		if ($select.data('color-swatches-initialized')) {
 			return;
 		}
+		$select.data('color-swatches-initialized', true);
 
-		var labelText = $select.closest('tr').find('label').text() || 'Select color';
 		var $wrapper = $('<div/>', {
-			class: 'wc-color-swatches',
+			class: 'wc-color-swatches' + (config.type === 'image' ? ' wc-color-swatches--image' : ''),
 			role: 'radiogroup',
-			'aria-label': labelText
+			'aria-label': getGroupLabel($select, config, 'Select color')
 		});
 
 		$select.find('option').each(function () {
 			var $option = $(this);
 			var value = $option.val();
-			var text = $.trim($option.text());
 
 			if (!value) {
 				return;
 			}
 
-			var swatchColor = guessCssColor(value, text);
+			var term = getTermData(config, value);
+			var text = term.label || $.trim($option.text());
 
 			var $btn = $('<button/>', {
 				type: 'button',
 				class: 'wc-color-swatches__item',
 				'data-value': value,
+				'data-label': text,
+				'data-tooltip': text,
 				role: 'radio',
 				'aria-checked': 'false',
-				title: text,
 				'aria-label': text
 			});
 
 			var $circle = $('<span/>', {
-				class: 'wc-color-swatches__circle'
-			}).css('background-color', swatchColor);
+				class: 'wc-color-swatches__circle',
+				'aria-hidden': 'true'
+			});
 
+			paintSwatch($btn, $circle, term, config.type, value, text);
 			$btn.append($circle);
 
 			if ($option.is(':disabled')) {
@@ -235,125 +481,466 @@
 			return;
 		}
 
-		$select.addClass('wc-variation-select--hidden');
-		$select.after($wrapper);
+		attachWrapper($select, $wrapper, config);
+		bindGroup($select, $wrapper, '.wc-color-swatches__item');
+	}
 
-		$wrapper.on('click', '.wc-color-swatches__item', function (e) {
-			e.preventDefault();
-			var $item = $(this);
-			if ($item.hasClass('is-disabled')) {
+	/**
+	 * Plain-text price for tooltips (wc_price() without the markup)
+	 */
+	function formatPrice(amount) {
+		var currency = params.currency || {};
+		var decimals = parseInt(currency.decimals, 10);
+		var format = currency.format || '%1$s%2$s';
+
+		if (isNaN(decimals)) {
+			decimals = 2;
+		}
+
+		var parts = Math.abs(amount).toFixed(decimals).split('.');
+		parts[0] = parts[0].replace(/\B(?=(\d{3})+(?!\d))/g, currency.thousand_separator || ',');
+
+		var number = parts.join(currency.decimal_separator || '.');
+
+		return (amount < 0 ? '-' : '') + format.replace('%1$s', currency.symbol || '').replace('%2$s', number);
+	}
+
+	/**
+	 * Stock and price of one option, given what is chosen in the other selects.
+	 * Returns null when no variation has this combination.
+	 */
+	function getOptionStats($form, $select, value) {
+		var variations = getVariations($form);
+		var name = getAttributeName($select);
+		var chosen = {};
+		var stats = null;
+
+		$form.find('.variations select').not($select).each(function () {
+			if ($(this).val()) {
+				chosen[getAttributeName($(this))] = $(this).val();
+			}
+		});
+
+		$.each(variations, function (i, variation) {
+			var attributes = variation.attributes || {};
+
+			if (attributes[name] !== value && attributes[name] !== '') {
 				return;
 			}
 
-			var value = $item.data('value');
-			$select.val(value).trigger('change');
+			for (var other in chosen) {
+				if (chosen.hasOwnProperty(other) && attributes[other] !== chosen[other] && attributes[other] !== '') {
+					return;
+				}
+			}
 
-			$wrapper.find('.wc-color-swatches__item')
-				.removeClass('is-selected')
-				.attr('aria-checked', 'false');
+			stats = stats || { inStock: false, minPrice: null, maxPrice: null, stock: 0, stockKnown: true };
 
-			$item.addClass('is-selected').attr('aria-checked', 'true');
+			if (!variation.is_in_stock || variation.is_purchasable === false) {
+				return;
+			}
+
+			var price = parseFloat(variation.display_price);
+			var maxQty = parseInt(variation.max_qty, 10);
+
+			stats.inStock = true;
+
+			if (!isNaN(price)) {
+				stats.minPrice = stats.minPrice === null ? price : Math.min(stats.minPrice, price);
+				stats.maxPrice = stats.maxPrice === null ? price : Math.max(stats.maxPrice, price);
+			}
+
+			// max_qty is only set when stock is managed and backorders are off
+			if (isNaN(maxQty) || variation.backorders_allowed) {
+				stats.stockKnown = false;
+			} else {
+				stats.stock += maxQty;
+			}
 		});
 
-		$select.on('change', function () {
-			var currentVal = $select.val();
+		return stats;
+	}
 
-			$wrapper.find('.wc-color-swatches__item')
-				.removeClass('is-selected')
-				.attr('aria-checked', 'false');
+	/**
+	 * Show the state on a swatch: is-disabled, is-sold-out, tooltip text
+	 * and the matching accessible name.
+	 */
+	function setItemState($btn, disabled, stats, showPrice) {
+		var label = $btn.data('label');
+		var notes = [];
 
-			if (currentVal) {
-				$wrapper
-					.find('.wc-color-swatches__item[data-value="' + escapeAttr(currentVal) + '"]')
-					.addClass('is-selected')
-					.attr('aria-checked', 'true');
+		$btn.toggleClass('is-disabled', disabled);
+		$btn.toggleClass('is-sold-out', !disabled && !!stats && !stats.inStock);
+
+		if (disabled) {
+			$btn.attr('aria-disabled', 'true');
+		} else {
+			$btn.removeAttr('aria-disabled');
+		}
+
+		if (!disabled && stats) {
+			if (!stats.inStock) {
+				notes.push(i18n('sold_out', 'Sold out'));
+			} else {
+				if (showPrice && stats.minPrice !== null) {
+					notes.push(stats.minPrice === stats.maxPrice ? formatPrice(stats.minPrice) : i18n('price_from', 'From %s').replace('%s', formatPrice(stats.minPrice)));
+				}
+				if (stats.stockKnown && stats.stock > 0 && stats.stock <= (parseInt(params.low_stock_amount, 10) || 2)) {
+					notes.push(i18n('only_left', 'Only %d left').replace('%d', stats.stock));
+				}
+			}
+		}
+
+		// Color swatches have no visible name, so their tooltip shows it too.
+		// Disabled swatches use ::before/::after for their cross, so no tooltip.
+		var tooltip = $btn.hasClass('wc-color-swatches__item') ? [label].concat(notes) : notes;
+
+		if (tooltip.length && !disabled) {
+			$btn.attr('data-tooltip', tooltip.join(' · '));
+		} else {
+			$btn.removeAttr('data-tooltip');
+		}
+
+		$btn.attr('aria-label', [label].concat(notes).join(', '));
+	}
+
+	/**
+	 * "Notify me" link below the attributes, shown while a sold-out option
+	 * is chosen. Clicking it triggers 'theme_swatch_notify_me' on the form
+	 * with the chosen attributes; call preventDefault() to handle it in JS.
+	 */
+	function getNotifyLink($form) {
+		var $notify = $form.data('swatch-notify');
+
+		if ($notify) {
+			return $notify;
+		}
+
+		$notify = $('<p/>', { class: 'wc-swatch-notify', hidden: true }).append(
+			$('<a/>', { href: getProductParams($form).notify_url, class: 'wc-swatch-notify__link' }).text(i18n('notify_me', 'Sold out – notify me when it is back'))
+		);
+
+		$notify.on('click', 'a', function (e) {
+			var attributes = {};
+			var event = $.Event('theme_swatch_notify_me');
+
+			$form.find('.variations select').each(function () {
+				attributes[getAttributeName($(this))] = $(this).val();
+			});
+
+			$form.trigger(event, [attributes]);
+
+			if (event.isDefaultPrevented()) {
+				e.preventDefault();
 			}
 		});
+
+		$form.find('table.variations').first().after($notify);
+		$form.data('swatch-notify', $notify);
+
+		return $notify;
 	}
 
 	/**
-	 * Sync disabled state from <option> elements after WooCommerce
-	 * updates variation options.
+	 * Sync swatch states after WooCommerce updates variation options:
+	 * disabled from the <option>s, stock and price from the variations data.
 	 */
-	function syncDisabledStates($form) {
+	function syncOptionStates($form) {
+		var hasVariations = getVariations($form).length > 0;
+		var soldOutChosen = false;
+
 		$form.find('select').each(function () {
 			var $select = $(this);
-			var selectName = $select.attr('name') || '';
-
-			// Size buttons
-			if (selectName.indexOf('attribute_pa_size') !== -1 || selectName.indexOf('attribute_size') !== -1) {
-				var $sizeWrapper = $select.next('.wc-size-labels');
-				if ($sizeWrapper.length) {
-					$select.find('option').each(function () {
-						var $option = $(this);
-						var value = $option.val();
-						if (!value) {
-							return;
-						}
-						var $btn = $sizeWrapper.find('.wc-size-labels__item[data-value="' + escapeAttr(value) + '"]');
-						if (!$btn.length) {
-							return;
-						}
-						if ($option.is(':disabled')) {
-							$btn.addClass('is-disabled').attr('aria-disabled', 'true');
-						} else {
-							$btn.removeClass('is-disabled').removeAttr('aria-disabled');
-						}
-					});
-				}
+			var $wrapper = $select.data('swatch-wrapper');
+
+			if (!$wrapper || !$wrapper.length) {
+				return;
 			}
 
-			// Color swatches
-			if (selectName.indexOf('attribute_pa_color') !== -1 || selectName.indexOf('attribute_color') !== -1) {
-				var $colorWrapper = $select.next('.wc-color-swatches');
-				if ($colorWrapper.length) {
-					$select.find('option').each(function () {
-						var $option = $(this);
-						var value = $option.val();
-						if (!value) {
-							return;
-						}
-						var $btn = $colorWrapper.find('.wc-color-swatches__item[data-value="' + escapeAttr(value) + '"]');
-						if (!$btn.length) {
-							return;
-						}
-						if ($option.is(':disabled')) {
-							$btn.addClass('is-disabled').attr('aria-disabled', 'true');
-						} else {
-							$btn.removeClass('is-disabled').removeAttr('aria-disabled');
-						}
-					});
+			var items = [];
+			var prices = [];
+
+			$select.find('option').each(function () {
+				var $option = $(this);
+				var value = $option.val();
+				if (!value) {
+					return;
+				}
+				var $btn = $wrapper.find('[data-value="' + escapeAttr(value) + '"]');
+				if (!$btn.length) {
+					return;
+				}
+
+				var disabled = $option.is(':disabled');
+				var stats = hasVariations ? getOptionStats($form, $select, value) : null;
+
+				if (stats && stats.minPrice !== null) {
+					prices.push(stats.minPrice, stats.maxPrice);
 				}
+				if (stats && !stats.inStock && !disabled && $select.val() === value) {
+					soldOutChosen = true;
+				}
+
+				items.push({ $btn: $btn, disabled: disabled, stats: stats });
+			});
+
+			// Prices only help when options of this attribute differ in price
+			var showPrice = prices.length > 0 && Math.min.apply(null, prices) !== Math.max.apply(null, prices);
+
+			$.each(items, function (i, item) {
+				setItemState(item.$btn, item.disabled, item.stats, showPrice);
+			});
+
+			updateTabStops($wrapper, $wrapper.data('item-selector'));
+		});
+
+		if (getProductParams($form).notify_url) {
+			getNotifyLink($form).prop('hidden', !soldOutChosen);
+		}
+	}
+
+	/**
+	 * Gallery image swap for color / image swatches
+	 *
+	 * WooCommerce only swaps the main image once a complete variation is
+	 * found. For a color-only choice this shows the first variation image
+	 * matching that color; hovering a swatch previews it, and leaving
+	 * restores whatever the current selection shows.
+	 */
+	function getVariations($form) {
+		var variations = $form.data('product_variations');
+
+		// false when WooCommerce loads variations via AJAX (too many to embed)
+		return $.isArray(variations) ? variations : [];
+	}
+
+	function findVariationImage($form, attributeName, value) {
+		var variations = getVariations($form);
+
+		for (var i = 0; i < variations.length; i++) {
+			var attributes = variations[i].attributes || {};
+			var attributeValue = attributes[attributeName];
+
+			// '' means the variation applies to any value of this attribute
+			if ((attributeValue === value || attributeValue === '') && variations[i].image && variations[i].image.src) {
+				return variations[i];
+			}
+		}
+
+		return null;
+	}
+
+	function showGalleryImage($form, variation) {
+		// Provided by WooCommerce's add-to-cart-variation.js
+		if (typeof $form.wc_variations_image_update === 'function') {
+			$form.wc_variations_image_update(variation || false);
+		}
+	}
+
+	/**
+	 * Image for the current selection: the found variation, else the first
+	 * color swatch choice, else the product image.
+	 */
+	function restoreGalleryImage($form) {
+		var found = $form.data('swatch-found-variation');
+
+		if (found) {
+			showGalleryImage($form, found);
+			return;
+		}
+
+		var variation = null;
+
+		$form.find('.wc-color-swatches').each(function () {
+			var $select = $(this).prev('select');
+			var value = $select.val();
+
+			if (!variation && value) {
+				variation = findVariationImage($form, getAttributeName($select), value);
 			}
 		});
+
+		showGalleryImage($form, variation);
 	}
 
-	$(function () {
-		// Initialize on page load
-		$('form.variations_form').each(function () {
-			var $form = $(this);
+	function initGallerySwap($form) {
+		if (!$form.find('.wc-color-swatches').length) {
+			return;
+		}
 
-			$form.find('select').each(function () {
-				var $sel = $(this);
-				initSizeLabelGroup($sel);
-				initColorSwatches($sel);
-			});
+		$form.on('found_variation.themeSwatches', function (event, variation) {
+			$form.data('swatch-found-variation', variation);
+		});
 
-			// Hook into WooCommerce variation updates to refresh disabled states
-			$form.on('woocommerce_update_variation_values', function () {
-				syncDisabledStates($form);
-			});
+		$form.on('reset_data.themeSwatches', function () {
+			$form.removeData('swatch-found-variation');
+		});
+
+		// Runs after WooCommerce finished its own checks (and image reset)
+		$form.on('woocommerce_variation_has_changed.themeSwatches', function () {
+			if (!$form.find('input.variation_id').val()) {
+				$form.removeData('swatch-found-variation');
+			}
+
+			restoreGalleryImage($form);
+		});
+
+		// Hover preview (mouse only; touch taps select directly)
+		$form.on('mouseenter.themeSwatches', '.wc-color-swatches__item', function () {
+			var $item = $(this);
+			var $select = $item.closest('.wc-color-swatches').prev('select');
+			var variation = findVariationImage($form, getAttributeName($select), String($item.data('value')));
+
+			if (variation) {
+				showGalleryImage($form, variation);
+			}
+		});
+
+		$form.on('mouseleave.themeSwatches', '.wc-color-swatches', function () {
+			restoreGalleryImage($form);
+		});
+	}
+
+	/**
+	 * Deep links: keep the attribute choice in the query string
+	 * (history.replaceState, no new history entries) and preselect it on load.
+	 *
+	 * WooCommerce already preselects from ?attribute_* when it renders the
+	 * form; applying it here as well covers cached pages.
+	 */
+	function initDeepLink($form) {
+		if (!window.URL || !window.history || !history.replaceState) {
+			return;
+		}
+
+		var url = new URL(window.location.href);
+		var $changed = $();
+
+		$form.find('.variations select').each(function () {
+			var $select = $(this);
+			var name = getAttributeName($select);
+			var value = url.searchParams.get(name);
+
+			if (value && $select.val() !== value && $select.find('option').filter(function () { return this.value === value; }).length) {
+				$select.val(value);
+				$changed = $changed.add($select);
+			}
+		});
+
+		// Updates the swatches and lets WooCommerce find the variation
+		$changed.trigger('change');
 
-			// When "Clear" (reset variations) is clicked, clear selected button state
-			$form.on('click', '.reset_variations', function () {
-				// Give WooCommerce a tick to reset selects, then let our select change handler sync UI
-				setTimeout(function () {
-					$form.find('select').trigger('change');
-				}, 0);
+		// Only rewrite the URL for choices made after loading
+		setTimeout(function () {
+			$form.on('woocommerce_variation_has_changed.themeSwatches', function () {
+				var current = new URL(window.location.href);
+
+				$form.find('.variations select').each(function () {
+					var name = getAttributeName($(this));
+					var value = $(this).val();
+
+					if (value) {
+						current.searchParams.set(name, value);
+					} else {
+						current.searchParams.delete(name);
+					}
+				});
+
+				if (current.href !== window.location.href) {
+					history.replaceState(history.state, '', current.href);
+				}
 			});
+		}, 0);
+	}
+
+	/**
+	 * Whether the page's main product form has been found (deep links)
+	 */
+	var mainFormFound = false;
+
+	/**
+	 * Enhance a variation form
+	 *
+	 * @param {Element} form - form.variations_form
+	 */
+	function initForm(form) {
+		var $form = $(form);
+
+		$form.find('select').each(function () {
+			var $sel = $(this);
+			var config = getSwatchConfig($sel);
+
+			initSizeLabelGroup($sel, config);
+			initColorSwatches($sel, config);
 		});
-	});
 
-})(jQuery);
+		initGallerySwap($form);
+		syncOptionStates($form);
 
+		// The URL belongs to the page's main product only (body class postid-{id})
+		if (!mainFormFound && $form.closest('.product').is('.single-product div.product') && $('body').hasClass('postid-' + $form.data('product_id'))) {
+			mainFormFound = true;
+			initDeepLink($form);
+		}
 
+		// Hook into WooCommerce variation updates to refresh option states
+		$form.on('woocommerce_update_variation_values.themeSwatches', function () {
+			syncOptionStates($form);
+		});
+
+		// When "Clear" (reset variations) is clicked, clear selected button state
+		$form.on('click.themeSwatches', '.reset_variations', function () {
+			// Give WooCommerce a tick to reset selects, then let our select change handler sync UI
+			setTimeout(function () {
+				$form.find('select').trigger('change');
+
+				// WooCommerce hides the "Clear" link, so keep focus in the form
+				var $firstStop = $form.find('[role="radiogroup"] [tabindex="0"]').first();
+				if ($firstStop.length && (!document.activeElement || document.activeElement === document.body || $(document.activeElement).is('.reset_variations'))) {
+					$firstStop.trigger('focus');
+				}
+			}, 0);
+		});
+	}
+
+	/**
+	 * Undo initForm(): handlers, swatches, "Notify me" link, live region
+	 *
+	 * @param {Element} form - form.variations_form
+	 */
+	function destroyForm(form) {
+		var $form = $(form);
+
+		$form.off('.themeSwatches');
+
+		$form.find('select').each(function () {
+			var $select = $(this);
+			var $wrapper = $select.data('swatch-wrapper');
+
+			if ($wrapper) {
+				$wrapper.remove();
+			}
+
+			$select
+				.off('.themeSwatches')
+				.removeClass('wc-variation-select--hidden')
+				.removeData('swatch-wrapper size-labels-initialized color-swatches-initialized');
+		});
+
+		$.each(['swatch-notify', 'swatch-live'], function (i, key) {
+			if ($form.data(key)) {
+				$form.data(key).remove();
+			}
+		});
+
+		$form.removeData('swatch-notify swatch-live swatch-found-variation');
+	}
+
+	// Enhance forms on load and whenever they are added later (enhance.js)
+	ThemeEnhance.register('variation-swatches', {
+		selector: 'form.variations_form',
+		init: initForm,
+		destroy: destroyForm
+	});
+
+})(jQuery);
@@ -0,0 +1,97 @@
+/**
+ * VAT Number Rules
+ *
+ * The browser side of woocommerce_theme_get_vat_number_error()
+ * (checkout.php), shared by checkout-vat.js (classic checkout) and
+ * checkout-vat-blocks.js (Checkout block), so both checkouts apply the same
+ * rules as the server:
+ *
+ * - Only company billing is checked
+ * - Company billing with a country selected requires a VAT number
+ * - A VAT number that was entered must match the country's format, if the
+ *   country has one (formats from woocommerce_theme_get_vat_number_formats())
+ */
+
+(function(window) {
+	'use strict';
+
+	/**
+	 * Localized parameters from woocommerce_theme_get_checkout_vat_script_params()
+	 */
+	var params = typeof woocommerce_theme_checkout_vat_params !== 'undefined' ? woocommerce_theme_checkout_vat_params : {};
+
+	/**
+	 * Get a Translated UI String
+	 *
+	 * @param {string} key      - Key in params.i18n
+	 * @param {string} fallback - English fallback if the key is missing
+	 * @return {string} Translated string
+	 */
+	function i18n(key, fallback) {
+		return params.i18n && params.i18n[key] ? params.i18n[key] : fallback;
+	}
+
+	/**
+	 * VAT Number Rules
+	 */
+	var ThemeVatNumber = {
+		/**
+		 * Normalize a VAT number for matching
+		 *
+		 * Mirrors woocommerce_theme_normalize_vat_number(): uppercase, no
+		 * spaces, dots, dashes or slashes, country prefix removed.
+		 *
+		 * @param {string} value  - VAT number as entered
+		 * @param {Object} format - Country format ({ prefix, pattern, example })
+		 * @return {string} Normalized number
+		 */
+		normalize: function(value, format) {
+			var number = String(value).replace(/[\s.\-\/]+/g, '').toUpperCase();
+
+			if (format.prefix && number.indexOf(format.prefix) === 0) {
+				number = number.substring(format.prefix.length);
+			}
+
+			return number;
+		},
+
+		/**
+		 * Get the error for a VAT number
+		 *
+		 * Same rules as woocommerce_theme_get_vat_number_error().
+		 *
+		 * @param {string} value        - VAT number as entered
+		 * @param {string} country      - Billing country code
+		 * @param {string} businessType - 'company', 'individual' or ''
+		 * @return {string} Error message, or '' if valid
+		 */
+		getError: function(value, country, businessType) {
+			var format = params.formats && params.formats[country];
+
+			if (businessType !== 'company') {
+				return '';
+			}
+
+			value = String(value || '').trim();
+
+			if (value === '') {
+				return country ? i18n('required', 'Please enter your VAT number for company billing.') : '';
+			}
+
+			if (!format || !format.pattern) {
+				return '';
+			}
+
+			if (new RegExp('^(?:' + format.pattern + ')$').test(this.normalize(value, format))) {
+				return '';
+			}
+
+			return i18n('invalid', 'Please enter a valid VAT number for %1$s, e.g. %2$s.')
+				.replace('%1$s', format.country || country)
+				.replace('%2$s', format.example);
+		}
+	};
+
+	window.ThemeVatNumber = ThemeVatNumber;
+
+})(window);
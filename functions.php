@@ -41,11 +41,15 @@
  *   └── woocommerce/    → WooCommerce-specific files (loaded conditionally)
  *       ├── setup.php   → WooCommerce wrappers, payment gateway support
  *       ├── hooks.php   → Shop page hooks, badges
+ *       ├── discounts.php → Automatic discount rules
  *       ├── cart.php    → Mini cart, AJAX fragments, discounts
  *       ├── checkout.php→ Custom fields, validation
  *       ├── shipping.php→ Custom shipping method
  *       ├── admin.php   → Admin order display, settings
  *       ├── product.php → Product custom fields, badges
+ *       ├── swatches.php → Variation swatch settings and data
+ *       ├── quick-view.php → Quick view button and modal content
+ *       ├── search.php  → Header product search
  *       └── account.php → My Account customizations
  *
  * @package    WooCommerce
@@ -110,6 +114,9 @@ if ( class_exists( 'WooCommerce' ) || defined( 'WC_PLUGIN_FILE' ) ) {
 	// Category filter on shop page.
 	require_once WOOCOMMERCE_THEME_INC_DIR . '/woocommerce/filter-categories.php';
 
+	// Automatic discount rules: loading and evaluation (used by cart.php).
+	require_once WOOCOMMERCE_THEME_INC_DIR . '/woocommerce/discounts.php';
+
 	// Cart functionality: mini cart, AJAX fragments, automatic discounts.
 	require_once WOOCOMMERCE_THEME_INC_DIR . '/woocommerce/cart.php';
 
@@ -125,6 +132,15 @@ if ( class_exists( 'WooCommerce' ) || defined( 'WC_PLUGIN_FILE' ) ) {
 	// Product functions: custom fields, badges, origin display.
 	require_once WOOCOMMERCE_THEME_INC_DIR . '/woocommerce/product.php';
 
+	// Variation swatches: attribute/term swatch settings, script data.
+	require_once WOOCOMMERCE_THEME_INC_DIR . '/woocommerce/swatches.php';
+
+	// Quick view: loop card button, modal content endpoint.
+	require_once WOOCOMMERCE_THEME_INC_DIR . '/woocommerce/quick-view.php';
+
+	// Header product search: search form, AJAX suggestions.
+	require_once WOOCOMMERCE_THEME_INC_DIR . '/woocommerce/search.php';
+
 	// Account functions: order status, download functionality.
 	require_once WOOCOMMERCE_THEME_INC_DIR . '/woocommerce/account.php';
 }
@@ -167,6 +167,22 @@ if ( function_exists( 'wp_body_open' ) ) {
 				?>
 			</nav><!-- #site-navigation -->
 
+			<?php
+			/**
+			 * Header Product Search
+			 *
+			 * Product search field with instant suggestions (thumbnail, price and
+			 * origin badge) while the shopper types. The form is rendered by
+			 * woocommerce_theme_render_header_search() in inc/woocommerce/search.php;
+			 * the suggestions come from assets/js/header-search.js.
+			 *
+			 * Without JavaScript it is a regular product search form.
+			 */
+			if ( function_exists( 'woocommerce_theme_render_header_search' ) ) {
+				woocommerce_theme_render_header_search();
+			}
+			?>
+
 			<?php
 			/**
 			 * WooCommerce Mini Cart Dropdown
@@ -210,7 +226,7 @@ if ( function_exists( 'wp_body_open' ) ) {
 				$cart_count = $cart ? $cart->get_cart_contents_count() : 0;
 				?>
 				<div class="mini-cart-wrapper">
-					<button type="button" class="mini-cart__trigger" id="mini-cart-trigger" aria-label="<?php esc_attr_e( 'View shopping cart', 'woocommerce' ); ?>" aria-expanded="false">
+					<button type="button" class="mini-cart__trigger" id="mini-cart-trigger" aria-label="<?php esc_attr_e( 'View shopping cart', 'woocommerce' ); ?>" aria-controls="mini-cart-dropdown" aria-expanded="false">
 						<span class="mini-cart__icon">
 							<i class="fas fa-cart-arrow-down" aria-hidden="true"></i>
 						</span>
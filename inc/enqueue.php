@@ -129,44 +129,256 @@ function woocommerce_theme_enqueue_assets() {
 		true
 	);
 
+	// Currency format and notice strings for optimistic mini cart updates.
+	if ( function_exists( 'woocommerce_theme_get_minicart_script_params' ) ) {
+		wp_localize_script(
+			'woocommerce-minicart-ajax',
+			'woocommerce_theme_minicart_params',
+			woocommerce_theme_get_minicart_script_params()
+		);
+	}
+
+	// Shared backdrop and scroll lock for off-canvas panels (menu, cart drawer).
+	wp_enqueue_script(
+		'woocommerce-theme-overlay',
+		get_template_directory_uri() . '/assets/js/overlay.js',
+		array( 'jquery' ),
+		$theme_version,
+		true
+	);
+
+	// Mini cart open/close (click, keyboard, touch) and focus management.
+	wp_enqueue_script(
+		'woocommerce-mini-cart-toggle',
+		get_template_directory_uri() . '/assets/js/mini-cart-toggle.js',
+		array( 'jquery', 'woocommerce-theme-overlay' ),
+		$theme_version,
+		true
+	);
+
 	// Mobile menu toggle functionality.
 	wp_enqueue_script(
 		'woocommerce-mobile-menu',
 		get_template_directory_uri() . '/assets/js/mobile-menu.js',
+		array( 'jquery', 'woocommerce-theme-overlay' ),
+		$theme_version,
+		true
+	);
+
+	// Registry that enhances theme components in markup added after load (filters, quick view, fragments).
+	wp_enqueue_script(
+		'woocommerce-theme-enhance',
+		get_template_directory_uri() . '/assets/js/enhance.js',
 		array( 'jquery' ),
 		$theme_version,
 		true
 	);
 
+	// Header product search suggestions (the form is in header.php on every page).
+	if ( function_exists( 'woocommerce_theme_get_header_search_script_params' ) ) {
+		wp_enqueue_script(
+			'woocommerce-header-search',
+			get_template_directory_uri() . '/assets/js/header-search.js',
+			array( 'jquery' ),
+			$theme_version,
+			true
+		);
+
+		wp_localize_script(
+			'woocommerce-header-search',
+			'woocommerce_theme_header_search_params',
+			woocommerce_theme_get_header_search_script_params()
+		);
+	}
+
 	// Quantity input plus/minus buttons.
 	wp_enqueue_script(
 		'woocommerce-quantity-changer',
 		get_template_directory_uri() . '/assets/js/quantity-changer.js',
+		array( 'jquery', 'woocommerce-theme-enhance' ),
+		$theme_version,
+		true
+	);
+
+	if ( function_exists( 'woocommerce_theme_get_quantity_script_params' ) ) {
+		wp_localize_script(
+			'woocommerce-quantity-changer',
+			'woocommerce_theme_quantity_params',
+			woocommerce_theme_get_quantity_script_params()
+		);
+	}
+
+	// Color swatches on product cards (shop, categories, related products, blocks of products anywhere).
+	wp_enqueue_script(
+		'woocommerce-loop-swatches',
+		get_template_directory_uri() . '/assets/js/loop-swatches.js',
 		array( 'jquery' ),
 		$theme_version,
 		true
 	);
 
-	// Size labels for variable products (only on single product pages).
+	/*
+	 * Single product scripts are registered everywhere and enqueued on product
+	 * pages; the quick view (registered below) pulls them in as dependencies
+	 * wherever product cards are shown.
+	 */
+
+	// Variation swatches (labels, colors, images) for variable products.
+	wp_register_script(
+		'woocommerce-variation-size-labels',
+		get_template_directory_uri() . '/assets/js/variation-size-labels.js',
+		array( 'jquery', 'woocommerce-theme-enhance' ),
+		$theme_version,
+		true
+	);
+
+	// AJAX add to cart for the single product form.
+	wp_register_script(
+		'woocommerce-single-add-to-cart',
+		get_template_directory_uri() . '/assets/js/single-add-to-cart.js',
+		array( 'jquery', 'woocommerce-minicart-ajax' ),
+		$theme_version,
+		true
+	);
+
+	if ( function_exists( 'woocommerce_theme_get_add_to_cart_script_params' ) ) {
+		wp_localize_script(
+			'woocommerce-single-add-to-cart',
+			'woocommerce_theme_add_to_cart_params',
+			woocommerce_theme_get_add_to_cart_script_params()
+		);
+	}
+
 	if ( function_exists( 'is_product' ) && is_product() ) {
-		wp_enqueue_script(
-			'woocommerce-variation-size-labels',
-			get_template_directory_uri() . '/assets/js/variation-size-labels.js',
-			array( 'jquery' ),
+		wp_enqueue_script( 'woocommerce-variation-size-labels' );
+		wp_enqueue_script( 'woocommerce-single-add-to-cart' );
+
+		// Swatch type and per-term colors/images from attribute settings.
+		if ( function_exists( 'woocommerce_theme_localize_swatches_script' ) ) {
+			woocommerce_theme_localize_swatches_script();
+		}
+	}
+
+	// Quick view modal; enqueued by woocommerce_theme_render_quick_view_button() when product cards are shown.
+	if ( function_exists( 'woocommerce_theme_get_quick_view_script_params' ) ) {
+		wp_register_script(
+			'woocommerce-quick-view',
+			get_template_directory_uri() . '/assets/js/quick-view.js',
+			array(
+				'jquery',
+				'wc-add-to-cart-variation',
+				'woocommerce-theme-overlay',
+				'woocommerce-theme-enhance',
+				'woocommerce-quantity-changer',
+				'woocommerce-variation-size-labels',
+				'woocommerce-single-add-to-cart',
+			),
 			$theme_version,
 			true
 		);
+
+		wp_localize_script(
+			'woocommerce-quick-view',
+			'woocommerce_theme_quick_view_params',
+			woocommerce_theme_get_quick_view_script_params()
+		);
 	}
 
-	// Shop category filter auto-submit (only on shop page).
+	// Shop filters over AJAX (only on shop page).
 	if ( function_exists( 'is_shop' ) && is_shop() ) {
 		wp_enqueue_script(
 			'woocommerce-shop-category-filter',
 			get_template_directory_uri() . '/assets/js/shop-category-filter.js',
-			array( 'jquery' ),
+			array( 'jquery', 'woocommerce-theme-enhance' ),
+			$theme_version,
+			true
+		);
+
+		// Searchable category tree for the filter form.
+		wp_enqueue_script(
+			'woocommerce-shop-category-combobox',
+			get_template_directory_uri() . '/assets/js/shop-category-combobox.js',
+			array( 'jquery', 'woocommerce-theme-enhance', 'woocommerce-shop-category-filter' ),
+			$theme_version,
+			true
+		);
+
+		wp_localize_script(
+			'woocommerce-shop-category-combobox',
+			'woocommerce_theme_category_combobox_params',
+			array(
+				'i18n' => array(
+					'placeholder' => __( 'Search categories', 'woocommerce' ),
+					'no_results'  => __( 'No categories found', 'woocommerce' ),
+					/* translators: 1: category path (e.g. Shoes › Running), 2: number of products */
+					'option'      => __( '%1$s (%2$s products)', 'woocommerce' ),
+					/* translators: %d: number of selected categories */
+					'selected'    => __( '%d selected', 'woocommerce' ),
+				),
+			)
+		);
+	}
+
+	// "Load more" / infinite scroll for product archives (setting in WooCommerce > Settings > Products).
+	if ( function_exists( 'woocommerce_theme_get_shop_pagination_mode' ) && 'numbers' !== woocommerce_theme_get_shop_pagination_mode() && ( is_shop() || is_product_taxonomy() ) ) {
+		wp_enqueue_script(
+			'woocommerce-shop-load-more',
+			get_template_directory_uri() . '/assets/js/shop-load-more.js',
+			array( 'jquery', 'woocommerce-theme-enhance' ),
 			$theme_version,
 			true
 		);
+
+		wp_localize_script(
+			'woocommerce-shop-load-more',
+			'woocommerce_theme_load_more_params',
+			array(
+				'i18n' => array(
+					'load_more'    => __( 'Load more products', 'woocommerce' ),
+					'loading'      => __( 'Loading products…', 'woocommerce' ),
+					// WooCommerce's own string (and translations); the script inserts it as text.
+					/* translators: 1: first result, 2: last result, 3: total results */
+					'result_count' => html_entity_decode( _x( 'Showing %1$d&ndash;%2$d of %3$d results', 'with first and last result', 'woocommerce' ), ENT_QUOTES, 'UTF-8' ),
+				),
+			)
+		);
+	}
+
+	// VAT number field: visibility and per-country format checks (classic checkout or Checkout block).
+	if ( function_exists( 'is_checkout' ) && is_checkout() && ! is_order_received_page() && function_exists( 'woocommerce_theme_get_checkout_vat_script_params' ) ) {
+		// VAT number rules shared by both checkouts (formats and messages localized here).
+		wp_register_script(
+			'woocommerce-theme-vat-number',
+			get_template_directory_uri() . '/assets/js/vat-number.js',
+			array(),
+			$theme_version,
+			true
+		);
+
+		wp_localize_script(
+			'woocommerce-theme-vat-number',
+			'woocommerce_theme_checkout_vat_params',
+			woocommerce_theme_get_checkout_vat_script_params()
+		);
+
+		if ( woocommerce_theme_is_block_checkout() ) {
+			// Skipped by WordPress if the block's data stores aren't registered.
+			wp_enqueue_script(
+				'woocommerce-checkout-vat',
+				get_template_directory_uri() . '/assets/js/checkout-vat-blocks.js',
+				array( 'wp-data', 'wc-blocks-data-store', 'woocommerce-theme-vat-number' ),
+				$theme_version,
+				true
+			);
+		} else {
+			wp_enqueue_script(
+				'woocommerce-checkout-vat',
+				get_template_directory_uri() . '/assets/js/checkout-vat.js',
+				array( 'jquery', 'woocommerce-theme-vat-number' ),
+				$theme_version,
+				true
+			);
+		}
 	}
 
 	// Back to top button functionality.
@@ -43,7 +43,11 @@
  * - woocommerce_admin_order_data_after_billing_address : Add fields to order admin
  * - woocommerce_email_order_meta_fields               : Add fields to order emails
  * - woocommerce_get_settings_products                 : Extend Products settings tab
- * - woocommerce_admin_settings_sanitize_option        : Sanitize custom settings
+ * - woocommerce_admin_field_theme_discount_rules      : Discount rules editor
+ * - woocommerce_admin_settings_sanitize_option_wc_auto_discount_rules : Sanitize rules
+ * - woocommerce_admin_settings_sanitize_option_wc_shop_pagination_mode : Sanitize mode
+ * - woocommerce_admin_settings_sanitize_option_wc_mini_cart_layout : Sanitize layout
+ * - admin_enqueue_scripts                             : Discount rules editor assets
  *
  * @package    WooCommerce
  * @subpackage Theme/WooCommerce/Admin
@@ -153,8 +157,11 @@ add_filter( 'woocommerce_email_order_meta_fields', 'woocommerce_theme_email_orde
 /**
  * Add Automatic Discount Settings to WooCommerce Products Tab
  *
- * Extends WooCommerce > Settings > Products with settings for the
- * automatic bulk discount feature (threshold and percentage).
+ * Extends WooCommerce > Settings > Products with the automatic discount
+ * rules editor (see woocommerce_theme_render_discount_rules_field()).
+ *
+ * Rules replaced the former single threshold/percentage settings; stores
+ * that haven't saved rules yet keep those values as their first rule.
  *
  * @since 1.0.0
  * @param array $settings Existing settings for the Products tab.
@@ -169,82 +176,406 @@ function woocommerce_theme_add_discount_settings_fields( $settings ) {
 	$settings[] = array(
 		'title' => __( 'Automatic Discount Settings', 'woocommerce' ),
 		'type'  => 'title',
-		'desc'  => __( 'Configure automatic discount that applies when cart subtotal exceeds a specified threshold.', 'woocommerce' ),
+		'desc'  => __( 'Discounts applied automatically when a cart matches a rule. If several rules match, the one giving the largest discount applies; on a tie, the rule listed first wins.', 'woocommerce' ),
 		'id'    => 'automatic_discount_options',
 	);
 
-	// Discount threshold setting.
+	// Discount rules (custom field type, rendered by the theme).
+	$settings[] = array(
+		'title' => __( 'Discount Rules', 'woocommerce' ),
+		'id'    => 'wc_auto_discount_rules',
+		'type'  => 'theme_discount_rules',
+	);
+
+	// Section end.
+	$settings[] = array(
+		'type' => 'sectionend',
+		'id'   => 'automatic_discount_options',
+	);
+
+	return $settings;
+}
+add_filter( 'woocommerce_get_settings_products', 'woocommerce_theme_add_discount_settings_fields', 10, 1 );
+
+/**
+ * Add Mini Cart Layout Setting to WooCommerce Products Tab
+ *
+ * Lets store owners choose between the header dropdown and a full-height
+ * slide-out drawer for the mini cart (see woocommerce_theme_get_mini_cart_layout()).
+ *
+ * @since 1.1.0
+ * @param array $settings Existing settings for the Products tab.
+ * @return array Modified settings array.
+ */
+function woocommerce_theme_add_mini_cart_settings_fields( $settings ) {
+	if ( ! class_exists( 'WooCommerce' ) ) {
+		return $settings;
+	}
+
+	// Section title.
+	$settings[] = array(
+		'title' => __( 'Mini Cart Settings', 'woocommerce' ),
+		'type'  => 'title',
+		'desc'  => __( 'Configure how the header mini cart is displayed.', 'woocommerce' ),
+		'id'    => 'mini_cart_options',
+	);
+
+	// Layout setting.
 	$settings[] = array(
-		'title'             => __( 'Discount Threshold (LKR)', 'woocommerce' ),
-		'desc'              => __( 'Minimum cart subtotal required to apply automatic discount.', 'woocommerce' ),
-		'id'                => 'wc_auto_discount_threshold',
-		'type'              => 'number',
-		'default'           => '20000',
-		'desc_tip'          => true,
-		'placeholder'       => '20000',
-		'custom_attributes' => array(
-			'step' => '1',
-			'min'  => '0',
+		'title'    => __( 'Mini Cart Layout', 'woocommerce' ),
+		'desc'     => __( 'Dropdown opens below the cart icon. Drawer slides in from the side and opens automatically after a product is added.', 'woocommerce' ),
+		'id'       => 'wc_mini_cart_layout',
+		'type'     => 'select',
+		'default'  => 'dropdown',
+		'desc_tip' => true,
+		'options'  => array(
+			'dropdown' => __( 'Dropdown', 'woocommerce' ),
+			'drawer'   => __( 'Slide-out drawer', 'woocommerce' ),
 		),
 	);
 
-	// Discount percentage setting.
+	// Section end.
 	$settings[] = array(
-		'title'             => __( 'Discount Percentage (%)', 'woocommerce' ),
-		'desc'              => __( 'Percentage discount to apply when threshold is met.', 'woocommerce' ),
-		'id'                => 'wc_auto_discount_percentage',
-		'type'              => 'number',
-		'default'           => '20',
-		'desc_tip'          => true,
-		'placeholder'       => '20',
-		'custom_attributes' => array(
-			'step' => '0.1',
-			'min'  => '0',
-			'max'  => '100',
+		'type' => 'sectionend',
+		'id'   => 'mini_cart_options',
+	);
+
+	return $settings;
+}
+add_filter( 'woocommerce_get_settings_products', 'woocommerce_theme_add_mini_cart_settings_fields', 10, 1 );
+
+/**
+ * Add Shop Pagination Setting to WooCommerce Products Tab
+ *
+ * Lets store owners replace the numbered shop pagination with a "Load more"
+ * button or infinite scroll (see woocommerce_theme_get_shop_pagination_mode()).
+ *
+ * @since 1.1.0
+ * @param array $settings Existing settings for the Products tab.
+ * @return array Modified settings array.
+ */
+function woocommerce_theme_add_shop_pagination_settings_fields( $settings ) {
+	if ( ! class_exists( 'WooCommerce' ) ) {
+		return $settings;
+	}
+
+	// Section title.
+	$settings[] = array(
+		'title' => __( 'Shop Page Settings', 'woocommerce' ),
+		'type'  => 'title',
+		'desc'  => __( 'Configure how shoppers move through the product pages.', 'woocommerce' ),
+		'id'    => 'shop_pagination_options',
+	);
+
+	// Pagination mode setting.
+	$settings[] = array(
+		'title'    => __( 'Shop Pagination', 'woocommerce' ),
+		'desc'     => __( '"Load more" adds the next page of products below the current ones. Infinite scroll does the same automatically when the shopper reaches the end of the list. Both keep the numbered links for visitors without JavaScript.', 'woocommerce' ),
+		'id'       => 'wc_shop_pagination_mode',
+		'type'     => 'select',
+		'default'  => 'numbers',
+		'desc_tip' => true,
+		'options'  => array(
+			'numbers'   => __( 'Numbered pages', 'woocommerce' ),
+			'load_more' => __( '"Load more" button', 'woocommerce' ),
+			'infinite'  => __( 'Infinite scroll', 'woocommerce' ),
 		),
 	);
 
 	// Section end.
 	$settings[] = array(
 		'type' => 'sectionend',
-		'id'   => 'automatic_discount_options',
+		'id'   => 'shop_pagination_options',
 	);
 
 	return $settings;
 }
-add_filter( 'woocommerce_get_settings_products', 'woocommerce_theme_add_discount_settings_fields', 10, 1 );
+add_filter( 'woocommerce_get_settings_products', 'woocommerce_theme_add_shop_pagination_settings_fields', 10, 1 );
 
 /**
- * Sanitize Automatic Discount Settings
+ * Render Discount Rules Field
  *
- * Validates and sanitizes the discount threshold and percentage values
- * before they are saved to the database.
+ * Outputs the rule editor for the custom 'theme_discount_rules' settings
+ * field type. Each rule is a card of inputs named
+ * wc_auto_discount_rules[index][field]; admin-discount-rules.js adds,
+ * removes, reorders and validates the cards before the form is saved.
  *
- * @since 1.0.0
- * @param mixed  $value     The value being saved.
- * @param string $option    The option name.
- * @param mixed  $raw_value The raw value before sanitization.
- * @return mixed Sanitized value.
+ * @since 1.1.0
+ * @param array $value Settings field definition.
+ * @return void
+ */
+function woocommerce_theme_render_discount_rules_field( $value ) {
+	$rules = woocommerce_theme_get_discount_rules();
+	?>
+	<tr valign="top">
+		<th scope="row" class="titledesc">
+			<?php echo esc_html( $value['title'] ); ?>
+		</th>
+		<td class="forminp forminp-theme-discount-rules">
+			<div class="theme-discount-rules" id="theme-discount-rules">
+				<p class="theme-discount-rules__empty"<?php echo $rules ? ' hidden' : ''; ?>>
+					<?php esc_html_e( 'No discount rules yet.', 'woocommerce' ); ?>
+				</p>
+
+				<ol class="theme-discount-rules__list">
+					<?php
+					foreach ( $rules as $index => $rule ) {
+						woocommerce_theme_render_discount_rule_row( $index, $rule );
+					}
+					?>
+				</ol>
+
+				<template id="theme-discount-rule-template">
+					<?php woocommerce_theme_render_discount_rule_row( '__INDEX__', array() ); ?>
+				</template>
+
+				<p>
+					<button type="button" class="button theme-discount-rules__add">
+						<?php esc_html_e( 'Add rule', 'woocommerce' ); ?>
+					</button>
+				</p>
+			</div>
+		</td>
+	</tr>
+	<?php
+}
+add_action( 'woocommerce_admin_field_theme_discount_rules', 'woocommerce_theme_render_discount_rules_field', 10, 1 );
+
+/**
+ * Render a Single Discount Rule Card
+ *
+ * Used for saved rules and, with index '__INDEX__' and no data, for the
+ * template the repeater clones when a rule is added.
+ *
+ * @since 1.1.0
+ * @param int|string $index Position of the rule in the list.
+ * @param array      $rule  Normalized rule (empty for the template).
+ * @return void
  */
-function woocommerce_theme_sanitize_discount_settings( $value, $option, $raw_value ) {
-	// Sanitize threshold (must be positive integer).
-	if ( 'wc_auto_discount_threshold' === $option ) {
-		$value = absint( floatval( $raw_value ) );
-		if ( $value < 0 ) {
-			$value = 20000; // Default fallback.
+function woocommerce_theme_render_discount_rule_row( $index, $rule ) {
+	$rule = wp_parse_args(
+		$rule,
+		array(
+			'id'           => '',
+			'enabled'      => true,
+			'label'        => '',
+			'type'         => 'percent',
+			'amount'       => '',
+			'min_subtotal' => '',
+			'categories'   => array(),
+			'roles'        => array(),
+			'date_from'    => '',
+			'date_to'      => '',
+			'coupons'      => 'stack',
+		)
+	);
+
+	$name       = 'wc_auto_discount_rules[' . $index . ']';
+	$categories = get_terms(
+		array(
+			'taxonomy'   => 'product_cat',
+			'hide_empty' => false,
+		)
+	);
+	$roles      = array( 'guest' => __( 'Guest (not logged in)', 'woocommerce' ) ) + wp_roles()->get_names();
+	?>
+	<li class="theme-discount-rule">
+		<div class="theme-discount-rule__header">
+			<span class="theme-discount-rule__handle dashicons dashicons-menu" aria-hidden="true"></span>
+			<label class="theme-discount-rule__enabled">
+				<input type="checkbox" name="<?php echo esc_attr( $name ); ?>[enabled]" value="1" <?php checked( $rule['enabled'] ); ?> />
+				<?php esc_html_e( 'Enabled', 'woocommerce' ); ?>
+			</label>
+			<span class="theme-discount-rule__actions">
+				<button type="button" class="button-link theme-discount-rule__move" data-direction="up"><?php esc_html_e( 'Move up', 'woocommerce' ); ?></button>
+				<button type="button" class="button-link theme-discount-rule__move" data-direction="down"><?php esc_html_e( 'Move down', 'woocommerce' ); ?></button>
+				<button type="button" class="button-link button-link-delete theme-discount-rule__remove"><?php esc_html_e( 'Remove', 'woocommerce' ); ?></button>
+			</span>
+			<input type="hidden" name="<?php echo esc_attr( $name ); ?>[id]" value="<?php echo esc_attr( $rule['id'] ); ?>" />
+		</div>
+
+		<div class="theme-discount-rule__fields">
+			<label>
+				<span><?php esc_html_e( 'Name shown in cart', 'woocommerce' ); ?></span>
+				<input type="text" name="<?php echo esc_attr( $name ); ?>[label]" value="<?php echo esc_attr( $rule['label'] ); ?>" placeholder="<?php esc_attr_e( 'Bulk Order Discount', 'woocommerce' ); ?>" data-field="label" />
+			</label>
+
+			<label>
+				<span><?php esc_html_e( 'Discount type', 'woocommerce' ); ?></span>
+				<select name="<?php echo esc_attr( $name ); ?>[type]" data-field="type">
+					<option value="percent" <?php selected( $rule['type'], 'percent' ); ?>><?php esc_html_e( 'Percentage of qualifying subtotal', 'woocommerce' ); ?></option>
+					<option value="fixed" <?php selected( $rule['type'], 'fixed' ); ?>><?php esc_html_e( 'Fixed amount', 'woocommerce' ); ?></option>
+				</select>
+			</label>
+
+			<label>
+				<span><?php esc_html_e( 'Amount', 'woocommerce' ); ?></span>
+				<input type="number" name="<?php echo esc_attr( $name ); ?>[amount]" value="<?php echo esc_attr( $rule['amount'] ); ?>" step="any" min="0" data-field="amount" />
+			</label>
+
+			<label>
+				<span><?php esc_html_e( 'Subtotal over', 'woocommerce' ); ?></span>
+				<input type="number" name="<?php echo esc_attr( $name ); ?>[min_subtotal]" value="<?php echo esc_attr( $rule['min_subtotal'] ); ?>" step="any" min="0" placeholder="0" data-field="min_subtotal" />
+			</label>
+
+			<label>
+				<span><?php esc_html_e( 'Product categories', 'woocommerce' ); ?></span>
+				<select name="<?php echo esc_attr( $name ); ?>[categories][]" multiple class="wc-enhanced-select" data-placeholder="<?php esc_attr_e( 'All products', 'woocommerce' ); ?>">
+					<?php if ( ! is_wp_error( $categories ) ) : ?>
+						<?php foreach ( $categories as $category ) : ?>
+							<option value="<?php echo esc_attr( $category->term_id ); ?>" <?php selected( in_array( (int) $category->term_id, $rule['categories'], true ) ); ?>><?php echo esc_html( $category->name ); ?></option>
+						<?php endforeach; ?>
+					<?php endif; ?>
+				</select>
+			</label>
+
+			<label>
+				<span><?php esc_html_e( 'Customer roles', 'woocommerce' ); ?></span>
+				<select name="<?php echo esc_attr( $name ); ?>[roles][]" multiple class="wc-enhanced-select" data-placeholder="<?php esc_attr_e( 'All customers', 'woocommerce' ); ?>">
+					<?php foreach ( $roles as $role => $role_name ) : ?>
+						<option value="<?php echo esc_attr( $role ); ?>" <?php selected( in_array( $role, $rule['roles'], true ) ); ?>><?php echo esc_html( translate_user_role( $role_name ) ); ?></option>
+					<?php endforeach; ?>
+				</select>
+			</label>
+
+			<label>
+				<span><?php esc_html_e( 'Starts on', 'woocommerce' ); ?></span>
+				<input type="date" name="<?php echo esc_attr( $name ); ?>[date_from]" value="<?php echo esc_attr( $rule['date_from'] ); ?>" data-field="date_from" />
+			</label>
+
+			<label>
+				<span><?php esc_html_e( 'Ends on', 'woocommerce' ); ?></span>
+				<input type="date" name="<?php echo esc_attr( $name ); ?>[date_to]" value="<?php echo esc_attr( $rule['date_to'] ); ?>" data-field="date_to" />
+			</label>
+
+			<label>
+				<span><?php esc_html_e( 'With coupons', 'woocommerce' ); ?></span>
+				<select name="<?php echo esc_attr( $name ); ?>[coupons]">
+					<option value="stack" <?php selected( $rule['coupons'], 'stack' ); ?>><?php esc_html_e( 'Stack with coupon discounts', 'woocommerce' ); ?></option>
+					<option value="best" <?php selected( $rule['coupons'], 'best' ); ?>><?php esc_html_e( 'Best offer only (rule or coupons)', 'woocommerce' ); ?></option>
+				</select>
+			</label>
+		</div>
+
+		<p class="theme-discount-rule__errors" role="alert"></p>
+	</li>
+	<?php
+}
+
+/**
+ * Sanitize Discount Rules
+ *
+ * Normalizes every submitted rule and drops the ones that can't be applied
+ * (no amount, percentage over 100, end date before start date), with an
+ * admin notice for each. admin-discount-rules.js catches the same problems
+ * before submitting, so this is the server-side safety net.
+ *
+ * @since 1.1.0
+ * @param mixed $value     The value being saved (wc_clean()ed).
+ * @param array $option    The settings field definition.
+ * @param mixed $raw_value The raw value before sanitization.
+ * @return array List of normalized rules.
+ */
+function woocommerce_theme_sanitize_discount_rules( $value, $option, $raw_value ) {
+	$rules = array();
+
+	foreach ( array_values( (array) $value ) as $position => $rule ) {
+		$normalized = woocommerce_theme_normalize_discount_rule( $rule );
+
+		if ( ! $normalized ) {
+			/* translators: %d: Rule position in the list. */
+			WC_Admin_Settings::add_error( sprintf( __( 'Discount rule %d was not saved: check its amount and dates.', 'woocommerce' ), $position + 1 ) );
+			continue;
 		}
+
+		$rules[] = $normalized;
 	}
 
-	// Sanitize percentage (must be between 0 and 100).
-	if ( 'wc_auto_discount_percentage' === $option ) {
-		$value = floatval( $raw_value );
-		if ( $value < 0 ) {
-			$value = 20; // Default fallback.
-		} elseif ( $value > 100 ) {
-			$value = 100; // Maximum cap.
-		}
+	return $rules;
+}
+add_filter( 'woocommerce_admin_settings_sanitize_option_wc_auto_discount_rules', 'woocommerce_theme_sanitize_discount_rules', 10, 3 );
+
+/**
+ * Enqueue Discount Rules Editor Assets
+ *
+ * Loads the repeater script and styles on WooCommerce > Settings > Products
+ * (General section) only.
+ *
+ * @since 1.1.0
+ * @param string $hook_suffix Current admin page.
+ * @return void
+ */
+function woocommerce_theme_enqueue_discount_rules_assets( $hook_suffix ) {
+	// phpcs:disable WordPress.Security.NonceVerification.Recommended -- Only reads the current tab.
+	$tab     = isset( $_GET['tab'] ) ? sanitize_key( wp_unslash( $_GET['tab'] ) ) : '';
+	$section = isset( $_GET['section'] ) ? sanitize_key( wp_unslash( $_GET['section'] ) ) : '';
+	// phpcs:enable WordPress.Security.NonceVerification.Recommended
+
+	if ( 'woocommerce_page_wc-settings' !== $hook_suffix || 'products' !== $tab || '' !== $section ) {
+		return;
 	}
 
-	return $value;
+	$theme_version = wp_get_theme()->get( 'Version' );
+
+	wp_enqueue_style(
+		'woocommerce-theme-admin-discount-rules',
+		get_template_directory_uri() . '/assets/css/admin-discount-rules.css',
+		array(),
+		$theme_version
+	);
+
+	wp_enqueue_script(
+		'woocommerce-theme-admin-discount-rules',
+		get_template_directory_uri() . '/assets/js/admin-discount-rules.js',
+		array( 'jquery', 'jquery-ui-sortable' ),
+		$theme_version,
+		true
+	);
+
+	wp_localize_script(
+		'woocommerce-theme-admin-discount-rules',
+		'woocommerce_theme_discount_rules_params',
+		array(
+			'i18n' => array(
+				'confirm_remove'   => __( 'Remove this discount rule?', 'woocommerce' ),
+				'amount_required'  => __( 'Enter a discount amount greater than 0.', 'woocommerce' ),
+				'percent_too_high' => __( 'A percentage discount cannot be more than 100%.', 'woocommerce' ),
+				'subtotal_invalid' => __( 'The subtotal cannot be negative.', 'woocommerce' ),
+				'dates_invalid'    => __( 'The end date must be on or after the start date.', 'woocommerce' ),
+			),
+		)
+	);
+}
+add_action( 'admin_enqueue_scripts', 'woocommerce_theme_enqueue_discount_rules_assets' );
+
+/**
+ * Sanitize Mini Cart Layout Setting
+ *
+ * Restricts the mini cart layout to the supported values.
+ *
+ * @since 1.1.0
+ * @param mixed $value     The value being saved.
+ * @param array $option    The option definition.
+ * @param mixed $raw_value The raw value before sanitization.
+ * @return string Sanitized value.
+ */
+function woocommerce_theme_sanitize_mini_cart_layout( $value, $option, $raw_value ) {
+	return woocommerce_theme_validate_value( (string) $raw_value, array( 'dropdown', 'drawer' ), 'dropdown' );
+}
+add_filter( 'woocommerce_admin_settings_sanitize_option_wc_mini_cart_layout', 'woocommerce_theme_sanitize_mini_cart_layout', 10, 3 );
+
+/**
+ * Sanitize Shop Pagination Setting
+ *
+ * Restricts the shop pagination mode to the supported values.
+ *
+ * @since 1.1.0
+ * @param mixed $value     The value being saved.
+ * @param array $option    The option definition.
+ * @param mixed $raw_value The raw value before sanitization.
+ * @return string Sanitized value.
+ */
+function woocommerce_theme_sanitize_shop_pagination_mode( $value, $option, $raw_value ) {
+	return woocommerce_theme_validate_value( (string) $raw_value, array( 'numbers', 'load_more', 'infinite' ), 'numbers' );
 }
-add_filter( 'woocommerce_admin_settings_sanitize_option', 'woocommerce_theme_sanitize_discount_settings', 10, 3 );
+add_filter( 'woocommerce_admin_settings_sanitize_option_wc_shop_pagination_mode', 'woocommerce_theme_sanitize_shop_pagination_mode', 10, 3 );
@@ -41,7 +41,11 @@
  * ============================================================================
  * - woocommerce_cart_calculate_fees    : Add fees/discounts to cart
  * - woocommerce_add_to_cart_fragments  : Update cart HTML via AJAX
+ * - woocommerce_before_cart_totals     : Discount progress meter on the cart page
  * - woocommerce_update_order_review_fragments : Update during checkout
+ * - wc_ajax_theme_update_cart_item     : Mini cart quantity updates (AJAX)
+ * - wc_ajax_theme_add_to_cart          : Single product form add to cart (AJAX)
+ * - body_class                         : Mini cart layout class
  *
  * @package    WooCommerce
  * @subpackage Theme/WooCommerce/Cart
@@ -54,14 +58,17 @@ if ( ! defined( 'ABSPATH' ) ) {
 }
 
 /**
- * Apply Automatic Discount for Orders Over Threshold
+ * Apply Automatic Discount Rules
  *
- * Automatically applies a percentage discount when the cart subtotal exceeds
- * a configurable threshold. Settings are managed in WooCommerce > Settings > Products.
+ * Adds the discount from the best matching rule configured in
+ * WooCommerce > Settings > Products (see discounts.php for the rule engine).
+ * The fee name states which rule applied, e.g. "Bulk Order Discount (15%)".
  *
- * Options used:
- * - wc_auto_discount_threshold  : Minimum subtotal to trigger discount
- * - wc_auto_discount_percentage : Percentage discount to apply
+ * Coupon handling per rule:
+ * - stack : The rule's discount is added on top of any coupon discounts
+ * - best  : The customer gets whichever is larger. Coupons are already
+ *           applied when fees are calculated, so only the difference is
+ *           added (nothing if the coupons are worth more)
  *
  * @since 1.0.0
  * @param WC_Cart $cart Cart object containing cart data.
@@ -76,21 +83,30 @@ function woocommerce_theme_apply_automatic_discount( $cart ) {
 		return;
 	}
 
-	// Get cart subtotal and discount settings.
-	$cart_subtotal = $cart->get_subtotal();
-	$discount_threshold = get_option( 'wc_auto_discount_threshold' );
-	$discount_percentage_raw = get_option( 'wc_auto_discount_percentage' );
-	$discount_percentage = floatval( $discount_percentage_raw ) / 100;
+	$applied = woocommerce_theme_get_applied_discount_rule( $cart );
 
-	// Only apply if cart meets threshold.
-	if ( $cart_subtotal <= $discount_threshold ) {
+	if ( ! $applied ) {
 		return;
 	}
 
-	// Calculate discount amount.
-	$discount_amount = $cart_subtotal * $discount_percentage;
-	$discount_percentage_display = get_option( 'wc_auto_discount_percentage' );
-	$discount_fee_name = sprintf( __( 'Bulk Order Discount (%g%%)', 'woocommerce' ), $discount_percentage_display );
+	$rule            = $applied['rule'];
+	$discount_amount = $applied['amount'];
+	$rule_value      = woocommerce_theme_format_discount_rule_value( $rule );
+
+	/* translators: 1: Discount rule name, 2: Discount value (e.g., 20% or LKR 500.00). */
+	$discount_fee_name = sprintf( __( '%1$s (%2$s)', 'woocommerce' ), $rule['label'], $rule_value );
+
+	// Best-only rules: top the coupon savings up to the rule's discount.
+	if ( 'best' === $rule['coupons'] && $cart->get_applied_coupons() ) {
+		$discount_amount -= (float) $cart->get_discount_total();
+
+		if ( $discount_amount <= 0 ) {
+			return;
+		}
+
+		/* translators: 1: Discount rule name, 2: Discount value (e.g., 20% or LKR 500.00). */
+		$discount_fee_name = sprintf( __( '%1$s (%2$s, best offer)', 'woocommerce' ), $rule['label'], $rule_value );
+	}
 
 	// Prevent duplicate discount application.
 	$existing_fees = $cart->get_fees();
@@ -115,6 +131,250 @@ function woocommerce_theme_apply_automatic_discount( $cart ) {
 }
 add_action( 'woocommerce_cart_calculate_fees', 'woocommerce_theme_apply_automatic_discount', 10, 1 );
 
+/**
+ * Get Automatic Discount Progress
+ *
+ * Describes how close the cart is to the next discount rule worth reaching:
+ * the nearest active rule with a minimum subtotal that would give more than
+ * the discount currently applied. Once no better rule is left, reports the
+ * applied rule as unlocked.
+ *
+ * @since 1.1.0
+ * @param WC_Cart $cart Cart object.
+ * @return array|null {
+ *     @type float  $threshold Qualifying subtotal the cart must exceed.
+ *     @type float  $remaining Amount still needed (0 once unlocked).
+ *     @type int    $progress  Progress towards the threshold, 0-100.
+ *     @type bool   $unlocked  Whether no better rule is left to reach.
+ *     @type string $value     Discount of the target rule, e.g. '20%'.
+ *     @type string $rule      ID of the currently applied rule ('' if none).
+ *     @type float  $discount  Discount currently applied by the rules (0 if none).
+ * } Null when no rule applies or can be reached.
+ */
+function woocommerce_theme_get_discount_progress( $cart ) {
+	if ( ! is_a( $cart, 'WC_Cart' ) ) {
+		return null;
+	}
+
+	$applied        = woocommerce_theme_get_applied_discount_rule( $cart );
+	$applied_amount = $applied ? $applied['amount'] : 0.0;
+	$applied_id     = $applied ? $applied['rule']['id'] : '';
+	$next           = null;
+
+	foreach ( woocommerce_theme_get_discount_rules() as $rule ) {
+		if ( $rule['min_subtotal'] <= 0 || ! woocommerce_theme_discount_rule_is_active( $rule ) ) {
+			continue;
+		}
+
+		$subtotal = woocommerce_theme_get_discount_rule_subtotal( $rule, $cart );
+
+		// Already reached, or not better than what the customer already gets.
+		if ( $subtotal > $rule['min_subtotal'] || woocommerce_theme_calculate_discount_rule_amount( $rule, $rule['min_subtotal'] ) <= $applied_amount ) {
+			continue;
+		}
+
+		// The subtotal must exceed the minimum, so at exactly the minimum one
+		// more minor unit (e.g., 0.01) is still needed.
+		$remaining = max( $rule['min_subtotal'] - $subtotal, pow( 10, -wc_get_price_decimals() ) );
+
+		if ( ! $next || $remaining < $next['remaining'] ) {
+			$next = array(
+				'rule'      => $rule,
+				'subtotal'  => $subtotal,
+				'remaining' => $remaining,
+			);
+		}
+	}
+
+	if ( $next ) {
+		return array(
+			'threshold' => $next['rule']['min_subtotal'],
+			'remaining' => $next['remaining'],
+			'progress'  => (int) floor( min( $next['subtotal'] / $next['rule']['min_subtotal'], 1 ) * 100 ),
+			'unlocked'  => false,
+			'value'     => woocommerce_theme_format_discount_rule_value( $next['rule'] ),
+			'rule'      => $applied_id,
+			'discount'  => $applied_amount,
+		);
+	}
+
+	if ( $applied ) {
+		return array(
+			'threshold' => $applied['rule']['min_subtotal'],
+			'remaining' => 0.0,
+			'progress'  => 100,
+			'unlocked'  => true,
+			'value'     => woocommerce_theme_format_discount_rule_value( $applied['rule'] ),
+			'rule'      => $applied_id,
+			'discount'  => $applied_amount,
+		);
+	}
+
+	return null;
+}
+
+/**
+ * Render Discount Progress Meter
+ *
+ * Shows "Add LKR 3,200 more to unlock 20% off" with a progress bar. Rendered
+ * in the mini cart footer and above the cart page totals with identical
+ * markup, so the single 'div.discount-progress' fragment updates both.
+ *
+ * When the discount isn't configured or the cart is empty, an empty, hidden
+ * placeholder is rendered so the fragment always has a target.
+ *
+ * The data-* attributes let minicart.js animate the bar from its previous
+ * value and celebrate when a better rule starts to apply.
+ *
+ * @since 1.1.0
+ * @param bool $echo Whether to echo or return the HTML.
+ * @return string|void HTML output if $echo is false.
+ */
+function woocommerce_theme_render_discount_progress( $echo = true ) {
+	$cart     = function_exists( 'WC' ) ? WC()->cart : null;
+	$progress = ( $cart && ! $cart->is_empty() ) ? woocommerce_theme_get_discount_progress( $cart ) : null;
+
+	ob_start();
+
+	if ( ! $progress ) :
+		?>
+		<div class="discount-progress" hidden></div>
+		<?php
+	else :
+		if ( $progress['unlocked'] ) {
+			/* translators: %s: Discount value (e.g., 20% or LKR 500.00). */
+			$message = sprintf( esc_html__( 'You\'ve unlocked %s off your order!', 'woocommerce' ), esc_html( $progress['value'] ) );
+		} else {
+			/* translators: 1: Amount still needed (price), 2: Discount value (e.g., 20% or LKR 500.00). */
+			$message = sprintf( esc_html__( 'Add %1$s more to unlock %2$s off', 'woocommerce' ), wc_price( $progress['remaining'] ), esc_html( $progress['value'] ) );
+		}
+		?>
+		<div class="discount-progress<?php echo $progress['unlocked'] ? ' is-unlocked' : ''; ?>" data-progress="<?php echo esc_attr( $progress['progress'] ); ?>" data-unlocked="<?php echo $progress['unlocked'] ? '1' : '0'; ?>" data-rule="<?php echo esc_attr( $progress['rule'] ); ?>" data-discount="<?php echo esc_attr( wc_format_decimal( $progress['discount'] ) ); ?>">
+			<p class="discount-progress__message" aria-live="polite">
+				<?php echo $message; // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- Escaped above; wc_price() is safe. ?>
+			</p>
+			<div class="discount-progress__bar" role="progressbar" aria-valuemin="0" aria-valuemax="100" aria-valuenow="<?php echo esc_attr( $progress['progress'] ); ?>" aria-label="<?php esc_attr_e( 'Progress towards your discount', 'woocommerce' ); ?>">
+				<span class="discount-progress__fill" style="width: <?php echo esc_attr( $progress['progress'] ); ?>%;"></span>
+			</div>
+		</div>
+		<?php
+	endif;
+
+	$html = ob_get_clean();
+
+	if ( $echo ) {
+		echo $html; // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- Escaped above.
+		return;
+	}
+
+	return $html;
+}
+add_action( 'woocommerce_before_cart_totals', 'woocommerce_theme_render_discount_progress', 10, 0 );
+
+/**
+ * Get Cart Display Total
+ *
+ * Returns the raw (unformatted) amount shown by WC_Cart::get_cart_total(),
+ * i.e. the cart contents total including tax when prices are entered with tax.
+ * Output as a data attribute so the mini cart script can adjust the total
+ * locally (optimistic removal) before the server fragments arrive.
+ *
+ * @since 1.1.0
+ * @param WC_Cart $cart Cart object.
+ * @return float Cart contents total as displayed.
+ */
+function woocommerce_theme_get_cart_display_total( $cart ) {
+	if ( ! is_a( $cart, 'WC_Cart' ) ) {
+		return 0.0;
+	}
+
+	$total = (float) $cart->get_cart_contents_total();
+
+	if ( wc_prices_include_tax() ) {
+		$total += (float) $cart->get_cart_contents_tax();
+	}
+
+	return $total;
+}
+
+/**
+ * Get Cart Item Display Total
+ *
+ * Returns the raw amount a single cart line contributes to
+ * woocommerce_theme_get_cart_display_total(), using the same tax logic.
+ *
+ * @since 1.1.0
+ * @param array $cart_item Cart item data.
+ * @return float Line total as displayed.
+ */
+function woocommerce_theme_get_cart_item_display_total( $cart_item ) {
+	$total = isset( $cart_item['line_total'] ) ? (float) $cart_item['line_total'] : 0.0;
+
+	if ( wc_prices_include_tax() && isset( $cart_item['line_tax'] ) ) {
+		$total += (float) $cart_item['line_tax'];
+	}
+
+	return $total;
+}
+
+/**
+ * Get Mini Cart Layout
+ *
+ * Returns the mini cart layout chosen in WooCommerce > Settings > Products:
+ * - dropdown : Small panel below the header cart button (default)
+ * - drawer   : Full-height off-canvas panel sliding in from the right
+ *
+ * Both layouts render the same #mini-cart-dropdown element, so the AJAX
+ * fragment keys are identical.
+ *
+ * @since 1.1.0
+ * @return string 'dropdown' or 'drawer'.
+ */
+function woocommerce_theme_get_mini_cart_layout() {
+	return woocommerce_theme_validate_value(
+		get_option( 'wc_mini_cart_layout', 'dropdown' ),
+		array( 'dropdown', 'drawer' ),
+		'dropdown'
+	);
+}
+
+/**
+ * Add Mini Cart Layout Body Class
+ *
+ * Adds mini-cart-layout-dropdown or mini-cart-layout-drawer to <body> so CSS
+ * and mini-cart-toggle.js can adapt to the selected layout.
+ *
+ * @since 1.1.0
+ * @param array $classes Existing body classes.
+ * @return array Modified body classes.
+ */
+function woocommerce_theme_mini_cart_layout_body_class( $classes ) {
+	$classes[] = 'mini-cart-layout-' . woocommerce_theme_get_mini_cart_layout();
+
+	return $classes;
+}
+add_filter( 'body_class', 'woocommerce_theme_mini_cart_layout_body_class' );
+
+/**
+ * Render Mini Cart Drawer Close Button
+ *
+ * Only the drawer layout has a close button; the dropdown closes on outside
+ * click or Escape.
+ *
+ * @since 1.1.0
+ * @return void
+ */
+function woocommerce_theme_render_mini_cart_close_button() {
+	if ( 'drawer' !== woocommerce_theme_get_mini_cart_layout() ) {
+		return;
+	}
+	?>
+	<button type="button" class="mini-cart__close" aria-label="<?php esc_attr_e( 'Close cart', 'woocommerce' ); ?>">
+		<i class="fas fa-times" aria-hidden="true"></i>
+	</button>
+	<?php
+}
+
 /**
  * Render Mini Cart HTML
  *
@@ -139,14 +399,23 @@ function woocommerce_render_mini_cart( $echo = false ) {
 	}
 
 	$cart_count = $cart->get_cart_contents_count();
+	$layout     = woocommerce_theme_get_mini_cart_layout();
+
+	// Same element and ID for both layouts; the drawer is a modal dialog.
+	$container_attributes = sprintf(
+		'id="mini-cart-dropdown" tabindex="-1" %1$s aria-label="%2$s"',
+		'drawer' === $layout ? 'role="dialog" aria-modal="true"' : 'role="region"',
+		esc_attr__( 'Shopping Cart', 'woocommerce' )
+	);
 
 	ob_start();
 
 	if ( ! $cart->is_empty() ) :
-		$cart_total = $cart->get_cart_total();
+		$cart_total     = $cart->get_cart_total();
+		$cart_total_raw = woocommerce_theme_get_cart_display_total( $cart );
 		$cart_items = $cart->get_cart();
 		?>
-		<div class="mini-cart__dropdown" id="mini-cart-dropdown" role="region" aria-label="<?php esc_attr_e( 'Shopping Cart', 'woocommerce' ); ?>">
+		<div class="mini-cart__dropdown mini-cart__dropdown--<?php echo esc_attr( $layout ); ?>" <?php echo $container_attributes; // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- Escaped above. ?>>
 			<div class="mini-cart__header">
 				<h3 class="mini-cart__title">
 					<?php esc_html_e( 'Cart', 'woocommerce' ); ?>
@@ -154,6 +423,7 @@ function woocommerce_render_mini_cart( $echo = false ) {
 						(<?php echo esc_html( $cart_count ); ?>)
 					</span>
 				</h3>
+				<?php woocommerce_theme_render_mini_cart_close_button(); ?>
 			</div>
 
 			<div class="mini-cart__items" id="mini-cart-items">
@@ -171,12 +441,22 @@ function woocommerce_render_mini_cart( $echo = false ) {
 						$remove_url = wc_get_cart_remove_url( $cart_item_key );
 						$quantity = $cart_item['quantity'];
 						$line_subtotal = $cart->get_product_subtotal( $product, $cart_item['quantity'] );
+						$line_total    = woocommerce_theme_get_cart_item_display_total( $cart_item );
 						?>
-						<li class="mini-cart__item" role="listitem">
+						<li
+							class="mini-cart__item"
+							role="listitem"
+							data-cart_item_key="<?php echo esc_attr( $cart_item_key ); ?>"
+							data-quantity="<?php echo esc_attr( $quantity ); ?>"
+							data-line_total="<?php echo esc_attr( wc_format_decimal( $line_total ) ); ?>"
+						>
 							<div class="mini-cart__item-content">
 								<a
 									href="<?php echo esc_url( $remove_url ); ?>"
 									class="remove mini-cart__item-remove"
+									data-cart_item_key="<?php echo esc_attr( $cart_item_key ); ?>"
+									data-product_id="<?php echo esc_attr( $cart_item['product_id'] ); ?>"
+									data-undo_url="<?php echo esc_url( $cart->get_undo_url( $cart_item_key ) ); ?>"
 									aria-label="<?php echo esc_attr( sprintf( __( 'Remove %s from cart', 'woocommerce' ), $product_name ) ); ?>"
 									title="<?php echo esc_attr__( 'Remove item', 'woocommerce' ); ?>"
 								>
@@ -208,7 +488,25 @@ function woocommerce_render_mini_cart( $echo = false ) {
 
 									<div class="mini-cart__item-meta">
 										<span class="mini-cart__item-quantity">
-											<?php printf( esc_html__( 'Quantity: %d', 'woocommerce' ), $quantity ); ?>
+											<?php
+											$cart_product = isset( $cart_item['data'] ) && is_a( $cart_item['data'], 'WC_Product' ) ? $cart_item['data'] : $product;
+
+											if ( $cart_product->is_sold_individually() ) {
+												printf( esc_html__( 'Quantity: %d', 'woocommerce' ), $quantity );
+											} else {
+												// Same quantity input as the cart page; QuantityChanger adds the +/- buttons.
+												woocommerce_quantity_input(
+													array(
+														'input_name'   => 'cart[' . $cart_item_key . '][qty]',
+														'input_value'  => $quantity,
+														'min_value'    => 1,
+														'max_value'    => $cart_product->get_max_purchase_quantity(),
+														'product_name' => $product_name,
+													),
+													$cart_product
+												);
+											}
+											?>
 										</span>
 										<span class="mini-cart__item-price">
 											<?php echo $line_subtotal; // Already escaped by WooCommerce. ?>
@@ -222,11 +520,13 @@ function woocommerce_render_mini_cart( $echo = false ) {
 			</div>
 
 			<div class="mini-cart__footer" id="mini-cart-footer">
+				<?php woocommerce_theme_render_discount_progress(); ?>
+
 				<div class="mini-cart__total">
 					<strong class="mini-cart__total-label">
 						<?php esc_html_e( 'Total:', 'woocommerce' ); ?>
 					</strong>
-					<span class="mini-cart__total-amount" id="mini-cart-total">
+					<span class="mini-cart__total-amount" id="mini-cart-total" data-total="<?php echo esc_attr( wc_format_decimal( $cart_total_raw ) ); ?>">
 						<?php echo $cart_total; // Already escaped by WooCommerce. ?>
 					</span>
 				</div>
@@ -248,7 +548,13 @@ function woocommerce_render_mini_cart( $echo = false ) {
 		<?php
 	else :
 		?>
-		<div class="mini-cart__dropdown mini-cart__dropdown--empty" id="mini-cart-dropdown" role="region" aria-label="<?php esc_attr_e( 'Shopping Cart', 'woocommerce' ); ?>">
+		<div class="mini-cart__dropdown mini-cart__dropdown--<?php echo esc_attr( $layout ); ?> mini-cart__dropdown--empty" <?php echo $container_attributes; // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- Escaped above. ?>>
+			<?php if ( 'drawer' === $layout ) : ?>
+				<div class="mini-cart__header">
+					<h3 class="mini-cart__title"><?php esc_html_e( 'Cart', 'woocommerce' ); ?></h3>
+					<?php woocommerce_theme_render_mini_cart_close_button(); ?>
+				</div>
+			<?php endif; ?>
 			<div class="mini-cart__empty-message" id="mini-cart-empty">
 				<p><?php esc_html_e( 'Your cart is empty.', 'woocommerce' ); ?></p>
 			</div>
@@ -275,7 +581,8 @@ function woocommerce_render_mini_cart( $echo = false ) {
  *
  * Fragments returned:
  * - .mini-cart__trigger-count : Cart count badge
- * - #mini-cart-dropdown       : Full mini cart HTML
+ * - #mini-cart-dropdown       : Full mini cart HTML (dropdown or drawer layout)
+ * - div.discount-progress     : Discount progress meter (mini cart and cart page)
  *
  * @since 1.0.0
  * @param array $fragments Existing fragments array from WooCommerce.
@@ -300,6 +607,9 @@ function woocommerce_ajax_mini_cart_fragments( $fragments ) {
 	// Update full mini cart dropdown.
 	$fragments['#mini-cart-dropdown']       = woocommerce_render_mini_cart( false );
 
+	// Update discount progress meter(s).
+	$fragments['div.discount-progress']     = woocommerce_theme_render_discount_progress( false );
+
 	return $fragments;
 }
 add_filter( 'woocommerce_add_to_cart_fragments', 'woocommerce_ajax_mini_cart_fragments', 10, 1 );
@@ -318,3 +628,263 @@ function woocommerce_ajax_mini_cart_fragments_cart_updated( $fragments ) {
 	return woocommerce_ajax_mini_cart_fragments( $fragments );
 }
 add_filter( 'woocommerce_update_order_review_fragments', 'woocommerce_ajax_mini_cart_fragments_cart_updated', 10, 1 );
+
+/**
+ * AJAX: Update Cart Item Quantity from the Mini Cart
+ *
+ * WooCommerce AJAX endpoint (?wc-ajax=theme_update_cart_item) used by the
+ * inline quantity controls in the mini cart dropdown. Updates a single cart
+ * line and responds with the refreshed fragments and cart hash, so the mini
+ * cart needs no second request.
+ *
+ * Request parameters (POST):
+ * - cart_item_key : Key of the cart line to update
+ * - quantity      : New quantity (clamped to the product's purchase limit)
+ *
+ * No nonce, like WooCommerce's own remove_from_cart endpoint: the request
+ * only changes the cart of the session it comes from, and a nonce printed
+ * before a guest's session starts (first AJAX add to cart, cached pages)
+ * would no longer match.
+ *
+ * @since 1.1.0
+ * @return void Sends a JSON response and exits.
+ */
+function woocommerce_theme_ajax_update_cart_item_quantity() {
+	$cart          = WC()->cart;
+	$cart_item_key = isset( $_POST['cart_item_key'] ) ? wc_clean( wp_unslash( $_POST['cart_item_key'] ) ) : '';
+	$quantity      = isset( $_POST['quantity'] ) ? wc_stock_amount( wp_unslash( $_POST['quantity'] ) ) : -1;
+
+	if ( ! $cart || '' === $cart_item_key || $quantity < 0 ) {
+		wp_send_json_error( array( 'message' => __( 'Invalid cart update request.', 'woocommerce' ) ) );
+	}
+
+	$cart_item = $cart->get_cart_item( $cart_item_key );
+
+	if ( empty( $cart_item ) || empty( $cart_item['data'] ) ) {
+		wp_send_json_error( array( 'message' => __( 'This item is no longer in your cart.', 'woocommerce' ) ) );
+	}
+
+	// Respect the product's purchase limit (stock / max quantity).
+	$max_quantity = $cart_item['data']->get_max_purchase_quantity();
+	if ( $max_quantity > 0 && $quantity > $max_quantity ) {
+		$quantity = $max_quantity;
+	}
+
+	// Same validation filter WooCommerce runs for cart page updates.
+	$passed_validation = apply_filters( 'woocommerce_update_cart_validation', true, $cart_item_key, $cart_item, $quantity );
+
+	if ( ! $passed_validation ) {
+		$message = __( 'This quantity could not be updated.', 'woocommerce' );
+		$notices = wc_get_notices( 'error' );
+
+		if ( ! empty( $notices ) ) {
+			$notice  = reset( $notices );
+			$message = wp_strip_all_tags( is_array( $notice ) ? $notice['notice'] : $notice );
+		}
+
+		wc_clear_notices();
+		wp_send_json_error( array( 'message' => $message ) );
+	}
+
+	if ( 0 === $quantity ) {
+		$cart->remove_cart_item( $cart_item_key );
+	} else {
+		$cart->set_quantity( $cart_item_key, $quantity, true );
+	}
+
+	// Sends { fragments, cart_hash } and exits.
+	WC_AJAX::get_refreshed_fragments();
+}
+add_action( 'wc_ajax_theme_update_cart_item', 'woocommerce_theme_ajax_update_cart_item_quantity' );
+
+/**
+ * AJAX: Add to Cart From a Single Product Form
+ *
+ * Endpoint: ?wc-ajax=theme_add_to_cart
+ *
+ * Receives the serialized single product form.cart (simple and variable
+ * products) from single-add-to-cart.js and adds it to the cart without a page
+ * reload.
+ *
+ * Why not WooCommerce's own 'add_to_cart' endpoint:
+ * - It only accepts product_id and quantity; variation attributes are dropped
+ * - It returns no notices, so errors such as "out of stock" can't be shown
+ *   next to the form
+ *
+ * Request fields (same names as the form):
+ * - add-to-cart  : Product ID
+ * - quantity     : Quantity
+ * - variation_id : Selected variation (variable products)
+ * - attribute_*  : Selected attribute values (variable products)
+ *
+ * Response:
+ * - success : { fragments, cart_hash, notices } or { redirect } when
+ *             "Redirect to the cart page after successful addition" is enabled
+ * - error   : { notices } with WooCommerce's error notices as HTML
+ *
+ * Like WooCommerce's add-to-cart form, the request is not nonce-protected:
+ * adding to the cart needs no privileges and must work from cached pages.
+ *
+ * @since 1.1.0
+ * @return void
+ */
+function woocommerce_theme_ajax_add_to_cart() {
+	// phpcs:disable WordPress.Security.NonceVerification.Missing
+	$product_id   = isset( $_POST['add-to-cart'] ) ? absint( wp_unslash( $_POST['add-to-cart'] ) ) : 0;
+	$product_id   = apply_filters( 'woocommerce_add_to_cart_product_id', $product_id );
+	$quantity     = empty( $_POST['quantity'] ) ? 1 : wc_stock_amount( wp_unslash( $_POST['quantity'] ) );
+	$variation_id = isset( $_POST['variation_id'] ) ? absint( wp_unslash( $_POST['variation_id'] ) ) : 0;
+	$variations   = array();
+
+	foreach ( $_POST as $key => $value ) {
+		if ( 0 === strpos( $key, 'attribute_' ) ) {
+			$variations[ sanitize_title( wp_unslash( $key ) ) ] = wc_clean( wp_unslash( $value ) );
+		}
+	}
+	// phpcs:enable WordPress.Security.NonceVerification.Missing
+
+	$product = $product_id ? wc_get_product( $product_id ) : null;
+
+	if ( ! $product || ! in_array( $product->get_type(), array( 'simple', 'variable', 'variation' ), true ) ) {
+		wc_add_notice( __( 'Sorry, this product cannot be purchased.', 'woocommerce' ), 'error' );
+		wp_send_json_error( array( 'notices' => wc_print_notices( true ) ) );
+	}
+
+	// A variation ID sent as the product: add it through its parent.
+	if ( $product->is_type( 'variation' ) ) {
+		$variation_id = $product_id;
+		$product_id   = $product->get_parent_id();
+		$variations   = array_merge( $product->get_variation_attributes(), $variations );
+	}
+
+	// Variable product without a resolved variation: match it from the attributes.
+	if ( $product->is_type( 'variable' ) && ! $variation_id ) {
+		$variation_id = WC_Data_Store::load( 'product' )->find_matching_product_variation( $product, $variations );
+
+		if ( ! $variation_id ) {
+			wc_add_notice( __( 'Please select some product options before adding this product to your cart.', 'woocommerce' ), 'error' );
+			wp_send_json_error( array( 'notices' => wc_print_notices( true ) ) );
+		}
+	}
+
+	// Same validation filter WooCommerce runs for form submissions.
+	$passed_validation = apply_filters( 'woocommerce_add_to_cart_validation', true, $product_id, $quantity, $variation_id, $variations );
+
+	// add_to_cart() adds its own notices (out of stock, sold individually, ...) on failure.
+	if ( ! $passed_validation || false === WC()->cart->add_to_cart( $product_id, $quantity, $variation_id, $variations ) ) {
+		if ( ! wc_notice_count( 'error' ) ) {
+			wc_add_notice( __( 'Sorry, this product could not be added to your cart.', 'woocommerce' ), 'error' );
+		}
+
+		wp_send_json_error( array( 'notices' => wc_print_notices( true ) ) );
+	}
+
+	do_action( 'woocommerce_ajax_added_to_cart', $product_id );
+
+	// Store setting: send the shopper to the cart (the notice shows there).
+	if ( 'yes' === get_option( 'woocommerce_cart_redirect_after_add' ) ) {
+		wc_add_to_cart_message( array( $product_id => $quantity ), true );
+		wp_send_json_success( array( 'redirect' => wc_get_cart_url() ) );
+	}
+
+	wc_add_to_cart_message( array( $product_id => $quantity ), true );
+
+	// Same fragments WooCommerce returns from 'get_refreshed_fragments'.
+	ob_start();
+	woocommerce_mini_cart();
+	$mini_cart = ob_get_clean();
+
+	wp_send_json_success(
+		array(
+			'fragments' => apply_filters(
+				'woocommerce_add_to_cart_fragments',
+				array(
+					'div.widget_shopping_cart_content' => '<div class="widget_shopping_cart_content">' . $mini_cart . '</div>',
+				)
+			),
+			'cart_hash' => WC()->cart->get_cart_hash(),
+			'notices'   => wc_print_notices( true ),
+		)
+	);
+}
+add_action( 'wc_ajax_theme_add_to_cart', 'woocommerce_theme_ajax_add_to_cart' );
+
+/**
+ * Single Product Add to Cart Script Parameters
+ *
+ * Data passed to single-add-to-cart.js via wp_localize_script().
+ *
+ * @since 1.1.0
+ * @return array Script parameters.
+ */
+function woocommerce_theme_get_add_to_cart_script_params() {
+	return array(
+		'ajax_url' => WC_AJAX::get_endpoint( 'theme_add_to_cart' ),
+		'i18n'     => array(
+			'add_failed' => __( 'Sorry, this product could not be added to your cart. Please try again.', 'woocommerce' ),
+		),
+	);
+}
+
+/**
+ * Quantity Changer Script Parameters
+ *
+ * Data passed to quantity-changer.js via wp_localize_script(): labels of the
+ * +/- buttons and the messages shown below a quantity input while the typed
+ * value is outside its min/max limits or off its step.
+ *
+ * @since 1.1.0
+ * @return array Script parameters.
+ */
+function woocommerce_theme_get_quantity_script_params() {
+	return array(
+		'i18n' => array(
+			'decrease' => __( 'Decrease quantity', 'woocommerce' ),
+			'increase' => __( 'Increase quantity', 'woocommerce' ),
+			'invalid'  => __( 'Please enter a number.', 'woocommerce' ),
+			/* translators: %s: Minimum quantity. */
+			'min'      => __( 'The minimum quantity is %s.', 'woocommerce' ),
+			/* translators: %s: Maximum quantity. */
+			'max'      => __( 'The maximum quantity is %s.', 'woocommerce' ),
+			/* translators: 1: Nearest valid quantity below, 2: Nearest valid quantity above. */
+			'step'     => __( 'Please enter a valid quantity. The nearest valid quantities are %1$s and %2$s.', 'woocommerce' ),
+		),
+	);
+}
+
+/**
+ * Mini Cart Script Parameters
+ *
+ * Data passed to minicart.js via wp_localize_script(). Includes the store's
+ * currency format (so totals can be re-formatted locally during optimistic
+ * updates) and translatable UI strings for the mini cart notices.
+ *
+ * cart_hash is the cart state the page was rendered with, and storage_key
+ * names the cart snapshot shared between tabs (per site, like WooCommerce's
+ * own fragment storage). Together with WooCommerce's cart hash cookie they
+ * tell minicart.js whether a cached page shows an outdated mini cart.
+ *
+ * @since 1.1.0
+ * @return array Script parameters.
+ */
+function woocommerce_theme_get_minicart_script_params() {
+	return array(
+		'cart_hash'   => WC()->cart ? WC()->cart->get_cart_hash() : '',
+		'storage_key' => 'woocommerce_theme_cart_' . md5( get_current_blog_id() . '_' . home_url( '/' ) ),
+		'currency'    => array(
+			'symbol'             => get_woocommerce_currency_symbol(),
+			'format'             => get_woocommerce_price_format(),
+			'decimals'           => wc_get_price_decimals(),
+			'decimal_separator'  => wc_get_price_decimal_separator(),
+			'thousand_separator' => wc_get_price_thousand_separator(),
+		),
+		'i18n'        => array(
+			'item_removed'  => __( 'Item removed.', 'woocommerce' ),
+			'undo'          => __( 'Undo', 'woocommerce' ),
+			'remove_failed' => __( 'Sorry, that item could not be removed. Please try again.', 'woocommerce' ),
+			'undo_failed'   => __( 'Sorry, that item could not be restored.', 'woocommerce' ),
+			'dismiss'       => __( 'Dismiss notice', 'woocommerce' ),
+			'update_failed' => __( 'Sorry, the quantity could not be updated.', 'woocommerce' ),
+		),
+	);
+}
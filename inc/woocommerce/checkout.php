@@ -9,7 +9,7 @@
  * FILE RESPONSIBILITIES:
  * ============================================================================
  * - Add custom checkout fields (Business Type, VAT Number)
- * - Validate custom checkout fields
+ * - Validate custom checkout fields (VAT number formats per country)
  * - Save custom fields to order meta
  * - Support both classic checkout and Checkout Blocks
  * - Modify checkout order review display
@@ -22,7 +22,8 @@
  * - Order meta saving during checkout
  * - Checkout Blocks API integrations
  * - Checkout page display modifications
- * - Conditional field visibility (JavaScript)
+ * - VAT number formats and script data for vat-number.js (used by
+ *   checkout-vat.js / checkout-vat-blocks.js)
  *
  * ============================================================================
  * WHAT DOES NOT BELONG HERE:
@@ -45,10 +46,9 @@
  * - woocommerce_checkout_fields              : Add/modify checkout fields
  * - woocommerce_checkout_update_order_meta   : Save custom fields to order
  * - woocommerce_checkout_process             : Validate checkout fields
- * - woocommerce_blocks_checkout_fields       : Checkout Blocks field support
- * - woocommerce_store_api_checkout_update_order_from_request : Blocks API saving
+ * - woocommerce_init                         : Checkout Blocks fields (Additional Checkout Fields API)
+ * - woocommerce_store_api_checkout_update_order_from_request : Blocks VAT format check (5), saving (10)
  * - woocommerce_cart_item_name               : Modify order review item display
- * - wp_footer                                : Output conditional field JavaScript
  *
  * @package    WooCommerce
  * @subpackage Theme/WooCommerce/Checkout
@@ -111,6 +111,7 @@ add_filter( 'woocommerce_checkout_fields', 'woocommerce_theme_custom_checkout_fi
  *
  * Saves Business Type and VAT Number to order post meta when order is created.
  * Uses underscore prefix (_billing_business_type) to hide from default meta box.
+ * The VAT number is only kept for company billing, as on the Checkout block.
  *
  * @since 1.0.0
  * @param int   $order_id Order ID of the newly created order.
@@ -127,189 +128,403 @@ function woocommerce_theme_save_custom_checkout_fields( $order_id, $data ) {
 	}
 
 	if ( isset( $data['billing_vat_number'] ) ) {
+		$business_type = isset( $data['billing_business_type'] ) ? $data['billing_business_type'] : '';
+
 		update_post_meta(
 			$order_id,
 			'_billing_vat_number',
-			sanitize_text_field( $data['billing_vat_number'] )
+			'company' === $business_type ? sanitize_text_field( $data['billing_vat_number'] ) : ''
 		);
 	}
 }
 add_action( 'woocommerce_checkout_update_order_meta', 'woocommerce_theme_save_custom_checkout_fields', 10, 2 );
 
 /**
- * Checkout Blocks: Add Custom Fields to Block-based Checkout
+ * Checkout Blocks: Register Custom Fields for the Checkout Block
  *
- * Extends the WooCommerce Checkout Block (Store API) with the same custom
- * fields available in classic checkout. This ensures consistent fields
- * regardless of which checkout method is used.
+ * Registers Business Type and VAT Number as additional order fields
+ * (WooCommerce's Additional Checkout Fields API), so the Checkout block
+ * renders them and the Store API accepts them. Order fields are shown once;
+ * address fields would be repeated in the shipping form, while the classic
+ * checkout only asks for them with the billing details.
  *
- * @since 1.0.0
- * @param array $fields Existing Blocks checkout field schema.
- * @return array Modified field schema.
+ * The VAT Number field follows the same rules as on the classic checkout:
+ * - hidden unless Business Type is "Company"
+ * - required for company billing once a billing country is selected
+ * Both are JSON Schema conditions, evaluated by the Checkout block while the
+ * shopper fills in the form and again by the Store API when the order is
+ * placed. The format check runs in woocommerce_theme_validate_blocks_vat_number()
+ * and checkout-vat-blocks.js.
+ *
+ * @since 1.1.0
+ * @return void
  */
-function woocommerce_theme_blocks_checkout_fields( $fields ) {
-	if ( empty( $fields['billingAddress']['fields'] ) || ! is_array( $fields['billingAddress']['fields'] ) ) {
-		return $fields;
+function woocommerce_theme_register_blocks_checkout_fields() {
+	if ( ! function_exists( 'woocommerce_register_additional_checkout_field' ) ) {
+		return;
 	}
 
-	$billing_fields = $fields['billingAddress']['fields'];
-
-	// Business Type for Blocks.
-	$billing_fields['business_type'] = array(
-		'label'       => __( 'Business Type', 'woocommerce' ),
-		'required'    => false,
-		'type'        => 'select',
-		'placeholder' => __( 'Select business type', 'woocommerce' ),
-		'options'     => array(
-			array(
-				'value' => '',
-				'label' => __( 'Select business type', 'woocommerce' ),
+	woocommerce_register_additional_checkout_field(
+		array(
+			'id'       => 'theme/business-type',
+			'label'    => __( 'Business Type', 'woocommerce' ),
+			'location' => 'order',
+			'type'     => 'select',
+			'required' => false,
+			'options'  => array(
+				array(
+					'value' => 'individual',
+					'label' => __( 'Individual', 'woocommerce' ),
+				),
+				array(
+					'value' => 'company',
+					'label' => __( 'Company', 'woocommerce' ),
+				),
 			),
-			array(
-				'value' => 'individual',
-				'label' => __( 'Individual', 'woocommerce' ),
+		)
+	);
+
+	woocommerce_register_additional_checkout_field(
+		array(
+			'id'       => 'theme/vat-number',
+			'label'    => __( 'VAT Number', 'woocommerce' ),
+			'location' => 'order',
+			'type'     => 'text',
+			'required' => array(
+				'customer' => array(
+					'properties' => array(
+						'billing_address' => array(
+							'properties' => array(
+								'country' => array( 'minLength' => 1 ),
+							),
+						),
+					),
+				),
+				'checkout' => array(
+					'properties' => array(
+						'additional_fields' => array(
+							'properties' => array(
+								'theme/business-type' => array( 'const' => 'company' ),
+							),
+						),
+					),
+				),
 			),
-			array(
-				'value' => 'company',
-				'label' => __( 'Company', 'woocommerce' ),
+			'hidden'   => array(
+				'checkout' => array(
+					'properties' => array(
+						'additional_fields' => array(
+							'properties' => array(
+								'theme/business-type' => array( 'not' => array( 'const' => 'company' ) ),
+							),
+						),
+					),
+				),
 			),
-		),
-		'priority'    => 115,
+		)
 	);
+}
+add_action( 'woocommerce_init', 'woocommerce_theme_register_blocks_checkout_fields' );
 
-	// VAT Number for Blocks.
-	$billing_fields['vat_number'] = array(
-		'label'       => __( 'VAT Number', 'woocommerce' ),
-		'required'    => false,
-		'type'        => 'text',
-		'placeholder' => __( 'Enter VAT number (if applicable)', 'woocommerce' ),
-		'priority'    => 116,
+/**
+ * Checkout Blocks: Get the Custom Fields from a Store API Request
+ *
+ * @since 1.1.0
+ * @param \WP_REST_Request|array $request Checkout request from the Store API.
+ * @return array { business_type, vat_number, country } (billing country).
+ */
+function woocommerce_theme_get_blocks_checkout_fields( $request ) {
+	if ( is_object( $request ) && method_exists( $request, 'get_params' ) ) {
+		$data = $request->get_params();
+	} else {
+		$data = (array) $request;
+	}
+
+	$fields  = isset( $data['additional_fields'] ) && is_array( $data['additional_fields'] ) ? $data['additional_fields'] : array();
+	$billing = isset( $data['billing_address'] ) && is_array( $data['billing_address'] ) ? $data['billing_address'] : array();
+
+	return array(
+		'business_type' => isset( $fields['theme/business-type'] ) ? sanitize_text_field( $fields['theme/business-type'] ) : null,
+		'vat_number'    => isset( $fields['theme/vat-number'] ) ? sanitize_text_field( $fields['theme/vat-number'] ) : null,
+		'country'       => isset( $billing['country'] ) ? sanitize_text_field( $billing['country'] ) : '',
 	);
+}
 
-	$fields['billingAddress']['fields'] = $billing_fields;
+/**
+ * Checkout Blocks: Validate the VAT Number Format
+ *
+ * Runs when the Store API places the order: for company billing the VAT
+ * number must match the billing country's format
+ * (woocommerce_theme_get_vat_number_error(), same as the classic checkout).
+ * An empty number is left to the field's "required" condition, so the
+ * shopper doesn't get the error twice. The error stops the checkout and is
+ * shown by the block.
+ *
+ * @since 1.1.0
+ * @param WC_Order               $order   Order being created/updated.
+ * @param \WP_REST_Request|array $request Request data from the Store API.
+ * @return void
+ * @throws \Automattic\WooCommerce\StoreApi\Exceptions\RouteException If the number is invalid.
+ */
+function woocommerce_theme_validate_blocks_vat_number( $order, $request ) {
+	$fields = woocommerce_theme_get_blocks_checkout_fields( $request );
 
-	return $fields;
+	if ( empty( $fields['vat_number'] ) || ! class_exists( '\Automattic\WooCommerce\StoreApi\Exceptions\RouteException' ) ) {
+		return;
+	}
+
+	$error = woocommerce_theme_get_vat_number_error( $fields['vat_number'], $fields['country'], (string) $fields['business_type'] );
+
+	if ( '' !== $error ) {
+		throw new \Automattic\WooCommerce\StoreApi\Exceptions\RouteException( 'invalid_vat_number', esc_html( $error ), 400 );
+	}
 }
-add_filter( 'woocommerce_blocks_checkout_fields', 'woocommerce_theme_blocks_checkout_fields' );
+add_action( 'woocommerce_store_api_checkout_update_order_from_request', 'woocommerce_theme_validate_blocks_vat_number', 5, 2 );
 
 /**
  * Checkout Blocks: Save Custom Fields from Store API Request
  *
- * Handles saving custom checkout fields when using the Checkout Block
- * (which uses the Store API instead of traditional form submission).
+ * WooCommerce stores the additional fields with the order itself; they are
+ * also copied to the meta keys used by classic checkout orders, so the admin
+ * screen, emails and My Account show them the same way for both checkouts.
+ * A VAT number entered before switching to "Individual" is not kept.
  *
  * @since 1.0.0
- * @param WC_Order              $order   Order being created/updated.
+ * @param WC_Order               $order   Order being created/updated.
  * @param \WP_REST_Request|array $request Request data from the Store API.
  * @return void
  */
 function woocommerce_theme_blocks_save_checkout_fields( $order, $request ) {
-	if ( is_object( $request ) && method_exists( $request, 'get_params' ) ) {
-		$data = $request->get_params();
-	} else {
-		$data = (array) $request;
-	}
-
-	$billing = isset( $data['billing_address'] ) && is_array( $data['billing_address'] )
-		? $data['billing_address']
-		: array();
+	$fields = woocommerce_theme_get_blocks_checkout_fields( $request );
 
-	if ( isset( $billing['business_type'] ) ) {
-		update_post_meta(
-			$order->get_id(),
-			'_billing_business_type',
-			sanitize_text_field( $billing['business_type'] )
-		);
+	if ( null !== $fields['business_type'] ) {
+		update_post_meta( $order->get_id(), '_billing_business_type', $fields['business_type'] );
 	}
 
-	if ( isset( $billing['vat_number'] ) ) {
+	if ( null !== $fields['vat_number'] ) {
 		update_post_meta(
 			$order->get_id(),
 			'_billing_vat_number',
-			sanitize_text_field( $billing['vat_number'] )
+			'company' === $fields['business_type'] ? $fields['vat_number'] : ''
 		);
 	}
 }
 add_action( 'woocommerce_store_api_checkout_update_order_from_request', 'woocommerce_theme_blocks_save_checkout_fields', 10, 2 );
 
+/**
+ * Whether the Checkout Page Uses the Checkout Block
+ *
+ * Decides which VAT script is loaded (checkout-vat.js for the classic
+ * shortcode, checkout-vat-blocks.js for the block).
+ *
+ * @since 1.1.0
+ * @return bool True if the checkout page contains the Checkout block.
+ */
+function woocommerce_theme_is_block_checkout() {
+	return function_exists( 'has_block' ) && has_block( 'woocommerce/checkout', wc_get_page_id( 'checkout' ) );
+}
+
+/**
+ * VAT Number Formats by Country
+ *
+ * Formats of VAT / tax numbers, keyed by billing country code. The same list
+ * is used by the server validation and by assets/js/vat-number.js, so the
+ * two can't disagree.
+ *
+ * Each format:
+ * - prefix  : Country prefix shoppers may type in front (e.g. "DE"); removed
+ *             before matching. Greece uses "EL".
+ * - pattern : Regular expression for the number without prefix, spaces,
+ *             dots, dashes and slashes. Must work in both PHP (PCRE) and
+ *             JavaScript, so use plain classes like [0-9] and [A-Z].
+ * - example : Valid example shown in the error message.
+ *
+ * Countries without an entry only get the "required" check.
+ *
+ * @since 1.1.0
+ * @return array Formats keyed by country code.
+ */
+function woocommerce_theme_get_vat_number_formats() {
+	$formats = array(
+		// European Union.
+		'AT' => array( 'prefix' => 'AT', 'pattern' => 'U[0-9]{8}', 'example' => 'ATU12345678' ),
+		'BE' => array( 'prefix' => 'BE', 'pattern' => '[01][0-9]{9}', 'example' => 'BE0123456789' ),
+		'BG' => array( 'prefix' => 'BG', 'pattern' => '[0-9]{9,10}', 'example' => 'BG123456789' ),
+		'CY' => array( 'prefix' => 'CY', 'pattern' => '[0-9]{8}[A-Z]', 'example' => 'CY12345678X' ),
+		'CZ' => array( 'prefix' => 'CZ', 'pattern' => '[0-9]{8,10}', 'example' => 'CZ12345678' ),
+		'DE' => array( 'prefix' => 'DE', 'pattern' => '[0-9]{9}', 'example' => 'DE123456789' ),
+		'DK' => array( 'prefix' => 'DK', 'pattern' => '[0-9]{8}', 'example' => 'DK12345678' ),
+		'EE' => array( 'prefix' => 'EE', 'pattern' => '[0-9]{9}', 'example' => 'EE123456789' ),
+		'ES' => array( 'prefix' => 'ES', 'pattern' => '[0-9A-Z][0-9]{7}[0-9A-Z]', 'example' => 'ESX1234567X' ),
+		'FI' => array( 'prefix' => 'FI', 'pattern' => '[0-9]{8}', 'example' => 'FI12345678' ),
+		'FR' => array( 'prefix' => 'FR', 'pattern' => '[0-9A-Z]{2}[0-9]{9}', 'example' => 'FR12345678901' ),
+		'GR' => array( 'prefix' => 'EL', 'pattern' => '[0-9]{9}', 'example' => 'EL123456789' ),
+		'HR' => array( 'prefix' => 'HR', 'pattern' => '[0-9]{11}', 'example' => 'HR12345678901' ),
+		'HU' => array( 'prefix' => 'HU', 'pattern' => '[0-9]{8}', 'example' => 'HU12345678' ),
+		'IE' => array( 'prefix' => 'IE', 'pattern' => '[0-9]{7}[A-Z]{1,2}|[0-9][A-Z][0-9]{5}[A-Z]', 'example' => 'IE1234567WA' ),
+		'IT' => array( 'prefix' => 'IT', 'pattern' => '[0-9]{11}', 'example' => 'IT12345678901' ),
+		'LT' => array( 'prefix' => 'LT', 'pattern' => '[0-9]{9}|[0-9]{12}', 'example' => 'LT123456789' ),
+		'LU' => array( 'prefix' => 'LU', 'pattern' => '[0-9]{8}', 'example' => 'LU12345678' ),
+		'LV' => array( 'prefix' => 'LV', 'pattern' => '[0-9]{11}', 'example' => 'LV12345678901' ),
+		'MT' => array( 'prefix' => 'MT', 'pattern' => '[0-9]{8}', 'example' => 'MT12345678' ),
+		'NL' => array( 'prefix' => 'NL', 'pattern' => '[0-9]{9}B[0-9]{2}', 'example' => 'NL123456789B01' ),
+		'PL' => array( 'prefix' => 'PL', 'pattern' => '[0-9]{10}', 'example' => 'PL1234567890' ),
+		'PT' => array( 'prefix' => 'PT', 'pattern' => '[0-9]{9}', 'example' => 'PT123456789' ),
+		'RO' => array( 'prefix' => 'RO', 'pattern' => '[0-9]{2,10}', 'example' => 'RO1234567890' ),
+		'SE' => array( 'prefix' => 'SE', 'pattern' => '[0-9]{10}01', 'example' => 'SE123456789001' ),
+		'SI' => array( 'prefix' => 'SI', 'pattern' => '[0-9]{8}', 'example' => 'SI12345678' ),
+		'SK' => array( 'prefix' => 'SK', 'pattern' => '[0-9]{10}', 'example' => 'SK1234567890' ),
+
+		// Sri Lanka: 9-digit TIN, VAT registration number is the TIN followed by 7000.
+		'LK' => array( 'prefix' => '', 'pattern' => '[0-9]{9}(?:7000)?', 'example' => '123456789-7000' ),
+
+		// Other countries.
+		'AU' => array( 'prefix' => '', 'pattern' => '[0-9]{11}', 'example' => '12 345 678 901' ),
+		'CA' => array( 'prefix' => '', 'pattern' => '[0-9]{9}(?:RT[0-9]{4})?', 'example' => '123456789RT0001' ),
+		'CH' => array( 'prefix' => 'CHE', 'pattern' => '[0-9]{9}(?:MWST|TVA|IVA)?', 'example' => 'CHE-123.456.789 MWST' ),
+		'GB' => array( 'prefix' => 'GB', 'pattern' => '[0-9]{9}|[0-9]{12}|GD[0-9]{3}|HA[0-9]{3}', 'example' => 'GB123456789' ),
+		'IN' => array( 'prefix' => '', 'pattern' => '[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][0-9A-Z]Z[0-9A-Z]', 'example' => '22AAAAA0000A1Z5' ),
+		'NO' => array( 'prefix' => 'NO', 'pattern' => '[0-9]{9}(?:MVA)?', 'example' => 'NO123456789MVA' ),
+		'NZ' => array( 'prefix' => '', 'pattern' => '[0-9]{8,9}', 'example' => '123-456-789' ),
+	);
+
+	/**
+	 * Filter the VAT number formats.
+	 *
+	 * Add, change or remove countries; remember the pattern also runs in
+	 * JavaScript.
+	 *
+	 * @since 1.1.0
+	 * @param array $formats Formats keyed by country code.
+	 */
+	return apply_filters( 'woocommerce_theme_vat_number_formats', $formats );
+}
+
+/**
+ * Normalize a VAT Number for Matching
+ *
+ * Uppercases, removes spaces, dots, dashes and slashes, and the country
+ * prefix if the shopper typed one. Mirrors normalize() in vat-number.js.
+ *
+ * @since 1.1.0
+ * @param string $vat_number VAT number as entered.
+ * @param string $country    Billing country code.
+ * @return string Normalized number.
+ */
+function woocommerce_theme_normalize_vat_number( $vat_number, $country ) {
+	$formats    = woocommerce_theme_get_vat_number_formats();
+	$vat_number = strtoupper( preg_replace( '/[\s.\-\/]+/', '', (string) $vat_number ) );
+	$prefix     = isset( $formats[ $country ]['prefix'] ) ? $formats[ $country ]['prefix'] : '';
+
+	if ( '' !== $prefix && 0 === strpos( $vat_number, $prefix ) ) {
+		$vat_number = substr( $vat_number, strlen( $prefix ) );
+	}
+
+	return $vat_number;
+}
+
+/**
+ * Get the Validation Error for a VAT Number
+ *
+ * Rules (same as getError() in vat-number.js, and for both checkouts):
+ * - Only company billing is checked; for other business types the field is
+ *   hidden and whatever it holds is ignored
+ * - Company billing with a country selected requires a VAT number
+ * - A VAT number that was entered must match the country's format, if the
+ *   country has one
+ *
+ * @since 1.1.0
+ * @param string $vat_number    VAT number as entered.
+ * @param string $country       Billing country code.
+ * @param string $business_type Business type ('company', 'individual' or '').
+ * @return string Error message, or empty string if valid.
+ */
+function woocommerce_theme_get_vat_number_error( $vat_number, $country, $business_type ) {
+	if ( 'company' !== $business_type ) {
+		return '';
+	}
+
+	$vat_number = trim( (string) $vat_number );
+
+	if ( '' === $vat_number ) {
+		return empty( $country ) ? '' : __( 'Please enter your VAT number for company billing.', 'woocommerce' );
+	}
+
+	$formats = woocommerce_theme_get_vat_number_formats();
+
+	if ( empty( $formats[ $country ]['pattern'] ) ) {
+		return '';
+	}
+
+	$format = $formats[ $country ];
+
+	if ( preg_match( '/^(?:' . $format['pattern'] . ')$/', woocommerce_theme_normalize_vat_number( $vat_number, $country ) ) ) {
+		return '';
+	}
+
+	$countries = WC()->countries ? WC()->countries->get_countries() : array();
+
+	return sprintf(
+		/* translators: 1: country name, 2: example VAT number */
+		__( 'Please enter a valid VAT number for %1$s, e.g. %2$s.', 'woocommerce' ),
+		isset( $countries[ $country ] ) ? $countries[ $country ] : $country,
+		$format['example']
+	);
+}
+
 /**
  * Validate VAT Number for Company Billing
  *
  * Server-side validation: requires VAT Number when Business Type is "Company"
- * and a billing country is selected. Adds a checkout error if validation fails.
+ * and a billing country is selected, and checks the number against the
+ * billing country's format. Other business types are not checked, as on the
+ * Checkout block. Adds a checkout error if validation fails.
  *
  * @since 1.0.0
  * @return void
  */
 function woocommerce_theme_validate_vat_number_conditionally() {
+	// phpcs:disable WordPress.Security.NonceVerification.Missing -- WooCommerce verifies the checkout nonce.
 	$business_type = isset( $_POST['billing_business_type'] ) ? sanitize_text_field( wp_unslash( $_POST['billing_business_type'] ) ) : '';
 	$country       = isset( $_POST['billing_country'] ) ? sanitize_text_field( wp_unslash( $_POST['billing_country'] ) ) : '';
-	$vat_number    = isset( $_POST['billing_vat_number'] ) ? trim( (string) wp_unslash( $_POST['billing_vat_number'] ) ) : '';
+	$vat_number    = isset( $_POST['billing_vat_number'] ) ? sanitize_text_field( wp_unslash( $_POST['billing_vat_number'] ) ) : '';
+	// phpcs:enable
 
-	if ( 'company' === $business_type && ! empty( $country ) && '' === $vat_number ) {
-		wc_add_notice(
-			__( 'Please enter your VAT number for company billing.', 'woocommerce' ),
-			'error'
-		);
+	$error = woocommerce_theme_get_vat_number_error( $vat_number, $country, $business_type );
+
+	if ( '' !== $error ) {
+		wc_add_notice( $error, 'error', array( 'id' => 'billing_vat_number' ) );
 	}
 }
 add_action( 'woocommerce_checkout_process', 'woocommerce_theme_validate_vat_number_conditionally' );
 
 /**
- * Conditionally Show/Hide VAT Number Field
+ * Checkout VAT Script Parameters
  *
- * Outputs JavaScript to show the VAT Number field only when Business Type
- * is "Company". The field is hidden for "Individual" or when no selection
- * is made.
+ * Data passed to vat-number.js via wp_localize_script(): the VAT number
+ * formats with country names, and the error messages.
  *
- * @since 1.0.0
- * @return void
+ * @since 1.1.0
+ * @return array Script parameters.
  */
-function woocommerce_theme_checkout_conditional_vat_visibility_by_business_type() {
-	// Only output on checkout page.
-	if ( ! function_exists( 'is_checkout' ) || ! is_checkout() ) {
-		return;
+function woocommerce_theme_get_checkout_vat_script_params() {
+	$countries = WC()->countries ? WC()->countries->get_countries() : array();
+	$formats   = array();
+
+	foreach ( woocommerce_theme_get_vat_number_formats() as $code => $format ) {
+		$format['country'] = isset( $countries[ $code ] ) ? html_entity_decode( $countries[ $code ], ENT_QUOTES, 'UTF-8' ) : $code;
+		$formats[ $code ]  = $format;
 	}
 
-	?>
-	<script type="text/javascript">
-	(function($) {
-		'use strict';
-
-		function toggleVatNumberVisibilityByBusinessType() {
-			var $businessTypeField = $('#billing_business_type');
-			var $vatFieldWrapper = $('#billing_vat_number_field');
-
-			if (!$businessTypeField.length || !$vatFieldWrapper.length) {
-				return;
-			}
-
-			var selectedBusinessType = $businessTypeField.val();
-
-			if (selectedBusinessType === 'company') {
-				$vatFieldWrapper.show();
-			} else {
-				$vatFieldWrapper.hide();
-				$vatFieldWrapper.find('input').val('');
-			}
-		}
-
-		$(document).ready(function() {
-			toggleVatNumberVisibilityByBusinessType();
-
-			$('body').on('change', '#billing_business_type', function() {
-				toggleVatNumberVisibilityByBusinessType();
-			});
-
-			$('body').on('updated_checkout', function() {
-				toggleVatNumberVisibilityByBusinessType();
-			});
-		});
-	})(jQuery);
-	</script>
-	<?php
+	return array(
+		'formats' => $formats,
+		'i18n'    => array(
+			'required' => __( 'Please enter your VAT number for company billing.', 'woocommerce' ),
+			/* translators: 1: country name, 2: example VAT number */
+			'invalid'  => __( 'Please enter a valid VAT number for %1$s, e.g. %2$s.', 'woocommerce' ),
+		),
+	);
 }
-add_action( 'wp_footer', 'woocommerce_theme_checkout_conditional_vat_visibility_by_business_type' );
 
 /**
  * Add Product Images to Checkout Order Review
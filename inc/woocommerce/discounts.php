@@ -0,0 +1,319 @@
+<?php
+/**
+ * WooCommerce Automatic Discount Rules
+ *
+ * Rule engine behind the automatic cart discount. Store owners configure a
+ * list of rules (WooCommerce > Settings > Products > Automatic Discount
+ * Settings); this file loads, normalizes and evaluates them against a cart.
+ *
+ * ============================================================================
+ * FILE RESPONSIBILITIES:
+ * ============================================================================
+ * - Load the configured discount rules (with fallback to the legacy
+ *   single threshold/percentage settings)
+ * - Normalize and validate rule data (shared by the settings sanitizer)
+ * - Decide which rules are active (date window, customer role)
+ * - Calculate each rule's discount and pick the rule that applies
+ *
+ * ============================================================================
+ * WHAT BELONGS HERE:
+ * ============================================================================
+ * - Discount rule data helpers and evaluation
+ *
+ * ============================================================================
+ * WHAT DOES NOT BELONG HERE:
+ * ============================================================================
+ * - Adding the discount fee to the cart (use cart.php)
+ * - Progress meter output (use cart.php)
+ * - Settings fields, rule editor and sanitization hooks (use admin.php)
+ *
+ * ============================================================================
+ * RULE FORMAT:
+ * ============================================================================
+ * Option 'wc_auto_discount_rules' holds an ordered list of rules:
+ * - id           : Stable identifier (e.g., 'rule_1a2b3c4d')
+ * - enabled      : Whether the rule is used
+ * - label        : Name shown to customers (e.g., 'Bulk Order Discount')
+ * - type         : 'percent' or 'fixed'
+ * - amount       : Percentage (0-100) or fixed amount
+ * - min_subtotal : Qualifying subtotal must exceed this (0 = no minimum)
+ * - categories   : Product category IDs; only matching items count (empty = all)
+ * - roles        : Customer roles, 'guest' for logged-out shoppers (empty = all)
+ * - date_from    : First day the rule is active, Y-m-d ('' = no start)
+ * - date_to      : Last day the rule is active, Y-m-d ('' = no end)
+ * - coupons      : 'stack' (add to coupon discounts) or 'best' (customer gets
+ *                  whichever is larger: this rule or their coupons)
+ *
+ * When several rules qualify, the one giving the largest discount applies;
+ * on a tie the rule listed first wins.
+ *
+ * @package    WooCommerce
+ * @subpackage Theme/WooCommerce/Discounts
+ * @since      1.1.0
+ */
+
+// Prevent direct access to this file.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Normalize a Discount Rule
+ *
+ * Fills in defaults and casts every field to its expected type. Returns null
+ * for rules that can't be applied, so callers can drop them.
+ *
+ * Why null instead of fixing values:
+ * - A rule with no amount or an inverted date window is a configuration
+ *   mistake; silently "repairing" it could apply a discount nobody intended
+ *
+ * @since 1.1.0
+ * @param array $rule Raw rule data (from the option or the settings form).
+ * @return array|null Normalized rule, or null if the rule is invalid.
+ */
+function woocommerce_theme_normalize_discount_rule( $rule ) {
+	if ( ! is_array( $rule ) ) {
+		return null;
+	}
+
+	$normalized = array(
+		'id'           => isset( $rule['id'] ) ? sanitize_key( $rule['id'] ) : '',
+		'enabled'      => ! empty( $rule['enabled'] ),
+		'label'        => isset( $rule['label'] ) ? sanitize_text_field( $rule['label'] ) : '',
+		'type'         => woocommerce_theme_validate_value( isset( $rule['type'] ) ? (string) $rule['type'] : '', array( 'percent', 'fixed' ), 'percent' ),
+		'amount'       => isset( $rule['amount'] ) ? (float) wc_format_decimal( $rule['amount'] ) : 0.0,
+		'min_subtotal' => isset( $rule['min_subtotal'] ) ? max( 0.0, (float) wc_format_decimal( $rule['min_subtotal'] ) ) : 0.0,
+		'categories'   => isset( $rule['categories'] ) ? array_values( array_filter( array_map( 'absint', (array) $rule['categories'] ) ) ) : array(),
+		'roles'        => isset( $rule['roles'] ) ? array_values( array_filter( array_map( 'sanitize_key', (array) $rule['roles'] ) ) ) : array(),
+		'date_from'    => isset( $rule['date_from'] ) ? woocommerce_theme_sanitize_discount_date( $rule['date_from'] ) : '',
+		'date_to'      => isset( $rule['date_to'] ) ? woocommerce_theme_sanitize_discount_date( $rule['date_to'] ) : '',
+		'coupons'      => woocommerce_theme_validate_value( isset( $rule['coupons'] ) ? (string) $rule['coupons'] : '', array( 'stack', 'best' ), 'stack' ),
+	);
+
+	if ( $normalized['amount'] <= 0 ) {
+		return null;
+	}
+
+	if ( 'percent' === $normalized['type'] && $normalized['amount'] > 100 ) {
+		return null;
+	}
+
+	if ( $normalized['date_from'] && $normalized['date_to'] && $normalized['date_to'] < $normalized['date_from'] ) {
+		return null;
+	}
+
+	if ( '' === $normalized['label'] ) {
+		$normalized['label'] = __( 'Bulk Order Discount', 'woocommerce' );
+	}
+
+	if ( '' === $normalized['id'] ) {
+		$normalized['id'] = 'rule_' . substr( md5( uniqid( '', true ) ), 0, 8 );
+	}
+
+	return $normalized;
+}
+
+/**
+ * Sanitize a Discount Rule Date
+ *
+ * @since 1.1.0
+ * @param string $date Date entered in the rule editor.
+ * @return string Date as Y-m-d, or '' if empty or invalid.
+ */
+function woocommerce_theme_sanitize_discount_date( $date ) {
+	$date = trim( (string) $date );
+
+	if ( ! preg_match( '/^\d{4}-\d{2}-\d{2}$/', $date ) ) {
+		return '';
+	}
+
+	list( $year, $month, $day ) = array_map( 'intval', explode( '-', $date ) );
+
+	return checkdate( $month, $day, $year ) ? $date : '';
+}
+
+/**
+ * Get Discount Rules
+ *
+ * Returns the normalized rule list. Stores that haven't saved rules yet keep
+ * their previous single threshold/percentage discount, converted to a rule.
+ *
+ * @since 1.1.0
+ * @return array List of normalized rules, in priority order.
+ */
+function woocommerce_theme_get_discount_rules() {
+	$rules = get_option( 'wc_auto_discount_rules', false );
+
+	// Not saved yet: fall back to the legacy single-threshold settings.
+	if ( false === $rules ) {
+		$rules = array();
+		$rule  = woocommerce_theme_normalize_discount_rule(
+			array(
+				'id'           => 'rule_legacy',
+				'enabled'      => true,
+				'type'         => 'percent',
+				'amount'       => get_option( 'wc_auto_discount_percentage' ),
+				'min_subtotal' => get_option( 'wc_auto_discount_threshold' ),
+			)
+		);
+
+		if ( $rule ) {
+			$rules[] = $rule;
+		}
+
+		return $rules;
+	}
+
+	return array_values( array_filter( array_map( 'woocommerce_theme_normalize_discount_rule', (array) $rules ) ) );
+}
+
+/**
+ * Check Whether a Discount Rule Is Active
+ *
+ * Checks everything that doesn't depend on cart contents: enabled flag,
+ * date window (store timezone) and the current customer's role.
+ *
+ * @since 1.1.0
+ * @param array $rule Normalized rule.
+ * @return bool True if the rule may apply right now.
+ */
+function woocommerce_theme_discount_rule_is_active( $rule ) {
+	if ( empty( $rule['enabled'] ) ) {
+		return false;
+	}
+
+	$today = current_time( 'Y-m-d' );
+
+	if ( ( $rule['date_from'] && $today < $rule['date_from'] ) || ( $rule['date_to'] && $today > $rule['date_to'] ) ) {
+		return false;
+	}
+
+	if ( ! empty( $rule['roles'] ) ) {
+		$user_roles = is_user_logged_in() ? (array) wp_get_current_user()->roles : array( 'guest' );
+
+		if ( ! array_intersect( $rule['roles'], $user_roles ) ) {
+			return false;
+		}
+	}
+
+	return true;
+}
+
+/**
+ * Get a Discount Rule's Qualifying Subtotal
+ *
+ * Sums the line subtotals (before coupons, excluding tax, like
+ * WC_Cart::get_subtotal()) of the items the rule covers. Rules limited to
+ * categories only count products in those categories or their subcategories.
+ *
+ * @since 1.1.0
+ * @param array   $rule Normalized rule.
+ * @param WC_Cart $cart Cart object.
+ * @return float Qualifying subtotal.
+ */
+function woocommerce_theme_get_discount_rule_subtotal( $rule, $cart ) {
+	if ( empty( $rule['categories'] ) ) {
+		return (float) $cart->get_subtotal();
+	}
+
+	// Include subcategories, so a rule for "Clothing" also covers "Clothing > Shirts".
+	$category_ids = $rule['categories'];
+	foreach ( $rule['categories'] as $category_id ) {
+		$children = get_term_children( $category_id, 'product_cat' );
+
+		if ( ! is_wp_error( $children ) ) {
+			$category_ids = array_merge( $category_ids, array_map( 'absint', $children ) );
+		}
+	}
+
+	$subtotal = 0.0;
+
+	foreach ( $cart->get_cart() as $cart_item ) {
+		$product_id = ! empty( $cart_item['product_id'] ) ? $cart_item['product_id'] : 0;
+		$product    = $product_id ? wc_get_product( $product_id ) : null; // Parent product holds the categories.
+
+		if ( $product && array_intersect( $category_ids, $product->get_category_ids() ) ) {
+			$subtotal += isset( $cart_item['line_subtotal'] ) ? (float) $cart_item['line_subtotal'] : 0.0;
+		}
+	}
+
+	return $subtotal;
+}
+
+/**
+ * Calculate a Discount Rule's Amount
+ *
+ * @since 1.1.0
+ * @param array $rule     Normalized rule.
+ * @param float $subtotal Qualifying subtotal.
+ * @return float Discount amount (never more than the qualifying subtotal).
+ */
+function woocommerce_theme_calculate_discount_rule_amount( $rule, $subtotal ) {
+	$amount = 'percent' === $rule['type'] ? $subtotal * ( $rule['amount'] / 100 ) : $rule['amount'];
+
+	return min( $amount, $subtotal );
+}
+
+/**
+ * Get the Applied Discount Rule
+ *
+ * Evaluates every active rule against the cart and returns the one giving
+ * the largest discount. Coupon handling ('stack' / 'best') is applied by the
+ * caller, which knows the cart's coupon totals.
+ *
+ * @since 1.1.0
+ * @param WC_Cart $cart Cart object.
+ * @return array|null {
+ *     @type array $rule     The applied rule.
+ *     @type float $subtotal The rule's qualifying subtotal.
+ *     @type float $amount   Discount amount before coupon handling.
+ * } Null if no rule applies.
+ */
+function woocommerce_theme_get_applied_discount_rule( $cart ) {
+	if ( ! is_a( $cart, 'WC_Cart' ) || $cart->is_empty() ) {
+		return null;
+	}
+
+	$best = null;
+
+	foreach ( woocommerce_theme_get_discount_rules() as $rule ) {
+		if ( ! woocommerce_theme_discount_rule_is_active( $rule ) ) {
+			continue;
+		}
+
+		$subtotal = woocommerce_theme_get_discount_rule_subtotal( $rule, $cart );
+
+		// The qualifying subtotal must exceed the rule's minimum.
+		if ( $subtotal <= 0 || $subtotal <= $rule['min_subtotal'] ) {
+			continue;
+		}
+
+		$amount = woocommerce_theme_calculate_discount_rule_amount( $rule, $subtotal );
+
+		// Strictly greater: on a tie the earlier rule keeps priority.
+		if ( ! $best || $amount > $best['amount'] ) {
+			$best = array(
+				'rule'     => $rule,
+				'subtotal' => $subtotal,
+				'amount'   => $amount,
+			);
+		}
+	}
+
+	return $best;
+}
+
+/**
+ * Format a Discount Rule's Value
+ *
+ * @since 1.1.0
+ * @param array $rule Normalized rule.
+ * @return string Plain-text value, e.g. '20%' or 'LKR 500.00'.
+ */
+function woocommerce_theme_format_discount_rule_value( $rule ) {
+	if ( 'percent' === $rule['type'] ) {
+		return wc_format_localized_decimal( $rule['amount'] ) . '%';
+	}
+
+	return html_entity_decode( wp_strip_all_tags( wc_price( $rule['amount'] ) ), ENT_QUOTES, get_bloginfo( 'charset' ) );
+}
@@ -1,15 +1,45 @@
 <?php
 /**
- * WooCommerce Filter by Category
+ * WooCommerce Shop Filters
  *
- * Adds a category filter dropdown on the shop page. When a category is
- * selected, products are restricted to that category via the product query.
+ * Adds a filter form on the shop page: categories, price range, attributes
+ * and stock status. The form is a plain GET form, so it works without
+ * JavaScript; assets/js/shop-category-filter.js submits it over AJAX and
+ * swaps the results in place.
  *
  * ============================================================================
  * FILE RESPONSIBILITIES:
  * ============================================================================
- * - Render "Filter by category" dropdown before the shop loop
- * - Apply tax_query in woocommerce_product_query when filter_cat GET param is set
+ * - Render the filter form before the shop loop (and when nothing matches)
+ * - Apply category and stock status filters in woocommerce_product_query
+ * - Wrap the results (notices, result count, sorting, products, pagination)
+ *   in #shop-results, the region the script replaces
+ * - Active filter chips with "Clear all", and the results summary announced
+ *   to screen readers ("Showing 12 products in Shoes")
+ *
+ * ============================================================================
+ * FILTER PARAMETERS:
+ * ============================================================================
+ * - filter_cat          : Category slugs, comma separated (this file)
+ * - min_price/max_price : Price range (applied by WooCommerce)
+ * - filter_{attribute}  : Attribute term slugs, comma separated, with
+ *                         query_type_{attribute}=or (applied by WooCommerce)
+ * - stock_status        : Stock statuses, comma separated (this file)
+ *
+ * Without JavaScript, checkboxes submit arrays (filter_cat[]=a&filter_cat[]=b)
+ * and empty price fields; those requests are redirected to the comma
+ * separated form WooCommerce expects.
+ *
+ * ============================================================================
+ * WOOCOMMERCE HOOKS USED:
+ * ============================================================================
+ * - woocommerce_product_query        : Category and stock status filters
+ * - woocommerce_before_shop_loop     : Filter form (8), open #shop-results (9),
+ *                                      active filter chips (15)
+ * - woocommerce_after_shop_loop      : Close #shop-results
+ * - woocommerce_no_products_found    : Filter form (8), #shop-results and
+ *                                      active filter chips (9) when nothing
+ *                                      matches
  *
  * @package    WooCommerce
  * @subpackage Theme/WooCommerce
@@ -22,75 +52,358 @@ if ( ! defined( 'ABSPATH' ) ) {
 }
 
 /**
- * Filter product query by category when filter_cat is in request
+ * Get a Comma Separated Filter Parameter as a List
+ *
+ * Accepts 'a,b' as well as arrays (filter_cat[]=a&filter_cat[]=b).
+ *
+ * @since 1.1.0
+ * @param string $key Query string key.
+ * @return string[] Sanitized slugs.
+ */
+function woocommerce_theme_get_filter_param_list( $key ) {
+	// phpcs:ignore WordPress.Security.NonceVerification.Recommended -- Public filter parameters.
+	if ( ! isset( $_GET[ $key ] ) ) {
+		return array();
+	}
+
+	// phpcs:ignore WordPress.Security.NonceVerification.Recommended, WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- Sanitized below.
+	$value  = wp_unslash( $_GET[ $key ] );
+	$values = is_array( $value ) ? $value : explode( ',', (string) $value );
+
+	return array_values( array_unique( array_filter( array_map( 'sanitize_title', $values ) ) ) );
+}
+
+/**
+ * Get the Active Shop Filters
+ *
+ * @since 1.1.0
+ * @return array {
+ *     @type string[] $filter_cat   Category slugs.
+ *     @type string   $min_price    Minimum price ('' if not set).
+ *     @type string   $max_price    Maximum price ('' if not set).
+ *     @type string[] $stock_status Stock statuses.
+ *     @type array    $attributes   Attribute taxonomy (pa_color) => term slugs.
+ * }
+ */
+function woocommerce_theme_get_shop_filters() {
+	$filters = array(
+		'filter_cat'   => woocommerce_theme_get_filter_param_list( 'filter_cat' ),
+		'min_price'    => '',
+		'max_price'    => '',
+		'stock_status' => array_values( array_intersect( woocommerce_theme_get_filter_param_list( 'stock_status' ), array_keys( wc_get_product_stock_status_options() ) ) ),
+		'attributes'   => array(),
+	);
+
+	foreach ( array( 'min_price', 'max_price' ) as $key ) {
+		// phpcs:ignore WordPress.Security.NonceVerification.Recommended -- Public filter parameters.
+		if ( isset( $_GET[ $key ] ) && '' !== $_GET[ $key ] && ! is_array( $_GET[ $key ] ) ) {
+			// phpcs:ignore WordPress.Security.NonceVerification.Recommended -- Public filter parameters.
+			$filters[ $key ] = wc_format_decimal( wc_clean( wp_unslash( $_GET[ $key ] ) ) );
+		}
+	}
+
+	foreach ( wc_get_attribute_taxonomies() as $attribute ) {
+		$terms = woocommerce_theme_get_filter_param_list( 'filter_' . $attribute->attribute_name );
+
+		if ( $terms ) {
+			$filters['attributes'][ wc_attribute_taxonomy_name( $attribute->attribute_name ) ] = $terms;
+		}
+	}
+
+	return $filters;
+}
+
+/**
+ * Redirect Array or Empty Filter Parameters to Their Comma Separated Form
+ *
+ * Why:
+ * - WooCommerce reads filter_{attribute} as a comma separated string and
+ *   fails on arrays
+ * - An empty max_price would filter out every product
+ * - One URL per filter combination (shareable, cacheable)
+ *
+ * Runs on parse_request, before the product query.
+ *
+ * @since 1.1.0
+ * @return void
+ */
+function woocommerce_theme_normalize_filter_params() {
+	// phpcs:disable WordPress.Security.NonceVerification.Recommended -- Public filter parameters.
+	if ( is_admin() || wp_doing_ajax() || empty( $_GET ) || ! isset( $_SERVER['REQUEST_URI'] ) ) {
+		return;
+	}
+
+	$params  = wp_unslash( $_GET );
+	$changed = false;
+
+	foreach ( $params as $key => $value ) {
+		$is_filter = 0 === strpos( $key, 'filter_' ) || 0 === strpos( $key, 'query_type_' ) || in_array( $key, array( 'min_price', 'max_price', 'stock_status' ), true );
+
+		if ( ! $is_filter ) {
+			continue;
+		}
+
+		if ( is_array( $value ) ) {
+			$params[ $key ] = implode( ',', array_filter( array_map( 'sanitize_title', $value ) ) );
+			$changed        = true;
+		}
+
+		// Drop empty fields, and query types without their filter.
+		$orphan_query_type = 0 === strpos( $key, 'query_type_' ) && empty( $_GET[ 'filter_' . substr( $key, strlen( 'query_type_' ) ) ] );
+
+		if ( '' === $params[ $key ] || $orphan_query_type ) {
+			unset( $params[ $key ] );
+			$changed = true;
+		}
+	}
+	// phpcs:enable WordPress.Security.NonceVerification.Recommended
+
+	if ( ! $changed ) {
+		return;
+	}
+
+	$path = strtok( esc_url_raw( wp_unslash( $_SERVER['REQUEST_URI'] ) ), '?' );
+
+	// Paging restarts when the filters change.
+	$path = preg_replace( '#/page/\d+/?$#', '/', $path );
+	unset( $params['paged'] );
+
+	wp_safe_redirect( add_query_arg( rawurlencode_deep( $params ), $path ) );
+	exit;
+}
+add_action( 'parse_request', 'woocommerce_theme_normalize_filter_params' );
+
+/**
+ * Filter product query by category and stock status
+ *
+ * Multiple categories match products in any of them.
  *
  * @since 1.0.0
  * @param WP_Query $q The product query object.
  */
 function woocommerce_theme_filter_products_by_category( $q ) {
-	$filter_cat = isset( $_GET['filter_cat'] ) ? sanitize_text_field( wp_unslash( $_GET['filter_cat'] ) ) : '';
-	if ( '' === $filter_cat ) {
-		return;
+	$filters = woocommerce_theme_get_shop_filters();
+
+	if ( $filters['filter_cat'] ) {
+		$tax_query   = (array) $q->get( 'tax_query' );
+		$tax_query[] = array(
+			'taxonomy' => 'product_cat',
+			'field'    => 'slug',
+			'terms'    => $filters['filter_cat'],
+			'operator' => 'IN',
+		);
+		$q->set( 'tax_query', $tax_query );
 	}
 
-	$tax_query = (array) $q->get( 'tax_query' );
-	$tax_query[] = array(
-		'taxonomy' => 'product_cat',
-		'field'    => 'slug',
-		'terms'    => $filter_cat,
-		'operator' => 'IN',
-	);
-	$q->set( 'tax_query', $tax_query );
+	if ( $filters['stock_status'] ) {
+		$meta_query   = (array) $q->get( 'meta_query' );
+		$meta_query[] = array(
+			'key'     => '_stock_status',
+			'value'   => $filters['stock_status'],
+			'compare' => 'IN',
+		);
+		$q->set( 'meta_query', $meta_query );
+	}
 }
 add_filter( 'woocommerce_product_query', 'woocommerce_theme_filter_products_by_category', 20 );
 
 /**
- * Output category filter dropdown before the shop loop
+ * Get the Lowest and Highest Product Price
  *
- * Displays on the main shop page only. Form submits via GET to preserve
- * filter_cat and optional orderby.
+ * Used as placeholders for the price fields.
  *
- * @since 1.0.0
+ * @since 1.1.0
+ * @return array { @type float $min, @type float $max }
+ */
+function woocommerce_theme_get_filter_price_range() {
+	global $wpdb;
+
+	$range = wp_cache_get( 'woocommerce_theme_price_range', 'woocommerce_theme' );
+
+	if ( false === $range ) {
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery -- Cached below; no API for the price bounds.
+		$row   = $wpdb->get_row( "SELECT MIN( min_price ) AS min, MAX( max_price ) AS max FROM {$wpdb->wc_product_meta_lookup}" );
+		$range = array(
+			'min' => $row ? floor( (float) $row->min ) : 0,
+			'max' => $row ? ceil( (float) $row->max ) : 0,
+		);
+		wp_cache_set( 'woocommerce_theme_price_range', $range, 'woocommerce_theme', HOUR_IN_SECONDS );
+	}
+
+	return $range;
+}
+
+/**
+ * Render a Checkbox Facet
+ *
+ * @since 1.1.0
+ * @param string $name     Input name (without []).
+ * @param string $legend   Facet title.
+ * @param array  $options  Value => label.
+ * @param array  $selected Selected values.
  * @return void
  */
-function woocommerce_theme_render_category_filter() {
-	if ( ! function_exists( 'is_shop' ) || ! is_shop() ) {
+function woocommerce_theme_render_filter_facet( $name, $legend, $options, $selected ) {
+	if ( empty( $options ) ) {
 		return;
 	}
+	?>
+	<fieldset class="shop-category-filter__facet" data-facet="<?php echo esc_attr( $name ); ?>">
+		<legend class="shop-category-filter__legend"><?php echo esc_html( $legend ); ?></legend>
+		<ul class="shop-category-filter__options">
+			<?php foreach ( $options as $value => $label ) : ?>
+				<li>
+					<label class="shop-category-filter__option">
+						<input type="checkbox" name="<?php echo esc_attr( $name ); ?>[]" value="<?php echo esc_attr( $value ); ?>" <?php checked( in_array( (string) $value, $selected, true ) ); ?> />
+						<?php echo esc_html( $label ); ?>
+					</label>
+				</li>
+			<?php endforeach; ?>
+		</ul>
+	</fieldset>
+	<?php
+}
 
+/**
+ * Render Category Checkboxes for One Level of the Tree
+ *
+ * @since 1.1.0
+ * @param array    $children Parent term ID => child terms.
+ * @param int      $parent   Parent term ID (0 for top level).
+ * @param string[] $selected Selected slugs.
+ * @param int      $depth    Current depth (0 for top level).
+ * @return void
+ */
+function woocommerce_theme_render_category_options( $children, $parent, $selected, $depth = 0 ) {
+	if ( empty( $children[ $parent ] ) ) {
+		return;
+	}
+	?>
+	<ul class="<?php echo esc_attr( $depth ? 'shop-category-filter__children' : 'shop-category-filter__options' ); ?>">
+		<?php foreach ( $children[ $parent ] as $term ) : ?>
+			<li data-depth="<?php echo esc_attr( $depth ); ?>">
+				<label class="shop-category-filter__option">
+					<input type="checkbox" name="filter_cat[]" value="<?php echo esc_attr( $term->slug ); ?>" data-count="<?php echo esc_attr( $term->count ); ?>" <?php checked( in_array( $term->slug, $selected, true ) ); ?> />
+					<span class="shop-category-filter__name"><?php echo esc_html( $term->name ); ?></span>
+					<span class="shop-category-filter__count">(<?php echo esc_html( number_format_i18n( $term->count ) ); ?>)</span>
+				</label>
+				<?php woocommerce_theme_render_category_options( $children, $term->term_id, $selected, $depth + 1 ); ?>
+			</li>
+		<?php endforeach; ?>
+	</ul>
+	<?php
+}
+
+/**
+ * Render the Category Facet
+ *
+ * Categories as a nested checkbox list (children under their parent, sorted
+ * by name) with product counts. Counts include products in subcategories.
+ * assets/js/shop-category-combobox.js turns the list into a searchable
+ * combobox; the checkboxes stay the source of the filter_cat values.
+ *
+ * @since 1.1.0
+ * @param string[] $selected Selected category slugs.
+ * @return void
+ */
+function woocommerce_theme_render_category_facet( $selected ) {
 	$categories = get_terms( array(
 		'taxonomy'   => 'product_cat',
 		'hide_empty' => true,
 		'orderby'    => 'name',
 		'order'      => 'ASC',
+		'pad_counts' => true,
 	) );
 
 	if ( is_wp_error( $categories ) || empty( $categories ) ) {
 		return;
 	}
 
-	$current = isset( $_GET['filter_cat'] ) ? sanitize_text_field( wp_unslash( $_GET['filter_cat'] ) ) : '';
-	$base    = get_permalink( wc_get_page_id( 'shop' ) );
-	$orderby = isset( $_GET['orderby'] ) ? sanitize_text_field( wp_unslash( $_GET['orderby'] ) ) : '';
+	$term_ids = wp_list_pluck( $categories, 'term_id' );
+	$children = array();
+
+	foreach ( $categories as $term ) {
+		// Children of hidden (empty) parents move up to the nearest shown level.
+		$parent = in_array( $term->parent, $term_ids, true ) ? $term->parent : 0;
+
+		$children[ $parent ][] = $term;
+	}
 	?>
-	<div class="shop-category-filter" aria-label="<?php esc_attr_e( 'Filter products by category', 'woocommerce' ); ?>">
-		<form method="get" action="<?php echo esc_url( $base ); ?>" class="shop-category-filter__form">
-			<label for="shop-filter-category" class="shop-category-filter__label">
-				<?php esc_html_e( 'Filter by category', 'woocommerce' ); ?>
-			</label>
-			<select id="shop-filter-category" name="filter_cat" class="shop-category-filter__select" aria-label="<?php esc_attr_e( 'Filter by category', 'woocommerce' ); ?>">
-				<option value=""><?php esc_html_e( 'All categories', 'woocommerce' ); ?></option>
-				<?php
-				foreach ( $categories as $term ) {
-					printf(
-						'<option value="%1$s"%2$s>%3$s</option>',
-						esc_attr( $term->slug ),
-						selected( $current, $term->slug, false ),
-						esc_html( $term->name )
-					);
+	<fieldset class="shop-category-filter__facet shop-category-filter__facet--categories" data-facet="filter_cat">
+		<legend class="shop-category-filter__legend" id="shop-category-filter-legend"><?php esc_html_e( 'Categories', 'woocommerce' ); ?></legend>
+		<?php woocommerce_theme_render_category_options( $children, 0, $selected ); ?>
+	</fieldset>
+	<?php
+}
+
+/**
+ * Output the shop filter form before the shop loop
+ *
+ * Displays on the main shop page only. Form submits via GET to preserve
+ * the filters and optional orderby.
+ *
+ * @since 1.0.0
+ * @return void
+ */
+function woocommerce_theme_render_category_filter() {
+	if ( ! function_exists( 'is_shop' ) || ! is_shop() ) {
+		return;
+	}
+
+	$filters     = woocommerce_theme_get_shop_filters();
+	$base        = get_permalink( wc_get_page_id( 'shop' ) );
+	$orderby     = isset( $_GET['orderby'] ) ? sanitize_text_field( wp_unslash( $_GET['orderby'] ) ) : '';
+	$price_range = woocommerce_theme_get_filter_price_range();
+	?>
+	<div class="shop-category-filter" aria-label="<?php esc_attr_e( 'Filter products', 'woocommerce' ); ?>">
+		<form method="get" action="<?php echo esc_url( $base ); ?>" class="shop-category-filter__form" aria-controls="shop-results">
+			<?php
+			woocommerce_theme_render_category_facet( $filters['filter_cat'] );
+			?>
+
+			<fieldset class="shop-category-filter__facet shop-category-filter__facet--price" data-facet="price">
+				<legend class="shop-category-filter__legend"><?php esc_html_e( 'Price', 'woocommerce' ); ?></legend>
+				<label class="shop-category-filter__price">
+					<span><?php esc_html_e( 'Min', 'woocommerce' ); ?></span>
+					<input type="number" name="min_price" min="0" step="any" inputmode="decimal" value="<?php echo esc_attr( $filters['min_price'] ); ?>" placeholder="<?php echo esc_attr( $price_range['min'] ); ?>" />
+				</label>
+				<label class="shop-category-filter__price">
+					<span><?php esc_html_e( 'Max', 'woocommerce' ); ?></span>
+					<input type="number" name="max_price" min="0" step="any" inputmode="decimal" value="<?php echo esc_attr( $filters['max_price'] ); ?>" placeholder="<?php echo esc_attr( $price_range['max'] ); ?>" />
+				</label>
+			</fieldset>
+
+			<?php
+			foreach ( wc_get_attribute_taxonomies() as $attribute ) {
+				$taxonomy = wc_attribute_taxonomy_name( $attribute->attribute_name );
+				$terms    = taxonomy_exists( $taxonomy ) ? get_terms( array(
+					'taxonomy'   => $taxonomy,
+					'hide_empty' => true,
+				) ) : array();
+
+				if ( is_wp_error( $terms ) || empty( $terms ) ) {
+					continue;
 				}
+
+				woocommerce_theme_render_filter_facet(
+					'filter_' . $attribute->attribute_name,
+					$attribute->attribute_label,
+					wp_list_pluck( $terms, 'name', 'slug' ),
+					isset( $filters['attributes'][ $taxonomy ] ) ? $filters['attributes'][ $taxonomy ] : array()
+				);
 				?>
-			</select>
+				<input type="hidden" name="query_type_<?php echo esc_attr( $attribute->attribute_name ); ?>" value="or" />
+				<?php
+			}
+
+			woocommerce_theme_render_filter_facet(
+				'stock_status',
+				__( 'Availability', 'woocommerce' ),
+				wc_get_product_stock_status_options(),
+				$filters['stock_status']
+			);
+			?>
+
 			<?php if ( $orderby ) : ?>
 				<input type="hidden" name="orderby" value="<?php echo esc_attr( $orderby ); ?>" />
 			<?php endif; ?>
@@ -98,7 +411,244 @@ function woocommerce_theme_render_category_filter() {
 				<?php esc_html_e( 'Filter', 'woocommerce' ); ?>
 			</button>
 		</form>
+		<p id="shop-results-status" class="screen-reader-text" role="status" aria-live="polite"></p>
 	</div>
 	<?php
 }
 add_action( 'woocommerce_before_shop_loop', 'woocommerce_theme_render_category_filter', 8 );
+add_action( 'woocommerce_no_products_found', 'woocommerce_theme_render_category_filter', 8 );
+
+/**
+ * Get the Shop Results Summary
+ *
+ * Announced by the script after each filter change, e.g. "Showing 12
+ * products in Shoes, Bags".
+ *
+ * @since 1.1.0
+ * @return string Summary.
+ */
+function woocommerce_theme_get_shop_results_summary() {
+	global $wp_query;
+
+	$total   = (int) $wp_query->found_posts;
+	$filters = woocommerce_theme_get_shop_filters();
+	$names   = array();
+
+	foreach ( $filters['filter_cat'] as $slug ) {
+		$term = get_term_by( 'slug', $slug, 'product_cat' );
+
+		if ( $term ) {
+			$names[] = $term->name;
+		}
+	}
+
+	if ( ! $total ) {
+		return __( 'No products found.', 'woocommerce' );
+	}
+
+	if ( $names ) {
+		/* translators: 1: number of products, 2: category names */
+		return sprintf( _n( 'Showing %1$d product in %2$s', 'Showing %1$d products in %2$s', $total, 'woocommerce' ), $total, implode( ', ', $names ) );
+	}
+
+	/* translators: %d: number of products */
+	return sprintf( _n( 'Showing %d product', 'Showing %d products', $total, 'woocommerce' ), $total );
+}
+
+/**
+ * Get the Shop URL Without One Filter Value
+ *
+ * @since 1.1.0
+ * @param string      $key   Query string key (filter_cat, filter_color, min_price, orderby, ...).
+ * @param string|null $value Value to remove from a comma separated list, or null to remove the key.
+ * @return string URL (paging restarts).
+ */
+function woocommerce_theme_get_filter_remove_url( $key, $value = null ) {
+	// phpcs:ignore WordPress.Security.NonceVerification.Recommended, WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- Rebuilt into a URL, escaped on output.
+	$params = array_map( 'wc_clean', wp_unslash( $_GET ) );
+	unset( $params['paged'] );
+
+	if ( null !== $value && isset( $params[ $key ] ) ) {
+		$params[ $key ] = implode( ',', array_diff( woocommerce_theme_get_filter_param_list( $key ), array( $value ) ) );
+	}
+
+	if ( null === $value || ( isset( $params[ $key ] ) && '' === $params[ $key ] ) ) {
+		unset( $params[ $key ] );
+
+		if ( 0 === strpos( $key, 'filter_' ) ) {
+			unset( $params[ 'query_type_' . substr( $key, strlen( 'filter_' ) ) ] );
+		}
+	}
+
+	return add_query_arg( rawurlencode_deep( $params ), get_permalink( wc_get_page_id( 'shop' ) ) );
+}
+
+/**
+ * Get the Active Filter Chips
+ *
+ * One chip per category, attribute term and stock status, one for the price
+ * range and one for a custom sort order (which the filters keep).
+ *
+ * @since 1.1.0
+ * @return array[] Chips: array( 'label' => string, 'url' => string ).
+ */
+function woocommerce_theme_get_active_filter_chips() {
+	$filters = woocommerce_theme_get_shop_filters();
+	$chips   = array();
+
+	foreach ( $filters['filter_cat'] as $slug ) {
+		$term = get_term_by( 'slug', $slug, 'product_cat' );
+
+		$chips[] = array(
+			'label' => $term ? $term->name : $slug,
+			'url'   => woocommerce_theme_get_filter_remove_url( 'filter_cat', $slug ),
+		);
+	}
+
+	if ( '' !== $filters['min_price'] || '' !== $filters['max_price'] ) {
+		if ( '' !== $filters['min_price'] && '' !== $filters['max_price'] ) {
+			/* translators: 1: minimum price, 2: maximum price */
+			$label = sprintf( __( 'Price: %1$s – %2$s', 'woocommerce' ), wp_strip_all_tags( wc_price( $filters['min_price'] ) ), wp_strip_all_tags( wc_price( $filters['max_price'] ) ) );
+		} elseif ( '' !== $filters['min_price'] ) {
+			/* translators: %s: minimum price */
+			$label = sprintf( __( 'Price: from %s', 'woocommerce' ), wp_strip_all_tags( wc_price( $filters['min_price'] ) ) );
+		} else {
+			/* translators: %s: maximum price */
+			$label = sprintf( __( 'Price: up to %s', 'woocommerce' ), wp_strip_all_tags( wc_price( $filters['max_price'] ) ) );
+		}
+
+		$chips[] = array(
+			'label' => $label,
+			'url'   => remove_query_arg( 'max_price', woocommerce_theme_get_filter_remove_url( 'min_price' ) ),
+		);
+	}
+
+	foreach ( $filters['attributes'] as $taxonomy => $slugs ) {
+		foreach ( $slugs as $slug ) {
+			$term = get_term_by( 'slug', $slug, $taxonomy );
+
+			$chips[] = array(
+				/* translators: 1: attribute label (e.g. Color), 2: term name (e.g. Red) */
+				'label' => sprintf( __( '%1$s: %2$s', 'woocommerce' ), wc_attribute_label( $taxonomy ), $term ? $term->name : $slug ),
+				'url'   => woocommerce_theme_get_filter_remove_url( 'filter_' . wc_attribute_taxonomy_slug( $taxonomy ), $slug ),
+			);
+		}
+	}
+
+	$stock_statuses = wc_get_product_stock_status_options();
+
+	foreach ( $filters['stock_status'] as $status ) {
+		$chips[] = array(
+			'label' => $stock_statuses[ $status ],
+			'url'   => woocommerce_theme_get_filter_remove_url( 'stock_status', $status ),
+		);
+	}
+
+	// phpcs:ignore WordPress.Security.NonceVerification.Recommended -- Public sort parameter.
+	$orderby        = isset( $_GET['orderby'] ) ? wc_clean( wp_unslash( $_GET['orderby'] ) ) : '';
+	$orderby_labels = apply_filters(
+		'woocommerce_catalog_orderby',
+		array(
+			'menu_order' => __( 'Default sorting', 'woocommerce' ),
+			'popularity' => __( 'Sort by popularity', 'woocommerce' ),
+			'rating'     => __( 'Sort by average rating', 'woocommerce' ),
+			'date'       => __( 'Sort by latest', 'woocommerce' ),
+			'price'      => __( 'Sort by price: low to high', 'woocommerce' ),
+			'price-desc' => __( 'Sort by price: high to low', 'woocommerce' ),
+		)
+	);
+
+	if ( $orderby && 'menu_order' !== $orderby && isset( $orderby_labels[ $orderby ] ) ) {
+		$chips[] = array(
+			'label' => $orderby_labels[ $orderby ],
+			'url'   => woocommerce_theme_get_filter_remove_url( 'orderby' ),
+		);
+	}
+
+	return $chips;
+}
+
+/**
+ * Render the Active Filter Chips
+ *
+ * Each chip links to the shop without that filter, and "Clear all" to the
+ * unfiltered shop, so the bar works without JavaScript. The script loads
+ * these links over AJAX like the form.
+ *
+ * @since 1.1.0
+ * @return void
+ */
+function woocommerce_theme_render_active_filter_chips() {
+	if ( ! function_exists( 'is_shop' ) || ! is_shop() ) {
+		return;
+	}
+
+	$chips = woocommerce_theme_get_active_filter_chips();
+
+	if ( empty( $chips ) ) {
+		return;
+	}
+	?>
+	<div class="shop-filter-chips">
+		<span class="shop-filter-chips__title" id="shop-filter-chips-title"><?php esc_html_e( 'Active filters:', 'woocommerce' ); ?></span>
+		<ul class="shop-filter-chips__list" aria-labelledby="shop-filter-chips-title">
+			<?php foreach ( $chips as $chip ) : ?>
+				<li>
+					<a class="shop-filter-chips__chip" href="<?php echo esc_url( $chip['url'] ); ?>">
+						<?php echo esc_html( $chip['label'] ); ?>
+						<span class="shop-filter-chips__remove" aria-hidden="true">&times;</span>
+						<span class="screen-reader-text"><?php esc_html_e( '(remove filter)', 'woocommerce' ); ?></span>
+					</a>
+				</li>
+			<?php endforeach; ?>
+		</ul>
+		<a class="shop-filter-chips__clear" href="<?php echo esc_url( get_permalink( wc_get_page_id( 'shop' ) ) ); ?>">
+			<?php esc_html_e( 'Clear all', 'woocommerce' ); ?>
+		</a>
+	</div>
+	<?php
+}
+add_action( 'woocommerce_before_shop_loop', 'woocommerce_theme_render_active_filter_chips', 15 );
+
+/**
+ * Open the Shop Results Region
+ *
+ * Everything the filters change (notices, result count, sorting, products,
+ * pagination or the "no products" message) sits inside #shop-results, so
+ * the script can swap it in one piece.
+ *
+ * @since 1.1.0
+ * @return void
+ */
+function woocommerce_theme_open_shop_results() {
+	if ( ! function_exists( 'is_shop' ) || ! is_shop() ) {
+		return;
+	}
+
+	printf(
+		'<div id="shop-results" class="shop-results" tabindex="-1" data-summary="%s">',
+		esc_attr( woocommerce_theme_get_shop_results_summary() )
+	);
+}
+add_action( 'woocommerce_before_shop_loop', 'woocommerce_theme_open_shop_results', 9 );
+add_action( 'woocommerce_no_products_found', 'woocommerce_theme_open_shop_results', 9 );
+
+// Same priority as the region, added after it so the chips print inside it
+// and before wc_no_products_found (10)
+add_action( 'woocommerce_no_products_found', 'woocommerce_theme_render_active_filter_chips', 9 );
+
+/**
+ * Close the Shop Results Region
+ *
+ * @since 1.1.0
+ * @return void
+ */
+function woocommerce_theme_close_shop_results() {
+	if ( ! function_exists( 'is_shop' ) || ! is_shop() ) {
+		return;
+	}
+
+	echo '</div><!-- #shop-results -->';
+}
+add_action( 'woocommerce_after_shop_loop', 'woocommerce_theme_close_shop_results', 99 );
+add_action( 'woocommerce_no_products_found', 'woocommerce_theme_close_shop_results', 99 );
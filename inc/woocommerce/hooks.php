@@ -42,6 +42,7 @@
  * ============================================================================
  * - woocommerce_before_shop_loop       : Before product grid on shop pages
  * - woocommerce_before_shop_loop_item_title : Before product title in loop
+ * - woocommerce_after_shop_loop        : "Load more" / infinite scroll button
  *
  * @package    WooCommerce
  * @subpackage Theme/WooCommerce/Hooks
@@ -144,3 +145,70 @@ function woocommerce_display_out_of_stock_badge() {
 	);
 }
 add_action( 'woocommerce_before_shop_loop_item_title', 'woocommerce_display_out_of_stock_badge', 5 );
+
+/**
+ * Get Shop Pagination Mode
+ *
+ * Returns the mode chosen in WooCommerce > Settings > Products:
+ * - numbers   : WooCommerce's numbered pagination (default)
+ * - load_more : "Load more" button appending the next page
+ * - infinite  : Next page appended when the button scrolls into view
+ *
+ * @since 1.1.0
+ * @return string 'numbers', 'load_more' or 'infinite'.
+ */
+function woocommerce_theme_get_shop_pagination_mode() {
+	return woocommerce_theme_validate_value(
+		get_option( 'wc_shop_pagination_mode', 'numbers' ),
+		array( 'numbers', 'load_more', 'infinite' ),
+		'numbers'
+	);
+}
+
+/**
+ * "Load More" Button Below the Product Loop
+ *
+ * A plain link to the next page (get_pagenum_link() keeps filter_cat,
+ * orderby and the other filters), so it works without JavaScript.
+ * assets/js/shop-load-more.js appends the next page's products instead,
+ * hides the numbered pagination and, in infinite mode, loads automatically.
+ *
+ * Why keep a button in infinite mode:
+ * - Keyboard and screen reader users can load more on purpose
+ * - Fallback if automatic loading is not supported or fails
+ *
+ * @since 1.1.0
+ * @return void
+ */
+function woocommerce_theme_render_load_more() {
+	$mode = woocommerce_theme_get_shop_pagination_mode();
+
+	if ( 'numbers' === $mode || ! wc_get_loop_prop( 'is_paginated' ) ) {
+		return;
+	}
+
+	$total_pages  = (int) wc_get_loop_prop( 'total_pages' );
+	$current_page = max( 1, (int) wc_get_loop_prop( 'current_page' ) );
+	$per_page     = (int) wc_get_loop_prop( 'per_page' );
+	$total        = (int) wc_get_loop_prop( 'total' );
+
+	if ( $total_pages <= 1 ) {
+		return;
+	}
+	?>
+	<div
+		class="shop-load-more"
+		data-mode="<?php echo esc_attr( $mode ); ?>"
+		data-first="<?php echo esc_attr( ( $current_page - 1 ) * $per_page + 1 ); ?>"
+		data-total="<?php echo esc_attr( $total ); ?>"
+	>
+		<p class="shop-load-more__status screen-reader-text" role="status" aria-live="polite"></p>
+		<?php if ( $current_page < $total_pages ) : ?>
+			<a class="button shop-load-more__button" href="<?php echo esc_url( get_pagenum_link( $current_page + 1 ) ); ?>">
+				<?php esc_html_e( 'Load more products', 'woocommerce' ); ?>
+			</a>
+		<?php endif; ?>
+	</div>
+	<?php
+}
+add_action( 'woocommerce_after_shop_loop', 'woocommerce_theme_render_load_more', 15 );
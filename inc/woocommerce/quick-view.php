@@ -0,0 +1,206 @@
+<?php
+/**
+ * WooCommerce Product Quick View
+ *
+ * "Quick view" button on shop loop cards that opens the product in a modal
+ * (assets/js/quick-view.js): gallery, price, short description and the
+ * regular add to cart form with swatches and quantity buttons.
+ *
+ * ============================================================================
+ * FILE RESPONSIBILITIES:
+ * ============================================================================
+ * - Quick view button on product cards
+ * - Modal content for a product (AJAX endpoint)
+ * - Script parameters for quick-view.js
+ *
+ * ============================================================================
+ * WHAT BELONGS HERE:
+ * ============================================================================
+ * - Quick view markup and endpoint
+ *
+ * ============================================================================
+ * WHAT DOES NOT BELONG HERE:
+ * ============================================================================
+ * - Swatch settings and data (use swatches.php)
+ * - Add to cart handling (use cart.php; the modal form posts to the same
+ *   ?wc-ajax=theme_add_to_cart endpoint as the product page)
+ *
+ * ============================================================================
+ * WOOCOMMERCE HOOKS USED:
+ * ============================================================================
+ * - woocommerce_after_shop_loop_item : Quick view button on loop cards
+ * - wc_ajax_theme_quick_view         : Modal content (AJAX)
+ *
+ * @package    WooCommerce
+ * @subpackage Theme/WooCommerce/QuickView
+ * @since      1.1.0
+ */
+
+// Prevent direct access to this file.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Render Quick View Button on Shop Loop Cards
+ *
+ * A link to the product page, so it works without JavaScript; quick-view.js
+ * opens the modal instead. The script is enqueued here, so it only loads on
+ * pages that show product cards (shop, categories, related products,
+ * product blocks).
+ *
+ * @since 1.1.0
+ * @return void
+ */
+function woocommerce_theme_render_quick_view_button() {
+	global $product;
+
+	if ( ! $product || ! is_a( $product, 'WC_Product' ) ) {
+		return;
+	}
+
+	wp_enqueue_script( 'woocommerce-quick-view' );
+	woocommerce_theme_localize_swatches_script();
+
+	printf(
+		'<a href="%1$s" class="quick-view-button" data-product_id="%2$d" aria-haspopup="dialog" aria-label="%3$s">%4$s</a>',
+		esc_url( $product->get_permalink() ),
+		absint( $product->get_id() ),
+		/* translators: %s: product name */
+		esc_attr( sprintf( __( 'Quick view: %s', 'woocommerce' ), wp_strip_all_tags( $product->get_name() ) ) ),
+		esc_html__( 'Quick view', 'woocommerce' )
+	);
+}
+add_action( 'woocommerce_after_shop_loop_item', 'woocommerce_theme_render_quick_view_button', 15 );
+
+/**
+ * Render Quick View Content
+ *
+ * Uses WooCommerce's own single product template functions for the price,
+ * short description and add to cart form, so plugins hooking into those
+ * keep working. The gallery markup mirrors the product page
+ * (.woocommerce-product-gallery__image .wp-post-image), so WooCommerce's
+ * variation script swaps the image when a variation is chosen.
+ *
+ * data-theme-swatches carries this product's swatch settings for
+ * variation-size-labels.js (the page's localized data belongs to another
+ * product, or none).
+ *
+ * Expects the global $post and $product to be set up for the product.
+ *
+ * @since 1.1.0
+ * @param WC_Product $product Product to show.
+ * @return void
+ */
+function woocommerce_theme_render_quick_view( $product ) {
+	$image_ids = array_filter( array_merge( array( $product->get_image_id() ), $product->get_gallery_image_ids() ) );
+	?>
+	<div
+		id="product-<?php echo esc_attr( $product->get_id() ); ?>"
+		<?php wc_product_class( 'quick-view__product', $product ); ?>
+		data-theme-swatches="<?php echo esc_attr( wp_json_encode( woocommerce_theme_get_swatches_script_params( $product ) ) ); ?>"
+	>
+		<div class="quick-view__gallery woocommerce-product-gallery">
+			<div class="woocommerce-product-gallery__image">
+				<?php echo $product->get_image( 'woocommerce_single', array( 'class' => 'wp-post-image' ) ); // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped ?>
+			</div>
+
+			<?php if ( count( $image_ids ) > 1 ) : ?>
+				<ul class="quick-view__thumbnails">
+					<?php
+					foreach ( array_values( $image_ids ) as $index => $image_id ) :
+						$image = wp_get_attachment_image_src( $image_id, 'woocommerce_single' );
+
+						if ( ! $image ) {
+							continue;
+						}
+
+						/* translators: %d: image number */
+						$label = sprintf( __( 'Show image %d', 'woocommerce' ), $index + 1 );
+						?>
+						<li>
+							<button
+								type="button"
+								class="quick-view__thumbnail"
+								data-image-src="<?php echo esc_url( $image[0] ); ?>"
+								data-image-srcset="<?php echo esc_attr( (string) wp_get_attachment_image_srcset( $image_id, 'woocommerce_single' ) ); ?>"
+								aria-pressed="<?php echo 0 === $index ? 'true' : 'false'; ?>"
+								aria-label="<?php echo esc_attr( $label ); ?>"
+							>
+								<?php echo wp_get_attachment_image( $image_id, 'woocommerce_gallery_thumbnail', false, array( 'alt' => '' ) ); // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped ?>
+							</button>
+						</li>
+					<?php endforeach; ?>
+				</ul>
+			<?php endif; ?>
+		</div>
+
+		<div class="quick-view__summary summary entry-summary">
+			<h2 id="quick-view-title" class="quick-view__title product_title"><?php echo esc_html( $product->get_name() ); ?></h2>
+			<?php
+			woocommerce_template_single_price();
+			woocommerce_template_single_excerpt();
+			woocommerce_template_single_add_to_cart();
+			?>
+			<a class="quick-view__details" href="<?php echo esc_url( $product->get_permalink() ); ?>">
+				<?php esc_html_e( 'View full details', 'woocommerce' ); ?>
+			</a>
+		</div>
+	</div>
+	<?php
+}
+
+/**
+ * AJAX: Quick View Content
+ *
+ * Endpoint: ?wc-ajax=theme_quick_view&product_id=...
+ *
+ * Response (success): { html } for the modal. Products that are not
+ * visible in the catalog (hidden, drafts, private) return an error, and the
+ * script falls back to opening the product page.
+ *
+ * Read-only public data, so no nonce (works from cached pages).
+ *
+ * @since 1.1.0
+ * @return void Sends a JSON response and exits.
+ */
+function woocommerce_theme_ajax_quick_view() {
+	// phpcs:ignore WordPress.Security.NonceVerification.Recommended
+	$product_id = isset( $_GET['product_id'] ) ? absint( wp_unslash( $_GET['product_id'] ) ) : 0;
+	$product    = $product_id ? wc_get_product( $product_id ) : null;
+
+	if ( ! $product || 'publish' !== $product->get_status() || 'hidden' === $product->get_catalog_visibility() || $product->is_type( 'variation' ) ) {
+		wp_send_json_error( array( 'message' => __( 'This product is not available.', 'woocommerce' ) ) );
+	}
+
+	// Single product template functions read the globals.
+	$GLOBALS['post']    = get_post( $product->get_id() ); // phpcs:ignore WordPress.WP.GlobalVariablesOverride.Prohibited
+	$GLOBALS['product'] = $product; // phpcs:ignore WordPress.WP.GlobalVariablesOverride.Prohibited
+	setup_postdata( $GLOBALS['post'] );
+
+	ob_start();
+	woocommerce_theme_render_quick_view( $product );
+	$html = ob_get_clean();
+
+	wp_reset_postdata();
+
+	wp_send_json_success( array( 'html' => $html ) );
+}
+add_action( 'wc_ajax_theme_quick_view', 'woocommerce_theme_ajax_quick_view' );
+
+/**
+ * Quick View Script Parameters
+ *
+ * Data passed to quick-view.js via wp_localize_script().
+ *
+ * @since 1.1.0
+ * @return array Script parameters.
+ */
+function woocommerce_theme_get_quick_view_script_params() {
+	return array(
+		'ajax_url' => WC_AJAX::get_endpoint( 'theme_quick_view' ),
+		'i18n'     => array(
+			'close' => __( 'Close quick view', 'woocommerce' ),
+		),
+	);
+}
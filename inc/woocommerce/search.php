@@ -0,0 +1,216 @@
+<?php
+/**
+ * WooCommerce Header Product Search
+ *
+ * Product search field in the site header with instant suggestions, built by
+ * assets/js/header-search.js. Without JavaScript the field is a regular
+ * product search form (?s=...&post_type=product).
+ *
+ * ============================================================================
+ * FILE RESPONSIBILITIES:
+ * ============================================================================
+ * - Header search form markup (called from header.php)
+ * - AJAX endpoint returning product suggestions
+ * - Script parameters for header-search.js
+ *
+ * ============================================================================
+ * WHAT BELONGS HERE:
+ * ============================================================================
+ * - Search form rendering
+ * - Suggestion query and response format
+ *
+ * ============================================================================
+ * WHAT DOES NOT BELONG HERE:
+ * ============================================================================
+ * - Shop filters (use filter-categories.php)
+ * - Origin badge markup (use product.php; reused here)
+ *
+ * ============================================================================
+ * WOOCOMMERCE HOOKS USED:
+ * ============================================================================
+ * - wc_ajax_theme_product_search : Product suggestions (AJAX)
+ *
+ * @package    WooCommerce
+ * @subpackage Theme/WooCommerce/Search
+ * @since      1.1.0
+ */
+
+// Prevent direct access to this file.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Render Header Product Search Form
+ *
+ * A plain GET form to the product search results, so it works without
+ * JavaScript. header-search.js adds the suggestions listbox and turns the
+ * input into a combobox.
+ *
+ * @since 1.1.0
+ * @return void
+ */
+function woocommerce_theme_render_header_search() {
+	$search_query = get_search_query();
+	?>
+	<div class="header-search">
+		<form role="search" method="get" class="header-search__form" action="<?php echo esc_url( home_url( '/' ) ); ?>">
+			<label class="screen-reader-text" for="header-search-input"><?php esc_html_e( 'Search products', 'woocommerce' ); ?></label>
+			<input
+				type="search"
+				id="header-search-input"
+				class="header-search__input"
+				name="s"
+				value="<?php echo esc_attr( $search_query ); ?>"
+				placeholder="<?php esc_attr_e( 'Search products&hellip;', 'woocommerce' ); ?>"
+				autocomplete="off"
+			/>
+			<input type="hidden" name="post_type" value="product" />
+			<button type="submit" class="header-search__submit" aria-label="<?php esc_attr_e( 'Search', 'woocommerce' ); ?>">
+				<i class="fas fa-search" aria-hidden="true"></i>
+			</button>
+		</form>
+	</div>
+	<?php
+}
+
+/**
+ * Get Product Search Results URL
+ *
+ * @since 1.1.0
+ * @param string $term Search text.
+ * @return string URL of the full product search results.
+ */
+function woocommerce_theme_get_product_search_url( $term ) {
+	return add_query_arg(
+		array(
+			's'         => rawurlencode( $term ),
+			'post_type' => 'product',
+		),
+		home_url( '/' )
+	);
+}
+
+/**
+ * AJAX: Product Search Suggestions
+ *
+ * Endpoint: ?wc-ajax=theme_product_search&term=...
+ *
+ * Runs the same product search as the results page (title, content and
+ * excerpt) and honors catalog visibility ("Search results only" / "Hidden")
+ * and the "Hide out of stock items" setting.
+ *
+ * Response (success):
+ * - results : [ { id, name, url, image, price, badge } ] where image, price
+ *             and badge are HTML (badge from
+ *             woocommerce_display_product_origin_badge())
+ * - total   : Number of matching products
+ * - url     : Full search results URL ("See all results")
+ *
+ * Like the search form itself, the request is not nonce-protected: it reads
+ * public data only and must work from cached pages.
+ *
+ * @since 1.1.0
+ * @return void Sends a JSON response and exits.
+ */
+function woocommerce_theme_ajax_product_search() {
+	// phpcs:ignore WordPress.Security.NonceVerification.Recommended
+	$term = isset( $_GET['term'] ) ? wc_clean( wp_unslash( $_GET['term'] ) ) : '';
+
+	if ( '' === $term ) {
+		wp_send_json_error( array( 'message' => __( 'Please enter a search term.', 'woocommerce' ) ) );
+	}
+
+	/**
+	 * Filter the number of suggestions in the header search dropdown.
+	 *
+	 * @since 1.1.0
+	 * @param int $limit Number of products. Default 6.
+	 */
+	$limit = max( 1, absint( apply_filters( 'woocommerce_theme_live_search_limit', 6 ) ) );
+
+	// Same visibility rules as the product search results page.
+	$exclude = array( 'exclude-from-search' );
+	if ( 'yes' === get_option( 'woocommerce_hide_out_of_stock_items' ) ) {
+		$exclude[] = 'outofstock';
+	}
+
+	$query = new WP_Query(
+		array(
+			'post_type'      => 'product',
+			'post_status'    => 'publish',
+			's'              => $term,
+			'posts_per_page' => $limit,
+			'tax_query'      => array( // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_tax_query
+				array(
+					'taxonomy' => 'product_visibility',
+					'field'    => 'name',
+					'terms'    => $exclude,
+					'operator' => 'NOT IN',
+				),
+			),
+		)
+	);
+
+	$results = array();
+
+	// woocommerce_display_product_origin_badge() reads the global $product.
+	$previous_product = isset( $GLOBALS['product'] ) ? $GLOBALS['product'] : null;
+
+	foreach ( $query->posts as $post ) {
+		$product = wc_get_product( $post );
+
+		if ( ! $product ) {
+			continue;
+		}
+
+		$GLOBALS['product'] = $product; // phpcs:ignore WordPress.WP.GlobalVariablesOverride.Prohibited
+
+		ob_start();
+		woocommerce_display_product_origin_badge();
+		$badge = ob_get_clean();
+
+		$results[] = array(
+			'id'    => $product->get_id(),
+			'name'  => wp_strip_all_tags( $product->get_name() ),
+			'url'   => $product->get_permalink(),
+			'image' => $product->get_image( 'woocommerce_gallery_thumbnail', array( 'alt' => '' ) ),
+			'price' => $product->get_price_html(),
+			'badge' => $badge,
+		);
+	}
+
+	$GLOBALS['product'] = $previous_product; // phpcs:ignore WordPress.WP.GlobalVariablesOverride.Prohibited
+
+	wp_send_json_success(
+		array(
+			'results' => $results,
+			'total'   => (int) $query->found_posts,
+			'url'     => woocommerce_theme_get_product_search_url( $term ),
+		)
+	);
+}
+add_action( 'wc_ajax_theme_product_search', 'woocommerce_theme_ajax_product_search' );
+
+/**
+ * Header Search Script Parameters
+ *
+ * Data passed to header-search.js via wp_localize_script().
+ *
+ * @since 1.1.0
+ * @return array Script parameters.
+ */
+function woocommerce_theme_get_header_search_script_params() {
+	return array(
+		'ajax_url'  => WC_AJAX::get_endpoint( 'theme_product_search' ),
+		'min_chars' => 2,
+		'i18n'      => array(
+			'loading'    => __( 'Searching…', 'woocommerce' ),
+			'no_results' => __( 'No products found', 'woocommerce' ),
+			/* translators: %d: number of products found */
+			'results'    => __( '%d products found', 'woocommerce' ),
+			/* translators: %d: number of products found */
+			'see_all'    => __( 'See all results (%d)', 'woocommerce' ),
+		),
+	);
+}
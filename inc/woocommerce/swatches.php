@@ -0,0 +1,776 @@
+<?php
+/**
+ * WooCommerce Variation Swatches
+ *
+ * Admin settings and frontend data for the variation swatches built by
+ * assets/js/variation-size-labels.js. Any product attribute can be shown
+ * as text labels, color swatches or image swatches instead of a dropdown.
+ *
+ * ============================================================================
+ * FILE RESPONSIBILITIES:
+ * ============================================================================
+ * - Per-attribute swatch settings (Products > Attributes > Edit)
+ * - Per-term swatch values (Products > Attributes > Configure terms)
+ * - Swatch data for the current product, passed to the script via
+ *   wp_localize_script() where it is enqueued (product pages, quick view)
+ * - Color/image swatches on shop loop cards (swapped by
+ *   assets/js/loop-swatches.js)
+ *
+ * ============================================================================
+ * WHAT BELONGS HERE:
+ * ============================================================================
+ * - Attribute and attribute term admin fields and save handlers
+ * - Swatch data helpers
+ *
+ * ============================================================================
+ * WHAT DOES NOT BELONG HERE:
+ * ============================================================================
+ * - Single product swatch markup and behavior (use
+ *   assets/js/variation-size-labels.js)
+ * - Other product fields (use product.php)
+ *
+ * ============================================================================
+ * SWATCH SETTINGS:
+ * ============================================================================
+ * Per attribute (option 'wc_theme_attribute_swatches', keyed by attribute ID):
+ * - type          : 'select' (dropdown), 'label', 'color' or 'image'
+ * - keep_dropdown : Keep the dropdown visible next to the swatches
+ *
+ * Per term (term meta):
+ * - theme_swatch_color   : Main color (hex)
+ * - theme_swatch_color_2 : Optional second color (dual-color swatch)
+ * - theme_swatch_image   : Optional image attachment ID (image swatch, or a
+ *                          pattern shown inside a color swatch)
+ *
+ * Attributes without saved settings keep the original behavior: size
+ * attributes as labels, color attributes as color swatches, others as
+ * dropdowns.
+ *
+ * ============================================================================
+ * WOOCOMMERCE HOOKS USED:
+ * ============================================================================
+ * - woocommerce_after_add_attribute_fields  : Swatch fields on "Add attribute"
+ * - woocommerce_after_edit_attribute_fields : Swatch fields on "Edit attribute"
+ * - woocommerce_attribute_added / _updated  : Save attribute swatch settings
+ * - woocommerce_attribute_deleted           : Remove attribute swatch settings
+ * - {$taxonomy}_add_form_fields / _edit_form_fields : Term swatch fields
+ * - created_{$taxonomy} / edited_{$taxonomy}         : Save term swatch values
+ * - admin_enqueue_scripts                   : Color picker and media library
+ * - woocommerce_after_shop_loop_item        : Loop card swatches
+ * - woocommerce_update_product / _new_product_variation /
+ *   _update_product_variation / _before_delete_product_variation
+ *                                           : Clear the loop swatch images
+ *
+ * @package    WooCommerce
+ * @subpackage Theme/WooCommerce/Swatches
+ * @since      1.1.0
+ */
+
+// Prevent direct access to this file.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Get Swatch Types
+ *
+ * @since 1.1.0
+ * @return array Type => label.
+ */
+function woocommerce_theme_get_swatch_types() {
+	return array(
+		'select' => __( 'Dropdown', 'woocommerce' ),
+		'label'  => __( 'Text labels', 'woocommerce' ),
+		'color'  => __( 'Color swatches', 'woocommerce' ),
+		'image'  => __( 'Image swatches', 'woocommerce' ),
+	);
+}
+
+/**
+ * Get an Attribute's Swatch Settings
+ *
+ * Falls back to the original behavior (size → labels, color → color
+ * swatches) for attributes that have no saved settings.
+ *
+ * @since 1.1.0
+ * @param string $attribute_name Attribute taxonomy ('pa_color') or custom attribute name ('color').
+ * @return array {
+ *     @type string $type          Swatch type.
+ *     @type bool   $keep_dropdown Whether the dropdown stays visible.
+ * }
+ */
+function woocommerce_theme_get_attribute_swatch_settings( $attribute_name ) {
+	$attribute_id = taxonomy_is_product_attribute( $attribute_name ) ? wc_attribute_taxonomy_id_by_name( $attribute_name ) : 0;
+	$all_settings = get_option( 'wc_theme_attribute_swatches', array() );
+
+	if ( $attribute_id && isset( $all_settings[ $attribute_id ] ) ) {
+		return wp_parse_args(
+			$all_settings[ $attribute_id ],
+			array(
+				'type'          => 'select',
+				'keep_dropdown' => false,
+			)
+		);
+	}
+
+	$slug = wc_attribute_taxonomy_slug( $attribute_name );
+	$type = 'select';
+
+	if ( 'size' === $slug ) {
+		$type = 'label';
+	} elseif ( 'color' === $slug || 'colour' === $slug ) {
+		$type = 'color';
+	}
+
+	return array(
+		'type'          => $type,
+		'keep_dropdown' => false,
+	);
+}
+
+/**
+ * Render Swatch Fields on the "Add Attribute" Screen
+ *
+ * @since 1.1.0
+ * @return void
+ */
+function woocommerce_theme_add_attribute_swatch_fields() {
+	?>
+	<div class="form-field">
+		<label for="theme_swatch_type"><?php esc_html_e( 'Swatch type', 'woocommerce' ); ?></label>
+		<select name="theme_swatch_type" id="theme_swatch_type">
+			<?php foreach ( woocommerce_theme_get_swatch_types() as $type => $label ) : ?>
+				<option value="<?php echo esc_attr( $type ); ?>"><?php echo esc_html( $label ); ?></option>
+			<?php endforeach; ?>
+		</select>
+		<p class="description"><?php esc_html_e( 'How this attribute is shown on variable products. Set colors and images per term under "Configure terms".', 'woocommerce' ); ?></p>
+	</div>
+	<div class="form-field">
+		<label for="theme_swatch_keep_dropdown">
+			<input type="checkbox" name="theme_swatch_keep_dropdown" id="theme_swatch_keep_dropdown" value="1" />
+			<?php esc_html_e( 'Keep the dropdown visible next to the swatches', 'woocommerce' ); ?>
+		</label>
+	</div>
+	<?php
+}
+add_action( 'woocommerce_after_add_attribute_fields', 'woocommerce_theme_add_attribute_swatch_fields' );
+
+/**
+ * Render Swatch Fields on the "Edit Attribute" Screen
+ *
+ * @since 1.1.0
+ * @return void
+ */
+function woocommerce_theme_edit_attribute_swatch_fields() {
+	// phpcs:ignore WordPress.Security.NonceVerification.Recommended -- Only reads the attribute being edited.
+	$attribute_id = isset( $_GET['edit'] ) ? absint( wp_unslash( $_GET['edit'] ) ) : 0;
+	$attribute    = $attribute_id ? wc_get_attribute( $attribute_id ) : null;
+	$settings     = woocommerce_theme_get_attribute_swatch_settings( $attribute ? $attribute->slug : '' );
+	?>
+	<tr class="form-field">
+		<th scope="row" valign="top">
+			<label for="theme_swatch_type"><?php esc_html_e( 'Swatch type', 'woocommerce' ); ?></label>
+		</th>
+		<td>
+			<select name="theme_swatch_type" id="theme_swatch_type">
+				<?php foreach ( woocommerce_theme_get_swatch_types() as $type => $label ) : ?>
+					<option value="<?php echo esc_attr( $type ); ?>" <?php selected( $settings['type'], $type ); ?>><?php echo esc_html( $label ); ?></option>
+				<?php endforeach; ?>
+			</select>
+			<p class="description"><?php esc_html_e( 'How this attribute is shown on variable products. Set colors and images per term under "Configure terms".', 'woocommerce' ); ?></p>
+		</td>
+	</tr>
+	<tr class="form-field">
+		<th scope="row" valign="top">
+			<?php esc_html_e( 'Dropdown', 'woocommerce' ); ?>
+		</th>
+		<td>
+			<label for="theme_swatch_keep_dropdown">
+				<input type="checkbox" name="theme_swatch_keep_dropdown" id="theme_swatch_keep_dropdown" value="1" <?php checked( $settings['keep_dropdown'] ); ?> />
+				<?php esc_html_e( 'Keep the dropdown visible next to the swatches', 'woocommerce' ); ?>
+			</label>
+		</td>
+	</tr>
+	<?php
+}
+add_action( 'woocommerce_after_edit_attribute_fields', 'woocommerce_theme_edit_attribute_swatch_fields' );
+
+/**
+ * Save Attribute Swatch Settings
+ *
+ * WooCommerce verifies the attribute form nonce and capability before these
+ * hooks fire.
+ *
+ * @since 1.1.0
+ * @param int $attribute_id Attribute ID.
+ * @return void
+ */
+function woocommerce_theme_save_attribute_swatch_settings( $attribute_id ) {
+	// phpcs:disable WordPress.Security.NonceVerification.Missing -- Verified by WooCommerce.
+	if ( ! isset( $_POST['theme_swatch_type'] ) ) {
+		return;
+	}
+
+	$type          = sanitize_key( wp_unslash( $_POST['theme_swatch_type'] ) );
+	$keep_dropdown = ! empty( $_POST['theme_swatch_keep_dropdown'] );
+	// phpcs:enable WordPress.Security.NonceVerification.Missing
+
+	$all_settings = get_option( 'wc_theme_attribute_swatches', array() );
+
+	$all_settings[ absint( $attribute_id ) ] = array(
+		'type'          => woocommerce_theme_validate_value( $type, array_keys( woocommerce_theme_get_swatch_types() ), 'select' ),
+		'keep_dropdown' => $keep_dropdown,
+	);
+
+	update_option( 'wc_theme_attribute_swatches', $all_settings );
+}
+add_action( 'woocommerce_attribute_added', 'woocommerce_theme_save_attribute_swatch_settings', 10, 1 );
+add_action( 'woocommerce_attribute_updated', 'woocommerce_theme_save_attribute_swatch_settings', 10, 1 );
+
+/**
+ * Delete Attribute Swatch Settings
+ *
+ * @since 1.1.0
+ * @param int $attribute_id Attribute ID.
+ * @return void
+ */
+function woocommerce_theme_delete_attribute_swatch_settings( $attribute_id ) {
+	$all_settings = get_option( 'wc_theme_attribute_swatches', array() );
+
+	if ( isset( $all_settings[ $attribute_id ] ) ) {
+		unset( $all_settings[ $attribute_id ] );
+		update_option( 'wc_theme_attribute_swatches', $all_settings );
+	}
+}
+add_action( 'woocommerce_attribute_deleted', 'woocommerce_theme_delete_attribute_swatch_settings', 10, 1 );
+
+/**
+ * Register Term Swatch Fields for Every Attribute Taxonomy
+ *
+ * Attribute taxonomies (pa_*) are created by store owners, so the term
+ * hooks are added for each one that exists.
+ *
+ * @since 1.1.0
+ * @return void
+ */
+function woocommerce_theme_register_swatch_term_fields() {
+	foreach ( wc_get_attribute_taxonomy_names() as $taxonomy ) {
+		add_action( $taxonomy . '_add_form_fields', 'woocommerce_theme_add_swatch_term_fields' );
+		add_action( $taxonomy . '_edit_form_fields', 'woocommerce_theme_edit_swatch_term_fields', 10, 1 );
+		add_action( 'created_' . $taxonomy, 'woocommerce_theme_save_swatch_term_meta', 10, 1 );
+		add_action( 'edited_' . $taxonomy, 'woocommerce_theme_save_swatch_term_meta', 10, 1 );
+	}
+}
+add_action( 'admin_init', 'woocommerce_theme_register_swatch_term_fields' );
+
+/**
+ * Render Term Swatch Inputs
+ *
+ * Shared by the "Add term" and "Edit term" screens.
+ *
+ * @since 1.1.0
+ * @param array $values {
+ *     @type string $color    Main color.
+ *     @type string $color_2  Second color.
+ *     @type int    $image_id Image attachment ID.
+ * }
+ * @return array Field ID => input HTML.
+ */
+function woocommerce_theme_get_swatch_term_inputs( $values ) {
+	$image_url = $values['image_id'] ? wp_get_attachment_image_url( $values['image_id'], 'thumbnail' ) : '';
+
+	return array(
+		'theme_swatch_color'   => '<input type="text" class="theme-swatch-color" name="theme_swatch_color" id="theme_swatch_color" value="' . esc_attr( $values['color'] ) . '" />',
+		'theme_swatch_color_2' => '<input type="text" class="theme-swatch-color" name="theme_swatch_color_2" id="theme_swatch_color_2" value="' . esc_attr( $values['color_2'] ) . '" />',
+		'theme_swatch_image'   => '<span class="theme-swatch-image">'
+			. '<img class="theme-swatch-image__preview" src="' . esc_url( $image_url ) . '" alt="" width="60" height="60"' . ( $image_url ? '' : ' hidden' ) . ' /> '
+			. '<input type="hidden" name="theme_swatch_image" id="theme_swatch_image" value="' . esc_attr( $values['image_id'] ? $values['image_id'] : '' ) . '" />'
+			. '<button type="button" class="button theme-swatch-image__select">' . esc_html__( 'Choose image', 'woocommerce' ) . '</button> '
+			. '<button type="button" class="button-link button-link-delete theme-swatch-image__remove"' . ( $image_url ? '' : ' hidden' ) . '>' . esc_html__( 'Remove image', 'woocommerce' ) . '</button>'
+			. '</span>',
+	);
+}
+
+/**
+ * Get Term Swatch Field Labels
+ *
+ * @since 1.1.0
+ * @return array Field ID => array( label, description ).
+ */
+function woocommerce_theme_get_swatch_term_field_labels() {
+	return array(
+		'theme_swatch_color'   => array( __( 'Swatch color', 'woocommerce' ), __( 'Used when the attribute shows color swatches.', 'woocommerce' ) ),
+		'theme_swatch_color_2' => array( __( 'Second color', 'woocommerce' ), __( 'Optional: shows a half-and-half swatch for two-tone items.', 'woocommerce' ) ),
+		'theme_swatch_image'   => array( __( 'Swatch image', 'woocommerce' ), __( 'Used for image swatches, or as a pattern (e.g., plaid) inside a color swatch.', 'woocommerce' ) ),
+	);
+}
+
+/**
+ * Render Term Swatch Fields on the "Add Term" Screen
+ *
+ * @since 1.1.0
+ * @return void
+ */
+function woocommerce_theme_add_swatch_term_fields() {
+	$inputs = woocommerce_theme_get_swatch_term_inputs(
+		array(
+			'color'    => '',
+			'color_2'  => '',
+			'image_id' => 0,
+		)
+	);
+
+	wp_nonce_field( 'woocommerce_theme_save_swatch', 'woocommerce_theme_swatch_nonce' );
+
+	foreach ( woocommerce_theme_get_swatch_term_field_labels() as $field_id => $labels ) :
+		?>
+		<div class="form-field">
+			<label for="<?php echo esc_attr( $field_id ); ?>"><?php echo esc_html( $labels[0] ); ?></label>
+			<?php echo $inputs[ $field_id ]; // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- Escaped when built. ?>
+			<p class="description"><?php echo esc_html( $labels[1] ); ?></p>
+		</div>
+		<?php
+	endforeach;
+}
+
+/**
+ * Render Term Swatch Fields on the "Edit Term" Screen
+ *
+ * @since 1.1.0
+ * @param WP_Term $term Term being edited.
+ * @return void
+ */
+function woocommerce_theme_edit_swatch_term_fields( $term ) {
+	$inputs = woocommerce_theme_get_swatch_term_inputs(
+		array(
+			'color'    => get_term_meta( $term->term_id, 'theme_swatch_color', true ),
+			'color_2'  => get_term_meta( $term->term_id, 'theme_swatch_color_2', true ),
+			'image_id' => absint( get_term_meta( $term->term_id, 'theme_swatch_image', true ) ),
+		)
+	);
+
+	wp_nonce_field( 'woocommerce_theme_save_swatch', 'woocommerce_theme_swatch_nonce' );
+
+	foreach ( woocommerce_theme_get_swatch_term_field_labels() as $field_id => $labels ) :
+		?>
+		<tr class="form-field">
+			<th scope="row"><label for="<?php echo esc_attr( $field_id ); ?>"><?php echo esc_html( $labels[0] ); ?></label></th>
+			<td>
+				<?php echo $inputs[ $field_id ]; // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- Escaped when built. ?>
+				<p class="description"><?php echo esc_html( $labels[1] ); ?></p>
+			</td>
+		</tr>
+		<?php
+	endforeach;
+}
+
+/**
+ * Save Term Swatch Values
+ *
+ * @since 1.1.0
+ * @param int $term_id Term ID.
+ * @return void
+ */
+function woocommerce_theme_save_swatch_term_meta( $term_id ) {
+	if ( ! isset( $_POST['woocommerce_theme_swatch_nonce'] ) ||
+		! wp_verify_nonce( sanitize_key( wp_unslash( $_POST['woocommerce_theme_swatch_nonce'] ) ), 'woocommerce_theme_save_swatch' ) ) {
+		return;
+	}
+
+	if ( ! current_user_can( 'manage_product_terms' ) ) {
+		return;
+	}
+
+	$values = array(
+		'theme_swatch_color'   => isset( $_POST['theme_swatch_color'] ) ? sanitize_hex_color( wp_unslash( $_POST['theme_swatch_color'] ) ) : '',
+		'theme_swatch_color_2' => isset( $_POST['theme_swatch_color_2'] ) ? sanitize_hex_color( wp_unslash( $_POST['theme_swatch_color_2'] ) ) : '',
+		'theme_swatch_image'   => isset( $_POST['theme_swatch_image'] ) ? absint( wp_unslash( $_POST['theme_swatch_image'] ) ) : 0,
+	);
+
+	foreach ( $values as $meta_key => $meta_value ) {
+		if ( $meta_value ) {
+			update_term_meta( $term_id, $meta_key, $meta_value );
+		} else {
+			delete_term_meta( $term_id, $meta_key );
+		}
+	}
+}
+
+/**
+ * Enqueue Swatch Admin Assets
+ *
+ * Color picker and media library for the term swatch fields, on attribute
+ * term screens only.
+ *
+ * @since 1.1.0
+ * @param string $hook_suffix Current admin page.
+ * @return void
+ */
+function woocommerce_theme_enqueue_swatch_admin_assets( $hook_suffix ) {
+	$screen = get_current_screen();
+
+	if ( ! in_array( $hook_suffix, array( 'edit-tags.php', 'term.php' ), true ) || ! $screen || ! taxonomy_is_product_attribute( $screen->taxonomy ) ) {
+		return;
+	}
+
+	wp_enqueue_style( 'wp-color-picker' );
+	wp_enqueue_media();
+
+	wp_enqueue_script(
+		'woocommerce-theme-admin-swatches',
+		get_template_directory_uri() . '/assets/js/admin-swatches.js',
+		array( 'jquery', 'wp-color-picker' ),
+		wp_get_theme()->get( 'Version' ),
+		true
+	);
+
+	wp_localize_script(
+		'woocommerce-theme-admin-swatches',
+		'woocommerce_theme_admin_swatches_params',
+		array(
+			'i18n' => array(
+				'choose_image' => __( 'Choose swatch image', 'woocommerce' ),
+				'use_image'    => __( 'Use image', 'woocommerce' ),
+			),
+		)
+	);
+}
+add_action( 'admin_enqueue_scripts', 'woocommerce_theme_enqueue_swatch_admin_assets' );
+
+/**
+ * Get Swatch Data for a Term
+ *
+ * @since 1.1.0
+ * @param WP_Term $term Attribute term.
+ * @return array {
+ *     @type string $label   Term name.
+ *     @type string $color   Main color ('' if not set).
+ *     @type string $color_2 Second color ('' if not set).
+ *     @type string $image   Image URL ('' if not set).
+ * }
+ */
+function woocommerce_theme_get_swatch_term_data( $term ) {
+	$image_id = absint( get_term_meta( $term->term_id, 'theme_swatch_image', true ) );
+
+	return array(
+		'label'   => $term->name,
+		'color'   => (string) get_term_meta( $term->term_id, 'theme_swatch_color', true ),
+		'color_2' => (string) get_term_meta( $term->term_id, 'theme_swatch_color_2', true ),
+		'image'   => $image_id ? (string) wp_get_attachment_image_url( $image_id, 'woocommerce_gallery_thumbnail' ) : '',
+	);
+}
+
+/**
+ * Get the "Notify Me" URL for a Sold-Out Variation
+ *
+ * Sold-out swatches link here. By default this is an email to the store
+ * with the product name as subject; a back-in-stock plugin can return its
+ * own sign-up URL, or '' to hide the link.
+ *
+ * @since 1.1.0
+ * @param WC_Product $product Variable product.
+ * @return string URL ('' for none).
+ */
+function woocommerce_theme_get_notify_me_url( $product ) {
+	$email = sanitize_email( get_option( 'woocommerce_email_from_address', get_option( 'admin_email' ) ) );
+	$url   = '';
+
+	if ( $email ) {
+		/* translators: %s: product name */
+		$subject = sprintf( __( 'Back in stock request: %s', 'woocommerce' ), $product->get_name() );
+		$url     = 'mailto:' . $email . '?subject=' . rawurlencode( $subject );
+	}
+
+	/**
+	 * Filter the "Notify me" URL shown for sold-out swatches.
+	 *
+	 * @since 1.1.0
+	 * @param string     $url     URL ('' hides the link).
+	 * @param WC_Product $product Variable product.
+	 */
+	return (string) apply_filters( 'woocommerce_theme_notify_me_url', $url, $product );
+}
+
+/**
+ * Swatch Script Parameters
+ *
+ * Data passed to variation-size-labels.js via wp_localize_script(), keyed
+ * like the variation selects' data-attribute_name (e.g., 'attribute_pa_color').
+ * Custom (non-taxonomy) attributes have no term values, so only their type
+ * and dropdown setting are included.
+ *
+ * Stock and price per swatch are read from the form's data-product_variations
+ * in the script; the currency format, low stock amount and strings for those
+ * tooltips are passed here.
+ *
+ * @since 1.1.0
+ * @param WC_Product|null $product Variable product (defaults to the current product).
+ * @return array Script parameters.
+ */
+function woocommerce_theme_get_swatches_script_params( $product = null ) {
+	$product    = $product ? $product : woocommerce_theme_get_current_product();
+	$attributes = array();
+
+	if ( $product && $product->is_type( 'variable' ) ) {
+		foreach ( $product->get_attributes() as $attribute ) {
+			if ( ! $attribute->get_variation() ) {
+				continue;
+			}
+
+			$name     = $attribute->get_name();
+			$settings = woocommerce_theme_get_attribute_swatch_settings( $name );
+			$terms    = array();
+
+			if ( $attribute->is_taxonomy() ) {
+				foreach ( wc_get_product_terms( $product->get_id(), $name, array( 'fields' => 'all' ) ) as $term ) {
+					$terms[ $term->slug ] = woocommerce_theme_get_swatch_term_data( $term );
+				}
+			}
+
+			$attributes[ 'attribute_' . sanitize_title( $name ) ] = array(
+				'type'          => $settings['type'],
+				'keep_dropdown' => (bool) $settings['keep_dropdown'],
+				'label'         => wc_attribute_label( $name, $product ),
+				'terms'         => (object) $terms, // Object even when empty, for the script.
+			);
+		}
+	}
+
+	return array(
+		'attributes'       => (object) $attributes,
+		'notify_url'       => $product ? woocommerce_theme_get_notify_me_url( $product ) : '',
+		'low_stock_amount' => absint( get_option( 'woocommerce_notify_low_stock_amount', 2 ) ),
+		'currency'         => array(
+			'symbol'             => html_entity_decode( get_woocommerce_currency_symbol(), ENT_QUOTES, 'UTF-8' ),
+			'format'             => html_entity_decode( get_woocommerce_price_format(), ENT_QUOTES, 'UTF-8' ),
+			'decimals'           => wc_get_price_decimals(),
+			'decimal_separator'  => wc_get_price_decimal_separator(),
+			'thousand_separator' => wc_get_price_thousand_separator(),
+		),
+		'i18n'             => array(
+			'sold_out'   => __( 'Sold out', 'woocommerce' ),
+			/* translators: %d: stock quantity */
+			'only_left'  => __( 'Only %d left', 'woocommerce' ),
+			/* translators: %s: lowest price */
+			'price_from' => __( 'From %s', 'woocommerce' ),
+			'notify_me'  => __( 'Sold out – notify me when it is back', 'woocommerce' ),
+			/* translators: 1: attribute label (e.g. Size), 2: option (e.g. Medium) */
+			'selected'   => __( '%1$s: %2$s selected', 'woocommerce' ),
+		),
+	);
+}
+
+/**
+ * Pass the Swatch Data to variation-size-labels.js
+ *
+ * Called where the script is enqueued: product pages
+ * (woocommerce_theme_enqueue_assets()) and the first quick view button on
+ * a page (the quick view's forms bring their own product data, the page's
+ * currency and strings still come from here). The data is built once per
+ * request, so a later call can't replace the product page's.
+ *
+ * @since 1.1.0
+ * @return void
+ */
+function woocommerce_theme_localize_swatches_script() {
+	static $localized = false;
+
+	if ( $localized ) {
+		return;
+	}
+
+	$localized = true;
+
+	wp_localize_script(
+		'woocommerce-variation-size-labels',
+		'woocommerce_theme_swatches_params',
+		woocommerce_theme_get_swatches_script_params()
+	);
+}
+
+/**
+ * Get Inline Styles for a Swatch
+ *
+ * PHP counterpart of paintSwatch() in variation-size-labels.js, for
+ * swatches rendered on the server (shop loop cards).
+ *
+ * @since 1.1.0
+ * @param array $term_data Term swatch data from woocommerce_theme_get_swatch_term_data().
+ * @return string CSS declarations ('' when the swatch has no color or image).
+ */
+function woocommerce_theme_get_swatch_style( $term_data ) {
+	if ( $term_data['image'] ) {
+		return 'background-image: url("' . esc_url( $term_data['image'] ) . '");';
+	}
+
+	if ( $term_data['color'] && $term_data['color_2'] ) {
+		return sprintf( 'background-image: linear-gradient(135deg, %1$s 50%%, %2$s 50%%);', $term_data['color'], $term_data['color_2'] );
+	}
+
+	if ( $term_data['color'] ) {
+		return 'background-color: ' . $term_data['color'] . ';';
+	}
+
+	return '';
+}
+
+/**
+ * Get the Variation Images for Loop Swatches
+ *
+ * The image of the first purchasable variation for each attribute value
+ * ("Any" variations are skipped). Building it loads every variation, so
+ * it is kept in a transient per product until the product or one of its
+ * variations changes (see woocommerce_theme_clear_loop_swatch_images()).
+ *
+ * @since 1.1.0
+ * @param WC_Product $product Variable product.
+ * @return array Variation attribute key (e.g. 'attribute_pa_color') => array( value => image ID ).
+ */
+function woocommerce_theme_get_loop_swatch_images( $product ) {
+	$transient = 'woocommerce_theme_loop_swatch_images_' . $product->get_id();
+	$images    = get_transient( $transient );
+
+	if ( is_array( $images ) ) {
+		return $images;
+	}
+
+	$images = array();
+
+	foreach ( $product->get_children() as $variation_id ) {
+		$variation = wc_get_product( $variation_id );
+
+		if ( ! $variation || ! $variation->is_purchasable() || ! $variation->get_image_id() ) {
+			continue;
+		}
+
+		foreach ( $variation->get_variation_attributes() as $attribute_key => $value ) {
+			if ( '' !== $value && ! isset( $images[ $attribute_key ][ $value ] ) ) {
+				$images[ $attribute_key ][ $value ] = $variation->get_image_id();
+			}
+		}
+	}
+
+	set_transient( $transient, $images, DAY_IN_SECONDS );
+
+	return $images;
+}
+
+/**
+ * Clear the Loop Swatch Images of a Product
+ *
+ * Runs when a product or a variation is saved or deleted; a variation
+ * clears its parent's images.
+ *
+ * @since 1.1.0
+ * @param int $product_id Product or variation ID.
+ * @return void
+ */
+function woocommerce_theme_clear_loop_swatch_images( $product_id ) {
+	$parent_id = wp_get_post_parent_id( $product_id );
+
+	delete_transient( 'woocommerce_theme_loop_swatch_images_' . ( $parent_id ? $parent_id : $product_id ) );
+}
+add_action( 'woocommerce_update_product', 'woocommerce_theme_clear_loop_swatch_images', 10, 1 );
+add_action( 'woocommerce_new_product_variation', 'woocommerce_theme_clear_loop_swatch_images', 10, 1 );
+add_action( 'woocommerce_update_product_variation', 'woocommerce_theme_clear_loop_swatch_images', 10, 1 );
+add_action( 'woocommerce_before_delete_product_variation', 'woocommerce_theme_clear_loop_swatch_images', 10, 1 );
+
+/**
+ * Render Color Swatches on Shop Loop Cards
+ *
+ * Shows the first color/image swatch attribute of a variable product under
+ * its card. Each swatch carries the image of the first in-stock variation
+ * with that value; loop-swatches.js swaps the card image on hover, focus
+ * or click.
+ *
+ * Why only one attribute:
+ * - Cards are small; colors are what shoppers scan a grid for
+ * - Sizes and other attributes are chosen on the product page
+ *
+ * Why at most 5 swatches:
+ * - Keeps cards the same height; the rest are summed up as "+3"
+ *
+ * @since 1.1.0
+ * @return void
+ */
+function woocommerce_theme_render_loop_swatches() {
+	global $product;
+
+	if ( ! $product || ! $product->is_type( 'variable' ) ) {
+		return;
+	}
+
+	$swatch_attribute = null;
+
+	foreach ( $product->get_attributes() as $attribute ) {
+		if ( ! $attribute->get_variation() || ! $attribute->is_taxonomy() ) {
+			continue;
+		}
+
+		$settings = woocommerce_theme_get_attribute_swatch_settings( $attribute->get_name() );
+
+		if ( in_array( $settings['type'], array( 'color', 'image' ), true ) ) {
+			$swatch_attribute = $attribute;
+			break;
+		}
+	}
+
+	if ( ! $swatch_attribute ) {
+		return;
+	}
+
+	$attribute_key = 'attribute_' . sanitize_title( $swatch_attribute->get_name() );
+	$image_size    = apply_filters( 'single_product_archive_thumbnail_size', 'woocommerce_thumbnail' );
+	$images        = woocommerce_theme_get_loop_swatch_images( $product );
+	$images        = isset( $images[ $attribute_key ] ) ? $images[ $attribute_key ] : array();
+
+	$terms = wc_get_product_terms( $product->get_id(), $swatch_attribute->get_name(), array( 'fields' => 'all' ) );
+
+	if ( count( $terms ) < 2 ) {
+		return;
+	}
+
+	$max_swatches = (int) apply_filters( 'woocommerce_theme_loop_swatches_limit', 5 );
+	$hidden_count = max( 0, count( $terms ) - $max_swatches );
+	$terms        = array_slice( $terms, 0, $max_swatches );
+	$label        = wc_attribute_label( $swatch_attribute->get_name(), $product );
+	?>
+	<div class="loop-swatches" role="group" aria-label="<?php echo esc_attr( sprintf( /* translators: 1: attribute label (e.g. Color), 2: product name */ __( '%1$s options for %2$s', 'woocommerce' ), $label, $product->get_name() ) ); ?>">
+		<?php
+		foreach ( $terms as $term ) :
+			$term_data = woocommerce_theme_get_swatch_term_data( $term );
+			$style     = woocommerce_theme_get_swatch_style( $term_data );
+			$image_id  = isset( $images[ $term->slug ] ) ? $images[ $term->slug ] : 0;
+			?>
+			<button
+				type="button"
+				class="loop-swatches__item<?php echo $style ? '' : ' loop-swatches__item--label'; ?>"
+				aria-pressed="false"
+				title="<?php echo esc_attr( $term_data['label'] ); ?>"
+				<?php if ( $image_id ) : ?>
+					data-image-src="<?php echo esc_url( (string) wp_get_attachment_image_url( $image_id, $image_size ) ); ?>"
+					data-image-srcset="<?php echo esc_attr( (string) wp_get_attachment_image_srcset( $image_id, $image_size ) ); ?>"
+				<?php endif; ?>
+			>
+				<?php if ( $style ) : ?>
+					<span class="loop-swatches__circle" style="<?php echo esc_attr( $style ); ?>" aria-hidden="true"></span>
+					<span class="screen-reader-text"><?php echo esc_html( $term_data['label'] ); ?></span>
+				<?php else : ?>
+					<?php echo esc_html( $term_data['label'] ); ?>
+				<?php endif; ?>
+			</button>
+		<?php endforeach; ?>
+
+		<?php if ( $hidden_count ) : ?>
+			<a class="loop-swatches__more" href="<?php echo esc_url( $product->get_permalink() ); ?>">
+				<?php
+				/* translators: %d: number of further options */
+				echo esc_html( sprintf( __( '+%d', 'woocommerce' ), $hidden_count ) );
+				?>
+				<span class="screen-reader-text"><?php esc_html_e( 'more options', 'woocommerce' ); ?></span>
+			</a>
+		<?php endif; ?>
+	</div>
+	<?php
+}
+add_action( 'woocommerce_after_shop_loop_item', 'woocommerce_theme_render_loop_swatches', 7 );
@@ -0,0 +1,134 @@
+/**
+ * Checkout block VAT number field (assets/js/checkout-vat-blocks.js and
+ * woocommerce_theme_register_blocks_checkout_fields()): Business Type and
+ * VAT Number asked once, checked against the billing country's format.
+ */
+
+'use strict';
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createBrowser, ROOT } = require('./helpers/browser');
+const { vatParams } = require('./fixtures/vat-number');
+const { checkoutBlockStores } = require('./fixtures/checkout-block');
+
+const ERROR_ID = 'order_theme/vat-number';
+
+describe('Checkout block fields', function() {
+	it('are registered once, not with each address', function() {
+		const source = fs.readFileSync(path.join(ROOT, 'inc/woocommerce/checkout.php'), 'utf8');
+		const start = source.indexOf('function woocommerce_theme_register_blocks_checkout_fields()');
+		const body = source.substring(start, source.indexOf('\n}\n', start));
+		const fields = {};
+		const entry = /'id'\s*=>\s*'([^']+)',[\s\S]*?'location'\s*=>\s*'([^']+)'/g;
+		let match;
+
+		while ((match = entry.exec(body))) {
+			fields[match[1]] = match[2];
+		}
+
+		// 'address' fields are repeated in the shipping form
+		assert.deepEqual(fields, { 'theme/business-type': 'order', 'theme/vat-number': 'order' });
+	});
+});
+
+describe('checkout-vat-blocks.js', function() {
+	let browser;
+
+	/**
+	 * Checkout block page with its data stores
+	 *
+	 * @param {Object} state - Initial store state
+	 */
+	async function open(state) {
+		const stores = checkoutBlockStores(state);
+
+		browser = await createBrowser({
+			body: '<div class="wp-block-woocommerce-checkout">' +
+				'<input type="text" id="order-theme/vat-number">' +
+			'</div>',
+			bodyClass: 'woocommerce-checkout',
+			globals: {
+				wp: stores.wp,
+				woocommerce_theme_checkout_vat_params: vatParams()
+			},
+			scripts: ['vat-number.js', 'checkout-vat-blocks.js']
+		});
+
+		return stores;
+	}
+
+	/**
+	 * Leave the VAT field
+	 */
+	function blur() {
+		const input = browser.document.getElementById('order-theme/vat-number');
+
+		input.focus();
+		input.blur();
+	}
+
+	afterEach(function() {
+		browser.close();
+	});
+
+	it('checks the number against the billing country, not the shipping one', async function() {
+		const { state, set } = await open({
+			billingAddress: { country: 'DE' },
+			shippingAddress: { country: 'CH' },
+			additionalFields: { 'theme/business-type': 'company', 'theme/vat-number': 'CHE-123.456.789' }
+		});
+
+		assert.deepEqual(Object.assign({}, state.errors[ERROR_ID]), {
+			message: 'Please enter a valid VAT number for Germany, e.g. DE123456789.',
+			hidden: true
+		});
+
+		set({ billingAddress: { country: 'CH' } });
+
+		assert.equal(state.errors[ERROR_ID], undefined);
+	});
+
+	it('shows the error once the shopper leaves the field', async function() {
+		const { state } = await open({
+			billingAddress: { country: 'DE' },
+			additionalFields: { 'theme/business-type': 'company', 'theme/vat-number': 'DE123' }
+		});
+
+		blur();
+
+		assert.equal(state.errors[ERROR_ID].hidden, false);
+	});
+
+	it('leaves an empty number to the field\'s "required" condition', async function() {
+		const { state } = await open({
+			billingAddress: { country: 'DE' },
+			additionalFields: { 'theme/business-type': 'company' }
+		});
+
+		assert.equal(state.errors[ERROR_ID], undefined);
+	});
+
+	it('empties the number when the business type leaves "Company"', async function() {
+		const { state, set } = await open({
+			billingAddress: { country: 'DE' },
+			additionalFields: { 'theme/business-type': 'company', 'theme/vat-number': 'DE123' }
+		});
+
+		set({ additionalFields: { 'theme/business-type': 'individual', 'theme/vat-number': 'DE123' } });
+
+		assert.equal(state.additionalFields['theme/vat-number'], '');
+		assert.equal(state.errors[ERROR_ID], undefined);
+	});
+
+	it('ignores the number for individuals', async function() {
+		const { state } = await open({
+			billingAddress: { country: 'DE' },
+			additionalFields: { 'theme/business-type': 'individual', 'theme/vat-number': 'DE123' }
+		});
+
+		assert.equal(state.errors[ERROR_ID], undefined);
+	});
+});
@@ -0,0 +1,250 @@
+/**
+ * VAT number rules shared by both checkouts (assets/js/vat-number.js) and
+ * the classic checkout VAT number field (assets/js/checkout-vat.js): shown
+ * for company billing only, checked against the billing country's format.
+ *
+ * The formats are read from woocommerce_theme_get_vat_number_formats()
+ * (inc/woocommerce/checkout.php), so the tests use the rules the server
+ * localizes.
+ */
+
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createBrowser } = require('./helpers/browser');
+const { FORMATS, vatParams } = require('./fixtures/vat-number');
+
+/**
+ * Billing fields as woocommerce_form_field() renders them
+ */
+const CHECKOUT = '' +
+	'<form name="checkout" method="post" class="checkout woocommerce-checkout">' +
+		'<p class="form-row" id="billing_country_field"><span class="woocommerce-input-wrapper">' +
+			'<select name="billing_country" id="billing_country">' +
+				'<option value="">Select a country</option>' +
+				'<option value="DE" selected>Germany</option>' +
+				'<option value="LK">Sri Lanka</option>' +
+				'<option value="CH">Switzerland</option>' +
+			'</select>' +
+		'</span></p>' +
+		'<p class="form-row" id="billing_business_type_field"><span class="woocommerce-input-wrapper">' +
+			'<select name="billing_business_type" id="billing_business_type">' +
+				'<option value="">Select business type</option>' +
+				'<option value="individual">Individual</option>' +
+				'<option value="company">Company</option>' +
+			'</select>' +
+		'</span></p>' +
+		'<p class="form-row" id="billing_vat_number_field" style="display: none"><label for="billing_vat_number">VAT Number</label>' +
+			'<span class="woocommerce-input-wrapper">' +
+				'<input type="text" class="input-text" name="billing_vat_number" id="billing_vat_number" value="">' +
+			'</span>' +
+		'</p>' +
+		'<button type="submit" id="place_order">Place order</button>' +
+	'</form>';
+
+describe('VAT number formats', function() {
+	it('are read for every country from checkout.php', function() {
+		assert.ok(Object.keys(FORMATS).length >= 30);
+		assert.deepEqual(FORMATS.LK, { prefix: '', pattern: '[0-9]{9}(?:7000)?', example: '123456789-7000' });
+	});
+});
+
+describe('vat-number.js', function() {
+	let browser;
+	let rules;
+
+	beforeEach(async function() {
+		browser = await createBrowser({
+			body: '',
+			globals: { woocommerce_theme_checkout_vat_params: vatParams() },
+			scripts: ['vat-number.js']
+		});
+		rules = browser.window.ThemeVatNumber;
+	});
+
+	afterEach(function() {
+		browser.close();
+	});
+
+	it('checks company billing only', function() {
+		assert.equal(rules.getError('DE123', 'DE', 'individual'), '');
+		assert.equal(rules.getError('DE123', 'DE', ''), '');
+		assert.equal(rules.getError('', 'DE', 'individual'), '');
+		assert.equal(rules.getError('DE123', 'DE', 'company'), 'Please enter a valid VAT number for Germany, e.g. DE123456789.');
+	});
+
+	it('requires a number for company billing once a country is selected', function() {
+		assert.equal(rules.getError(' ', 'DE', 'company'), 'Please enter your VAT number for company billing.');
+		assert.equal(rules.getError('', '', 'company'), '');
+	});
+
+	it('ignores the country prefix, case, spaces, dots, dashes and slashes', function() {
+		assert.equal(rules.normalize('de 123.456-789', FORMATS.DE), '123456789');
+		assert.equal(rules.getError('el 123/456/789', 'GR', 'company'), '');
+	});
+
+	it('accepts any number for countries without a format', function() {
+		assert.equal(rules.getError('anything', 'US', 'company'), '');
+	});
+});
+
+describe('checkout-vat.js', function() {
+	let browser;
+
+	/**
+	 * Classic checkout page with the localized VAT params
+	 */
+	async function open() {
+		browser = await createBrowser({
+			body: CHECKOUT,
+			bodyClass: 'woocommerce-checkout',
+			globals: { woocommerce_theme_checkout_vat_params: vatParams() },
+			scripts: ['vat-number.js', 'checkout-vat.js']
+		});
+
+		return browser.$;
+	}
+
+	/**
+	 * Type into the VAT field
+	 *
+	 * @param {Function} $     - jQuery of the window
+	 * @param {string}   value - VAT number
+	 */
+	function type($, value) {
+		$('#billing_vat_number').val(value).trigger('input');
+	}
+
+	/**
+	 * Leave the VAT field
+	 *
+	 * @param {Function} $ - jQuery of the window
+	 */
+	function blur($) {
+		$('#billing_vat_number')[0].focus();
+		$('#billing_vat_number')[0].blur();
+	}
+
+	afterEach(function() {
+		browser.close();
+	});
+
+	it('accepts the example shown in each country\'s error message', async function() {
+		const $ = await open();
+
+		$('#billing_business_type').val('company').trigger('change');
+
+		Object.keys(FORMATS).forEach(function(country) {
+			$('#billing_country').append('<option value="' + country + '">' + country + '</option>');
+			$('#billing_country').val(country).trigger('change');
+			type($, FORMATS[country].example);
+			blur($);
+
+			assert.equal($('.vat-number-error').length, 0, country + ': ' + FORMATS[country].example);
+		});
+	});
+
+	it('shows the field for company billing only and empties it otherwise', async function() {
+		const $ = await open();
+
+		assert.ok(!$('#billing_vat_number_field').is(':visible'));
+
+		$('#billing_business_type').val('company').trigger('change');
+		assert.ok($('#billing_vat_number_field').is(':visible'));
+
+		type($, 'DE123456789');
+		$('#billing_business_type').val('individual').trigger('change');
+
+		assert.ok(!$('#billing_vat_number_field').is(':visible'));
+		assert.equal($('#billing_vat_number').val(), '');
+	});
+
+	it('shows the format error once the shopper leaves the field', async function() {
+		const $ = await open();
+
+		$('#billing_business_type').val('company').trigger('change');
+		type($, 'DE123');
+
+		assert.equal($('.vat-number-error').length, 0);
+
+		blur($);
+
+		assert.equal($('#billing_vat_number-error').text(), 'Please enter a valid VAT number for Germany, e.g. DE123456789.');
+		assert.ok($('#billing_vat_number-error').parent().is('.woocommerce-input-wrapper'));
+		assert.equal($('#billing_vat_number').attr('aria-invalid'), 'true');
+		assert.equal($('#billing_vat_number').attr('aria-describedby'), 'billing_vat_number-error');
+		assert.ok($('#billing_vat_number_field').hasClass('woocommerce-invalid'));
+	});
+
+	it('updates the error while typing after the first check', async function() {
+		const $ = await open();
+
+		$('#billing_business_type').val('company').trigger('change');
+		type($, 'DE123');
+		blur($);
+		type($, 'de 123.456.789');
+
+		assert.equal($('.vat-number-error').length, 0);
+		assert.equal($('#billing_vat_number').attr('aria-invalid'), undefined);
+		assert.ok(!$('#billing_vat_number_field').hasClass('woocommerce-invalid'));
+	});
+
+	it('checks the number again when the billing country changes', async function() {
+		const $ = await open();
+
+		$('#billing_business_type').val('company').trigger('change');
+		type($, '123456789-7000');
+		blur($);
+
+		assert.equal($('.vat-number-error').length, 1);
+
+		$('#billing_country').val('LK').trigger('change');
+
+		assert.equal($('.vat-number-error').length, 0);
+	});
+
+	it('asks for a number when the field is left empty', async function() {
+		const $ = await open();
+
+		$('#billing_business_type').val('company').trigger('change');
+		blur($);
+
+		assert.equal($('#billing_vat_number-error').text(), 'Please enter your VAT number for company billing.');
+	});
+
+	it('stops "Place order" and focuses the field while the number is invalid', async function() {
+		const $ = await open();
+
+		$('#billing_business_type').val('company').trigger('change');
+		type($, 'DE123');
+
+		assert.equal($('form.checkout').triggerHandler('checkout_place_order'), false);
+		assert.equal(browser.document.activeElement, $('#billing_vat_number')[0]);
+		assert.equal($('.vat-number-error').length, 1);
+
+		type($, 'DE123456789');
+
+		assert.equal($('form.checkout').triggerHandler('checkout_place_order'), true);
+	});
+
+	it('ignores a number in the hidden field for individuals', async function() {
+		const $ = await open();
+
+		$('#billing_business_type').val('individual').trigger('change');
+
+		// e.g. filled in by the browser's autofill
+		$('#billing_vat_number').val('DE123').trigger('change');
+
+		assert.equal($('.vat-number-error').length, 0);
+		assert.equal($('form.checkout').triggerHandler('checkout_place_order'), true);
+	});
+
+	it('does not stop "Place order" for individuals', async function() {
+		const $ = await open();
+
+		$('#billing_business_type').val('individual').trigger('change');
+
+		assert.equal($('form.checkout').triggerHandler('checkout_place_order'), true);
+	});
+});
@@ -0,0 +1,122 @@
+/**
+ * Enhancement registry (assets/js/enhance.js): components initialized on
+ * load and on markup added later, whatever part of their selector the
+ * added markup holds, destroyed once removed, and kept apart when one
+ * throws.
+ */
+
+'use strict';
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createBrowser, wait } = require('./helpers/browser');
+
+describe('enhance.js', function() {
+	let browser;
+
+	/**
+	 * Page with a quick view modal and a component registered for
+	 * '.woocommerce .product .qty'
+	 *
+	 * @return {Object} { init: Element[], destroy: Element[] }
+	 */
+	async function open() {
+		const calls = { init: [], destroy: [] };
+
+		browser = await createBrowser({
+			body: '' +
+				'<div class="quick-view woocommerce"><div class="quick-view__content"></div></div>' +
+				'<div class="woocommerce"><div class="product"><input type="number" class="qty" id="page-qty"></div></div>',
+			scripts: ['enhance.js']
+		});
+
+		browser.window.ThemeEnhance.register('test', {
+			selector: '.woocommerce .product .qty',
+			init: function(element) {
+				calls.init.push(element.id);
+			},
+			destroy: function(element) {
+				calls.destroy.push(element.id);
+			}
+		});
+
+		return calls;
+	}
+
+	afterEach(function() {
+		browser.close();
+	});
+
+	it('initializes a component on the page once', async function() {
+		const calls = await open();
+
+		browser.window.themeEnhance(browser.document);
+
+		assert.deepEqual(calls.init, ['page-qty']);
+	});
+
+	it('initializes markup added inside an ancestor the selector names', async function() {
+		const calls = await open();
+		const { $ } = browser;
+
+		// The quick view inserts the product into .quick-view.woocommerce
+		$('.quick-view__content').html('<div class="product"><input type="number" class="qty" id="quick-view-qty"></div>');
+		await wait(0);
+
+		assert.deepEqual(calls.init, ['page-qty', 'quick-view-qty']);
+	});
+
+	it('initializes markup whose root element starts the selector', async function() {
+		const calls = await open();
+		const { $ } = browser;
+
+		$(browser.document.body).append('<div class="woocommerce"><div class="product"><input type="number" class="qty" id="added-qty"></div></div>');
+		await wait(0);
+
+		assert.deepEqual(calls.init, ['page-qty', 'added-qty']);
+	});
+
+	it('destroys a component once its element is removed', async function() {
+		const calls = await open();
+		const { $ } = browser;
+
+		$('.quick-view__content').html('<div class="product"><input type="number" class="qty" id="quick-view-qty"></div>');
+		await wait(0);
+		$('.quick-view__content').empty();
+		await wait(0);
+
+		assert.deepEqual(calls.destroy, ['quick-view-qty']);
+	});
+
+	it('rethrows a component\'s error later without stopping the others', async function() {
+		const calls = await open();
+		const { window } = browser;
+		const errors = [];
+
+		// Uncaught errors reach window.onerror; keep them out of the test output
+		window.addEventListener('error', function(e) {
+			errors.push(e.error.message);
+			e.preventDefault();
+		});
+
+		window.ThemeEnhance.register('broken', {
+			selector: '.qty',
+			init: function() {
+				throw new Error('Broken init');
+			}
+		});
+
+		assert.deepEqual(errors, []);
+
+		window.ThemeEnhance.register('after-broken', {
+			selector: '.qty',
+			init: function(element) {
+				calls.init.push('after-broken ' + element.id);
+			}
+		});
+		await wait(0);
+
+		assert.deepEqual(calls.init, ['page-qty', 'after-broken page-qty']);
+		assert.deepEqual(errors, ['Broken init']);
+	});
+});
@@ -0,0 +1,102 @@
+/**
+ * Checkout Block Fixtures
+ *
+ * A stand-in for the Checkout block's data stores (window.wp.data), with
+ * the selectors and actions checkout-vat-blocks.js uses:
+ * - wc/store/cart       : getCustomerData() (billing and shipping address)
+ * - wc/store/checkout   : getAdditionalFields(), setAdditionalFields()
+ * - wc/store/validation : getValidationError(), setValidationErrors(),
+ *                         clearValidationError()
+ *
+ * Actions notify the subscribers, as @wordpress/data does.
+ */
+
+'use strict';
+
+/**
+ * Create the stores
+ *
+ * @param {Object} state - { billingAddress, shippingAddress, additionalFields }
+ * @return {Object} wp global: { data }, plus state (to inspect) and set(change)
+ */
+function checkoutBlockStores(state) {
+	const listeners = [];
+
+	state = Object.assign({ billingAddress: {}, shippingAddress: {}, additionalFields: {}, errors: {} }, state);
+
+	function notify() {
+		listeners.slice().forEach(function(listener) {
+			listener();
+		});
+	}
+
+	const selectors = {
+		'wc/store/cart': {
+			getCustomerData: function() {
+				return { billingAddress: state.billingAddress, shippingAddress: state.shippingAddress };
+			}
+		},
+		'wc/store/checkout': {
+			getAdditionalFields: function() {
+				return state.additionalFields;
+			}
+		},
+		'wc/store/validation': {
+			getValidationError: function(id) {
+				return state.errors[id];
+			}
+		}
+	};
+
+	const actions = {
+		'wc/store/checkout': {
+			setAdditionalFields: function(fields) {
+				state.additionalFields = Object.assign({}, state.additionalFields, fields);
+				notify();
+			}
+		},
+		'wc/store/validation': {
+			setValidationErrors: function(errors) {
+				state.errors = Object.assign({}, state.errors, errors);
+				notify();
+			},
+			clearValidationError: function(id) {
+				state.errors = Object.assign({}, state.errors);
+				delete state.errors[id];
+				notify();
+			}
+		}
+	};
+
+	return {
+		state: state,
+
+		wp: {
+			data: {
+				select: function(store) {
+					return selectors[store];
+				},
+				dispatch: function(store) {
+					return actions[store];
+				},
+				subscribe: function(listener) {
+					listeners.push(listener);
+				}
+			}
+		},
+
+		/**
+		 * Change the state as the block does while the shopper fills in the form
+		 *
+		 * @param {Object} change - Keys of state to replace
+		 */
+		set: function(change) {
+			Object.assign(state, change);
+			notify();
+		}
+	};
+}
+
+module.exports = {
+	checkoutBlockStores: checkoutBlockStores
+};
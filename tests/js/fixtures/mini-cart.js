@@ -0,0 +1,113 @@
+/**
+ * Mini Cart Fixtures
+ *
+ * Markup of the header cart button (header.php) and of
+ * woocommerce_render_mini_cart() / woocommerce_ajax_mini_cart_fragments()
+ * (cart.php), trimmed to what the scripts use.
+ *
+ * A cart line: { key, name, quantity, lineTotal, max }
+ */
+
+'use strict';
+
+/**
+ * Count badge (fragment '.mini-cart__trigger-count')
+ *
+ * @param {number} count - Items in cart
+ * @return {string} HTML
+ */
+function cartCount(count) {
+	return '<span class="mini-cart__trigger-count" aria-label="' + count + ' items in cart">' + count + '</span>';
+}
+
+/**
+ * One mini cart line with its quantity input
+ *
+ * @param {Object} item - Cart line
+ * @return {string} HTML
+ */
+function cartItem(item) {
+	return '' +
+		'<li class="mini-cart__item" data-cart_item_key="' + item.key + '" data-quantity="' + item.quantity + '" data-line_total="' + item.lineTotal + '">' +
+			'<a href="/cart/?remove_item=' + item.key + '" class="remove mini-cart__item-remove" data-cart_item_key="' + item.key + '" data-undo_url="/cart/?undo_item=' + item.key + '">×</a>' +
+			'<h4 class="mini-cart__item-title"><a href="/product/' + item.key + '/" class="mini-cart__item-link">' + item.name + '</a></h4>' +
+			'<div class="quantity">' +
+				'<input type="number" class="input-text qty text" name="cart[' + item.key + '][qty]" value="' + item.quantity + '" min="1" max="' + (item.max || '') + '" step="1">' +
+			'</div>' +
+		'</li>';
+}
+
+/**
+ * Dropdown (fragment '#mini-cart-dropdown')
+ *
+ * @param {Object[]} items - Cart lines (empty for the empty cart)
+ * @return {string} HTML
+ */
+function miniCartDropdown(items) {
+	if (!items.length) {
+		return '' +
+			'<div class="mini-cart__dropdown mini-cart__dropdown--dropdown mini-cart__dropdown--empty" id="mini-cart-dropdown" tabindex="-1" role="region" aria-label="Shopping Cart">' +
+				'<div class="mini-cart__empty-message" id="mini-cart-empty">Your cart is empty.</div>' +
+			'</div>';
+	}
+
+	const count = items.reduce(function(sum, item) {
+		return sum + item.quantity;
+	}, 0);
+	const total = items.reduce(function(sum, item) {
+		return sum + item.lineTotal;
+	}, 0);
+
+	return '' +
+		'<div class="mini-cart__dropdown mini-cart__dropdown--dropdown" id="mini-cart-dropdown" tabindex="-1" role="region" aria-label="Shopping Cart">' +
+			'<div class="mini-cart__header"><h3 class="mini-cart__title">Cart <span class="mini-cart__count" id="mini-cart-count-text">(' + count + ')</span></h3></div>' +
+			'<div class="mini-cart__items" id="mini-cart-items"><ul class="mini-cart__list" id="mini-cart-list">' + items.map(cartItem).join('') + '</ul></div>' +
+			'<div class="mini-cart__footer" id="mini-cart-footer">' +
+				'<span class="mini-cart__total-amount" id="mini-cart-total" data-total="' + total + '">' + total + '</span>' +
+			'</div>' +
+		'</div>';
+}
+
+/**
+ * Header cart button with the dropdown, as rendered on page load
+ *
+ * @param {Object[]} items              - Cart lines
+ * @param {Object}   [options]
+ * @param {boolean}  [options.dropdown=true] - Render the dropdown
+ * @return {string} HTML
+ */
+function miniCartHeader(items, options) {
+	const count = items.reduce(function(sum, item) {
+		return sum + item.quantity;
+	}, 0);
+
+	return '' +
+		'<div class="mini-cart-wrapper">' +
+			'<button type="button" class="mini-cart__trigger" id="mini-cart-trigger" aria-controls="mini-cart-dropdown" aria-expanded="false">' +
+				cartCount(count) +
+			'</button>' +
+			(options && options.dropdown === false ? '' : miniCartDropdown(items)) +
+		'</div>';
+}
+
+/**
+ * Fragments returned by WooCommerce's cart endpoints
+ *
+ * @param {Object[]} items - Cart lines
+ * @return {Object} Fragments keyed by selector
+ */
+function fragments(items) {
+	return {
+		'.mini-cart__trigger-count': cartCount(items.reduce(function(sum, item) {
+			return sum + item.quantity;
+		}, 0)),
+		'#mini-cart-dropdown': miniCartDropdown(items)
+	};
+}
+
+module.exports = {
+	cartCount: cartCount,
+	miniCartDropdown: miniCartDropdown,
+	miniCartHeader: miniCartHeader,
+	fragments: fragments
+};
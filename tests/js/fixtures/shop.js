@@ -0,0 +1,172 @@
+/**
+ * Shop Page Fixtures
+ *
+ * The main shop page as the theme's shop loop hooks print it: filter form,
+ * #shop-results region, active filter chips and WooCommerce's own output,
+ * trimmed to what assets/js/shop-category-filter.js uses.
+ *
+ * The theme's callbacks are printed in the order of their add_action()
+ * calls in inc/woocommerce/filter-categories.php (priority first, then
+ * registration order, as WordPress runs them), so the fixture follows
+ * the PHP when the hooks move.
+ *
+ * A page: { products, colors, chips, summary }
+ * A chip: { label, url }
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT } = require('../helpers/browser');
+
+/**
+ * Callbacks WooCommerce adds to the same hooks (wc-template-hooks.php).
+ * Registered before the theme's, so they run first at equal priority.
+ */
+const CORE_CALLBACKS = {
+	woocommerce_before_shop_loop: [
+		{ callback: 'woocommerce_result_count', priority: 20 }
+	],
+	woocommerce_after_shop_loop: [],
+	woocommerce_no_products_found: [
+		{ callback: 'wc_no_products_found', priority: 10 }
+	]
+};
+
+/**
+ * Callbacks of a shop loop hook in the order WordPress runs them
+ *
+ * @param {string} hook - Action name
+ * @return {string[]} Callback names
+ */
+function hookCallbacks(hook) {
+	const source = fs.readFileSync(path.join(ROOT, 'inc/woocommerce/filter-categories.php'), 'utf8');
+	const pattern = new RegExp("add_action\\(\\s*'" + hook + "',\\s*'(\\w+)',\\s*(\\d+)\\s*\\);", 'g');
+	const callbacks = CORE_CALLBACKS[hook].slice();
+	let match;
+
+	while ((match = pattern.exec(source))) {
+		callbacks.push({ callback: match[1], priority: Number(match[2]) });
+	}
+
+	// Array#sort is stable: equal priorities keep their registration order
+	return callbacks.sort(function(a, b) {
+		return a.priority - b.priority;
+	}).map(function(entry) {
+		return entry.callback;
+	});
+}
+
+/**
+ * Output of each callback for a page
+ */
+const RENDER = {
+	woocommerce_theme_render_category_filter: function(page) {
+		return '' +
+			'<div class="shop-category-filter" aria-label="Filter products">' +
+				'<form method="get" action="/shop/" class="shop-category-filter__form" aria-controls="shop-results">' +
+					'<fieldset class="shop-category-filter__facet" data-facet="filter_color">' +
+						'<legend class="shop-category-filter__legend">Color</legend>' +
+						'<ul class="shop-category-filter__options">' +
+							['red', 'blue'].map(function(color) {
+								return '<li><label class="shop-category-filter__option">' +
+									'<input type="checkbox" name="filter_color[]" value="' + color + '"' + ((page.colors || []).indexOf(color) !== -1 ? ' checked' : '') + '> ' + color +
+								'</label></li>';
+							}).join('') +
+						'</ul>' +
+					'</fieldset>' +
+					'<button type="submit" class="shop-category-filter__submit">Filter</button>' +
+				'</form>' +
+				'<p id="shop-results-status" class="screen-reader-text" role="status" aria-live="polite"></p>' +
+			'</div>';
+	},
+
+	woocommerce_theme_open_shop_results: function(page) {
+		return '<div id="shop-results" class="shop-results" tabindex="-1" data-summary="' + page.summary + '">';
+	},
+
+	woocommerce_theme_render_active_filter_chips: function(page) {
+		if (!page.chips || !page.chips.length) {
+			return '';
+		}
+
+		return '' +
+			'<div class="shop-filter-chips">' +
+				'<span class="shop-filter-chips__title" id="shop-filter-chips-title">Active filters:</span>' +
+				'<ul class="shop-filter-chips__list" aria-labelledby="shop-filter-chips-title">' +
+					page.chips.map(function(chip) {
+						return '<li><a class="shop-filter-chips__chip" href="' + chip.url + '">' + chip.label +
+							'<span class="shop-filter-chips__remove" aria-hidden="true">×</span>' +
+							'<span class="screen-reader-text">(remove filter)</span>' +
+						'</a></li>';
+					}).join('') +
+				'</ul>' +
+				'<a class="shop-filter-chips__clear" href="/shop/">Clear all</a>' +
+			'</div>';
+	},
+
+	woocommerce_theme_close_shop_results: function() {
+		return '</div>';
+	},
+
+	woocommerce_result_count: function(page) {
+		return '<p class="woocommerce-result-count">Showing all ' + page.products.length + ' results</p>';
+	},
+
+	wc_no_products_found: function() {
+		return '<p class="woocommerce-info woocommerce-no-products-found">No products were found matching your selection.</p>';
+	}
+};
+
+/**
+ * Print the callbacks of a hook (callbacks without markup here print nothing)
+ *
+ * @param {string} hook - Action name
+ * @param {Object} page - Page
+ * @return {string} HTML
+ */
+function doAction(hook, page) {
+	return hookCallbacks(hook).map(function(callback) {
+		return RENDER[callback] ? RENDER[callback](page) : '';
+	}).join('');
+}
+
+/**
+ * Shop page content (archive-product.php)
+ *
+ * @param {Object} page - Page
+ * @return {string} HTML
+ */
+function shopPage(page) {
+	if (!page.products.length) {
+		return '<main class="site-main">' + doAction('woocommerce_no_products_found', page) + '</main>';
+	}
+
+	return '' +
+		'<main class="site-main">' +
+			doAction('woocommerce_before_shop_loop', page) +
+			'<ul class="products">' +
+				page.products.map(function(name) {
+					return '<li class="product"><h2 class="woocommerce-loop-product__title">' + name + '</h2></li>';
+				}).join('') +
+			'</ul>' +
+			doAction('woocommerce_after_shop_loop', page) +
+		'</main>';
+}
+
+/**
+ * Full shop page document, as fetched by the filter script
+ *
+ * @param {Object} page - Page
+ * @return {string} HTML
+ */
+function shopDocument(page) {
+	return '<!DOCTYPE html><html><head><title>Shop</title></head><body class="woocommerce-shop">' + shopPage(page) + '</body></html>';
+}
+
+module.exports = {
+	hookCallbacks: hookCallbacks,
+	shopPage: shopPage,
+	shopDocument: shopDocument
+};
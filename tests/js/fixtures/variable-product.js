@@ -0,0 +1,96 @@
+/**
+ * Variable Product Fixtures
+ *
+ * Add to cart form of a variable product as WooCommerce renders it
+ * (single-product/add-to-cart/variable.php), trimmed to what the scripts
+ * use: the attribute selects in table.variations and the variations data.
+ *
+ * A variation: { id, size, color, inStock, price, maxQty }
+ */
+
+'use strict';
+
+/**
+ * Entry of data-product_variations (WC_Product_Variable::get_available_variation())
+ *
+ * @param {Object} variation - Variation
+ * @return {Object} Variation data
+ */
+function variationData(variation) {
+	return {
+		variation_id: variation.id,
+		attributes: {
+			attribute_pa_size: variation.size,
+			attribute_pa_color: variation.color
+		},
+		is_in_stock: variation.inStock !== false,
+		is_purchasable: true,
+		display_price: variation.price || 20,
+		max_qty: variation.maxQty === undefined ? '' : variation.maxQty,
+		backorders_allowed: false,
+		image: { src: '/images/' + variation.color + '.jpg' }
+	};
+}
+
+/**
+ * Attribute row with its select
+ *
+ * @param {string}   name    - Attribute name (pa_size)
+ * @param {string}   label   - Attribute label
+ * @param {string[]} options - Term slugs
+ * @return {string} HTML
+ */
+function attributeRow(name, label, options) {
+	return '' +
+		'<tr>' +
+			'<th class="label"><label for="' + name + '">' + label + '</label></th>' +
+			'<td class="value">' +
+				'<select id="' + name + '" name="attribute_' + name + '" data-attribute_name="attribute_' + name + '">' +
+					'<option value="">Choose an option</option>' +
+					options.map(function(option) {
+						return '<option value="' + option + '" class="attached enabled">' + option.toUpperCase() + '</option>';
+					}).join('') +
+				'</select>' +
+			'</td>' +
+		'</tr>';
+}
+
+/**
+ * Variable product page with Size and Color attributes
+ *
+ * @param {Object[]} variations - Variations
+ * @return {string} HTML
+ */
+function variableProduct(variations) {
+	const sizes = [];
+	const colors = [];
+
+	variations.forEach(function(variation) {
+		if (sizes.indexOf(variation.size) === -1) {
+			sizes.push(variation.size);
+		}
+		if (colors.indexOf(variation.color) === -1) {
+			colors.push(variation.color);
+		}
+	});
+
+	const data = JSON.stringify(variations.map(variationData)).replace(/"/g, '&quot;');
+
+	return '' +
+		'<div class="woocommerce"><div class="product">' +
+			'<form class="variations_form cart" method="post" data-product_id="10" data-product_variations="' + data + '">' +
+				'<table class="variations"><tbody>' +
+					attributeRow('pa_size', 'Size', sizes) +
+					attributeRow('pa_color', 'Color', colors) +
+				'</tbody></table>' +
+				'<a class="reset_variations" href="#">Clear</a>' +
+				'<div class="single_variation_wrap">' +
+					'<input type="hidden" name="variation_id" class="variation_id" value="0">' +
+				'</div>' +
+			'</form>' +
+		'</div></div>';
+}
+
+module.exports = {
+	variableProduct: variableProduct
+};
@@ -0,0 +1,58 @@
+/**
+ * VAT Number Fixtures
+ *
+ * The VAT number formats of woocommerce_theme_get_vat_number_formats()
+ * (inc/woocommerce/checkout.php), read from the PHP source, and the
+ * parameters woocommerce_theme_get_checkout_vat_script_params() localizes,
+ * so the tests use the rules the server does.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT } = require('../helpers/browser');
+
+/**
+ * Country formats from checkout.php: { CC: { prefix, pattern, example } }
+ */
+const FORMATS = (function() {
+	const source = fs.readFileSync(path.join(ROOT, 'inc/woocommerce/checkout.php'), 'utf8');
+	const entry = /'([A-Z]{2})'\s*=>\s*array\(\s*'prefix'\s*=>\s*'([^']*)',\s*'pattern'\s*=>\s*'([^']*)',\s*'example'\s*=>\s*'([^']*)'\s*\)/g;
+	const formats = {};
+	let match;
+
+	while ((match = entry.exec(source))) {
+		formats[match[1]] = { prefix: match[2], pattern: match[3], example: match[4] };
+	}
+
+	return formats;
+})();
+
+/**
+ * woocommerce_theme_get_checkout_vat_script_params(): formats with country
+ * names, and the messages
+ *
+ * @return {Object} woocommerce_theme_checkout_vat_params
+ */
+function vatParams() {
+	const formats = {};
+
+	Object.keys(FORMATS).forEach(function(country) {
+		formats[country] = Object.assign({ country: country }, FORMATS[country]);
+	});
+	formats.DE.country = 'Germany';
+
+	return {
+		formats: formats,
+		i18n: {
+			required: 'Please enter your VAT number for company billing.',
+			invalid: 'Please enter a valid VAT number for %1$s, e.g. %2$s.'
+		}
+	};
+}
+
+module.exports = {
+	FORMATS: FORMATS,
+	vatParams: vatParams
+};
@@ -0,0 +1,138 @@
+/**
+ * Header search suggestions (assets/js/header-search.js): a failed search
+ * leaves no stale suggestions or "Searching…" status behind, and isn't
+ * cached.
+ */
+
+'use strict';
+
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createBrowser, waitFor } = require('./helpers/browser');
+const { startStubServer } = require('./helpers/stub-server');
+
+/**
+ * Form printed by woocommerce_theme_render_header_search()
+ */
+const FORM = '' +
+	'<div class="header-search">' +
+		'<form role="search" method="get" class="header-search__form" action="/">' +
+			'<label class="screen-reader-text" for="header-search-input">Search products</label>' +
+			'<input type="search" id="header-search-input" class="header-search__input" name="s" value="" autocomplete="off">' +
+			'<input type="hidden" name="post_type" value="product">' +
+			'<button type="submit" class="header-search__submit" aria-label="Search"></button>' +
+		'</form>' +
+	'</div>';
+
+const RESULTS = {
+	success: true,
+	data: {
+		results: [{ id: 1, name: 'Red Shirt', url: '/product/red-shirt/', image: '', price: '$20.00', badge: '' }],
+		total: 1,
+		url: '/?s=shirt&post_type=product'
+	}
+};
+
+describe('header-search.js', function() {
+	let server;
+	let browser;
+
+	before(async function() {
+		server = await startStubServer();
+	});
+
+	after(async function() {
+		await server.close();
+	});
+
+	/**
+	 * Page with the header search form
+	 */
+	async function open() {
+		browser = await createBrowser({
+			url: server.origin + '/',
+			body: FORM,
+			globals: {
+				woocommerce_theme_header_search_params: {
+					ajax_url: server.origin + '/?wc-ajax=theme_product_search',
+					min_chars: 2
+				}
+			},
+			scripts: ['header-search.js']
+		});
+
+		return browser;
+	}
+
+	/**
+	 * Type into the search field and wait for the request it sends
+	 *
+	 * @param {string} text - Search text
+	 */
+	async function type(text) {
+		const count = server.requests('theme_product_search').length;
+
+		browser.$('#header-search-input').val(text).trigger('input');
+
+		await waitFor(function() {
+			return server.requests('theme_product_search').length === count + 1 &&
+				!browser.$('.header-search__form').hasClass('is-loading');
+		});
+	}
+
+	beforeEach(function() {
+		server.reset();
+	});
+
+	afterEach(function() {
+		browser.close();
+	});
+
+	it('clears the status and the suggestions when the search fails', async function() {
+		const { $ } = await open();
+
+		server.on('theme_product_search', function() {
+			return RESULTS;
+		});
+		await type('shirt');
+
+		assert.equal($('.header-search__option').length, 2);
+
+		// No handler: the endpoint answers 404
+		server.reset();
+		await type('shirts');
+
+		assert.equal($('.header-search__status').text(), '');
+		assert.equal($('.header-search__results').children().length, 0);
+		assert.equal($('.header-search__results').prop('hidden'), true);
+		assert.equal($('#header-search-input').attr('aria-expanded'), 'false');
+	});
+
+	it('clears them for an error response too', async function() {
+		const { $ } = await open();
+
+		server.on('theme_product_search', function() {
+			return { success: false, data: { message: 'Please enter a search term.' } };
+		});
+		await type('shirt');
+
+		assert.equal($('.header-search__status').text(), '');
+		assert.equal($('.header-search__results').children().length, 0);
+	});
+
+	it('searches the same text again after a failure', async function() {
+		const { $ } = await open();
+
+		await type('shirt');
+
+		server.on('theme_product_search', function() {
+			return RESULTS;
+		});
+		$('#header-search-input').val('');
+		await type('shirt');
+
+		assert.equal(server.requests('theme_product_search').length, 2);
+		assert.equal($('.header-search__status').text(), '1 products found');
+		assert.equal($('#header-search-input').attr('aria-expanded'), 'true');
+	});
+});
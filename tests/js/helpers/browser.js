@@ -0,0 +1,161 @@
+/**
+ * Test Browser
+ *
+ * Loads fixture markup and the theme's scripts (assets/js) into a jsdom
+ * window, the way WordPress prints them: jQuery first, then the localized
+ * parameter objects, then the scripts in dependency order.
+ *
+ * jsdom has no layout. Two gaps matter for the theme's scripts and are
+ * filled here:
+ * - getClientRects() returns one box unless the element or an ancestor has
+ *   display: none (or the hidden attribute), so jQuery's :visible works
+ * - documentElement.clientWidth can be set per test (viewport width for
+ *   $(window).width(), used by the mobile breakpoints)
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const ROOT = path.resolve(__dirname, '../../..');
+const JQUERY = fs.readFileSync(require.resolve('jquery/dist/jquery.js'), 'utf8');
+
+/**
+ * Whether an element is rendered (no display: none on it or an ancestor)
+ *
+ * @param {Element} element - Element
+ * @return {boolean} True if rendered
+ */
+function isRendered(element) {
+	const view = element.ownerDocument.defaultView;
+
+	for (let node = element; node && node.nodeType === 1; node = node.parentNode) {
+		if (node.hidden || view.getComputedStyle(node).display === 'none') {
+			return false;
+		}
+	}
+
+	return true;
+}
+
+/**
+ * Create a window with fixture markup and theme scripts
+ *
+ * @param {Object}   options
+ * @param {string}   options.body    - Markup for <body>
+ * @param {string}   [options.bodyClass] - Classes for <body>
+ * @param {string[]} [options.scripts] - Files in assets/js, in load order
+ * @param {Object}   [options.globals] - Globals defined before the scripts (localized params)
+ * @param {string}   [options.url]     - Page URL (the stub server's origin for AJAX)
+ * @param {number}   [options.width]   - Viewport width in px
+ * @return {Promise<Object>} { window, document, $, close }
+ */
+async function createBrowser(options) {
+	const dom = new JSDOM(
+		'<!DOCTYPE html><html><head></head><body class="' + (options.bodyClass || '') + '">' + options.body + '</body></html>',
+		{
+			url: options.url || 'http://localhost/',
+			runScripts: 'outside-only',
+			pretendToBeVisual: true
+		}
+	);
+	const window = dom.window;
+	const observers = [];
+	let width = options.width || 1024;
+
+	// Track the scripts' observers so close() can stop them before teardown
+	window.MutationObserver = class extends window.MutationObserver {
+		constructor(callback) {
+			super(callback);
+			observers.push(this);
+		}
+	};
+
+	window.Element.prototype.getClientRects = function() {
+		return isRendered(this) ? [{ width: 1, height: 1, top: 0, left: 0, right: 1, bottom: 1 }] : [];
+	};
+
+	Object.defineProperty(window.document.documentElement, 'clientWidth', {
+		configurable: true,
+		get: function() {
+			return width;
+		}
+	});
+
+	window.eval(JQUERY);
+
+	Object.keys(options.globals || {}).forEach(function(name) {
+		window[name] = options.globals[name];
+	});
+
+	(options.scripts || []).forEach(function(file) {
+		window.eval(fs.readFileSync(path.join(ROOT, 'assets/js', file), 'utf8') + '\n//# sourceURL=' + file);
+	});
+
+	// Scripts initialize on DOM ready
+	await new Promise(function(resolve) {
+		window.jQuery(resolve);
+	});
+	await wait(0);
+
+	return {
+		window: window,
+		document: window.document,
+		$: window.jQuery,
+
+		/**
+		 * Change the viewport width
+		 *
+		 * @param {number} value - Width in px
+		 */
+		setWidth: function(value) {
+			width = value;
+		},
+
+		close: function() {
+			observers.forEach(function(observer) {
+				observer.disconnect();
+			});
+			window.close();
+		}
+	};
+}
+
+/**
+ * Wait for timers (debounces, animations) and pending callbacks
+ *
+ * @param {number} ms - Milliseconds
+ * @return {Promise<void>}
+ */
+function wait(ms) {
+	return new Promise(function(resolve) {
+		setTimeout(resolve, ms);
+	});
+}
+
+/**
+ * Wait until a condition holds (e.g., an AJAX response was applied)
+ *
+ * @param {Function} condition - Returns true when done
+ * @param {number}   [timeout=2000] - Give up after this many ms
+ * @return {Promise<void>}
+ */
+async function waitFor(condition, timeout) {
+	const end = Date.now() + (timeout || 2000);
+
+	while (!condition()) {
+		if (Date.now() > end) {
+			throw new Error('Timed out waiting for condition');
+		}
+		await wait(10);
+	}
+}
+
+module.exports = {
+	createBrowser: createBrowser,
+	wait: wait,
+	waitFor: waitFor,
+	ROOT: ROOT
+};
@@ -0,0 +1,148 @@
+/**
+ * WooCommerce AJAX Stub Server
+ *
+ * A local HTTP server standing in for WooCommerce's ?wc-ajax= endpoints and
+ * for the pages scripts fetch (shop results), so the tests run offline.
+ * Tests register a handler per endpoint or page path and inspect the
+ * requests the scripts sent.
+ *
+ * Usage:
+ *   const server = await startStubServer();
+ *   server.on('get_refreshed_fragments', function(request) {
+ *       return { fragments: {...}, cart_hash: 'abc' };
+ *   });
+ *   // browser url: server.origin + '/', wc_ajax_url: server.ajaxUrl
+ *   server.page('/shop/', function(request) {
+ *       return '<!DOCTYPE html>...';
+ *   });
+ *   server.requests('get_refreshed_fragments'); // [{ endpoint, path, method, query, body, form }]
+ *   await server.close();
+ */
+
+'use strict';
+
+const http = require('http');
+
+/**
+ * Start the stub server on a free local port
+ *
+ * @return {Promise<Object>} Server API
+ */
+function startStubServer() {
+	const handlers = {};
+	const pages = {};
+	const log = [];
+
+	const server = http.createServer(function(req, res) {
+		const url = new URL(req.url, 'http://127.0.0.1');
+		let raw = '';
+
+		req.on('data', function(chunk) {
+			raw += chunk;
+		});
+
+		req.on('end', function() {
+			const request = {
+				endpoint: url.searchParams.get('wc-ajax') || '',
+				path: url.pathname,
+				method: req.method,
+				query: Object.fromEntries(url.searchParams),
+				body: Object.fromEntries(new URLSearchParams(raw)),
+
+				// All values, for repeated fields (name[])
+				form: new URLSearchParams(raw)
+			};
+			const handler = handlers[request.endpoint];
+
+			log.push(request);
+
+			if (!request.endpoint && pages[request.path]) {
+				Promise.resolve(pages[request.path](request)).then(function(html) {
+					res.writeHead(200, { 'Content-Type': 'text/html' });
+					res.end(html);
+				});
+				return;
+			}
+
+			if (!handler) {
+				res.writeHead(request.endpoint ? 404 : 200, { 'Content-Type': 'text/html' });
+				res.end(request.endpoint ? '-1' : '<!DOCTYPE html><title>Stub</title>');
+				return;
+			}
+
+			Promise.resolve(handler(request)).then(function(data) {
+				res.writeHead(200, { 'Content-Type': 'application/json' });
+				res.end(JSON.stringify(data));
+			});
+		});
+	});
+
+	return new Promise(function(resolve) {
+		server.listen(0, '127.0.0.1', function() {
+			const origin = 'http://127.0.0.1:' + server.address().port;
+
+			resolve({
+				origin: origin,
+
+				// Same shape as WooCommerce's wc_add_to_cart_params.wc_ajax_url
+				ajaxUrl: origin + '/?wc-ajax=%%endpoint%%',
+
+				/**
+				 * Answer an endpoint
+				 *
+				 * @param {string}   endpoint - wc-ajax endpoint name
+				 * @param {Function} handler  - Returns (or resolves to) the JSON response
+				 */
+				on: function(endpoint, handler) {
+					handlers[endpoint] = handler;
+				},
+
+				/**
+				 * Answer a page
+				 *
+				 * @param {string}   path    - URL path, e.g. '/shop/'
+				 * @param {Function} handler - Returns (or resolves to) the HTML
+				 */
+				page: function(path, handler) {
+					pages[path] = handler;
+				},
+
+				/**
+				 * Requests received, optionally for one endpoint
+				 *
+				 * @param {string} [endpoint] - wc-ajax endpoint name
+				 * @return {Object[]} Requests
+				 */
+				requests: function(endpoint) {
+					return endpoint === undefined ? log.slice() : log.filter(function(request) {
+						return request.endpoint === endpoint;
+					});
+				},
+
+				/**
+				 * Forget handlers and logged requests between tests
+				 */
+				reset: function() {
+					log.length = 0;
+					[handlers, pages].forEach(function(map) {
+						Object.keys(map).forEach(function(key) {
+							delete map[key];
+						});
+					});
+				},
+
+				close: function() {
+					server.closeAllConnections();
+
+					return new Promise(function(done) {
+						server.close(done);
+					});
+				}
+			});
+		});
+	});
+}
+
+module.exports = {
+	startStubServer: startStubServer
+};
@@ -0,0 +1,192 @@
+/**
+ * Mini cart (assets/js/minicart.js): fragment replacement, merged refreshes,
+ * inline quantity updates and the cross-tab snapshot.
+ */
+
+'use strict';
+
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createBrowser, wait, waitFor } = require('./helpers/browser');
+const { startStubServer } = require('./helpers/stub-server');
+const { miniCartHeader, fragments } = require('./fixtures/mini-cart');
+
+const SHIRT = { key: 'a1', name: 'T-Shirt', quantity: 1, lineTotal: 2500, max: 5 };
+const CAP = { key: 'b2', name: 'Cap', quantity: 2, lineTotal: 3000, max: 10 };
+
+describe('minicart.js', function() {
+	let server;
+	let browser;
+
+	before(async function() {
+		server = await startStubServer();
+	});
+
+	after(async function() {
+		await server.close();
+	});
+
+	/**
+	 * Page with the header mini cart, scripts in enqueue order
+	 *
+	 * @param {Object[]} items     - Cart lines rendered by the page
+	 * @param {Object}   [options] - Passed to miniCartHeader()
+	 */
+	async function open(items, options) {
+		browser = await createBrowser({
+			url: server.origin + '/',
+			body: miniCartHeader(items, options),
+			globals: {
+				wc_add_to_cart_params: { wc_ajax_url: server.ajaxUrl },
+				woocommerce_theme_minicart_params: {
+					storage_key: 'test_cart',
+					currency: { symbol: 'Rs', format: '%1$s%2$s', decimals: 2 }
+				}
+			},
+			scripts: ['minicart.js', 'enhance.js', 'quantity-changer.js']
+		});
+
+		return browser;
+	}
+
+	beforeEach(function() {
+		server.reset();
+	});
+
+	afterEach(function() {
+		browser.close();
+	});
+
+	it('replaces the count badge and dropdown with the fragments from added_to_cart', async function() {
+		const { $, document } = await open([SHIRT]);
+
+		$(document.body).trigger('added_to_cart', [fragments([SHIRT, CAP]), 'hash-2']);
+
+		assert.equal($('.mini-cart__trigger-count').text(), '3');
+		assert.equal($('#mini-cart-dropdown .mini-cart__item').length, 2);
+		assert.equal($('#mini-cart-dropdown').length, 1);
+	});
+
+	it('inserts the dropdown after the cart button when the page had none', async function() {
+		const { $, document } = await open([], { dropdown: false });
+
+		$(document.body).trigger('added_to_cart', [fragments([SHIRT]), 'hash-1']);
+
+		assert.ok($('#mini-cart-trigger').next().is('#mini-cart-dropdown'));
+		assert.equal($('.mini-cart__trigger-count').text(), '1');
+	});
+
+	it('shows the empty cart from the fragments when the last item is removed', async function() {
+		const { $, document } = await open([SHIRT]);
+
+		$(document.body).trigger('removed_from_cart', [fragments([]), '']);
+
+		assert.equal($('.mini-cart__trigger-count').text(), '0');
+		assert.equal($('#mini-cart-empty').length, 1);
+		assert.equal($('.mini-cart__item').length, 0);
+	});
+
+	it('skips fragments for the cart hash already shown', async function() {
+		const { $, document } = await open([SHIRT]);
+
+		$(document.body).trigger('added_to_cart', [fragments([SHIRT, CAP]), 'hash-2']);
+		$('#mini-cart-dropdown').attr('data-marker', 'kept');
+		$(document.body).trigger('added_to_cart', [fragments([SHIRT, CAP]), 'hash-2']);
+
+		assert.equal($('#mini-cart-dropdown').attr('data-marker'), 'kept');
+	});
+
+	it('adds quantity buttons to the new lines before theme_mini_cart_updated fires', async function() {
+		const { $, document } = await open([SHIRT]);
+		let buttons = 0;
+
+		$(document.body).on('theme_mini_cart_updated', function() {
+			buttons = $('#mini-cart-dropdown .quantity-btn-plus').length;
+		});
+
+		$(document.body).trigger('added_to_cart', [fragments([SHIRT, CAP]), 'hash-2']);
+
+		assert.equal(buttons, 2);
+	});
+
+	it('merges a burst of cart events into one fragment request', async function() {
+		const { $, document } = await open([SHIRT]);
+
+		server.on('get_refreshed_fragments', function() {
+			return { fragments: fragments([CAP]), cart_hash: 'hash-3' };
+		});
+
+		$(document.body)
+			.trigger('updated_wc_div')
+			.trigger('updated_cart_totals')
+			.trigger('wc_fragment_refresh');
+
+		await waitFor(function() {
+			return $('.mini-cart__item[data-cart_item_key="b2"]').length === 1;
+		});
+		await wait(50);
+
+		assert.equal(server.requests('get_refreshed_fragments').length, 1);
+		assert.equal(server.requests('get_refreshed_fragments')[0].method, 'POST');
+		assert.equal($('.mini-cart__item[data-cart_item_key="a1"]').length, 0);
+	});
+
+	it('sends one quantity update per line once the +/- clicks stop', async function() {
+		const { $, document } = await open([SHIRT]);
+		const updated = Object.assign({}, SHIRT, { quantity: 3, lineTotal: 7500 });
+
+		server.on('theme_update_cart_item', function() {
+			return { fragments: fragments([updated]), cart_hash: 'hash-4' };
+		});
+
+		$('.mini-cart__item .quantity-btn-plus').trigger('click').trigger('click');
+
+		await waitFor(function() {
+			return $('.mini-cart__item').attr('data-quantity') === '3';
+		});
+
+		const requests = server.requests('theme_update_cart_item');
+
+		assert.equal(requests.length, 1);
+		assert.deepEqual(requests[0].body, { cart_item_key: 'a1', quantity: '3' });
+		assert.equal($('.mini-cart__trigger-count').text(), '3');
+	});
+
+	it('stores each applied cart state for the other tabs', async function() {
+		const { $, window, document } = await open([SHIRT]);
+
+		$(document.body).trigger('added_to_cart', [fragments([SHIRT, CAP]), 'hash-2']);
+
+		const snapshot = JSON.parse(window.localStorage.getItem('test_cart'));
+
+		assert.equal(snapshot.cart_hash, 'hash-2');
+		assert.equal(snapshot.fragments['.mini-cart__trigger-count'], fragments([SHIRT, CAP])['.mini-cart__trigger-count']);
+	});
+
+	it('applies a cart state stored by another tab', async function() {
+		const { $, window, document } = await open([SHIRT]);
+		const snapshot = { fragments: fragments([CAP]), cart_hash: 'hash-5', time: Date.now() + 1000 };
+
+		window.dispatchEvent(new window.StorageEvent('storage', {
+			key: 'test_cart',
+			newValue: JSON.stringify(snapshot)
+		}));
+
+		assert.equal($('.mini-cart__trigger-count').text(), '2');
+		assert.equal($('.mini-cart__item[data-cart_item_key="b2"]').length, 1);
+	});
+
+	it('ignores a stored cart state older than the one shown', async function() {
+		const { $, window, document } = await open([SHIRT]);
+
+		$(document.body).trigger('added_to_cart', [fragments([SHIRT, CAP]), 'hash-2']);
+
+		window.dispatchEvent(new window.StorageEvent('storage', {
+			key: 'test_cart',
+			newValue: JSON.stringify({ fragments: fragments([]), cart_hash: '', time: 1 })
+		}));
+
+		assert.equal($('.mini-cart__trigger-count').text(), '3');
+	});
+});
+
@@ -0,0 +1,155 @@
+/**
+ * Mobile menu (assets/js/mobile-menu.js with overlay.js): opening and
+ * closing from the toggle, Escape, the overlay, menu links and resizing.
+ */
+
+'use strict';
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createBrowser, wait } = require('./helpers/browser');
+
+/**
+ * Header navigation as rendered by header.php
+ */
+const HEADER = '' +
+	'<header class="site-header">' +
+		'<button type="button" class="menu-toggle" id="menu-toggle" aria-controls="primary-menu" aria-expanded="false" aria-label="Toggle primary menu">' +
+			'<span class="menu-toggle-icon"><span class="menu-toggle-line"></span></span>' +
+		'</button>' +
+		'<div class="menu-overlay" id="menu-overlay"></div>' +
+		'<nav id="site-navigation" class="main-navigation" role="navigation" aria-label="Primary Menu">' +
+			'<ul id="primary-menu" class="menu">' +
+				'<li class="menu-item"><a href="#shop">Shop</a></li>' +
+				'<li class="menu-item"><a href="#about">About</a></li>' +
+			'</ul>' +
+		'</nav>' +
+	'</header>';
+
+describe('mobile-menu.js', function() {
+	let browser;
+
+	/**
+	 * Page with the header at a mobile viewport width
+	 *
+	 * @param {number} [width=375] - Viewport width in px
+	 */
+	async function open(width) {
+		browser = await createBrowser({
+			body: HEADER,
+			width: width || 375,
+			scripts: ['overlay.js', 'mobile-menu.js']
+		});
+
+		return browser.$;
+	}
+
+	/**
+	 * Assert the open or closed state of the menu, toggle and overlay
+	 *
+	 * @param {Function} $      - jQuery of the window
+	 * @param {boolean}  isOpen - Expected state
+	 */
+	function assertMenuOpen($, isOpen) {
+		assert.equal($('.main-navigation').hasClass('menu-open'), isOpen);
+		assert.equal($('body').hasClass('menu-open'), isOpen);
+		assert.equal($('#menu-toggle').attr('aria-expanded'), String(isOpen));
+		assert.equal($('#menu-overlay').hasClass('active'), isOpen);
+		assert.equal($('body').hasClass('scroll-locked'), isOpen);
+	}
+
+	afterEach(function() {
+		browser.close();
+	});
+
+	it('opens and closes from the toggle button', async function() {
+		const $ = await open();
+
+		$('#menu-toggle').trigger('click');
+		assertMenuOpen($, true);
+
+		$('#menu-toggle').trigger('click');
+		assertMenuOpen($, false);
+	});
+
+	it('moves focus to the first menu link after opening', async function() {
+		const $ = await open();
+
+		$('#menu-toggle').trigger('click');
+		await wait(350);
+
+		assert.equal(browser.document.activeElement, $('#primary-menu a')[0]);
+	});
+
+	it('closes on Escape and returns focus to the toggle', async function() {
+		const $ = await open();
+
+		$('#menu-toggle').trigger('click');
+		$(browser.document).trigger($.Event('keydown', { key: 'Escape' }));
+
+		assertMenuOpen($, false);
+		assert.equal(browser.document.activeElement, $('#menu-toggle')[0]);
+	});
+
+	it('leaves focus alone on Escape while the menu is closed', async function() {
+		const $ = await open();
+
+		$('#primary-menu a').last().trigger('focus');
+		$(browser.document).trigger($.Event('keydown', { key: 'Escape' }));
+
+		assert.equal(browser.document.activeElement, $('#primary-menu a')[1]);
+	});
+
+	it('closes when the overlay is clicked', async function() {
+		const $ = await open();
+
+		$('#menu-toggle').trigger('click');
+		$('#menu-overlay').trigger('click');
+
+		assertMenuOpen($, false);
+	});
+
+	it('closes when a menu link is followed on mobile', async function() {
+		const $ = await open();
+
+		$('#menu-toggle').trigger('click');
+		$('#primary-menu a').first().trigger('click');
+
+		assertMenuOpen($, false);
+	});
+
+	it('stays open when a menu link is clicked on desktop', async function() {
+		const $ = await open(1024);
+
+		$('#menu-toggle').trigger('click');
+		$('#primary-menu a').first().trigger('click');
+
+		assertMenuOpen($, true);
+	});
+
+	it('closes when the window is resized to desktop width', async function() {
+		const $ = await open();
+
+		$('#menu-toggle').trigger('click');
+
+		browser.setWidth(600);
+		$(browser.window).trigger('resize');
+		assertMenuOpen($, true);
+
+		browser.setWidth(1024);
+		$(browser.window).trigger('resize');
+		assertMenuOpen($, false);
+	});
+
+	it('keeps the overlay while another panel still holds it', async function() {
+		const $ = await open();
+
+		browser.window.ThemeOverlay.open('mini-cart');
+		$('#menu-toggle').trigger('click');
+		$('#menu-toggle').trigger('click');
+
+		assert.ok($('#menu-overlay').hasClass('active'));
+		assert.ok($('body').hasClass('scroll-locked'));
+		assert.ok(!$('.main-navigation').hasClass('menu-open'));
+	});
+});
@@ -0,0 +1,331 @@
+/**
+ * Quantity plus/minus buttons (assets/js/quantity-changer.js): min, max and
+ * step limits (decimal steps included), typed values, keyboard, press and
+ * hold, and inputs added after load.
+ */
+
+'use strict';
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createBrowser, wait } = require('./helpers/browser');
+
+/**
+ * Add to cart form of a simple product (woocommerce_quantity_input())
+ *
+ * @param {Object} attrs - Input attributes { value, min, max, step }
+ * @return {string} HTML
+ */
+function productForm(attrs) {
+	return '' +
+		'<div class="woocommerce"><div class="product">' +
+			'<form class="cart" method="post">' +
+				'<div class="quantity">' +
+					'<input type="number" class="input-text qty text" name="quantity"' +
+						' value="' + attrs.value + '"' +
+						' min="' + (attrs.min === undefined ? '' : attrs.min) + '"' +
+						' max="' + (attrs.max === undefined ? '' : attrs.max) + '"' +
+						' step="' + (attrs.step === undefined ? '' : attrs.step) + '">' +
+				'</div>' +
+				'<button type="submit" name="add-to-cart" value="10" class="single_add_to_cart_button button">Add to cart</button>' +
+			'</form>' +
+		'</div></div>';
+}
+
+describe('quantity-changer.js', function() {
+	let browser;
+
+	/**
+	 * Product page with one quantity input
+	 *
+	 * @param {Object} attrs - Input attributes
+	 */
+	async function open(attrs) {
+		browser = await createBrowser({
+			body: productForm(attrs),
+			scripts: ['enhance.js', 'quantity-changer.js']
+		});
+
+		return browser.$;
+	}
+
+	afterEach(function() {
+		browser.close();
+	});
+
+	it('adds one minus and one plus button around the input', async function() {
+		const $ = await open({ value: 1, min: 1, max: 10, step: 1 });
+
+		assert.equal($('.quantity .quantity-btn-minus').length, 1);
+		assert.equal($('.quantity .quantity-btn-plus').length, 1);
+		assert.ok($('.qty').prev().is('.quantity-btn-minus'));
+		assert.ok($('.qty').next().is('.quantity-btn-plus'));
+		assert.ok($('.quantity').hasClass('quantity-wrapper-enhanced'));
+	});
+
+	it('disables minus at the minimum and plus at the maximum', async function() {
+		const $ = await open({ value: 1, min: 1, max: 3, step: 1 });
+
+		assert.equal($('.quantity-btn-minus').prop('disabled'), true);
+
+		$('.quantity-btn-plus').trigger('click').trigger('click');
+
+		assert.equal($('.qty').val(), '3');
+		assert.equal($('.quantity-btn-plus').prop('disabled'), true);
+		assert.equal($('.quantity-btn-minus').prop('disabled'), false);
+
+		// A click past the maximum leaves the value alone
+		$('.quantity-btn-plus').prop('disabled', false).trigger('click');
+		assert.equal($('.qty').val(), '3');
+	});
+
+	it('does not go below the minimum', async function() {
+		const $ = await open({ value: 2, min: 2, max: '', step: 1 });
+
+		$('.quantity-btn-minus').prop('disabled', false).trigger('click');
+
+		assert.equal($('.qty').val(), '2');
+	});
+
+	it('moves by the step attribute', async function() {
+		const $ = await open({ value: 2, min: 2, max: 10, step: 2 });
+
+		$('.quantity-btn-plus').trigger('click');
+		assert.equal($('.qty').val(), '4');
+
+		$('.quantity-btn-minus').trigger('click');
+		assert.equal($('.qty').val(), '2');
+	});
+
+	it('never disables plus without a maximum', async function() {
+		const $ = await open({ value: 1, min: 1, max: '', step: 1 });
+
+		for (let i = 0; i < 5; i++) {
+			$('.quantity-btn-plus').trigger('click');
+		}
+
+		assert.equal($('.qty').val(), '6');
+		assert.equal($('.quantity-btn-plus').prop('disabled'), false);
+	});
+
+	it('fires change on the input so WooCommerce sees the new value', async function() {
+		const $ = await open({ value: 1, min: 1, max: 10, step: 1 });
+		const values = [];
+
+		$('.qty').on('change', function() {
+			values.push($(this).val());
+		});
+
+		$('.quantity-btn-plus').trigger('click');
+		$('.quantity-btn-minus').trigger('click');
+
+		assert.deepEqual(values, ['2', '1']);
+	});
+
+	it('updates the buttons when a value is typed', async function() {
+		const $ = await open({ value: 1, min: 1, max: 5, step: 1 });
+
+		$('.qty').val('5').trigger('input');
+
+		assert.equal($('.quantity-btn-plus').prop('disabled'), true);
+		assert.equal($('.quantity-btn-minus').prop('disabled'), false);
+	});
+
+	it('adds buttons to quantity inputs added after load', async function() {
+		const $ = await open({ value: 1, min: 1, max: 10, step: 1 });
+
+		// A container holding the whole form, e.g. a block rendered later
+		$(browser.document.body).append('<div class="wp-block-group">' + productForm({ value: 1, min: 1, max: 10, step: 1 }) + '</div>');
+		await wait(0);
+
+		assert.equal($('.quantity-btn-plus').length, 2);
+
+		$('.wp-block-group').remove();
+		await wait(0);
+
+		assert.equal($('.quantity-btn-plus').length, 1);
+	});
+
+	it('adds decimal steps exactly', async function() {
+		const $ = await open({ value: 0, min: 0, max: 1, step: 0.1 });
+
+		$('.quantity-btn-plus').trigger('click').trigger('click').trigger('click');
+		assert.equal($('.qty').val(), '0.3');
+
+		for (let i = 0; i < 10; i++) {
+			$('.quantity-btn-plus').trigger('click');
+		}
+		assert.equal($('.qty').val(), '1');
+		assert.equal($('.quantity-btn-plus').prop('disabled'), true);
+
+		$('.quantity-btn-minus').trigger('click');
+		assert.equal($('.qty').val(), '0.9');
+	});
+
+	it('goes down to a minimum of 0', async function() {
+		const $ = await open({ value: 1, min: 0, max: '', step: 1 });
+
+		assert.equal($('.quantity-btn-minus').prop('disabled'), false);
+
+		$('.quantity-btn-minus').trigger('click');
+
+		assert.equal($('.qty').val(), '0');
+		assert.equal($('.quantity-btn-minus').prop('disabled'), true);
+	});
+
+	it('steps from a value between two steps to the next one', async function() {
+		const $ = await open({ value: 3, min: 2, max: 10, step: 2 });
+
+		$('.quantity-btn-plus').trigger('click');
+		assert.equal($('.qty').val(), '4');
+
+		$('.qty').val('5');
+		$('.quantity-btn-minus').trigger('click');
+		assert.equal($('.qty').val(), '4');
+	});
+
+	it('explains a typed value outside the limits while typing', async function() {
+		const $ = await open({ value: 1, min: 1, max: 10, step: 1 });
+
+		$('.qty').val('12').trigger('input');
+
+		assert.equal($('.quantity-message').text(), 'The maximum quantity is 10.');
+		assert.ok($('.quantity-message').hasClass('is-invalid'));
+		assert.ok($('.quantity').next().is('.quantity-message'));
+		assert.equal($('.qty').attr('aria-invalid'), 'true');
+		assert.equal($('.qty').attr('aria-describedby'), $('.quantity-message').attr('id'));
+
+		$('.qty').val('0').trigger('input');
+		assert.equal($('.quantity-message').text(), 'The minimum quantity is 1.');
+
+		$('.qty').val('4').trigger('input');
+		assert.equal($('.quantity-message').length, 0);
+		assert.equal($('.qty').attr('aria-invalid'), undefined);
+		assert.equal($('.qty').attr('aria-describedby'), undefined);
+	});
+
+	it('names the nearest valid quantities for a value off the step', async function() {
+		const $ = await open({ value: 0.5, min: 0.5, max: '', step: 0.5 });
+
+		$('.qty').val('1.3').trigger('input');
+
+		assert.equal($('.quantity-message').text(), 'Please enter a valid quantity. The nearest valid quantities are 1 and 1.5.');
+	});
+
+	it('snaps and clamps a typed value when it is committed', async function() {
+		const $ = await open({ value: 0.5, min: 0.5, max: 10, step: 0.5 });
+		const committed = [];
+
+		// Handlers bound later (WooCommerce, minicart.js) see the adjusted value
+		$('.qty').on('change', function() {
+			committed.push($(this).val());
+		});
+
+		$('.qty').val('1.3').trigger('input').trigger('change');
+		$('.qty').val('12').trigger('input').trigger('change');
+		$('.qty').val('').trigger('input').trigger('change');
+
+		assert.deepEqual(committed, ['1.5', '10', '0.5']);
+	});
+
+	it('keeps the message after adjusting a value, without marking it invalid', async function() {
+		const $ = await open({ value: 1, min: 1, max: 10, step: 1 });
+
+		$('.qty').val('12').trigger('input').trigger('change');
+
+		assert.equal($('.qty').val(), '10');
+		assert.equal($('.quantity-message').text(), 'The maximum quantity is 10.');
+		assert.ok(!$('.quantity-message').hasClass('is-invalid'));
+		assert.equal($('.qty').attr('aria-invalid'), undefined);
+		assert.equal($('.quantity-btn-plus').prop('disabled'), true);
+
+		$('.quantity-btn-minus').trigger('click');
+		assert.equal($('.quantity-message').length, 0);
+	});
+
+	it('changes the quantity with the arrow and page keys', async function() {
+		const $ = await open({ value: 1, min: 1, max: 15, step: 1 });
+		let changes = 0;
+
+		$('.qty').on('change', function() {
+			changes++;
+		});
+
+		$('.qty').trigger($.Event('keydown', { key: 'ArrowUp' }));
+		assert.equal($('.qty').val(), '2');
+
+		$('.qty').trigger($.Event('keydown', { key: 'PageUp' }));
+		assert.equal($('.qty').val(), '12');
+
+		$('.qty').trigger($.Event('keydown', { key: 'PageUp' }));
+		assert.equal($('.qty').val(), '15');
+
+		$('.qty').trigger($.Event('keydown', { key: 'ArrowDown' }));
+		assert.equal($('.qty').val(), '14');
+		assert.equal(changes, 4);
+	});
+
+	it('repeats faster while a button is held and fires change once on release', async function() {
+		const $ = await open({ value: 1, min: 1, max: '', step: 1 });
+		let inputs = 0;
+		let changes = 0;
+
+		$('.qty').on('input', function() {
+			inputs++;
+		}).on('change', function() {
+			changes++;
+		});
+
+		$('.quantity-btn-plus').trigger('pointerdown');
+		assert.equal($('.qty').val(), '2');
+
+		// 400ms delay, then 150, 127.5, 108.4 ... ms
+		await wait(800);
+		$('.quantity-btn-plus').trigger('pointerup');
+
+		const held = parseFloat($('.qty').val());
+
+		assert.ok(held >= 5, 'value after holding: ' + held);
+		assert.equal(inputs, held - 1);
+		assert.equal(changes, 1);
+
+		// The click ending the press does not step again
+		$('.quantity-btn-plus').trigger('click');
+		assert.equal($('.qty').val(), String(held));
+
+		await wait(200);
+		assert.equal($('.qty').val(), String(held));
+	});
+
+	it('stops a held button at the maximum', async function() {
+		const $ = await open({ value: 1, min: 1, max: 3, step: 1 });
+		let changes = 0;
+
+		$('.qty').on('change', function() {
+			changes++;
+		});
+
+		$('.quantity-btn-plus').trigger('pointerdown');
+		await wait(700);
+
+		assert.equal($('.qty').val(), '3');
+		assert.equal($('.quantity-btn-plus').prop('disabled'), true);
+		assert.equal(changes, 1);
+
+		// Released on the document; keyboard presses work again afterwards
+		$(browser.document).trigger('pointerup');
+		await wait(0);
+		$('.quantity-btn-minus').trigger('click');
+
+		assert.equal($('.qty').val(), '2');
+	});
+
+	it('does not add the buttons twice', async function() {
+		const $ = await open({ value: 1, min: 1, max: 10, step: 1 });
+
+		browser.window.themeEnhance(browser.document);
+		await wait(0);
+
+		assert.equal($('.quantity-btn-plus').length, 1);
+	});
+});
@@ -0,0 +1,121 @@
+/**
+ * Shop filters (assets/js/shop-category-filter.js): results swapped in
+ * place, including a filter nothing matches, and active filter chips.
+ */
+
+'use strict';
+
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createBrowser, waitFor } = require('./helpers/browser');
+const { startStubServer } = require('./helpers/stub-server');
+const { hookCallbacks, shopPage, shopDocument } = require('./fixtures/shop');
+
+const ALL = { products: ['Red Shirt', 'Blue Cap'], summary: 'Showing 2 products' };
+const NONE = {
+	products: [],
+	colors: ['red', 'blue'],
+	chips: [
+		{ label: 'Red', url: '/shop/?filter_color=blue' },
+		{ label: 'Blue', url: '/shop/?filter_color=red' }
+	],
+	summary: 'No products found'
+};
+
+describe('Shop page without results', function() {
+	it('prints the chips inside #shop-results when nothing matches', function() {
+		const callbacks = hookCallbacks('woocommerce_no_products_found');
+
+		assert.ok(callbacks.indexOf('woocommerce_theme_open_shop_results') < callbacks.indexOf('woocommerce_theme_render_active_filter_chips'));
+		assert.ok(callbacks.indexOf('woocommerce_theme_render_active_filter_chips') < callbacks.indexOf('wc_no_products_found'));
+	});
+});
+
+describe('shop-category-filter.js', function() {
+	let server;
+	let browser;
+
+	before(async function() {
+		server = await startStubServer();
+	});
+
+	after(async function() {
+		await server.close();
+	});
+
+	/**
+	 * Unfiltered shop page; the server answers with NONE for any filter
+	 */
+	async function open() {
+		server.page('/shop/', function(request) {
+			return shopDocument(request.query.filter_color ? NONE : ALL);
+		});
+
+		browser = await createBrowser({
+			url: server.origin + '/shop/',
+			body: shopPage(ALL),
+			bodyClass: 'woocommerce-shop',
+			scripts: ['enhance.js', 'shop-category-filter.js']
+		});
+
+		return browser;
+	}
+
+	beforeEach(function() {
+		server.reset();
+	});
+
+	afterEach(function() {
+		browser.close();
+	});
+
+	it('swaps in the "no products" results with their chips and "Clear all"', async function() {
+		const { $ } = await open();
+
+		$('input[value="red"]').prop('checked', true).trigger('change');
+		$('input[value="blue"]').prop('checked', true).trigger('change');
+
+		await waitFor(function() {
+			return $('#shop-results .woocommerce-no-products-found').length === 1;
+		});
+
+		assert.equal(server.requests().pop().query.filter_color, 'red,blue');
+		assert.equal($('.products').length, 0);
+		assert.equal($('.shop-filter-chips').length, 1);
+		assert.equal($('#shop-results .shop-filter-chips__chip').length, 2);
+		assert.equal($('#shop-results .shop-filter-chips__clear').length, 1);
+		assert.equal($('#shop-results').attr('data-summary'), 'No products found');
+		assert.equal(browser.window.location.search, '?filter_color=red%2Cblue');
+	});
+
+	it('loads the results without a filter when its chip is removed', async function() {
+		const { $, document } = await open();
+
+		$('input[value="red"]').prop('checked', true).trigger('change');
+		$('input[value="blue"]').prop('checked', true).trigger('change');
+
+		await waitFor(function() {
+			return $('#shop-results .shop-filter-chips__chip').length === 2;
+		});
+
+		server.page('/shop/', function(request) {
+			return shopDocument(request.query.filter_color === 'blue' ? {
+				products: ['Blue Cap'],
+				colors: ['blue'],
+				chips: [{ label: 'Blue', url: '/shop/' }],
+				summary: 'Showing 1 product'
+			} : NONE);
+		});
+
+		$('#shop-results .shop-filter-chips__chip').first().trigger('click');
+
+		await waitFor(function() {
+			return $('#shop-results .products').length === 1;
+		});
+
+		assert.ok(!$('input[value="red"]').prop('checked'));
+		assert.ok($('input[value="blue"]').prop('checked'));
+		assert.equal($('#shop-results .shop-filter-chips__chip').text().indexOf('Blue'), 0);
+		assert.equal(document.activeElement, $('#shop-results .shop-filter-chips__chip')[0]);
+	});
+});
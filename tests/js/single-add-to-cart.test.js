@@ -0,0 +1,104 @@
+/**
+ * Single product AJAX add to cart (assets/js/single-add-to-cart.js): the
+ * request carries what the form's own POST would, and the result is shown
+ * next to the form.
+ */
+
+'use strict';
+
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createBrowser, waitFor } = require('./helpers/browser');
+const { startStubServer } = require('./helpers/stub-server');
+
+/**
+ * Simple product form with an add-on checkbox group, as product add-on
+ * plugins print it
+ */
+const PRODUCT = '' +
+	'<div class="woocommerce"><div class="product">' +
+		'<form class="cart" method="post" enctype="multipart/form-data">' +
+			'<fieldset class="product-addon">' +
+				'<label><input type="checkbox" name="addon-123[]" value="gift-wrap" checked> Gift wrap</label>' +
+				'<label><input type="checkbox" name="addon-123[]" value="card"> Card</label>' +
+				'<label><input type="checkbox" name="addon-123[]" value="ribbon" checked> Ribbon</label>' +
+			'</fieldset>' +
+			'<div class="quantity"><input type="number" class="input-text qty text" name="quantity" value="2" min="1" step="1"></div>' +
+			'<button type="submit" name="add-to-cart" value="10" class="single_add_to_cart_button button">Add to cart</button>' +
+		'</form>' +
+	'</div></div>';
+
+describe('single-add-to-cart.js', function() {
+	let server;
+	let browser;
+
+	before(async function() {
+		server = await startStubServer();
+	});
+
+	after(async function() {
+		await server.close();
+	});
+
+	/**
+	 * Product page with the add to cart script
+	 */
+	async function open() {
+		browser = await createBrowser({
+			url: server.origin + '/product/shirt/',
+			body: PRODUCT,
+			globals: {
+				woocommerce_theme_add_to_cart_params: { ajax_url: server.origin + '/?wc-ajax=theme_add_to_cart' }
+			},
+			scripts: ['single-add-to-cart.js']
+		});
+
+		return browser;
+	}
+
+	beforeEach(function() {
+		server.reset();
+		server.on('theme_add_to_cart', function() {
+			return { success: true, data: { fragments: {}, cart_hash: 'hash-1', notices: '' } };
+		});
+	});
+
+	afterEach(function() {
+		browser.close();
+	});
+
+	it('posts every value of a repeated field, and the product from the button', async function() {
+		const { $ } = await open();
+
+		$('form.cart').trigger('submit');
+
+		await waitFor(function() {
+			return server.requests('theme_add_to_cart').length === 1;
+		});
+
+		const form = server.requests('theme_add_to_cart')[0].form;
+
+		assert.deepEqual(form.getAll('addon-123[]'), ['gift-wrap', 'ribbon']);
+		assert.equal(form.get('quantity'), '2');
+		assert.deepEqual(form.getAll('add-to-cart'), ['10']);
+	});
+
+	it('fires added_to_cart once the product was added', async function() {
+		const { $, document } = await open();
+		let added = null;
+
+		$(document.body).on('added_to_cart', function(e, fragments, cartHash) {
+			added = cartHash;
+		});
+
+		$('form.cart').trigger('submit');
+
+		await waitFor(function() {
+			return added !== null;
+		});
+
+		assert.equal(added, 'hash-1');
+		assert.ok($('.single_add_to_cart_button').hasClass('added'));
+		assert.ok(!$('.single_add_to_cart_button').hasClass('loading'));
+	});
+});
@@ -0,0 +1,148 @@
+/**
+ * Variation swatches (assets/js/variation-size-labels.js): buttons built
+ * from the attribute selects, kept in sync with the selects and with
+ * WooCommerce's woocommerce_update_variation_values.
+ */
+
+'use strict';
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createBrowser } = require('./helpers/browser');
+const { variableProduct } = require('./fixtures/variable-product');
+
+const VARIATIONS = [
+	{ id: 11, size: 's', color: 'red', maxQty: 10 },
+	{ id: 12, size: 'm', color: 'red', inStock: false },
+	{ id: 13, size: 'l', color: 'red', maxQty: 2 },
+	{ id: 14, size: 's', color: 'blue', maxQty: 10 },
+	{ id: 15, size: 'm', color: 'blue', maxQty: 10 }
+];
+
+describe('variation-size-labels.js', function() {
+	let browser;
+
+	/**
+	 * Variable product page (no localized swatch settings: size attributes
+	 * become labels, color attributes color swatches)
+	 */
+	async function open() {
+		browser = await createBrowser({
+			body: variableProduct(VARIATIONS),
+			scripts: ['enhance.js', 'variation-size-labels.js']
+		});
+
+		return browser.$;
+	}
+
+	/**
+	 * Size button for a term
+	 *
+	 * @param {Function} $     - jQuery of the window
+	 * @param {string}   value - Term slug
+	 * @return {jQuery} Button
+	 */
+	function sizeButton($, value) {
+		return $('.wc-size-labels__item[data-value="' + value + '"]');
+	}
+
+	afterEach(function() {
+		browser.close();
+	});
+
+	it('adds a radio group of buttons per attribute and hides the selects', async function() {
+		const $ = await open();
+
+		assert.deepEqual(Array.from($('.wc-size-labels__item'), function(button) {
+			return button.textContent;
+		}), ['S', 'M', 'L']);
+		assert.equal($('.wc-color-swatches__item').length, 2);
+		assert.equal($('.wc-size-labels').attr('role'), 'radiogroup');
+		assert.equal($('.wc-size-labels').attr('aria-label'), 'Size');
+		assert.ok($('#pa_size').hasClass('wc-variation-select--hidden'));
+		assert.ok($('#pa_color').hasClass('wc-variation-select--hidden'));
+	});
+
+	it('chooses the option in the select when a button is clicked', async function() {
+		const $ = await open();
+		let changed = 0;
+
+		$('#pa_size').on('change', function() {
+			changed++;
+		});
+
+		sizeButton($, 'm').trigger('click');
+
+		assert.equal($('#pa_size').val(), 'm');
+		assert.equal(changed, 1);
+		assert.equal(sizeButton($, 'm').attr('aria-checked'), 'true');
+		assert.equal(sizeButton($, 's').attr('aria-checked'), 'false');
+		assert.equal(sizeButton($, 'm').attr('tabindex'), '0');
+	});
+
+	it('follows the select when WooCommerce changes or clears it', async function() {
+		const $ = await open();
+
+		$('#pa_size').val('l').trigger('change');
+
+		assert.ok(sizeButton($, 'l').hasClass('is-selected'));
+		assert.equal(sizeButton($, 'l').attr('aria-checked'), 'true');
+
+		$('#pa_size').val('').trigger('change');
+
+		assert.equal($('.wc-size-labels__item.is-selected').length, 0);
+		assert.equal($('.wc-size-labels__item[aria-checked="true"]').length, 0);
+	});
+
+	it('disables buttons whose option WooCommerce disabled', async function() {
+		const $ = await open();
+
+		// WooCommerce disables sizes not made in blue, then fires the event
+		$('#pa_color').val('blue').trigger('change');
+		$('#pa_size option[value="l"]').prop('disabled', true);
+		$('form.variations_form').trigger('woocommerce_update_variation_values');
+
+		assert.ok(sizeButton($, 'l').hasClass('is-disabled'));
+		assert.equal(sizeButton($, 'l').attr('aria-disabled'), 'true');
+
+		sizeButton($, 'l').trigger('click');
+		assert.equal($('#pa_size').val(), '');
+
+		$('#pa_color').val('red').trigger('change');
+		$('#pa_size option[value="l"]').prop('disabled', false);
+		$('form.variations_form').trigger('woocommerce_update_variation_values');
+
+		assert.ok(!sizeButton($, 'l').hasClass('is-disabled'));
+		assert.equal(sizeButton($, 'l').attr('aria-disabled'), undefined);
+	});
+
+	it('marks sold out and low stock options for the chosen color', async function() {
+		const $ = await open();
+
+		$('#pa_color').val('red').trigger('change');
+		$('form.variations_form').trigger('woocommerce_update_variation_values');
+
+		assert.ok(sizeButton($, 'm').hasClass('is-sold-out'));
+		assert.equal(sizeButton($, 'm').attr('aria-label'), 'M, Sold out');
+		assert.equal(sizeButton($, 'l').attr('data-tooltip'), 'Only 2 left');
+		assert.ok(!sizeButton($, 's').hasClass('is-sold-out'));
+
+		$('#pa_color').val('blue').trigger('change');
+		$('form.variations_form').trigger('woocommerce_update_variation_values');
+
+		assert.ok(!sizeButton($, 'm').hasClass('is-sold-out'));
+	});
+
+	it('moves between options with the arrow keys, skipping disabled ones', async function() {
+		const $ = await open();
+
+		$('#pa_size option[value="m"]').prop('disabled', true);
+		$('form.variations_form').trigger('woocommerce_update_variation_values');
+
+		sizeButton($, 's').trigger('focus').trigger($.Event('keydown', { key: 'ArrowRight' }));
+
+		assert.equal(browser.document.activeElement, sizeButton($, 'l')[0]);
+		assert.equal(sizeButton($, 'l').attr('tabindex'), '0');
+		assert.equal(sizeButton($, 's').attr('tabindex'), '-1');
+	});
+});